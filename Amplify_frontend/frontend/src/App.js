@@ -9,10 +9,18 @@ import ErrorMessage from './components/ErrorMessage';
 import AdminDashboard from './pages/AdminDashboard';
 import MemberDashboard from './pages/MemberDashboard';
 import CreateTask from './pages/CreateTask';
+import ImportTasks from './pages/ImportTasks';
+import Workload from './pages/Workload';
 import EditTask from './pages/EditTask';
 import TaskDetail from './pages/TaskDetail';
+import RecurringTasks from './pages/RecurringTasks';
+import NotificationSettings from './pages/NotificationSettings';
 import { useAuth } from './hooks/useAuth';
 import { useTasks } from './hooks/useTasks';
+import { useWorkflow } from './hooks/useWorkflow';
+import { usePreferences } from './hooks/usePreferences';
+import { useCalendarFeed } from './hooks/useCalendarFeed';
+import { useNotifications } from './hooks/useNotifications';
 
 function App() {
   const { user, userRole, handleSignOut } = useAuth();
@@ -21,11 +29,18 @@ function App() {
     loading,
     error,
     setError,
+    fetchTasks,
     createTask,
     updateTaskStatus,
+    updateChecklist,
+    updateDependencies,
     deleteTask,
     updateTask
   } = useTasks(user, userRole);
+  const workflow = useWorkflow(user);
+  const preferences = usePreferences(user);
+  const calendarFeed = useCalendarFeed(user);
+  const notifications = useNotifications(user);
 
   const [filterStatus, setFilterStatus] = useState('all');
 
@@ -66,6 +81,7 @@ function App() {
               userEmail={user?.attributes?.email}
               userRole={userRole}
               onSignOut={handleSignOut}
+              notifications={notifications}
             />
 
             <main className="main-content">
@@ -79,6 +95,7 @@ function App() {
                       <AdminDashboard
                         tasks={tasks}
                         userRole={userRole}
+                        workflow={workflow}
                         filterStatus={filterStatus}
                         setFilterStatus={setFilterStatus}
                         updateTaskStatus={updateTaskStatus}
@@ -89,6 +106,7 @@ function App() {
                       <MemberDashboard
                         tasks={tasks}
                         userRole={userRole}
+                        workflow={workflow}
                         filterStatus={filterStatus}
                         setFilterStatus={setFilterStatus}
                         updateTaskStatus={updateTaskStatus}
@@ -110,6 +128,26 @@ function App() {
                     )
                   }
                 />
+                <Route
+                  path="/import-tasks"
+                  element={
+                    userRole === 'admin' ? (
+                      <ImportTasks onImported={fetchTasks} />
+                    ) : (
+                      <Navigate to="/" replace />
+                    )
+                  }
+                />
+                <Route
+                  path="/workload"
+                  element={
+                    userRole === 'admin' ? (
+                      <Workload />
+                    ) : (
+                      <Navigate to="/" replace />
+                    )
+                  }
+                />
                 <Route
                   path="/edit-task/:taskId"
                   element={
@@ -124,13 +162,38 @@ function App() {
                     )
                   }
                 />
+                <Route
+                  path="/recurring"
+                  element={
+                    userRole === 'admin' ? (
+                      <RecurringTasks />
+                    ) : (
+                      <Navigate to="/" replace />
+                    )
+                  }
+                />
+                <Route
+                  path="/settings/notifications"
+                  element={
+                    <NotificationSettings
+                      preferences={preferences}
+                      calendarFeed={calendarFeed}
+                      tasks={tasks}
+                    />
+                  }
+                />
                 <Route
                   path="/task/:taskId"
                   element={
                     <TaskDetail
                       tasks={tasks}
                       userRole={userRole}
+                      userEmail={user?.attributes?.email}
+                      workflow={workflow}
                       updateTaskStatus={updateTaskStatus}
+                      updateChecklist={updateChecklist}
+                      updateDependencies={updateDependencies}
+                      preferences={preferences}
                       deleteTask={deleteTask}
                       loading={loading}
                     />
@@ -0,0 +1,124 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'description',
+  status: 'status',
+  priority: 'priority',
+  dueDate: 'due date',
+  tags: 'tags',
+  checklist: 'checklist',
+  blockedBy: 'blocked by',
+  assignedMembers: 'assignees'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return 'none';
+  // Checklists are summarised as done/total
+  if (Array.isArray(value) && value.some(item => item?.itemId)) {
+    return `${value.filter(item => item.done).length}/${value.length} done`;
+  }
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : 'none';
+  return String(value);
+};
+
+/**
+ * One-line summary of an activity event
+ */
+const describeEvent = (event) => {
+  const change = event.changes?.[0];
+
+  switch (event.type) {
+  case 'created':
+    return 'created the task';
+  case 'status_changed':
+    return `changed status from ${formatValue(change?.from)} to ${formatValue(change?.to)}`;
+  case 'reassigned':
+    return `changed assignees to ${formatValue(change?.to)}`;
+  case 'updated':
+    return `edited ${event.changes.map(c => FIELD_LABELS[c.field] || c.field).join(', ')}`;
+  case 'commented':
+    return event.comment?.parentId ? 'replied to a comment' : 'commented';
+  case 'comment_edited':
+    return 'edited a comment';
+  case 'comment_deleted':
+    return 'deleted a comment';
+  case 'deleted':
+    return 'deleted the task';
+  default:
+    return event.type;
+  }
+};
+
+const ActivityTimeline = ({ taskId, refreshKey }) => {
+  const [activity, setActivity] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadActivity();
+  }, [taskId, refreshKey]);
+
+  const loadActivity = async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const page = await taskService.fetchTaskActivity(taskId, token);
+      setActivity(token ? [...activity, ...page.activity] : page.activity);
+      setNextToken(page.nextToken);
+    } catch (error) {
+      console.error('Error fetching activity:', error);
+      setError('Failed to load activity.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="task-detail-section activity-timeline">
+      <h3>Activity</h3>
+
+      {error && <p className="activity-error">{error}</p>}
+
+      {!error && activity.length === 0 && !loading && (
+        <p>No activity recorded yet.</p>
+      )}
+
+      <ul className="timeline">
+        {activity.map(event => (
+          <li key={event.activityId} className={`timeline-item ${event.type}`}>
+            <div className="timeline-summary">
+              <strong>{event.actor}</strong> {describeEvent(event)}
+            </div>
+            {event.type === 'updated' && (
+              <ul className="timeline-changes">
+                {event.changes.map(change => (
+                  <li key={change.field}>
+                    {FIELD_LABELS[change.field] || change.field}: {formatValue(change.from)} → {formatValue(change.to)}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {event.type === 'status_changed' && event.changes[0]?.reason && (
+              <p className="timeline-comment">Reason: {event.changes[0].reason}</p>
+            )}
+            {event.comment && (
+              <p className="timeline-comment">“{event.comment.text}”</p>
+            )}
+            <span className="timeline-time">{new Date(event.timestamp).toLocaleString()}</span>
+          </li>
+        ))}
+      </ul>
+
+      {nextToken && (
+        <button className="back-btn" onClick={() => loadActivity(nextToken)} disabled={loading}>
+          {loading ? 'Loading...' : 'Show older activity'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ActivityTimeline;
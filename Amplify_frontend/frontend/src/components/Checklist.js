@@ -0,0 +1,120 @@
+import { useState } from 'react';
+
+/**
+ * Done and total item counts of a task's checklist
+ */
+export const checklistProgress = (checklist = []) => ({
+  done: checklist.filter(item => item.done).length,
+  total: checklist.length
+});
+
+/**
+ * Checklist of a task
+ * Assigned members tick items off; admins also add, reorder and remove them
+ */
+const Checklist = ({ task, userRole, userEmail, onChange, loading }) => {
+  const [newText, setNewText] = useState('');
+  const [newAssignee, setNewAssignee] = useState('');
+
+  const items = [...(task.checklist || [])].sort((a, b) => a.order - b.order);
+  const isAdmin = userRole === 'admin';
+  const canTick = isAdmin || task.assignedMembers?.includes(userEmail);
+  const { done, total } = checklistProgress(items);
+
+  if (!isAdmin && total === 0) {
+    return null;
+  }
+
+  // Admin edits send the whole list; existing items are identified by itemId
+  const saveList = (list) => onChange({
+    checklist: list.map(({ itemId, text, done, assignee }) => ({ itemId, text, done, assignee }))
+  });
+
+  const toggleItem = (item) => onChange({ checkItems: { [item.itemId]: !item.done } });
+
+  const moveItem = (index, offset) => {
+    const list = [...items];
+    const [moved] = list.splice(index, 1);
+    list.splice(index + offset, 0, moved);
+    saveList(list);
+  };
+
+  const removeItem = (itemId) => saveList(items.filter(item => item.itemId !== itemId));
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newText.trim()) return;
+
+    const result = await saveList([...items, { text: newText.trim(), done: false, assignee: newAssignee || null }]);
+    if (result.success) {
+      setNewText('');
+      setNewAssignee('');
+    }
+  };
+
+  return (
+    <div className="task-detail-section checklist">
+      <h3>Checklist {total > 0 && <span className="checklist-progress">{done}/{total}</span>}</h3>
+
+      {total > 0 && (
+        <div className="progress-bar">
+          <div className="progress-fill" style={{ width: `${Math.round((done / total) * 100)}%` }} />
+        </div>
+      )}
+
+      <ul className="checklist-items">
+        {items.map((item, index) => (
+          <li key={item.itemId} className={`checklist-item ${item.done ? 'done' : ''}`}>
+            <label>
+              <input
+                type="checkbox"
+                checked={item.done}
+                onChange={() => toggleItem(item)}
+                disabled={loading || !canTick}
+              />
+              <span className="checklist-text">{item.text}</span>
+            </label>
+            {item.assignee && <span className="checklist-assignee">{item.assignee}</span>}
+            {isAdmin && (
+              <div className="checklist-item-actions">
+                <button onClick={() => moveItem(index, -1)} disabled={loading || index === 0} title="Move up">
+                  ↑
+                </button>
+                <button onClick={() => moveItem(index, 1)} disabled={loading || index === items.length - 1} title="Move down">
+                  ↓
+                </button>
+                <button onClick={() => removeItem(item.itemId)} disabled={loading} title="Remove">
+                  ✕
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isAdmin && (
+        <form className="checklist-add-form" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newText}
+            onChange={(e) => setNewText(e.target.value)}
+            placeholder="Add an item..."
+            maxLength={500}
+            disabled={loading}
+          />
+          <select value={newAssignee} onChange={(e) => setNewAssignee(e.target.value)} disabled={loading}>
+            <option value="">Unassigned</option>
+            {task.assignedMembers?.map(email => (
+              <option key={email} value={email}>{email}</option>
+            ))}
+          </select>
+          <button type="submit" className="comment-submit-btn" disabled={loading || !newText.trim()}>
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default Checklist;
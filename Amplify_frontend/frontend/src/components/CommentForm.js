@@ -0,0 +1,124 @@
+import { useState, useRef } from 'react';
+
+const MAX_SUGGESTIONS = 6;
+
+/**
+ * The "@partial" being typed just before the cursor, or null
+ */
+const findMentionQuery = (text, cursor) => {
+  const match = /(^|\s)@([^\s@]*)$/.exec(text.slice(0, cursor));
+  return match ? { query: match[2], start: cursor - match[2].length - 1 } : null;
+};
+
+/**
+ * Comment textarea that suggests members to @mention while typing
+ */
+const CommentForm = ({ initialText = '', members = [], submitLabel, onSubmit, onCancel }) => {
+  const [text, setText] = useState(initialText);
+  const [submitting, setSubmitting] = useState(false);
+  const [mention, setMention] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+  const textareaRef = useRef(null);
+
+  const suggestions = mention
+    ? members
+      .filter(member => member.email.toLowerCase().includes(mention.query.toLowerCase()))
+      .slice(0, MAX_SUGGESTIONS)
+    : [];
+
+  const handleChange = (e) => {
+    setText(e.target.value);
+    setMention(findMentionQuery(e.target.value, e.target.selectionStart));
+    setHighlighted(0);
+  };
+
+  const insertMention = (email) => {
+    const cursor = mention.start + mention.query.length + 1;
+    const inserted = `@${email} `;
+    setText(text.slice(0, mention.start) + inserted + text.slice(cursor));
+    setMention(null);
+
+    const position = mention.start + inserted.length;
+    requestAnimationFrame(() => {
+      textareaRef.current?.focus();
+      textareaRef.current?.setSelectionRange(position, position);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted((highlighted + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted((highlighted - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(suggestions[highlighted].email);
+    } else if (e.key === 'Escape') {
+      setMention(null);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!text.trim()) return;
+
+    setSubmitting(true);
+    const saved = await onSubmit(text.trim());
+    setSubmitting(false);
+    if (saved && !initialText) {
+      setText('');
+    }
+  };
+
+  return (
+    <form className="comment-form" onSubmit={handleSubmit}>
+      <div className="search-dropdown-container">
+        <textarea
+          ref={textareaRef}
+          value={text}
+          onChange={handleChange}
+          onKeyDown={handleKeyDown}
+          onBlur={() => setMention(null)}
+          rows="3"
+          maxLength={5000}
+          placeholder="Write a comment... Type @ to mention a member"
+          disabled={submitting}
+        />
+
+        {suggestions.length > 0 && (
+          <div className="dropdown-list mention-suggestions">
+            {suggestions.map((member, index) => (
+              <div
+                key={member.email}
+                className={`dropdown-item ${index === highlighted ? 'highlighted' : ''}`}
+                onMouseDown={(e) => {
+                  // Keep focus in the textarea so onBlur does not close the list first
+                  e.preventDefault();
+                  insertMention(member.email);
+                }}
+              >
+                <span className="member-email">{member.email}</span>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="comment-form-actions">
+        {onCancel && (
+          <button type="button" className="comment-cancel-btn" onClick={onCancel} disabled={submitting}>
+            Cancel
+          </button>
+        )}
+        <button type="submit" className="comment-submit-btn" disabled={submitting || !text.trim()}>
+          {submitting ? 'Saving...' : submitLabel}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default CommentForm;
@@ -0,0 +1,221 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+// eslint-disable-next-line no-unused-vars
+import CommentForm from './CommentForm';
+
+/**
+ * Group a flat, oldest-first comment list into threads
+ * Replies carry the commentId of their thread's top-level comment as parentId
+ */
+const buildThreads = (comments) => {
+  const threads = [];
+  const byId = {};
+
+  comments.forEach(comment => {
+    if (!comment.parentId) {
+      byId[comment.commentId] = { ...comment, replies: [] };
+      threads.push(byId[comment.commentId]);
+    }
+  });
+
+  comments.forEach(comment => {
+    if (comment.parentId && byId[comment.parentId]) {
+      byId[comment.parentId].replies.push(comment);
+    }
+  });
+
+  return threads;
+};
+
+/**
+ * Comment text with @mentions highlighted
+ */
+const renderText = (comment) => {
+  const mentions = comment.mentions || [];
+  if (mentions.length === 0) return comment.text;
+
+  return comment.text.split(/(@[^\s@]+@[^\s@]+\.[A-Za-z]{2,})/).map((part, idx) => (
+    mentions.includes(part.slice(1))
+      ? <span key={idx} className="comment-mention">{part}</span>
+      : part
+  ));
+};
+
+const CommentsPanel = ({ taskId, userEmail, userRole }) => {
+  const [comments, setComments] = useState([]);
+  const [nextToken, setNextToken] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    loadComments();
+  }, [taskId]);
+
+  useEffect(() => {
+    taskService.fetchActiveMembers()
+      .then(setMembers)
+      .catch(error => console.error('Error fetching members:', error));
+  }, []);
+
+  const loadComments = async (token) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const page = await taskService.fetchComments(taskId, token);
+      setComments(token ? [...comments, ...page.comments] : page.comments);
+      setNextToken(page.nextToken);
+    } catch (error) {
+      console.error('Error fetching comments:', error);
+      setError('Failed to load comments.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceComment = (updated) => {
+    setComments(comments.map(c => (c.commentId === updated.commentId ? updated : c)));
+  };
+
+  const handleCreate = async (text, parentId) => {
+    try {
+      setError(null);
+      const comment = await taskService.createComment(taskId, text, parentId);
+      const withReplyCount = comments.map(c => (
+        c.commentId === comment.parentId ? { ...c, replyCount: (c.replyCount || 0) + 1 } : c
+      ));
+      setComments([...withReplyCount, comment]);
+      setReplyingTo(null);
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const handleEdit = async (comment, text) => {
+    try {
+      setError(null);
+      replaceComment(await taskService.updateComment(taskId, comment.commentId, text));
+      setEditing(null);
+      return true;
+    } catch (error) {
+      setError(error.message);
+      return false;
+    }
+  };
+
+  const handleDelete = async (comment) => {
+    if (!window.confirm('Delete this comment?')) return;
+
+    try {
+      setError(null);
+      const { removed } = await taskService.deleteComment(taskId, comment.commentId);
+      if (removed) {
+        setComments(comments.filter(c => c.commentId !== comment.commentId));
+      } else {
+        replaceComment({ ...comment, text: '', deleted: true });
+      }
+    } catch (error) {
+      setError(error.message);
+    }
+  };
+
+  const renderComment = (comment) => {
+    const isAuthor = comment.author === userEmail;
+    const canDelete = !comment.deleted && (isAuthor || userRole === 'admin');
+
+    return (
+      <div className={`comment ${comment.deleted ? 'deleted' : ''}`}>
+        <div className="comment-meta">
+          <strong>{comment.deleted ? 'Deleted comment' : comment.author}</strong>
+          <span className="comment-time">
+            {new Date(comment.createdAt).toLocaleString()}
+            {comment.edited && !comment.deleted && ' (edited)'}
+          </span>
+        </div>
+
+        {editing === comment.commentId ? (
+          <CommentForm
+            initialText={comment.text}
+            members={members}
+            submitLabel="Save"
+            onSubmit={(text) => handleEdit(comment, text)}
+            onCancel={() => setEditing(null)}
+          />
+        ) : (
+          <p className="comment-text">{comment.deleted ? 'This comment was deleted.' : renderText(comment)}</p>
+        )}
+
+        {!comment.deleted && editing !== comment.commentId && (
+          <div className="comment-actions">
+            <button type="button" onClick={() => setReplyingTo(comment.parentId || comment.commentId)}>
+              Reply
+            </button>
+            {isAuthor && (
+              <button type="button" onClick={() => setEditing(comment.commentId)}>
+                Edit
+              </button>
+            )}
+            {canDelete && (
+              <button type="button" onClick={() => handleDelete(comment)}>
+                Delete
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  const threads = buildThreads(comments);
+
+  return (
+    <div className="task-detail-section comments-panel">
+      <h3>Comments</h3>
+
+      {error && <p className="comments-error">{error}</p>}
+
+      {threads.length === 0 && !loading && <p>No comments yet.</p>}
+
+      <ul className="comment-threads">
+        {threads.map(thread => (
+          <li key={thread.commentId} className="comment-thread">
+            {renderComment(thread)}
+
+            {thread.replies.length > 0 && (
+              <ul className="comment-replies">
+                {thread.replies.map(reply => (
+                  <li key={reply.commentId}>{renderComment(reply)}</li>
+                ))}
+              </ul>
+            )}
+
+            {replyingTo === thread.commentId && (
+              <div className="comment-replies">
+                <CommentForm
+                  members={members}
+                  submitLabel="Reply"
+                  onSubmit={(text) => handleCreate(text, thread.commentId)}
+                  onCancel={() => setReplyingTo(null)}
+                />
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {nextToken && (
+        <button className="back-btn" onClick={() => loadComments(nextToken)} disabled={loading}>
+          {loading ? 'Loading...' : 'Show more comments'}
+        </button>
+      )}
+
+      <CommentForm members={members} submitLabel="Add Comment" onSubmit={(text) => handleCreate(text)} />
+    </div>
+  );
+};
+
+export default CommentsPanel;
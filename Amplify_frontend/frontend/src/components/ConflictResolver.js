@@ -0,0 +1,108 @@
+import { useState } from 'react';
+
+const FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'description', label: 'Description' },
+  { key: 'assignedTo', label: 'Assigned To' },
+  { key: 'dueDate', label: 'Due Date' },
+  { key: 'priority', label: 'Priority' }
+];
+
+/**
+ * Form values of a task as the API returns it
+ */
+export const toFormValues = (task) => ({
+  title: task.title || '',
+  description: task.description || '',
+  assignedTo: task.assignedMembers || [],
+  dueDate: task.dueDate || '',
+  priority: task.priority || 'medium'
+});
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const displayValue = (value) => {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : 'Unassigned';
+  }
+  return value || '—';
+};
+
+/**
+ * Side-by-side merge of a rejected edit against the task someone else saved
+ * Fields only one side changed are taken automatically; fields both sides
+ * changed differently are left for the user to pick
+ */
+const ConflictResolver = ({ base, mine, theirs, onResolve, onCancel, loading }) => {
+  const theirValues = toFormValues(theirs);
+
+  const conflicts = FIELDS.filter(({ key }) =>
+    !sameValue(mine[key], base[key]) &&
+    !sameValue(theirValues[key], base[key]) &&
+    !sameValue(mine[key], theirValues[key])
+  );
+
+  const [choices, setChoices] = useState(() =>
+    conflicts.reduce((acc, { key }) => ({ ...acc, [key]: 'mine' }), {})
+  );
+
+  const handleResolve = () => {
+    const merged = FIELDS.reduce((acc, { key }) => {
+      let value;
+      if (choices[key]) {
+        value = choices[key] === 'mine' ? mine[key] : theirValues[key];
+      } else {
+        value = sameValue(mine[key], base[key]) ? theirValues[key] : mine[key];
+      }
+      return { ...acc, [key]: value };
+    }, {});
+    onResolve(merged);
+  };
+
+  return (
+    <div className="conflict-resolver">
+      <h3>This task was changed while you were editing</h3>
+      <p>
+        {theirs.updatedBy || 'Someone'} saved a newer version.
+        {conflicts.length > 0
+          ? ' Choose which value to keep for each field you both changed.'
+          : ' Your changes do not overlap and can be saved on top of theirs.'}
+      </p>
+
+      {conflicts.map(({ key, label }) => (
+        <div key={key} className="conflict-field">
+          <strong>{label}</strong>
+          <label className={choices[key] === 'mine' ? 'selected' : ''}>
+            <input
+              type="radio"
+              name={`conflict-${key}`}
+              checked={choices[key] === 'mine'}
+              onChange={() => setChoices({ ...choices, [key]: 'mine' })}
+            />
+            <span>Yours: {displayValue(mine[key])}</span>
+          </label>
+          <label className={choices[key] === 'theirs' ? 'selected' : ''}>
+            <input
+              type="radio"
+              name={`conflict-${key}`}
+              checked={choices[key] === 'theirs'}
+              onChange={() => setChoices({ ...choices, [key]: 'theirs' })}
+            />
+            <span>Theirs: {displayValue(theirValues[key])}</span>
+          </label>
+        </div>
+      ))}
+
+      <div className="conflict-actions">
+        <button className="edit-btn" onClick={handleResolve} disabled={loading}>
+          {loading ? 'Saving...' : 'Save merged version'}
+        </button>
+        <button className="back-btn" onClick={onCancel} disabled={loading}>
+          Discard my changes
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictResolver;
@@ -1,8 +1,11 @@
+import { checklistProgress } from './Checklist';
+
 const Dashboard = ({ tasks }) => {
   const totalTasks = tasks.length;
   const completedTasks = tasks.filter(task => task.status === 'completed').length;
   const uncompletedTasks = totalTasks - completedTasks;
   const completionRate = totalTasks > 0 ? Math.round((completedTasks / totalTasks) * 100) : 0;
+  const checklist = checklistProgress(tasks.flatMap(task => task.checklist || []));
 
   return (
     <div className="dashboard">
@@ -20,6 +23,12 @@ const Dashboard = ({ tasks }) => {
           <h3>{uncompletedTasks}</h3>
           <p>Uncompleted</p>
         </div>
+        {checklist.total > 0 && (
+          <div className="stat-card checklist">
+            <h3>{checklist.done}/{checklist.total}</h3>
+            <p>Checklist Items Done</p>
+          </div>
+        )}
       </div>
 
       {totalTasks > 0 && (
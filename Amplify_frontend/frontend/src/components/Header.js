@@ -1,10 +1,106 @@
-const Header = ({ userEmail, userRole, onSignOut }) => {
+import { useState, useEffect, useRef } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { Link } from 'react-router-dom';
+
+const Header = ({ userEmail, userRole, onSignOut, notifications }) => {
+  const [showNotifications, setShowNotifications] = useState(false);
+  const notificationsRef = useRef(null);
+
+  // Close the notification list when clicking outside
+  useEffect(() => {
+    const handleClickOutside = (event) => {
+      if (notificationsRef.current && !notificationsRef.current.contains(event.target)) {
+        setShowNotifications(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  const openNotification = (notification) => {
+    if (!notification.read) {
+      notifications.markRead(notification.notificationId);
+    }
+    setShowNotifications(false);
+  };
+
+  const renderNotification = (notification) => {
+    const content = (
+      <>
+        <span className="notification-subject">{notification.subject}</span>
+        {notification.title && <span className="notification-title">{notification.title}</span>}
+        <span className="notification-meta">
+          {notification.actor && `${notification.actor} · `}
+          {new Date(notification.createdAt).toLocaleString()}
+        </span>
+      </>
+    );
+    const className = `notification-item ${notification.read ? 'read' : 'unread'}`;
+
+    // Deleted tasks have nothing left to link to
+    if (!notification.taskId || notification.event === 'task-deleted') {
+      return (
+        <li key={notification.notificationId} className={className} onClick={() => openNotification(notification)}>
+          {content}
+        </li>
+      );
+    }
+
+    return (
+      <li key={notification.notificationId} className={className}>
+        <Link to={`/task/${notification.taskId}`} onClick={() => openNotification(notification)}>
+          {content}
+        </Link>
+      </li>
+    );
+  };
+
   return (
     <header className="App-header">
       <h1>Task Manager</h1>
       <div className="user-info">
         <span>Welcome, {userEmail}</span>
         <span className={`role-badge ${userRole?.toLowerCase()}`}>{userRole}</span>
+        {notifications && (
+          <div className="notification-bell" ref={notificationsRef}>
+            <button
+              type="button"
+              className="bell-btn"
+              onClick={() => setShowNotifications(!showNotifications)}
+              title="Notifications"
+            >
+              🔔
+              {notifications.unreadCount > 0 && (
+                <span className="unread-badge">
+                  {notifications.unreadCount > 99 ? '99+' : notifications.unreadCount}
+                </span>
+              )}
+            </button>
+            {showNotifications && (
+              <div className="notification-dropdown">
+                <div className="notification-dropdown-header">
+                  <span>Notifications</span>
+                  {notifications.unreadCount > 0 && (
+                    <button type="button" className="mark-all-btn" onClick={notifications.markAllRead}>
+                      Mark all as read
+                    </button>
+                  )}
+                </div>
+                {notifications.notifications.length === 0 ? (
+                  <p className="no-notifications">No notifications yet</p>
+                ) : (
+                  <ul className="notification-list">
+                    {notifications.notifications.map(renderNotification)}
+                  </ul>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+        <Link to="/settings/notifications" className="settings-link" title="Notification settings">
+          Notifications
+        </Link>
         <button onClick={onSignOut} className="sign-out-btn">Sign Out</button>
       </div>
     </header>
@@ -0,0 +1,178 @@
+import { useState } from 'react';
+import { useReportSummary } from '../hooks/useReportSummary';
+
+const RANGE_OPTIONS = [
+  { weeks: 4, label: 'Last 4 weeks' },
+  { weeks: 12, label: 'Last 12 weeks' },
+  { weeks: 26, label: 'Last 26 weeks' }
+];
+
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 200;
+
+const formatDate = (date) => new Date(`${date}T00:00:00Z`).toLocaleDateString(undefined, {
+  month: 'short',
+  day: 'numeric',
+  timeZone: 'UTC'
+});
+
+const formatDays = (days) => (days === null ? '–' : `${days}d`);
+
+// eslint-disable-next-line no-unused-vars
+const DurationCard = ({ title, stats }) => (
+  <div className="stat-card">
+    <h3>{formatDays(stats.medianDays)}</h3>
+    <p>{title} (median)</p>
+    <div className="report-stat-detail">
+      Average {formatDays(stats.averageDays)} · 85% within {formatDays(stats.p85Days)} · {stats.count} tasks
+    </div>
+  </div>
+);
+
+/**
+ * Completed tasks per week as columns
+ */
+// eslint-disable-next-line no-unused-vars
+const ThroughputChart = ({ weeks }) => {
+  const max = Math.max(1, ...weeks.map(week => week.completed));
+
+  return (
+    <div className="report-columns">
+      {weeks.map(week => (
+        <div key={week.weekStart} className="report-column" title={`Week of ${formatDate(week.weekStart)}: ${week.completed} completed`}>
+          <span className="report-column-value">{week.completed}</span>
+          <div className="report-column-bar" style={{ height: `${(week.completed / max) * 100}%` }} />
+          <span className="report-column-label">{formatDate(week.weekStart)}</span>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Open and closed tasks at the end of each day as two lines
+ */
+// eslint-disable-next-line no-unused-vars
+const BurndownChart = ({ days }) => {
+  const max = Math.max(1, ...days.flatMap(day => [day.open, day.closed]));
+  const x = (index) => (days.length > 1 ? (index / (days.length - 1)) * CHART_WIDTH : CHART_WIDTH / 2);
+  const y = (value) => CHART_HEIGHT - (value / max) * CHART_HEIGHT;
+  const line = (field) => days.map((day, index) => `${x(index)},${y(day[field])}`).join(' ');
+  const last = days[days.length - 1];
+
+  return (
+    <>
+      <svg
+        className="report-burndown"
+        viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}
+        preserveAspectRatio="none"
+        role="img"
+        aria-label={`Open tasks ${last.open}, closed tasks ${last.closed} on ${formatDate(last.date)}`}
+      >
+        <polyline className="report-line open" points={line('open')} />
+        <polyline className="report-line closed" points={line('closed')} />
+      </svg>
+      <div className="report-axis">
+        <span>{formatDate(days[0].date)}</span>
+        <span>{formatDate(last.date)}</span>
+      </div>
+      <div className="report-legend">
+        <span className="report-key open">Open ({last.open})</span>
+        <span className="report-key closed">Closed ({last.closed})</span>
+      </div>
+    </>
+  );
+};
+
+/**
+ * Open tasks and completions per group as paired bars
+ */
+// eslint-disable-next-line no-unused-vars
+const GroupChart = ({ rows, labelKey }) => {
+  const max = Math.max(1, ...rows.flatMap(row => [row.open, row.completed]));
+
+  if (rows.length === 0) {
+    return <p className="report-empty">No tasks in this range</p>;
+  }
+
+  return (
+    <div className="report-groups">
+      {rows.map(row => (
+        <div key={row[labelKey]} className="report-group">
+          <span className="report-group-label" title={row[labelKey]}>{row[labelKey]}</span>
+          <div className="report-group-bars">
+            <div className="report-bar open" style={{ width: `${(row.open / max) * 100}%` }}>
+              <span>{row.open}</span>
+            </div>
+            <div className="report-bar closed" style={{ width: `${(row.completed / max) * 100}%` }}>
+              <span>{row.completed}</span>
+            </div>
+          </div>
+        </div>
+      ))}
+      <div className="report-legend">
+        <span className="report-key open">Open</span>
+        <span className="report-key closed">Completed in range</span>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Delivery report for admins: cycle and lead time, throughput, burndown and
+ * counts by priority and assignee, computed from task status history
+ */
+const ReportCharts = () => {
+  const [weeks, setWeeks] = useState(12);
+  const { report, loading, error } = useReportSummary(weeks);
+
+  return (
+    <div className="dashboard report-section">
+      <div className="report-header">
+        <h2>Delivery Report</h2>
+        <select value={weeks} onChange={(e) => setWeeks(Number(e.target.value))}>
+          {RANGE_OPTIONS.map(option => (
+            <option key={option.weeks} value={option.weeks}>{option.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p className="report-error">{error}</p>}
+      {loading && !report && <p className="report-empty">Loading report...</p>}
+
+      {report && (
+        <div className={loading ? 'report-body loading' : 'report-body'}>
+          <div className="dashboard-stats">
+            <DurationCard title="Cycle Time" stats={report.cycleTime} />
+            <DurationCard title="Lead Time" stats={report.leadTime} />
+            <div className="stat-card completed">
+              <h3>{report.leadTime.count}</h3>
+              <p>Completed</p>
+            </div>
+          </div>
+
+          <div className="report-grid">
+            <div className="report-card">
+              <h3>Weekly Throughput</h3>
+              <ThroughputChart weeks={report.throughput} />
+            </div>
+            <div className="report-card">
+              <h3>Open vs Closed</h3>
+              <BurndownChart days={report.burndown} />
+            </div>
+            <div className="report-card">
+              <h3>By Priority</h3>
+              <GroupChart rows={report.byPriority} labelKey="priority" />
+            </div>
+            <div className="report-card">
+              <h3>By Assignee</h3>
+              <GroupChart rows={report.byAssignee} labelKey="assignee" />
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportCharts;
@@ -1,7 +1,9 @@
 import { useNavigate } from 'react-router-dom';
+import { checklistProgress } from './Checklist';
 
 const TaskCard = ({ task }) => {
   const navigate = useNavigate();
+  const checklist = checklistProgress(task.checklist);
 
   return (
     <div
@@ -15,6 +17,11 @@ const TaskCard = ({ task }) => {
 
       <div className="task-simple-meta">
         <div><strong>Status:</strong> {task.status}</div>
+        {checklist.total > 0 && (
+          <div className={`checklist-progress ${checklist.done === checklist.total ? 'complete' : ''}`}>
+            <strong>Checklist:</strong> {checklist.done}/{checklist.total}
+          </div>
+        )}
         {task.dueDate && (
           <div><strong>Due:</strong> {new Date(task.dueDate).toLocaleDateString()}</div>
         )}
@@ -0,0 +1,120 @@
+import { useState } from 'react';
+// eslint-disable-next-line no-unused-vars
+import { Link } from 'react-router-dom';
+
+/**
+ * Tasks this task is blocked by and the tasks it blocks, as links
+ * Admins add and remove blockers; the API refuses missing tasks and cycles
+ */
+const TaskDependencies = ({ task, tasks, userRole, workflow, onChange, loading }) => {
+  const [newBlocker, setNewBlocker] = useState('');
+
+  const blockedBy = task.blockedBy || [];
+  const blocks = task.blocks || [];
+  const isAdmin = userRole === 'admin';
+
+  if (!isAdmin && blockedBy.length === 0 && blocks.length === 0) {
+    return null;
+  }
+
+  // Members only have the tasks assigned to them, so other linked tasks show by ID
+  const findTask = (taskId) => tasks.find(t => t.taskId === taskId);
+  const openBlockers = blockedBy.filter(taskId => {
+    const blocker = findTask(taskId);
+    return blocker && !workflow.isFinal(blocker.status);
+  });
+  const candidates = tasks.filter(t =>
+    t.taskId !== task.taskId && !blockedBy.includes(t.taskId)
+  );
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    if (!newBlocker) return;
+
+    const result = await onChange([...blockedBy, newBlocker]);
+    if (result.success) {
+      setNewBlocker('');
+    }
+  };
+
+  // eslint-disable-next-line no-unused-vars
+  const TaskLink = ({ taskId }) => {
+    const linked = findTask(taskId);
+    return (
+      <Link to={`/task/${taskId}`} className="dependency-link">
+        {linked ? linked.title : `Task ${taskId.slice(0, 8)}`}
+        {linked && (
+          <span className={`dependency-status ${linked.status}`}>{workflow.statusLabel(linked.status)}</span>
+        )}
+      </Link>
+    );
+  };
+
+  return (
+    <div className="task-detail-section dependencies">
+      <h3>Dependencies</h3>
+
+      {openBlockers.length > 0 && (
+        <p className="dependency-warning">
+          This task cannot start until {openBlockers.length === 1 ? 'its blocker is' : `its ${openBlockers.length} blockers are`} finished.
+        </p>
+      )}
+
+      <div className="dependency-group">
+        <strong>Blocked by</strong>
+        {blockedBy.length === 0 ? (
+          <span className="dependency-empty">Nothing</span>
+        ) : (
+          <ul className="dependency-list">
+            {blockedBy.map(taskId => (
+              <li key={taskId}>
+                <TaskLink taskId={taskId} />
+                {isAdmin && (
+                  <button
+                    className="dependency-remove-btn"
+                    onClick={() => onChange(blockedBy.filter(id => id !== taskId))}
+                    disabled={loading}
+                    title="Remove dependency"
+                  >
+                    ✕
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="dependency-group">
+        <strong>Blocks</strong>
+        {blocks.length === 0 ? (
+          <span className="dependency-empty">Nothing</span>
+        ) : (
+          <ul className="dependency-list">
+            {blocks.map(taskId => (
+              <li key={taskId}>
+                <TaskLink taskId={taskId} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      {isAdmin && candidates.length > 0 && (
+        <form className="dependency-add-form" onSubmit={handleAdd}>
+          <select value={newBlocker} onChange={(e) => setNewBlocker(e.target.value)} disabled={loading}>
+            <option value="">Add a task this one is blocked by...</option>
+            {candidates.map(candidate => (
+              <option key={candidate.taskId} value={candidate.taskId}>{candidate.title}</option>
+            ))}
+          </select>
+          <button type="submit" className="comment-submit-btn" disabled={loading || !newBlocker}>
+            Add
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default TaskDependencies;
@@ -1,5 +1,7 @@
 import { useState, useEffect, useRef } from 'react';
 import { Auth } from 'aws-amplify';
+// eslint-disable-next-line no-unused-vars
+import WorkloadSummary from './WorkloadSummary';
 
 const API_URL = process.env.REACT_APP_API_URL;
 
@@ -38,7 +40,8 @@ const TaskForm = ({
       const session = await Auth.currentSession();
       const token = session.getIdToken().getJwtToken();
 
-      const response = await fetch(`${API_URL}/users`, {
+      // Each member comes with their open task counts, to see who has room for more
+      const response = await fetch(`${API_URL}/users?include=workload`, {
         headers: {
           'Authorization': `Bearer ${token}`
         }
@@ -151,6 +154,7 @@ const TaskForm = ({
                     >
                       <span className="member-email">{member.email}</span>
                       <span className="member-role">({member.role})</span>
+                      <WorkloadSummary workload={member.workload} />
                     </div>
                   ))
                 )}
@@ -1,12 +1,29 @@
+import { useState } from 'react';
 // eslint-disable-next-line no-unused-vars
 import TaskCard from './TaskCard';
+import * as taskService from '../services/taskService';
+
+// Save a downloaded file through a temporary link
+const saveFile = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 const TaskList = ({
   tasks,
   userRole,
+  workflow,
   filterStatus,
   onFilterChange
 }) => {
+  const [exportFormat, setExportFormat] = useState('csv');
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
+
   const getFilteredTasks = () => {
     if (filterStatus === 'all') return tasks;
     return tasks.filter(task => task.status === filterStatus);
@@ -14,6 +31,24 @@ const TaskList = ({
 
   const filteredTasks = getFilteredTasks();
 
+  // Exports the list as shown: same status filter and the dashboard's newest-first order
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      setExportError(null);
+      const blob = await taskService.exportTasks(exportFormat, {
+        status: filterStatus === 'all' ? null : filterStatus,
+        sortBy: 'createdAt',
+        sortOrder: 'desc'
+      });
+      saveFile(blob, `tasks-${new Date().toISOString().slice(0, 10)}.${exportFormat}`);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
   return (
     <section className="tasks-list">
       <div className="tasks-header">
@@ -22,14 +57,24 @@ const TaskList = ({
           <label>Filter by Status:</label>
           <select value={filterStatus} onChange={(e) => onFilterChange(e.target.value)}>
             <option value="all">All</option>
-            <option value="pending">Pending</option>
-            <option value="in-progress">In Progress</option>
-            <option value="completed">Completed</option>
-            <option value="closed">Closed</option>
+            {workflow.states.map(state => (
+              <option key={state.id} value={state.id}>{state.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="export-controls">
+          <select value={exportFormat} onChange={(e) => setExportFormat(e.target.value)} aria-label="Export format">
+            <option value="csv">CSV</option>
+            <option value="json">JSON</option>
           </select>
+          <button className="export-btn" onClick={handleExport} disabled={exporting || filteredTasks.length === 0}>
+            {exporting ? 'Exporting...' : 'Export'}
+          </button>
         </div>
       </div>
 
+      {exportError && <p className="export-error">{exportError}</p>}
+
       {filteredTasks.length === 0 ? (
         <div className="no-tasks">
           {userRole === 'Admin'
@@ -0,0 +1,28 @@
+/**
+ * One-line summary of a member's open tasks, e.g. "4 open · 1 urgent · 2 overdue"
+ * Renders nothing when the workload is unknown
+ */
+const WorkloadSummary = ({ workload }) => {
+  if (!workload) {
+    return null;
+  }
+
+  const parts = [`${workload.open} open`];
+  if (workload.byPriority.urgent > 0) {
+    parts.push(`${workload.byPriority.urgent} urgent`);
+  }
+  if (workload.overdue > 0) {
+    parts.push(`${workload.overdue} overdue`);
+  }
+  if (workload.dueThisWeek > 0) {
+    parts.push(`${workload.dueThisWeek} due this week`);
+  }
+
+  return (
+    <span className={workload.overdue > 0 ? 'workload-summary overdue' : 'workload-summary'}>
+      {parts.join(' · ')}
+    </span>
+  );
+};
+
+export default WorkloadSummary;
@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+
+/**
+ * Loads and resets the signed-in user's calendar feed link
+ * served by /users/me/calendar
+ */
+export const useCalendarFeed = (user) => {
+  const [feed, setFeed] = useState(null);
+  const [rotating, setRotating] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      taskService.fetchCalendarFeed()
+        .then(setFeed)
+        .catch(error => console.error('Error fetching calendar link:', error));
+    }
+  }, [user]);
+
+  const rotate = async () => {
+    if (!window.confirm('Reset the calendar link? Calendars subscribed to the current link will stop updating.')) {
+      return;
+    }
+    try {
+      setRotating(true);
+      setError(null);
+      setFeed(await taskService.rotateCalendarFeed());
+      setCopied(false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setRotating(false);
+    }
+  };
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.feedUrl);
+      setCopied(true);
+    } catch (err) {
+      setError('Could not copy the link; select it and copy it instead');
+    }
+  };
+
+  return {
+    feedUrl: feed?.feedUrl,
+    createdAt: feed?.createdAt,
+    rotating,
+    copied,
+    error,
+    rotate,
+    copy
+  };
+};
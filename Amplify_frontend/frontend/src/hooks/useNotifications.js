@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import * as taskService from '../services/taskService';
+
+// How often the bell checks for new notifications
+const POLL_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Loads the signed-in user's in-app notifications from /notifications,
+ * refreshing them every minute, and marks them as read
+ */
+export const useNotifications = (user) => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+
+  const refresh = useCallback(async () => {
+    try {
+      const data = await taskService.fetchNotifications();
+      setNotifications(data.notifications || []);
+      setUnreadCount(data.unreadCount || 0);
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      return undefined;
+    }
+
+    refresh();
+    const interval = setInterval(refresh, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [user, refresh]);
+
+  const markRead = async (notificationId) => {
+    try {
+      const data = await taskService.markNotificationRead(notificationId);
+      setNotifications(prev => prev.map(notification =>
+        notification.notificationId === notificationId ? data.notification : notification
+      ));
+      setUnreadCount(data.unreadCount);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  const markAllRead = async () => {
+    try {
+      await taskService.markAllNotificationsRead();
+      setNotifications(prev => prev.map(notification => ({ ...notification, read: true })));
+      setUnreadCount(0);
+      return { success: true };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  };
+
+  return {
+    notifications,
+    unreadCount,
+    refresh,
+    markRead,
+    markAllRead
+  };
+};
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+
+/**
+ * Loads and changes the signed-in user's notification preferences
+ * served by /users/me/preferences
+ */
+export const usePreferences = (user) => {
+  const [data, setData] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      taskService.fetchPreferences()
+        .then(setData)
+        .catch(error => console.error('Error fetching preferences:', error));
+    }
+  }, [user]);
+
+  const save = async (changes) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setData(await taskService.updatePreferences(changes));
+      return { success: true };
+    } catch (err) {
+      setError(err.message);
+      return { success: false, error: err.message };
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const preferences = data?.preferences;
+  const mutedTasks = preferences?.mutedTasks || [];
+
+  const setDelivery = (eventId, mode) => save({ events: { [eventId]: mode } });
+
+  const setDigest = (digest) => save({ digest });
+
+  const isMuted = (taskId) => mutedTasks.includes(taskId);
+
+  const toggleMute = (taskId) => save({
+    mutedTasks: isMuted(taskId)
+      ? mutedTasks.filter(id => id !== taskId)
+      : [...mutedTasks, taskId]
+  });
+
+  return {
+    preferences,
+    eventTypes: data?.eventTypes || [],
+    deliveryModes: data?.deliveryModes || [],
+    digestFrequencies: data?.digestFrequencies || [],
+    mutedTasks,
+    saving,
+    error,
+    setDelivery,
+    setDigest,
+    isMuted,
+    toggleMute
+  };
+};
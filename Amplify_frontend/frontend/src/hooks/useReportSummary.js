@@ -0,0 +1,36 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Loads the delivery report from /reports/summary for the last `weeks` weeks
+ */
+export const useReportSummary = (weeks) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const to = new Date();
+    const from = new Date(to.getTime() - (weeks * 7 - 1) * DAY_MS);
+    let current = true;
+
+    setLoading(true);
+    setError(null);
+    taskService.fetchReportSummary({
+      from: from.toISOString().slice(0, 10),
+      to: to.toISOString().slice(0, 10)
+    })
+      .then(data => current && setReport(data))
+      .catch(err => current && setError(err.message))
+      .finally(() => current && setLoading(false));
+
+    // Ignore a slow response for a range that is no longer selected
+    return () => {
+      current = false;
+    };
+  }, [weeks]);
+
+  return { report, loading, error };
+};
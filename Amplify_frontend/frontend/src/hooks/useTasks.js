@@ -16,7 +16,8 @@ export const useTasks = (user, userRole) => {
     try {
       setLoading(true);
       setError(null);
-      const fetchedTasks = await taskService.fetchTasks();
+      // Follows nextToken until every page of visible tasks is loaded
+      const fetchedTasks = await taskService.fetchTasks({ sortBy: 'createdAt', sortOrder: 'desc' });
 
       // Filter tasks for members - show only assigned tasks
       if (userRole === 'member' && user) {
@@ -52,11 +53,11 @@ export const useTasks = (user, userRole) => {
     }
   };
 
-  const updateTaskStatus = async (taskId, status) => {
+  const updateTaskStatus = async (taskId, status, reason, confirmOpenItems) => {
     try {
       setLoading(true);
       setError(null);
-      await taskService.updateTaskStatus(taskId, status);
+      await taskService.updateTaskStatus(taskId, status, reason, confirmOpenItems);
       await fetchTasks();
       return { success: true };
     } catch (error) {
@@ -68,6 +69,38 @@ export const useTasks = (user, userRole) => {
     }
   };
 
+  const updateChecklist = async (taskId, changes) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await taskService.updateChecklist(taskId, changes);
+      await fetchTasks();
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating checklist:', error);
+      setError(error.message);
+      return { success: false, error: error.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateDependencies = async (taskId, blockedBy) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await taskService.updateDependencies(taskId, blockedBy);
+      await fetchTasks();
+      return { success: true };
+    } catch (error) {
+      console.error('Error updating dependencies:', error);
+      setError(error.message);
+      return { success: false, error: error.message };
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const deleteTask = async (taskId) => {
     try {
       setLoading(true);
@@ -84,15 +117,19 @@ export const useTasks = (user, userRole) => {
     }
   };
 
-  const updateTask = async (taskId, taskData) => {
+  const updateTask = async (taskId, taskData, expectedVersion) => {
     try {
       setLoading(true);
       setError(null);
-      await taskService.updateTask(taskId, taskData);
+      await taskService.updateTask(taskId, taskData, expectedVersion);
       await fetchTasks();
       return { success: true };
     } catch (error) {
       console.error('Error updating task:', error);
+      // Edit conflicts are resolved by the caller, not shown as a page error
+      if (error.status === 409 && error.currentTask) {
+        return { success: false, error: error.message, conflict: error.currentTask };
+      }
       setError(error.message);
       return { success: false, error: error.message };
     } finally {
@@ -108,6 +145,8 @@ export const useTasks = (user, userRole) => {
     fetchTasks,
     createTask,
     updateTaskStatus,
+    updateChecklist,
+    updateDependencies,
     deleteTask,
     updateTask
   };
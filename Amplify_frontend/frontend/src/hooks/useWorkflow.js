@@ -0,0 +1,41 @@
+import { useState, useEffect } from 'react';
+import * as taskService from '../services/taskService';
+
+/**
+ * Loads the task status workflow served by GET /workflow
+ * Status selects are built from it so they only offer moves the API accepts
+ */
+export const useWorkflow = (user) => {
+  const [workflow, setWorkflow] = useState(null);
+
+  useEffect(() => {
+    if (user) {
+      taskService.fetchWorkflow()
+        .then(setWorkflow)
+        .catch(error => console.error('Error fetching workflow:', error));
+    }
+  }, [user]);
+
+  const states = workflow?.states || [];
+
+  const statusLabel = (status) =>
+    states.find(state => state.id === status)?.label || status;
+
+  // Final states (e.g. completed, cancelled) end a task's work
+  const isFinal = (status) =>
+    Boolean(states.find(state => state.id === status)?.final);
+
+  // Transitions out of `status` that `role` may perform
+  const transitionsFrom = (status, role) =>
+    (workflow?.transitions || []).filter(transition =>
+      transition.from === status && transition.roles.includes(role)
+    );
+
+  return {
+    workflow,
+    states,
+    statusLabel,
+    isFinal,
+    transitionsFrom
+  };
+};
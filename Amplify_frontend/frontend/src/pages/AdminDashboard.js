@@ -2,16 +2,28 @@ import { useNavigate } from 'react-router-dom';
 // eslint-disable-next-line no-unused-vars
 import Dashboard from '../components/Dashboard';
 // eslint-disable-next-line no-unused-vars
+import ReportCharts from '../components/ReportCharts';
+// eslint-disable-next-line no-unused-vars
 import TaskList from '../components/TaskList';
 
-const AdminDashboard = ({ tasks, userRole, filterStatus, setFilterStatus }) => {
+const AdminDashboard = ({ tasks, userRole, workflow, filterStatus, setFilterStatus }) => {
   const navigate = useNavigate();
 
   return (
     <>
       <Dashboard tasks={tasks} />
+      <ReportCharts />
 
       <div className="dashboard-actions">
+        <button className="recurring-btn" onClick={() => navigate('/recurring')}>
+          Recurring Tasks
+        </button>
+        <button className="recurring-btn" onClick={() => navigate('/import-tasks')}>
+          Import Tasks
+        </button>
+        <button className="recurring-btn" onClick={() => navigate('/workload')}>
+          Team Workload
+        </button>
         <button className="create-task-btn" onClick={() => navigate('/create-task')}>
           <span className="btn-icon">+</span> Create New Task
         </button>
@@ -20,6 +32,7 @@ const AdminDashboard = ({ tasks, userRole, filterStatus, setFilterStatus }) => {
       <TaskList
         tasks={tasks}
         userRole={userRole}
+        workflow={workflow}
         filterStatus={filterStatus}
         onFilterChange={setFilterStatus}
       />
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
 // eslint-disable-next-line no-unused-vars
 import TaskForm from '../components/TaskForm';
+// eslint-disable-next-line no-unused-vars
+import ConflictResolver, { toFormValues } from '../components/ConflictResolver';
 
 const EditTask = ({ tasks, updateTask, loading }) => {
   const navigate = useNavigate();
@@ -16,26 +18,45 @@ const EditTask = ({ tasks, updateTask, loading }) => {
     priority: 'medium'
   });
 
+  // The task as it was when editing started; its version guards the save
+  const [baseTask, setBaseTask] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
   useEffect(() => {
     if (task) {
-      setEditTask({
-        title: task.title,
-        description: task.description,
-        assignedTo: task.assignedMembers || [],
-        dueDate: task.dueDate || '',
-        priority: task.priority
-      });
+      setEditTask(toFormValues(task));
+      setBaseTask(task);
     }
   }, [task]);
 
-  const handleUpdateTask = async (e) => {
-    e.preventDefault();
-    const result = await updateTask(taskId, editTask);
+  const saveTask = async (values, version) => {
+    const result = await updateTask(taskId, values, version);
     if (result.success) {
       navigate('/');
+    } else if (result.conflict) {
+      setConflict(result.conflict);
     }
   };
 
+  const handleUpdateTask = async (e) => {
+    e.preventDefault();
+    await saveTask(editTask, baseTask.version || 0);
+  };
+
+  const handleResolveConflict = async (merged) => {
+    const latest = conflict;
+    setEditTask(merged);
+    setBaseTask(latest);
+    setConflict(null);
+    await saveTask(merged, latest.version || 0);
+  };
+
+  const handleDiscardChanges = () => {
+    setEditTask(toFormValues(conflict));
+    setBaseTask(conflict);
+    setConflict(null);
+  };
+
   if (!task) {
     return (
       <div className="create-task-page">
@@ -58,6 +79,17 @@ const EditTask = ({ tasks, updateTask, loading }) => {
         <h1>Update Task</h1>
       </div>
 
+      {conflict && (
+        <ConflictResolver
+          base={toFormValues(baseTask)}
+          mine={editTask}
+          theirs={conflict}
+          onResolve={handleResolveConflict}
+          onCancel={handleDiscardChanges}
+          loading={loading}
+        />
+      )}
+
       <TaskForm
         newTask={editTask}
         setNewTask={setEditTask}
@@ -0,0 +1,131 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as taskService from '../services/taskService';
+
+const CSV_COLUMNS = 'title, description, assignedTo, status, priority, dueDate, tags';
+
+// Row errors may name the users or tasks they are about, e.g. { error, inactiveUsers: [...] }
+const describeError = (error) => {
+  const details = Object.values(error).filter(Array.isArray).flat();
+  return details.length > 0 ? `${error.error}: ${details.join(', ')}` : error.error;
+};
+
+/**
+ * Admin page for importing tasks from a CSV or JSON file
+ * The file is checked first (a dry run) and its rows previewed; importing creates the valid rows only
+ */
+const ImportTasks = ({ onImported }) => {
+  const navigate = useNavigate();
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [imported, setImported] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setReport(null);
+    setImported(false);
+    setError(null);
+  };
+
+  const run = async (mode) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const format = file.name.toLowerCase().endsWith('.json') ? 'json' : 'csv';
+      const result = await taskService.importTasks(format, await file.text(), mode);
+      setReport(result);
+      if (mode === 'commit') {
+        setImported(true);
+        await onImported();
+      }
+    } catch (err) {
+      setError(err.message);
+      setReport(err.report || null);
+      // An import that stopped part way has still created some tasks
+      if (err.report && err.report.created > 0) {
+        setImported(true);
+        await onImported();
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="import-page">
+      <div className="page-header">
+        <button className="back-btn" onClick={() => navigate('/')}>
+          ← Back to Dashboard
+        </button>
+        <h1>Import Tasks</h1>
+      </div>
+
+      <section className="create-task">
+        <p className="import-hint">
+          Upload a CSV file with a header row naming its columns ({CSV_COLUMNS}), or a JSON
+          array of tasks with the same fields as a new task. Separate several assignees or tags
+          with semicolons. Each assignee gets one email listing all their new tasks.
+        </p>
+        <div className="import-controls">
+          <input type="file" accept=".csv,.json" onChange={handleFileChange} />
+          <button onClick={() => run('dry-run')} disabled={!file || loading || imported}>
+            {loading ? 'Checking...' : 'Check File'}
+          </button>
+          {report && report.mode === 'dry-run' && report.validCount > 0 && (
+            <button className="create-task-btn" onClick={() => run('commit')} disabled={loading}>
+              Import {report.validCount} Valid {report.validCount === 1 ? 'Task' : 'Tasks'}
+            </button>
+          )}
+        </div>
+      </section>
+
+      {error && <p className="import-error">{error}</p>}
+
+      {report && (
+        <section className="import-report">
+          <p className="import-summary">
+            {imported
+              ? `Imported ${report.created} of ${report.total} tasks.`
+              : `${report.total} rows: ${report.validCount} valid, ${report.invalidCount} with errors.`}
+            {report.invalidCount > 0 && ' Rows with errors are skipped; fix them and import them in a new file.'}
+          </p>
+
+          <table className="import-table">
+            <thead>
+              <tr>
+                <th>Row</th>
+                <th>Title</th>
+                <th>Assigned To</th>
+                <th>Status</th>
+                <th>Priority</th>
+                <th>Due Date</th>
+                <th>Result</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.rows.map(row => (
+                <tr key={row.row} className={row.valid ? 'valid' : 'invalid'}>
+                  <td>{row.row}</td>
+                  <td>{row.task.title}</td>
+                  <td>{row.task.assignedTo.join(', ')}</td>
+                  <td>{row.task.status}</td>
+                  <td>{row.task.priority}</td>
+                  <td>{row.task.dueDate}</td>
+                  <td>
+                    {row.task.taskId
+                      ? 'Created'
+                      : row.error ? describeError(row.error) : 'OK'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      )}
+    </div>
+  );
+};
+
+export default ImportTasks;
@@ -1,11 +1,12 @@
 // eslint-disable-next-line no-unused-vars
 import TaskList from '../components/TaskList';
 
-const MemberDashboard = ({ tasks, userRole, filterStatus, setFilterStatus }) => {
+const MemberDashboard = ({ tasks, userRole, workflow, filterStatus, setFilterStatus }) => {
   return (
     <TaskList
       tasks={tasks}
       userRole={userRole}
+      workflow={workflow}
       filterStatus={filterStatus}
       onFilterChange={setFilterStatus}
     />
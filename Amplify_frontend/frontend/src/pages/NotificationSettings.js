@@ -0,0 +1,144 @@
+import { useNavigate } from 'react-router-dom';
+// eslint-disable-next-line no-unused-vars
+import { Link } from 'react-router-dom';
+
+const DELIVERY_LABELS = {
+  instant: 'Email right away',
+  digest: 'Digest',
+  off: 'Off'
+};
+
+const DIGEST_LABELS = {
+  off: 'Never',
+  daily: 'Daily',
+  weekly: 'Weekly'
+};
+
+/**
+ * Choose per event type whether to get email right away, in the digest or not at all,
+ * how often the digest goes out, unmute tasks muted from their detail page
+ * and get or reset the calendar feed link
+ */
+const NotificationSettings = ({ preferences, calendarFeed, tasks }) => {
+  const navigate = useNavigate();
+  const {
+    eventTypes, deliveryModes, digestFrequencies, mutedTasks, saving, error, setDelivery, setDigest, toggleMute
+  } = preferences;
+
+  const findTask = (taskId) => tasks.find(task => task.taskId === taskId);
+
+  return (
+    <div className="settings-page">
+      <div className="page-header">
+        <button className="back-btn" onClick={() => navigate('/')}>
+          ← Back to Dashboard
+        </button>
+        <h1>Notification Settings</h1>
+      </div>
+
+      {error && <p className="settings-error">{error}</p>}
+
+      {!preferences.preferences ? (
+        <p className="settings-hint">Loading...</p>
+      ) : (
+        <>
+          <section className="task-detail-section">
+            <h3>Email Notifications</h3>
+            <table className="settings-table">
+              <thead>
+                <tr>
+                  <th>When</th>
+                  {deliveryModes.map(mode => (
+                    <th key={mode}>{DELIVERY_LABELS[mode] || mode}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {eventTypes.map(eventType => (
+                  <tr key={eventType.id}>
+                    <td>{eventType.label}</td>
+                    {deliveryModes.map(mode => (
+                      <td key={mode}>
+                        <input
+                          type="radio"
+                          name={eventType.id}
+                          checked={preferences.preferences.events[eventType.id] === mode}
+                          onChange={() => setDelivery(eventType.id, mode)}
+                          disabled={saving}
+                          aria-label={`${eventType.label}: ${DELIVERY_LABELS[mode] || mode}`}
+                        />
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <section className="task-detail-section">
+            <h3>Digest Email</h3>
+            <p className="settings-hint">
+              One email listing your tasks that changed, are due soon or are overdue.
+              Admins also get a team summary.
+            </p>
+            <label className="digest-frequency">
+              Send my digest
+              <select
+                value={preferences.preferences.digest}
+                onChange={(e) => setDigest(e.target.value)}
+                disabled={saving}
+              >
+                {digestFrequencies.map(frequency => (
+                  <option key={frequency} value={frequency}>{DIGEST_LABELS[frequency] || frequency}</option>
+                ))}
+              </select>
+            </label>
+          </section>
+
+          <section className="task-detail-section">
+            <h3>Muted Tasks</h3>
+            <p className="settings-hint">Muted tasks send you no notifications at all. Mute a task from its detail page.</p>
+            {mutedTasks.length === 0 ? (
+              <p className="settings-hint">No muted tasks.</p>
+            ) : (
+              <ul className="muted-task-list">
+                {mutedTasks.map(taskId => (
+                  <li key={taskId}>
+                    <Link to={`/task/${taskId}`}>
+                      {findTask(taskId)?.title || `Task ${taskId.slice(0, 8)}`}
+                    </Link>
+                    <button onClick={() => toggleMute(taskId)} disabled={saving}>
+                      Unmute
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+
+          <section className="task-detail-section">
+            <h3>Calendar Feed</h3>
+            <p className="settings-hint">
+              Subscribe to this link in your calendar app to see the due dates of your open tasks.
+              Anyone with the link can read it; reset it if it has been shared.
+            </p>
+            {calendarFeed.error && <p className="settings-error">{calendarFeed.error}</p>}
+            {calendarFeed.feedUrl && (
+              <div className="calendar-feed">
+                <input type="text" value={calendarFeed.feedUrl} readOnly aria-label="Calendar feed link" />
+                <button onClick={calendarFeed.copy}>
+                  {calendarFeed.copied ? 'Copied' : 'Copy'}
+                </button>
+                <button onClick={calendarFeed.rotate} disabled={calendarFeed.rotating}>
+                  {calendarFeed.rotating ? 'Resetting...' : 'Reset link'}
+                </button>
+              </div>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default NotificationSettings;
@@ -0,0 +1,341 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as taskService from '../services/taskService';
+
+const WEEKDAYS = [
+  { id: 'MO', label: 'Mon' },
+  { id: 'TU', label: 'Tue' },
+  { id: 'WE', label: 'Wed' },
+  { id: 'TH', label: 'Thu' },
+  { id: 'FR', label: 'Fri' },
+  { id: 'SA', label: 'Sat' },
+  { id: 'SU', label: 'Sun' }
+];
+
+const emptyForm = () => ({
+  title: '',
+  description: '',
+  assignedTo: [],
+  priority: 'medium',
+  frequency: 'weekly',
+  byWeekday: ['MO'],
+  byMonthDay: 1,
+  startDate: new Date().toISOString().slice(0, 10),
+  endDate: '',
+  leadDays: 0
+});
+
+// Form state for editing an existing series
+const formFromSeries = (series) => ({
+  ...emptyForm(),
+  title: series.title,
+  description: series.description,
+  assignedTo: series.assignedTo,
+  priority: series.priority,
+  frequency: series.rule.frequency,
+  byWeekday: series.rule.byWeekday || ['MO'],
+  byMonthDay: series.rule.byMonthDay || 1,
+  startDate: series.startDate,
+  endDate: series.endDate || '',
+  leadDays: series.leadDays || 0
+});
+
+const describeRule = (rule) => {
+  switch (rule.frequency) {
+  case 'daily':
+    return 'Every day';
+  case 'weekly':
+    return `Every ${rule.byWeekday.map(id => WEEKDAYS.find(day => day.id === id).label).join(', ')}`;
+  case 'monthly':
+    return `Monthly on day ${rule.byMonthDay}`;
+  default:
+    return rule.frequency;
+  }
+};
+
+/**
+ * Admin page for recurring task series
+ * A daily scheduled run creates each occurrence as a normal task, due on the occurrence date
+ */
+const RecurringTasks = () => {
+  const navigate = useNavigate();
+  const [series, setSeries] = useState([]);
+  const [members, setMembers] = useState([]);
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    loadSeries();
+    taskService.fetchActiveMembers()
+      .then(setMembers)
+      .catch(error => console.error('Error fetching members:', error));
+  }, []);
+
+  const loadSeries = async () => {
+    try {
+      setLoading(true);
+      setSeries(await taskService.fetchSeries());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const run = async (action) => {
+    try {
+      setLoading(true);
+      setError(null);
+      await action();
+      await loadSeries();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openForm = (existing) => {
+    setEditingId(existing ? existing.seriesId : null);
+    setForm(existing ? formFromSeries(existing) : emptyForm());
+  };
+
+  const toggle = (list, value) =>
+    list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const rule = { frequency: form.frequency };
+    if (form.frequency === 'weekly') rule.byWeekday = form.byWeekday;
+    if (form.frequency === 'monthly') rule.byMonthDay = Number(form.byMonthDay);
+
+    const payload = {
+      title: form.title,
+      description: form.description,
+      assignedTo: form.assignedTo,
+      priority: form.priority,
+      rule,
+      startDate: form.startDate,
+      endDate: form.endDate || null,
+      leadDays: Number(form.leadDays)
+    };
+
+    const saved = await run(() => editingId
+      ? taskService.updateSeries(editingId, payload)
+      : taskService.createSeries(payload)
+    );
+    if (saved) {
+      setForm(null);
+      setEditingId(null);
+    }
+  };
+
+  const handleEnd = (item) => {
+    if (window.confirm(`End "${item.title}"? No more tasks will be created; existing ones are kept.`)) {
+      run(() => taskService.endSeries(item.seriesId));
+    }
+  };
+
+  return (
+    <div className="recurring-page">
+      <div className="page-header">
+        <button className="back-btn" onClick={() => navigate('/')}>
+          ← Back to Dashboard
+        </button>
+        <h1>Recurring Tasks</h1>
+      </div>
+
+      {error && <p className="recurring-error">{error}</p>}
+
+      {form ? (
+        <section className="create-task">
+          <h2>{editingId ? 'Edit Recurring Task' : 'New Recurring Task'}</h2>
+          {editingId && <p className="recurring-hint">Changes apply to tasks created from now on.</p>}
+          <form onSubmit={handleSubmit}>
+            <input
+              type="text"
+              placeholder="Task Title *"
+              value={form.title}
+              onChange={(e) => setForm({ ...form, title: e.target.value })}
+              required
+            />
+            <textarea
+              placeholder="Task Description *"
+              value={form.description}
+              onChange={(e) => setForm({ ...form, description: e.target.value })}
+              required
+            />
+
+            <div className="assignees-section">
+              <label>Assign to Members: *</label>
+              <div className="recurring-options">
+                {members.map(member => (
+                  <label key={member.email} className="recurring-option">
+                    <input
+                      type="checkbox"
+                      checked={form.assignedTo.includes(member.email)}
+                      onChange={() => setForm({ ...form, assignedTo: toggle(form.assignedTo, member.email) })}
+                    />
+                    {member.email}
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Repeats:</label>
+                <select
+                  value={form.frequency}
+                  onChange={(e) => setForm({ ...form, frequency: e.target.value })}
+                >
+                  <option value="daily">Daily</option>
+                  <option value="weekly">Weekly</option>
+                  <option value="monthly">Monthly</option>
+                </select>
+              </div>
+              {form.frequency === 'monthly' && (
+                <div className="form-group">
+                  <label>Day of month:</label>
+                  <input
+                    type="number"
+                    min="1"
+                    max="31"
+                    value={form.byMonthDay}
+                    onChange={(e) => setForm({ ...form, byMonthDay: e.target.value })}
+                  />
+                </div>
+              )}
+              <div className="form-group">
+                <label>Priority:</label>
+                <select
+                  value={form.priority}
+                  onChange={(e) => setForm({ ...form, priority: e.target.value })}
+                >
+                  <option value="low">Low</option>
+                  <option value="medium">Medium</option>
+                  <option value="high">High</option>
+                  <option value="urgent">Urgent</option>
+                </select>
+              </div>
+            </div>
+
+            {form.frequency === 'weekly' && (
+              <div className="recurring-options">
+                {WEEKDAYS.map(day => (
+                  <label key={day.id} className="recurring-option">
+                    <input
+                      type="checkbox"
+                      checked={form.byWeekday.includes(day.id)}
+                      onChange={() => setForm({ ...form, byWeekday: toggle(form.byWeekday, day.id) })}
+                    />
+                    {day.label}
+                  </label>
+                ))}
+              </div>
+            )}
+
+            <div className="form-row">
+              <div className="form-group">
+                <label>Starts:</label>
+                <input
+                  type="date"
+                  value={form.startDate}
+                  onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                  required
+                />
+              </div>
+              <div className="form-group">
+                <label>Ends (optional):</label>
+                <input
+                  type="date"
+                  value={form.endDate}
+                  onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                />
+              </div>
+              <div className="form-group">
+                <label>Create days ahead:</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="30"
+                  value={form.leadDays}
+                  onChange={(e) => setForm({ ...form, leadDays: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="recurring-form-actions">
+              <button
+                type="submit"
+                disabled={loading || form.assignedTo.length === 0 || (form.frequency === 'weekly' && form.byWeekday.length === 0)}
+              >
+                {editingId ? 'Save' : 'Create Recurring Task'}
+              </button>
+              <button type="button" className="comment-cancel-btn" onClick={() => setForm(null)}>
+                Cancel
+              </button>
+            </div>
+          </form>
+        </section>
+      ) : (
+        <div className="dashboard-actions">
+          <button className="create-task-btn" onClick={() => openForm(null)}>
+            <span className="btn-icon">+</span> New Recurring Task
+          </button>
+        </div>
+      )}
+
+      {series.length === 0 ? (
+        <p className="recurring-empty">{loading ? 'Loading...' : 'No recurring tasks yet.'}</p>
+      ) : (
+        <ul className="recurring-list">
+          {series.map(item => (
+            <li key={item.seriesId} className={`recurring-item ${item.status}`}>
+              <div className="recurring-summary">
+                <strong>{item.title}</strong>
+                <span className={`recurring-status ${item.status}`}>{item.status}</span>
+                <span>{describeRule(item.rule)}</span>
+                <span>
+                  From {item.startDate}{item.endDate ? ` until ${item.endDate}` : ''}
+                  {item.leadDays > 0 && `, created ${item.leadDays} day${item.leadDays === 1 ? '' : 's'} ahead`}
+                </span>
+                <span>Assigned to {item.assignedTo.join(', ')}</span>
+                {item.lastOccurrence && <span>Last created for {item.lastOccurrence}</span>}
+                {item.lastError && (
+                  <span className="recurring-error">
+                    Could not create the {item.lastError.occurrence} task: {item.lastError.error}
+                  </span>
+                )}
+              </div>
+              {item.status !== 'ended' && (
+                <div className="recurring-actions">
+                  <button onClick={() => openForm(item)} disabled={loading}>Edit</button>
+                  {item.status === 'active' ? (
+                    <button onClick={() => run(() => taskService.updateSeries(item.seriesId, { status: 'paused' }))} disabled={loading}>
+                      Pause
+                    </button>
+                  ) : (
+                    <button onClick={() => run(() => taskService.updateSeries(item.seriesId, { status: 'active' }))} disabled={loading}>
+                      Resume
+                    </button>
+                  )}
+                  <button className="recurring-end-btn" onClick={() => handleEnd(item)} disabled={loading}>
+                    End
+                  </button>
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default RecurringTasks;
@@ -1,8 +1,30 @@
+import { useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
+// eslint-disable-next-line no-unused-vars
+import ActivityTimeline from '../components/ActivityTimeline';
+// eslint-disable-next-line no-unused-vars
+import CommentsPanel from '../components/CommentsPanel';
+// eslint-disable-next-line no-unused-vars
+import Checklist, { checklistProgress } from '../components/Checklist';
+// eslint-disable-next-line no-unused-vars
+import TaskDependencies from '../components/TaskDependencies';
 
-const TaskDetail = ({ tasks, userRole, updateTaskStatus, deleteTask, loading }) => {
+const TaskDetail = ({
+  tasks,
+  userRole,
+  userEmail,
+  workflow,
+  updateTaskStatus,
+  updateChecklist,
+  updateDependencies,
+  preferences,
+  deleteTask,
+  loading
+}) => {
   const navigate = useNavigate();
   const { taskId } = useParams();
+  const [reasonFor, setReasonFor] = useState(null);
+  const [reason, setReason] = useState('');
   const task = tasks.find(t => t.taskId === taskId);
 
   if (!task) {
@@ -16,8 +38,40 @@ const TaskDetail = ({ tasks, userRole, updateTaskStatus, deleteTask, loading })
     );
   }
 
+  const transitions = workflow.transitionsFrom(task.status, userRole);
+  const reasonTransition = transitions.find(t => t.to === reasonFor);
+  const canDecideReview = task.status === 'in-review' && transitions.some(t => t.action === 'approve');
+
   const handleStatusChange = async (status) => {
-    await updateTaskStatus(taskId, status);
+    const transition = transitions.find(t => t.to === status);
+    // Guarded transitions wait for the reason before anything is saved
+    if (transition?.guards?.includes('reasonRequired')) {
+      setReasonFor(status);
+      setReason('');
+      return;
+    }
+
+    // Completing with open checklist items needs the user's confirmation
+    let confirmOpenItems;
+    if (transition?.guards?.includes('checklistConfirmed')) {
+      const { done, total } = checklistProgress(task.checklist);
+      if (done < total) {
+        const open = total - done;
+        if (!window.confirm(`${open} of ${total} checklist items are still open. Move the task to ${workflow.statusLabel(status)} anyway?`)) {
+          return;
+        }
+        confirmOpenItems = true;
+      }
+    }
+    await updateTaskStatus(taskId, status, undefined, confirmOpenItems);
+  };
+
+  const handleReasonSubmit = async (e) => {
+    e.preventDefault();
+    const result = await updateTaskStatus(taskId, reasonFor, reason.trim());
+    if (result.success) {
+      setReasonFor(null);
+    }
   };
 
   const handleDelete = async () => {
@@ -40,25 +94,46 @@ const TaskDetail = ({ tasks, userRole, updateTaskStatus, deleteTask, loading })
           <div>
             <h1>{task.title}</h1>
             <span className={`priority-badge ${task.priority}`}>{task.priority}</span>
+            {task.seriesId && (
+              <span className="series-badge">
+                {userRole === 'admin' ? (
+                  <button className="series-link" onClick={() => navigate('/recurring')}>
+                    Recurring · {task.occurrenceDate}
+                  </button>
+                ) : (
+                  `Recurring · ${task.occurrenceDate}`
+                )}
+              </span>
+            )}
+          </div>
+          <div className="detail-actions">
+            <button
+              onClick={() => preferences.toggleMute(task.taskId)}
+              className="mute-btn"
+              disabled={preferences.saving || !preferences.preferences}
+              title="Muted tasks send you no notifications"
+            >
+              {preferences.isMuted(task.taskId) ? 'Unmute' : 'Mute'}
+            </button>
+            {userRole === 'admin' && (
+              <>
+                <button
+                  onClick={() => navigate(`/edit-task/${task.taskId}`)}
+                  className="edit-btn"
+                  disabled={loading}
+                >
+                  Edit Task
+                </button>
+                <button
+                  onClick={handleDelete}
+                  className="delete-btn"
+                  disabled={loading}
+                >
+                  Delete Task
+                </button>
+              </>
+            )}
           </div>
-          {userRole === 'admin' && (
-            <div className="detail-actions">
-              <button
-                onClick={() => navigate(`/edit-task/${task.taskId}`)}
-                className="edit-btn"
-                disabled={loading}
-              >
-                Edit Task
-              </button>
-              <button
-                onClick={handleDelete}
-                className="delete-btn"
-                disabled={loading}
-              >
-                Delete Task
-              </button>
-            </div>
-          )}
         </div>
 
         <div className="task-detail-section">
@@ -79,17 +154,43 @@ const TaskDetail = ({ tasks, userRole, updateTaskStatus, deleteTask, loading })
           <div className="task-detail-item">
             <strong>Status</strong>
             <select
-              value={task.status}
+              value={reasonFor || task.status}
               onChange={(e) => handleStatusChange(e.target.value)}
-              disabled={loading}
+              disabled={loading || transitions.length === 0}
               className="status-select"
             >
-              <option value="pending">Pending</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-              <option value="blocked">Blocked</option>
-              {userRole === 'admin' && <option value="cancelled">Cancelled</option>}
+              <option value={task.status}>{workflow.statusLabel(task.status)}</option>
+              {transitions.map(transition => (
+                <option key={transition.to} value={transition.to}>
+                  {workflow.statusLabel(transition.to)}
+                </option>
+              ))}
             </select>
+            {reasonFor && (
+              <form className="status-reason-form" onSubmit={handleReasonSubmit}>
+                <textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  placeholder={reasonTransition?.reasonLabel === 'note'
+                    ? 'What should the reviewer know?'
+                    : `Why is this task ${workflow.statusLabel(reasonFor).toLowerCase()}?`}
+                  maxLength={1000}
+                  rows="2"
+                  required
+                />
+                <div className="status-reason-actions">
+                  <button type="button" className="comment-cancel-btn" onClick={() => setReasonFor(null)}>
+                    Cancel
+                  </button>
+                  <button type="submit" className="comment-submit-btn" disabled={loading || !reason.trim()}>
+                    Move to {workflow.statusLabel(reasonFor)}
+                  </button>
+                </div>
+              </form>
+            )}
+            {!reasonFor && task.statusReason && (
+              <span className="status-reason">Reason: {task.statusReason}</span>
+            )}
           </div>
 
           <div className="task-detail-item">
@@ -109,6 +210,63 @@ const TaskDetail = ({ tasks, userRole, updateTaskStatus, deleteTask, loading })
             </div>
           )}
         </div>
+
+        <Checklist
+          task={task}
+          userRole={userRole}
+          userEmail={userEmail}
+          onChange={(changes) => updateChecklist(taskId, changes)}
+          loading={loading}
+        />
+
+        <TaskDependencies
+          task={task}
+          tasks={tasks}
+          userRole={userRole}
+          workflow={workflow}
+          onChange={(blockedBy) => updateDependencies(taskId, blockedBy)}
+          loading={loading}
+        />
+
+        {task.review && (
+          <div className={`task-detail-section review-panel review-${task.review.status}`}>
+            <h3>Review</h3>
+            <p className="review-meta">
+              Submitted by {task.review.submittedBy} on {new Date(task.review.submittedAt).toLocaleDateString()}
+            </p>
+            {task.review.note && <p className="review-note">{task.review.note}</p>}
+            {task.review.status === 'approved' && (
+              <p className="review-decision">Approved by {task.review.decidedBy}</p>
+            )}
+            {task.review.status === 'rejected' && (
+              <p className="review-decision">
+                Sent back by {task.review.decidedBy}: {task.review.reason}
+              </p>
+            )}
+            {canDecideReview && !reasonFor && (
+              <div className="review-actions">
+                <button
+                  className="review-approve-btn"
+                  onClick={() => handleStatusChange('completed')}
+                  disabled={loading}
+                >
+                  Approve
+                </button>
+                <button
+                  className="review-reject-btn"
+                  onClick={() => handleStatusChange('in-progress')}
+                  disabled={loading}
+                >
+                  Reject
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        <CommentsPanel taskId={task.taskId} userEmail={userEmail} userRole={userRole} />
+
+        <ActivityTimeline taskId={task.taskId} refreshKey={task.updatedAt} />
       </div>
     </div>
   );
@@ -0,0 +1,96 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import * as taskService from '../services/taskService';
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+const memberName = (member) => [member.firstName, member.lastName].filter(Boolean).join(' ') || member.email;
+
+/**
+ * Admin page showing how loaded each active member is: open tasks by priority,
+ * overdue tasks and tasks due this week, most loaded first
+ */
+const Workload = () => {
+  const navigate = useNavigate();
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    taskService.fetchWorkload()
+      .then(data => setMembers(
+        [...data].sort((a, b) => b.workload.open - a.workload.open || a.email.localeCompare(b.email))
+      ))
+      .catch(err => setError(err.message))
+      .finally(() => setLoading(false));
+  }, []);
+
+  const maxOpen = Math.max(1, ...members.map(member => member.workload.open));
+
+  return (
+    <div className="workload-page">
+      <div className="page-header">
+        <button className="back-btn" onClick={() => navigate('/')}>
+          ← Back to Dashboard
+        </button>
+        <h1>Team Workload</h1>
+      </div>
+
+      {error && <p className="import-error">{error}</p>}
+
+      <section className="create-task">
+        {loading ? (
+          <p className="report-empty">Loading workload...</p>
+        ) : members.length === 0 ? (
+          <p className="report-empty">No active members</p>
+        ) : (
+          <table className="import-table workload-table">
+            <thead>
+              <tr>
+                <th>Member</th>
+                <th>Open</th>
+                {PRIORITIES.map(priority => (
+                  <th key={priority}>{priority}</th>
+                ))}
+                <th>Overdue</th>
+                <th>Due This Week</th>
+              </tr>
+            </thead>
+            <tbody>
+              {members.map(member => (
+                <tr key={member.email}>
+                  <td>
+                    <div className="member-email">{memberName(member)}</div>
+                    {memberName(member) !== member.email && (
+                      <div className="member-role">{member.email}</div>
+                    )}
+                  </td>
+                  <td>
+                    <div className="workload-open">
+                      <span>{member.workload.open}</span>
+                      <div className="progress-bar">
+                        <div
+                          className="progress-fill"
+                          style={{ width: `${(member.workload.open / maxOpen) * 100}%` }}
+                        />
+                      </div>
+                    </div>
+                  </td>
+                  {PRIORITIES.map(priority => (
+                    <td key={priority}>{member.workload.byPriority[priority]}</td>
+                  ))}
+                  <td className={member.workload.overdue > 0 ? 'workload-overdue' : ''}>
+                    {member.workload.overdue}
+                  </td>
+                  <td>{member.workload.dueThisWeek}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default Workload;
@@ -10,13 +10,31 @@ const getAuthToken = async () => {
   return session.getIdToken().getJwtToken();
 };
 
+const TASK_PAGE_SIZE = 100;
+
+/**
+ * Query string for task list parameters, skipping empty values
+ */
+const taskQueryString = (params) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, Array.isArray(value) ? value.join(',') : value);
+    }
+  });
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+};
+
 /**
- * Fetch all tasks from the API
+ * Fetch one page of tasks from the API
+ * Accepts filters (status, priority, assignee, createdBy, dueFrom, dueTo),
+ * sorting (sortBy, sortOrder) and paging (limit, nextToken)
  */
-export const fetchTasks = async () => {
+export const fetchTaskPage = async (params = {}) => {
   const token = await getAuthToken();
 
-  const response = await fetch(`${API_URL}/tasks`, {
+  const response = await fetch(`${API_URL}/tasks${taskQueryString(params)}`, {
     headers: {
       'Authorization': `Bearer ${token}`
     }
@@ -27,7 +45,47 @@ export const fetchTasks = async () => {
   }
 
   const data = await response.json();
-  return data.tasks || [];
+  return {
+    tasks: data.tasks || [],
+    nextToken: data.nextToken || null
+  };
+};
+
+/**
+ * Fetch all tasks matching the filters, following nextToken across pages
+ */
+export const fetchTasks = async (params = {}) => {
+  const tasks = [];
+  let nextToken = null;
+
+  do {
+    const page = await fetchTaskPage({ ...params, limit: TASK_PAGE_SIZE, nextToken });
+    tasks.push(...page.tasks);
+    nextToken = page.nextToken;
+  } while (nextToken);
+
+  return tasks;
+};
+
+/**
+ * Export every task matching the list filters and sort order as a 'csv' or 'json' file
+ * The API redirects to a short-lived download link, which fetch follows.
+ * Returns the file as a Blob
+ */
+export const exportTasks = async (format, params = {}) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/export${taskQueryString({ ...params, format })}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to export tasks');
+  }
+
+  return await response.blob();
 };
 
 /**
@@ -59,10 +117,40 @@ export const createTask = async (taskData) => {
   return await response.json();
 };
 
+/**
+ * Import tasks from the content of a CSV or JSON file (admin only)
+ * mode 'dry-run' only checks the rows; 'commit' also creates the valid ones.
+ * Returns { mode, total, validCount, invalidCount, rows }; a rejected file, or an import
+ * that stopped part way, throws with the row report, if there is one, on error.report
+ */
+export const importTasks = async (format, content, mode) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/import`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ format, content, mode })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    const error = new Error(errorData.error || 'Failed to import tasks');
+    error.report = errorData.rows ? errorData : null;
+    throw error;
+  }
+
+  return await response.json();
+};
+
 /**
  * Update task status
+ * Some transitions require a reason (e.g. moving to blocked); see GET /workflow.
+ * Completing a task with open checklist items needs confirmOpenItems
  */
-export const updateTaskStatus = async (taskId, status) => {
+export const updateTaskStatus = async (taskId, status, reason, confirmOpenItems) => {
   const token = await getAuthToken();
 
   const response = await fetch(`${API_URL}/tasks`, {
@@ -71,12 +159,61 @@ export const updateTaskStatus = async (taskId, status) => {
       'Content-Type': 'application/json',
       'Authorization': `Bearer ${token}`
     },
-    body: JSON.stringify({ taskId, status })
+    body: JSON.stringify({ taskId, status, reason, confirmOpenItems })
   });
 
   if (!response.ok) {
     const errorData = await response.json();
-    throw new Error(errorData.message || 'Failed to update task');
+    throw new Error(errorData.error || errorData.message || 'Failed to update task');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Change a task's checklist
+ * Send { checkItems: { itemId: true|false } } to tick items off, or (admins)
+ * { checklist: [...] } with the whole list to add, reorder or remove items
+ */
+export const updateChecklist = async (taskId, changes) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/${taskId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(changes)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || errorData.message || 'Failed to update checklist');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Set the tasks a task is blocked by (admins)
+ * The API rejects links to missing tasks and links that would form a cycle
+ */
+export const updateDependencies = async (taskId, blockedBy) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/${taskId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ blockedBy })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || errorData.message || 'Failed to update dependencies');
   }
 
   return await response.json();
@@ -105,8 +242,11 @@ export const deleteTask = async (taskId) => {
 
 /**
  * Update a task
+ * Pass the version the edit started from as expectedVersion; if someone else
+ * saved in between, the API answers 409 and the thrown error carries
+ * status 409 and the server's currentTask so the caller can merge
  */
-export const updateTask = async (taskId, taskData) => {
+export const updateTask = async (taskId, taskData, expectedVersion) => {
   const token = await getAuthToken();
 
   const response = await fetch(`${API_URL}/tasks/${taskId}`, {
@@ -120,13 +260,461 @@ export const updateTask = async (taskId, taskData) => {
       description: taskData.description,
       assignedTo: taskData.assignedTo.filter(email => email.trim()),
       dueDate: taskData.dueDate,
-      priority: taskData.priority
+      priority: taskData.priority,
+      expectedVersion
     })
   });
 
   if (!response.ok) {
     const errorData = await response.json();
-    throw new Error(errorData.message || 'Failed to update task');
+    const error = new Error(errorData.message || errorData.error || 'Failed to update task');
+    error.status = response.status;
+    error.currentTask = errorData.currentTask;
+    throw error;
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch one page of a task's activity history (newest first)
+ */
+export const fetchTaskActivity = async (taskId, nextToken) => {
+  const token = await getAuthToken();
+
+  const query = nextToken ? `?nextToken=${encodeURIComponent(nextToken)}` : '';
+  const response = await fetch(`${API_URL}/tasks/${taskId}/activity${query}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch task activity');
+  }
+
+  const data = await response.json();
+  return {
+    activity: data.activity || [],
+    nextToken: data.nextToken || null
+  };
+};
+
+/**
+ * Fetch one page of a task's comments (oldest first)
+ */
+export const fetchComments = async (taskId, nextToken) => {
+  const token = await getAuthToken();
+
+  const query = nextToken ? `?nextToken=${encodeURIComponent(nextToken)}` : '';
+  const response = await fetch(`${API_URL}/tasks/${taskId}/comments${query}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch comments');
+  }
+
+  const data = await response.json();
+  return {
+    comments: data.comments || [],
+    nextToken: data.nextToken || null
+  };
+};
+
+/**
+ * Add a comment to a task, or a reply when parentId is given
+ */
+export const createComment = async (taskId, text, parentId) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/${taskId}/comments`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ text, parentId })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to add comment');
+  }
+
+  const data = await response.json();
+  return data.comment;
+};
+
+/**
+ * Edit one of your own comments
+ */
+export const updateComment = async (taskId, commentId, text) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/${taskId}/comments/${commentId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify({ text })
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to update comment');
+  }
+
+  const data = await response.json();
+  return data.comment;
+};
+
+/**
+ * Delete a comment
+ * Resolves to { removed } - false when the comment had replies and was only blanked
+ */
+export const deleteComment = async (taskId, commentId) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/tasks/${taskId}/comments/${commentId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to delete comment');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch active members, e.g. to suggest @mentions
+ * Admins get the full user list from /users, members a directory of active members
+ */
+export const fetchActiveMembers = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch members');
+  }
+
+  const data = await response.json();
+  return (data.users || []).filter(user =>
+    user.status === 'active' && user.role === 'member'
+  );
+};
+
+/**
+ * Fetch active members with their current workload (admins)
+ * Each member has workload: { open, byPriority: { urgent, high, medium, low }, overdue, dueThisWeek }
+ */
+export const fetchWorkload = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users?include=workload`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch workload');
+  }
+
+  const data = await response.json();
+  return (data.users || []).filter(user =>
+    user.status === 'active' && user.role === 'member'
+  );
+};
+
+/**
+ * Fetch the task status workflow: states, allowed transitions and their roles and guards
+ */
+export const fetchWorkflow = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/workflow`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch workflow');
+  }
+
+  const data = await response.json();
+  return data.workflow;
+};
+
+/**
+ * Fetch all recurring task series (admins)
+ */
+export const fetchSeries = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/series`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch recurring tasks');
+  }
+
+  const data = await response.json();
+  return data.series || [];
+};
+
+/**
+ * Create a recurring task series (admins)
+ * Instances are created by the daily scheduled run
+ */
+export const createSeries = async (seriesData) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/series`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(seriesData)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to create recurring task');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Edit a series, or pause/resume/end it by sending `status`
+ */
+export const updateSeries = async (seriesId, changes) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/series/${seriesId}`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(changes)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to update recurring task');
+  }
+
+  return await response.json();
+};
+
+/**
+ * End a series; tasks already generated are kept
+ */
+export const endSeries = async (seriesId) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/series/${seriesId}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to end recurring task');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch the signed-in user's notification preferences
+ * Returns { preferences, eventTypes, deliveryModes }
+ */
+export const fetchPreferences = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users/me/preferences`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch notification preferences');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Change notification preferences
+ * `events` may hold only the events being changed; `mutedTasks` replaces the list
+ */
+export const updatePreferences = async (changes) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users/me/preferences`, {
+    method: 'PUT',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: JSON.stringify(changes)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to update notification preferences');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch the signed-in user's calendar feed link, created on first use
+ * Returns { feedUrl, createdAt }
+ */
+export const fetchCalendarFeed = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users/me/calendar`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch calendar link');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Replace the calendar feed link; calendars subscribed to the old one stop updating
+ * Returns { feedUrl, createdAt }
+ */
+export const rotateCalendarFeed = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/users/me/calendar/rotate`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to reset calendar link');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch the signed-in user's in-app notifications, newest first
+ * Returns { notifications, unreadCount, nextToken }
+ */
+export const fetchNotifications = async (nextToken) => {
+  const token = await getAuthToken();
+  const query = nextToken ? `?nextToken=${encodeURIComponent(nextToken)}` : '';
+
+  const response = await fetch(`${API_URL}/notifications${query}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error('Failed to fetch notifications');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Mark one notification as read
+ * Returns { notification, unreadCount }
+ */
+export const markNotificationRead = async (notificationId) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/notifications/${notificationId}/read`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to mark notification as read');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Mark all notifications as read
+ */
+export const markAllNotificationsRead = async () => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/notifications/read-all`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to mark notifications as read');
+  }
+
+  return await response.json();
+};
+
+/**
+ * Fetch the delivery report for a date range (admins)
+ * Accepts from and to as YYYY-MM-DD; the API defaults to the last twelve weeks
+ * Returns { range, cycleTime, leadTime, throughput, burndown, byPriority, byAssignee }
+ */
+export const fetchReportSummary = async (params = {}) => {
+  const token = await getAuthToken();
+
+  const response = await fetch(`${API_URL}/reports/summary${taskQueryString(params)}`, {
+    headers: {
+      'Authorization': `Bearer ${token}`
+    }
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json();
+    throw new Error(errorData.error || 'Failed to fetch report');
   }
 
   return await response.json();
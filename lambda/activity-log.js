@@ -0,0 +1,225 @@
+/**
+ * Task activity log
+ * Appends one immutable event per task mutation to ACTIVITY_TABLE so the
+ * full history of a task (who changed what, when, from and to) survives
+ * after updatedAt/updatedBy have been overwritten. Events are written in the
+ * same transaction as the mutation they describe, so the log never misses one.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    encodePageToken,
+    decodePageToken,
+    ACTIVITY_TABLE,
+    dynamodb
+} = require('./shared-utils');
+
+const ACTIVITY_TYPES = {
+    CREATED: 'created',
+    STATUS_CHANGED: 'status_changed',
+    REASSIGNED: 'reassigned',
+    UPDATED: 'updated',
+    COMMENTED: 'commented',
+    COMMENT_EDITED: 'comment_edited',
+    COMMENT_DELETED: 'comment_deleted',
+    DELETED: 'deleted'
+};
+
+// Fields reported by 'updated' events; status and assignees get their own event types
+const EDITABLE_FIELDS = ['title', 'description', 'priority', 'dueDate', 'tags', 'checklist', 'blockedBy'];
+
+// Fields captured when a task is created or deleted
+const SNAPSHOT_FIELDS = ['title', 'description', 'status', 'priority', 'dueDate', 'assignedMembers'];
+
+const DEFAULT_ACTIVITY_PAGE_SIZE = 50;
+const MAX_ACTIVITY_PAGE_SIZE = 100;
+
+/**
+ * Compare two attribute values, treating missing values as null
+ */
+function sameValue(a, b) {
+    return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+/**
+ * List { field, from, to } for every field whose value differs
+ * @param {Object} before - Task before the change ({} for new tasks)
+ * @param {Object} after - Task after the change ({} for deleted tasks)
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Array<Object>} Changes
+ */
+function diffFields(before, after, fields) {
+    return fields
+        .filter(field => !sameValue(before[field], after[field]))
+        .map(field => ({
+            field,
+            from: before[field] === undefined ? null : before[field],
+            to: after[field] === undefined ? null : after[field]
+        }));
+}
+
+/**
+ * Describe an update as activity events
+ * A single request can change several things at once (e.g. status and assignees),
+ * so it may produce more than one event. Comments are recorded by comments.js.
+ * @param {Object} before - Task item before the update
+ * @param {Object} after - Task item after the update
+ * @returns {Array<Object>} Events as { type, changes }
+ */
+function describeTaskUpdate(before, after) {
+    const events = [];
+
+    const statusChanges = diffFields(before, after, ['status']);
+    if (statusChanges.length > 0) {
+        // Keep the reason given for the move (e.g. why a task is blocked) with the change
+        const changes = after.statusReason
+            ? statusChanges.map(change => ({ ...change, reason: after.statusReason }))
+            : statusChanges;
+        events.push({ type: ACTIVITY_TYPES.STATUS_CHANGED, changes });
+    }
+
+    const memberChanges = diffFields(before, after, ['assignedMembers']);
+    if (memberChanges.length > 0) {
+        events.push({ type: ACTIVITY_TYPES.REASSIGNED, changes: memberChanges });
+    }
+
+    const fieldChanges = diffFields(before, after, EDITABLE_FIELDS);
+    if (fieldChanges.length > 0) {
+        events.push({ type: ACTIVITY_TYPES.UPDATED, changes: fieldChanges });
+    }
+
+    return events;
+}
+
+/**
+ * Transaction writes that append events to a task's activity log
+ * Pass them to writeWithOutbox() together with the change they describe.
+ * Events are write-once: the conditional put refuses to overwrite an existing event.
+ * @param {string} taskId - Task ID
+ * @param {string} actor - Email of the user who made the change
+ * @param {Array<Object>} events - Events as { type, changes?, comment? }
+ * @returns {Array<Object>} { Put } transaction items, one per event
+ */
+function activityWrites(taskId, actor, events) {
+    const timestamp = new Date().toISOString();
+
+    return events.map((event, index) => ({
+        Put: {
+            TableName: ACTIVITY_TABLE,
+            Item: {
+                taskId,
+                // Sort key keeps events in order; the index orders events from the same request
+                activityId: `${timestamp}#${index}#${uuidv4()}`,
+                type: event.type,
+                actor,
+                timestamp,
+                changes: event.changes || [],
+                ...(event.comment && { comment: event.comment })
+            },
+            ConditionExpression: 'attribute_not_exists(activityId)'
+        }
+    }));
+}
+
+/**
+ * Activity writes for the creation of a task
+ * @param {Object} task - New task item
+ * @param {string} actor - Creator's email
+ * @returns {Array<Object>} Transaction items
+ */
+function taskCreatedActivity(task, actor) {
+    return activityWrites(task.taskId, actor, [{
+        type: ACTIVITY_TYPES.CREATED,
+        changes: diffFields({}, task, SNAPSHOT_FIELDS)
+    }]);
+}
+
+/**
+ * Activity writes for the changes made by an update
+ * @param {Object} before - Task item before the update
+ * @param {Object} after - Task item after the update
+ * @param {string} actor - Email of the user who made the update
+ * @returns {Array<Object>} Transaction items (none when nothing logged changed)
+ */
+function taskUpdatedActivity(before, after, actor) {
+    return activityWrites(after.taskId, actor, describeTaskUpdate(before, after));
+}
+
+/**
+ * Activity writes for the deletion of a task
+ * The log outlives the task so admins can still see what was removed and by whom
+ * @param {Object} task - Task item as it was before deletion
+ * @param {string} actor - Email of the user who deleted it
+ * @returns {Array<Object>} Transaction items
+ */
+function taskDeletedActivity(task, actor) {
+    return activityWrites(task.taskId, actor, [{
+        type: ACTIVITY_TYPES.DELETED,
+        changes: diffFields(task, {}, SNAPSHOT_FIELDS)
+    }]);
+}
+
+/**
+ * Parse limit/nextToken/order for an activity listing
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @returns {Object} { valid, error, query }
+ */
+function parseActivityQuery(queryStringParameters) {
+    const params = queryStringParameters || {};
+
+    let limit = DEFAULT_ACTIVITY_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_ACTIVITY_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_ACTIVITY_PAGE_SIZE}` };
+        }
+    }
+
+    const order = (params.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+        return { valid: false, error: 'Invalid order. Must be asc or desc' };
+    }
+
+    let startKey = null;
+    if (params.nextToken) {
+        startKey = decodePageToken(params.nextToken);
+        if (!startKey || !startKey.taskId || !startKey.activityId) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return { valid: true, query: { limit, order, startKey } };
+}
+
+/**
+ * List one page of a task's activity
+ * @param {string} taskId - Task ID
+ * @param {Object} query - Query produced by parseActivityQuery
+ * @returns {Promise<Object>} { activity, nextToken }
+ */
+async function listTaskActivity(taskId, query) {
+    const result = await dynamodb.query({
+        TableName: ACTIVITY_TABLE,
+        KeyConditionExpression: 'taskId = :taskId',
+        ExpressionAttributeValues: { ':taskId': taskId },
+        ScanIndexForward: query.order === 'asc',
+        Limit: query.limit,
+        ...(query.startKey && query.startKey.taskId === taskId && { ExclusiveStartKey: query.startKey })
+    }).promise();
+
+    return {
+        activity: result.Items || [],
+        nextToken: result.LastEvaluatedKey ? encodePageToken(result.LastEvaluatedKey) : null
+    };
+}
+
+module.exports = {
+    ACTIVITY_TYPES,
+    describeTaskUpdate,
+    activityWrites,
+    taskCreatedActivity,
+    taskUpdatedActivity,
+    taskDeletedActivity,
+    parseActivityQuery,
+    listTaskActivity
+};
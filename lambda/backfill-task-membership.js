@@ -0,0 +1,33 @@
+/**
+ * Backfill Task Membership Lambda Function
+ * Rebuilds the task membership index from existing tasks and adds the ListOrderIndex
+ * attributes to tasks stored without them
+ * Invoke once after deploying the indexes, or any time they may have drifted:
+ *   aws lambda invoke --function-name <project>-backfill-task-membership out.json
+ * Can also be run locally with the table environment variables set:
+ *   node backfill-task-membership.js
+ */
+
+const { backfillTaskMembership } = require('./task-membership');
+const { backfillTaskListOrder } = require('./task-queries');
+
+exports.handler = async () => {
+    console.log('Starting task membership backfill');
+
+    const result = {
+        ...await backfillTaskMembership(),
+        ...await backfillTaskListOrder()
+    };
+    console.log('Task membership backfill complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Backfill failed:', error);
+            process.exit(1);
+        });
+}
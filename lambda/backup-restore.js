@@ -0,0 +1,195 @@
+/**
+ * Backup & Restore Lambda Function
+ * Handles POST /backups and POST /backups/restore - admin only
+ * Writes backups of users, tasks, comments and task activity to the exports bucket
+ * (under backups/) and restores them; see backup.js for the archive format.
+ *
+ * Large tables can outlast the API Gateway timeout; invoke the function directly instead:
+ *   aws lambda invoke --function-name <project>-backup-restore --cli-binary-format raw-in-base64-out \
+ *     --payload '{"action":"restore","key":"backups/...","conflicts":"skip"}' out.json
+ * Or run it locally against local tables (DYNAMODB_ENDPOINT for DynamoDB Local):
+ *   node backup-restore.js backup backup.jsonl.gz
+ *   node backup-restore.js restore backup.jsonl.gz --conflicts skip|overwrite|fail [--dry-run]
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth,
+    EXPORTS_BUCKET,
+    s3
+} = require('./shared-utils');
+const { createBackup, restoreBackup } = require('./backup');
+
+// Lifetime of the download link returned for a new backup
+const BACKUP_URL_TTL_SECONDS = 5 * 60;
+
+exports.handler = async (event) => {
+    console.log('Backup Restore Event:', JSON.stringify(event, null, 2));
+
+    // Direct invocations are authorized by IAM
+    if (!event.httpMethod) {
+        return event.action === 'restore'
+            ? await restoreFromBucket(event)
+            : await backupToBucket();
+    }
+
+    try {
+        const { httpMethod, resource, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can back up and restore data' });
+        }
+
+        if (httpMethod !== 'POST') {
+            return response(405, { error: 'Method not allowed' });
+        }
+
+        if (resource === '/backups/restore') {
+            return await restore(JSON.parse(body || '{}'));
+        }
+
+        const backup = await backupToBucket();
+        return response(201, { message: 'Backup created successfully', ...backup });
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Write a backup to the bucket
+ * @returns {Promise<Object>} { key, counts, url, expiresAt }
+ */
+async function backupToBucket(now = new Date()) {
+    const key = `backups/backup-${now.toISOString().replace(/[:.]/g, '-')}.jsonl.gz`;
+    const { stream, counts } = createBackup(now);
+
+    await s3.upload({
+        Bucket: EXPORTS_BUCKET,
+        Key: key,
+        Body: stream,
+        ContentType: 'application/gzip'
+    }).promise();
+
+    const url = await s3.getSignedUrlPromise('getObject', {
+        Bucket: EXPORTS_BUCKET,
+        Key: key,
+        Expires: BACKUP_URL_TTL_SECONDS
+    });
+
+    console.log('Backup written:', key, JSON.stringify(counts));
+    return {
+        key,
+        counts,
+        url,
+        expiresAt: new Date(now.getTime() + BACKUP_URL_TTL_SECONDS * 1000).toISOString()
+    };
+}
+
+/**
+ * Restore a backup stored in the bucket
+ * @param {Object} options - { key, conflicts, dryRun }
+ * @returns {Promise<Object>} Report from restoreBackup()
+ */
+async function restoreFromBucket({ key, conflicts, dryRun }) {
+    const openArchive = () => s3.getObject({ Bucket: EXPORTS_BUCKET, Key: key }).createReadStream();
+    const report = await restoreBackup(openArchive, { conflicts, dryRun: dryRun === true });
+    console.log('Backup restored:', key, JSON.stringify(report));
+    return report;
+}
+
+/**
+ * POST /backups/restore - restore a backup from the bucket
+ */
+async function restore(input) {
+    const { key } = input;
+    if (typeof key !== 'string' || !/^backups\/[\w.-]+$/.test(key)) {
+        return response(400, { error: 'Invalid key. Must name a backup in the backups/ folder' });
+    }
+
+    try {
+        await s3.headObject({ Bucket: EXPORTS_BUCKET, Key: key }).promise();
+    } catch (error) {
+        if (error.code === 'NotFound') {
+            return response(404, { error: 'Backup not found' });
+        }
+        throw error;
+    }
+
+    try {
+        const report = await restoreFromBucket(input);
+        return response(200, {
+            message: report.dryRun ? 'Backup checked successfully' : 'Backup restored successfully',
+            ...report
+        });
+    } catch (error) {
+        if (error.code === 'InvalidRequest' || error.code === 'InvalidBackup') {
+            return response(400, { error: error.message });
+        }
+        if (error.code === 'RestoreConflict') {
+            return response(409, { error: error.message, ...error.report });
+        }
+        throw error;
+    }
+}
+
+/**
+ * Command line entry point for local runs
+ * @param {Array<string>} args - backup FILE | restore FILE --conflicts POLICY [--dry-run]
+ * @returns {Promise<Object>} Backup counts or restore report
+ */
+async function main(args) {
+    const [command, file] = args;
+    const option = name => {
+        const index = args.indexOf(name);
+        return index === -1 ? undefined : args[index + 1];
+    };
+
+    if (command === 'backup' && file) {
+        const { stream, counts } = createBackup();
+        await pipeline(stream, fs.createWriteStream(file));
+        return { file, counts };
+    }
+
+    if (command === 'restore' && file) {
+        return await restoreBackup(() => fs.createReadStream(file), {
+            conflicts: option('--conflicts'),
+            dryRun: args.includes('--dry-run')
+        });
+    }
+
+    throw new Error('Usage: node backup-restore.js backup FILE | restore FILE --conflicts skip|overwrite|fail [--dry-run]');
+}
+
+exports.main = main;
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Backup/restore failed:', error.message);
+            process.exit(1);
+        });
+}
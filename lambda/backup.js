@@ -0,0 +1,339 @@
+/**
+ * Application-level backup and restore
+ * A backup is one gzipped JSON Lines archive of the users, tasks, comments and task
+ * activity tables, independent of DynamoDB point-in-time recovery. Restoring replays
+ * it item by item with the original IDs, then rebuilds the task membership index and
+ * the task list order.
+ *
+ * Archive format (version 1), one JSON document per line:
+ *   { "format": "task-management-backup", "version": 1, "createdAt": "...", "tables": [...] }
+ *   { "table": "users", "item": { ... } }           one line per item, table by table
+ *   { "end": true, "counts": { "users": 3, ... } }  proves the archive is complete
+ */
+
+const { Readable, pipeline } = require('stream');
+const { createGzip, createGunzip } = require('zlib');
+const {
+    batchGetAll,
+    TASKS_TABLE,
+    USERS_TABLE,
+    COMMENTS_TABLE,
+    ACTIVITY_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { backfillTaskMembership } = require('./task-membership');
+const { backfillTaskListOrder } = require('./task-queries');
+
+const BACKUP_FORMAT = 'task-management-backup';
+const BACKUP_VERSION = 1;
+
+// Restored in this order, so users exist before the tasks assigned to them
+const BACKUP_TABLES = [
+    { name: 'users', tableName: USERS_TABLE, keys: ['userId'] },
+    { name: 'tasks', tableName: TASKS_TABLE, keys: ['taskId'] },
+    { name: 'comments', tableName: COMMENTS_TABLE, keys: ['taskId', 'commentId'] },
+    { name: 'activity', tableName: ACTIVITY_TABLE, keys: ['taskId', 'activityId'] }
+];
+
+/**
+ * What to do with an archived item whose ID already exists in the target tables
+ * skip keeps the existing item, overwrite replaces it, fail stops before anything is written
+ */
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'fail'];
+
+// Archived items whose conflicts are looked up together
+const CHECK_BATCH_SIZE = 100;
+
+function backupError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+const tableSpec = name => BACKUP_TABLES.find(spec => spec.name === name);
+const itemKey = (spec, item) => Object.fromEntries(spec.keys.map(key => [key, item[key]]));
+const keyString = (spec, item) => `${spec.name}|${spec.keys.map(key => item[key]).join('|')}`;
+
+/**
+ * Lines of the archive, reading each table a page at a time
+ * @param {Date} now - Backup time
+ * @param {Object} counts - Filled with the number of items per table as they are read
+ */
+async function* backupLines(now, counts) {
+    yield `${JSON.stringify({
+        format: BACKUP_FORMAT,
+        version: BACKUP_VERSION,
+        createdAt: now.toISOString(),
+        tables: BACKUP_TABLES.map(spec => spec.name)
+    })}\n`;
+
+    for (const spec of BACKUP_TABLES) {
+        counts[spec.name] = 0;
+        let ExclusiveStartKey;
+
+        do {
+            const result = await dynamodb.scan({ TableName: spec.tableName, ExclusiveStartKey }).promise();
+            const items = result.Items || [];
+            counts[spec.name] += items.length;
+            yield items.map(item => `${JSON.stringify({ table: spec.name, item })}\n`).join('');
+            ExclusiveStartKey = result.LastEvaluatedKey;
+        } while (ExclusiveStartKey);
+    }
+
+    yield `${JSON.stringify({ end: true, counts })}\n`;
+}
+
+/**
+ * Stream a backup of every table
+ * @param {Date} [now] - Backup time
+ * @returns {Object} { stream, counts } - stream is the gzipped archive; counts per table
+ *   are complete once the stream has ended
+ */
+function createBackup(now = new Date()) {
+    const counts = {};
+    const gzip = createGzip();
+
+    // A failed read destroys the gzip stream, so whoever consumes it sees the error
+    pipeline(Readable.from(backupLines(now, counts)), gzip, () => {});
+
+    return { stream: gzip, counts };
+}
+
+/**
+ * Read the records of an archive, checking its header and end line
+ * @param {Readable} input - Gzipped archive
+ * @returns {AsyncGenerator<Object>} The header, then { table, item } per archived item
+ * @throws {Error} With code InvalidBackup when the archive is damaged, incomplete or of an unknown format
+ */
+async function* readBackup(input) {
+    const gunzip = createGunzip();
+    gunzip.setEncoding('utf8');
+    pipeline(input, gunzip, () => {});
+
+    let header = null;
+    let end = null;
+    const counts = {};
+
+    const parse = (line) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw backupError('InvalidBackup', 'Invalid backup: a line is not valid JSON');
+        }
+    };
+
+    async function* lines() {
+        let buffered = '';
+        try {
+            for await (const chunk of gunzip) {
+                buffered += chunk;
+                const complete = buffered.split('\n');
+                buffered = complete.pop();
+                yield* complete.filter(Boolean);
+            }
+        } catch (error) {
+            // zlib errors (Z_BUF_ERROR, Z_DATA_ERROR) mean a cut-off or damaged file
+            throw /^Z_/.test(error.code || '') ? backupError('InvalidBackup', `Invalid backup: ${error.message}`) : error;
+        }
+        if (buffered) {
+            yield buffered;
+        }
+    }
+
+    for await (const line of lines()) {
+        const record = parse(line);
+
+        if (!header) {
+            if (record.format !== BACKUP_FORMAT) {
+                throw backupError('InvalidBackup', 'Invalid backup: not a task management backup');
+            }
+            if (!Number.isInteger(record.version) || record.version > BACKUP_VERSION) {
+                throw backupError('InvalidBackup', `Unsupported backup version ${record.version}. This version reads up to version ${BACKUP_VERSION}`);
+            }
+            header = record;
+            yield header;
+        } else if (end) {
+            throw backupError('InvalidBackup', 'Invalid backup: data after the end line');
+        } else if (record.end) {
+            end = record;
+        } else {
+            const spec = tableSpec(record.table);
+            if (!spec || !record.item || spec.keys.some(key => typeof record.item[key] !== 'string')) {
+                throw backupError('InvalidBackup', `Invalid backup: unknown table or missing key in ${JSON.stringify(record.table)}`);
+            }
+            counts[spec.name] = (counts[spec.name] || 0) + 1;
+            yield record;
+        }
+    }
+
+    if (!header) {
+        throw backupError('InvalidBackup', 'Invalid backup: the file is empty');
+    }
+    if (!end || BACKUP_TABLES.some(spec => (counts[spec.name] || 0) !== (end.counts[spec.name] || 0))) {
+        throw backupError('InvalidBackup', 'Invalid backup: the archive is incomplete');
+    }
+}
+
+/**
+ * Find which archived items collide with items in the target tables
+ * An item collides when its ID exists; a user also collides when their email
+ * belongs to another user (e.g. one created on first sign-in to the new environment).
+ * @param {Array<Object>} records - { table, item } records of one table
+ * @returns {Promise<Array<Object>>} { key, replaces? } per colliding record, replaces being the other user's key
+ */
+async function findConflicts(records) {
+    const spec = tableSpec(records[0].table);
+    const existing = await batchGetAll(spec.tableName, records.map(record => itemKey(spec, record.item)));
+    const existingKeys = new Set(existing.map(item => keyString(spec, item)));
+    const conflicts = [];
+
+    for (const { item } of records) {
+        const key = keyString(spec, item);
+        if (existingKeys.has(key)) {
+            conflicts.push({ key });
+        } else if (spec.name === 'users' && item.email) {
+            const result = await dynamodb.query({
+                TableName: USERS_TABLE,
+                IndexName: 'EmailIndex',
+                KeyConditionExpression: 'email = :email',
+                ExpressionAttributeValues: { ':email': item.email }
+            }).promise();
+            const other = (result.Items || []).find(user => user.userId !== item.userId);
+            if (other) {
+                conflicts.push({ key, replaces: { userId: other.userId } });
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+/**
+ * Write one archived item under the conflict policy
+ * @returns {Promise<string>} 'restored' or 'skipped'
+ */
+async function restoreItem(spec, item, conflict, policy) {
+    if (conflict && policy === 'skip') {
+        return 'skipped';
+    }
+
+    if (conflict && policy === 'overwrite') {
+        if (conflict.replaces) {
+            await dynamodb.delete({ TableName: spec.tableName, Key: conflict.replaces }).promise();
+        }
+        await dynamodb.put({ TableName: spec.tableName, Item: item }).promise();
+        return 'restored';
+    }
+
+    // Guards against items written since the conflict check
+    try {
+        await dynamodb.put({
+            TableName: spec.tableName,
+            Item: item,
+            ConditionExpression: `attribute_not_exists(${spec.keys[0]})`
+        }).promise();
+        return 'restored';
+    } catch (error) {
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+        if (policy === 'fail') {
+            throw backupError('RestoreConflict', `Restore stopped: ${keyString(spec, item)} was created during the restore`);
+        }
+        if (policy === 'skip') {
+            return 'skipped';
+        }
+        await dynamodb.put({ TableName: spec.tableName, Item: item }).promise();
+        return 'restored';
+    }
+}
+
+/**
+ * Restore an archive into the tables
+ * The archive is read twice: first to check it is complete and find conflicts, then
+ * to write. A damaged archive, or any conflict under the fail policy, stops the restore
+ * before anything is written.
+ * @param {Function} openArchive - Returns a new Readable of the gzipped archive on each call
+ * @param {Object} options
+ * @param {string} options.conflicts - One of CONFLICT_POLICIES
+ * @param {boolean} [options.dryRun] - Only check the archive and report conflicts
+ * @returns {Promise<Object>} { backupCreatedAt, conflicts, dryRun, tables: { name: { items, conflicts, restored, skipped } }, membership, listOrder }
+ * @throws {Error} With code InvalidBackup, or RestoreConflict (with the report on error.report)
+ */
+async function restoreBackup(openArchive, { conflicts: policy, dryRun = false }) {
+    if (!CONFLICT_POLICIES.includes(policy)) {
+        throw backupError('InvalidRequest', `Invalid conflicts policy. Must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+    }
+
+    const tables = Object.fromEntries(BACKUP_TABLES.map(spec => [spec.name, { items: 0, conflicts: 0, restored: 0, skipped: 0 }]));
+    const conflictsByKey = new Map();
+    let header = null;
+    let batch = [];
+
+    const checkBatch = async () => {
+        if (batch.length === 0) return;
+        for (const conflict of await findConflicts(batch)) {
+            conflictsByKey.set(conflict.key, conflict);
+            tables[batch[0].table].conflicts++;
+        }
+        batch = [];
+    };
+
+    for await (const record of readBackup(openArchive())) {
+        if (!header) {
+            header = record;
+            continue;
+        }
+        if (batch.length > 0 && (batch[0].table !== record.table || batch.length === CHECK_BATCH_SIZE)) {
+            await checkBatch();
+        }
+        tables[record.table].items++;
+        batch.push(record);
+    }
+    await checkBatch();
+
+    const report = {
+        backupCreatedAt: header.createdAt,
+        conflicts: policy,
+        dryRun,
+        tables
+    };
+
+    if (policy === 'fail' && conflictsByKey.size > 0) {
+        const error = backupError('RestoreConflict', `Restore stopped: ${conflictsByKey.size} archived items already exist`);
+        error.report = report;
+        throw error;
+    }
+
+    if (dryRun) {
+        return report;
+    }
+
+    let first = true;
+    for await (const record of readBackup(openArchive())) {
+        if (first) {
+            first = false;
+            continue;
+        }
+        const spec = tableSpec(record.table);
+        const outcome = await restoreItem(spec, record.item, conflictsByKey.get(keyString(spec, record.item)), policy);
+        tables[record.table][outcome]++;
+    }
+
+    // The membership index is derived from the tasks, so it is rebuilt rather than archived
+    report.membership = await backfillTaskMembership();
+    // Archives taken before ListOrderIndex hold tasks without its attributes
+    report.listOrder = await backfillTaskListOrder();
+
+    return report;
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_VERSION,
+    BACKUP_TABLES,
+    CONFLICT_POLICIES,
+    createBackup,
+    readBackup,
+    restoreBackup
+};
@@ -0,0 +1,50 @@
+/**
+ * Calendar Feed Lambda Function
+ * Handles GET /calendar/{token}.ics - no sign-in, the token in the URL is the credential
+ * Serves the due dates of a user's open tasks as an iCalendar feed for calendar apps.
+ */
+
+const {
+    checkUserActive,
+    response,
+    textResponse
+} = require('./shared-utils');
+const {
+    getUserByCalendarToken,
+    loadCalendarTasks,
+    renderCalendar
+} = require('./calendar');
+
+exports.handler = async (event) => {
+    // The token is a credential, so it is not logged
+    console.log('Calendar Feed Event:', event.httpMethod, event.resource);
+
+    try {
+        const { httpMethod, pathParameters } = event;
+
+        if (httpMethod !== 'GET') {
+            return response(405, { error: 'Method not allowed' });
+        }
+
+        // API Gateway passes the whole last path segment, extension included
+        const token = ((pathParameters && pathParameters.token) || '').replace(/\.ics$/, '');
+
+        const user = await getUserByCalendarToken(token);
+        if (!user || !(await checkUserActive(user.email))) {
+            return response(404, { error: 'Calendar not found' });
+        }
+
+        const tasks = await loadCalendarTasks(user);
+
+        return textResponse(200, renderCalendar(tasks, user), 'text/calendar; charset=utf-8', {
+            'Content-Disposition': 'inline; filename="tasks.ics"',
+            'Cache-Control': 'private, max-age=300'
+        });
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -0,0 +1,193 @@
+/**
+ * iCalendar feed of task due dates
+ * Every user can subscribe their calendar app to GET /calendar/{token}.ics. The token is
+ * stored on the user record as calendarToken (found through CalendarTokenIndex) and is the
+ * only credential the feed needs, so rotating it cuts off every existing subscription.
+ * The feed lists the open tasks the user sees in the task list that have a due date.
+ */
+
+const crypto = require('crypto');
+const {
+    USERS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { loadVisibleTasks } = require('./task-queries');
+const { STATUS_IDS, isFinalStatus } = require('./workflow');
+const { taskLink } = require('./email-templates');
+
+const TOKEN_PATTERN = /^[0-9a-f]{48}$/;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// iCalendar PRIORITY runs from 1 (highest) to 9 (lowest); 0 means undefined
+const ICAL_PRIORITY = { urgent: 1, high: 3, medium: 5, low: 9 };
+
+// Lines longer than this many octets are folded (RFC 5545 section 3.1)
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * @returns {string} A new random feed token
+ */
+function createCalendarToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Find the user a feed token belongs to
+ * @param {string} token - Token from the feed URL
+ * @returns {Promise<Object|null>} User record, or null for an unknown token
+ */
+async function getUserByCalendarToken(token) {
+    if (!TOKEN_PATTERN.test(token || '')) {
+        return null;
+    }
+
+    const result = await dynamodb.query({
+        TableName: USERS_TABLE,
+        IndexName: 'CalendarTokenIndex',
+        KeyConditionExpression: 'calendarToken = :token',
+        ExpressionAttributeValues: { ':token': token }
+    }).promise();
+    return (result.Items && result.Items[0]) || null;
+}
+
+/**
+ * Give a user a new feed token, replacing the old one
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { token, createdAt }
+ */
+async function rotateCalendarToken(userId) {
+    const token = createCalendarToken();
+    const createdAt = new Date().toISOString();
+
+    await dynamodb.update({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET calendarToken = :token, calendarTokenCreatedAt = :createdAt',
+        ExpressionAttributeValues: { ':token': token, ':createdAt': createdAt }
+    }).promise();
+
+    return { token, createdAt };
+}
+
+/**
+ * The open tasks with a due date that a user sees in their task list
+ * @param {Object} user - User record
+ * @returns {Promise<Array<Object>>} Tasks, soonest due first
+ */
+async function loadCalendarTasks(user) {
+    const tasks = await loadVisibleTasks(user.email, user.role, {
+        status: STATUS_IDS.filter(status => !isFinalStatus(status)),
+        priority: [],
+        assignee: null,
+        createdBy: null,
+        dueFrom: null,
+        dueTo: null
+    });
+
+    return tasks
+        .filter(task => task.dueDate && !isNaN(new Date(task.dueDate).getTime()))
+        .sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0));
+}
+
+// TEXT values escape backslashes, semicolons, commas and newlines
+const escapeText = value => String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// 2024-01-31T09:15:00.000Z -> 20240131T091500Z
+const formatDateTime = value => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 2024-01-31 -> 20240131
+const formatDate = value => value.replace(/-/g, '');
+
+function nextDay(date) {
+    const next = new Date(`${date}T00:00:00Z`);
+    next.setUTCDate(next.getUTCDate() + 1);
+    return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Fold a content line into 75-octet chunks, continuing with a leading space
+ * Splits between characters, never inside a multi-byte one
+ */
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = chunks.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            chunks.push(chunk);
+            chunk = '';
+            octets = 0;
+        }
+        chunk += char;
+        octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+/**
+ * One VEVENT for a task, on its due date
+ * Date-only due dates are all-day events; due times are instants in UTC.
+ */
+function taskEvent(task, now) {
+    const link = taskLink(task.taskId);
+    const description = [
+        task.description,
+        `Status: ${task.status}`,
+        `Priority: ${task.priority}`,
+        link
+    ].filter(Boolean).join('\n');
+
+    const when = DATE_ONLY_PATTERN.test(task.dueDate)
+        ? [`DTSTART;VALUE=DATE:${formatDate(task.dueDate)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(task.dueDate))}`]
+        : [`DTSTART:${formatDateTime(task.dueDate)}`];
+
+    return [
+        'BEGIN:VEVENT',
+        `UID:task-${task.taskId}@task-management`,
+        `DTSTAMP:${formatDateTime(now)}`,
+        ...when,
+        `SUMMARY:${escapeText(`Due: ${task.title}`)}`,
+        `DESCRIPTION:${escapeText(description)}`,
+        `PRIORITY:${ICAL_PRIORITY[task.priority] || 0}`,
+        `SEQUENCE:${task.version || 0}`,
+        ...(task.updatedAt ? [`LAST-MODIFIED:${formatDateTime(task.updatedAt)}`] : []),
+        ...(link ? [`URL:${link}`] : []),
+        'END:VEVENT'
+    ];
+}
+
+/**
+ * Render a user's feed as an iCalendar document
+ * @param {Array<Object>} tasks - Tasks to list
+ * @param {Object} user - User the feed belongs to
+ * @param {Date} [now] - Current time
+ * @returns {string} text/calendar body with CRLF line endings
+ */
+function renderCalendar(tasks, user, now = new Date()) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Task Management System//Due Dates//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(`Task due dates (${user.email})`)}`,
+        ...tasks.flatMap(task => taskEvent(task, now)),
+        'END:VCALENDAR'
+    ];
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    getUserByCalendarToken,
+    rotateCalendarToken,
+    loadCalendarTasks,
+    renderCalendar
+};
@@ -0,0 +1,111 @@
+/**
+ * Chat Settings Lambda Function
+ * Handles /settings/chat - admin only
+ * Admins connect the team chat channel (a Slack or Teams incoming webhook), choose
+ * which task events it posts, pause it or disconnect it.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const {
+    CHAT_FORMATS,
+    CHAT_EVENTS,
+    getChatSettings,
+    validateChatSettings,
+    saveChatSettings,
+    deleteChatSettings
+} = require('./chat');
+
+exports.handler = async (event) => {
+    // The body holds the webhook URL, which is a credential, so it is not logged
+    console.log('Chat Settings Event:', event.httpMethod, event.resource);
+
+    try {
+        const { httpMethod, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can manage the team chat channel' });
+        }
+
+        switch (httpMethod) {
+            case 'GET':
+                return await getSettings();
+            case 'PUT':
+                return await updateSettings(JSON.parse(body || '{}'), userEmail);
+            case 'DELETE':
+                return await removeSettings();
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * The channel setting (null when none is connected) with the choices it accepts
+ */
+async function getSettings() {
+    const settings = await getChatSettings();
+    return response(200, { settings, formats: CHAT_FORMATS, events: CHAT_EVENTS });
+}
+
+/**
+ * Connect the channel, or change the fields sent
+ */
+async function updateSettings(settingsData, userEmail) {
+    const existing = await getChatSettings();
+
+    const validation = validateChatSettings(settingsData, existing);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    if (existing && Object.keys(validation.fields).length === 0) {
+        return response(400, { error: 'No updates provided' });
+    }
+
+    const settings = await saveChatSettings(existing, validation.fields, userEmail);
+
+    return response(200, {
+        message: 'Chat settings saved successfully',
+        settings
+    });
+}
+
+/**
+ * Disconnect the channel; messages still queued for it are dropped
+ */
+async function removeSettings() {
+    const existing = await getChatSettings();
+    if (!existing) {
+        return response(404, { error: 'No chat channel configured' });
+    }
+
+    await deleteChatSettings();
+
+    return response(200, { message: 'Chat channel disconnected' });
+}
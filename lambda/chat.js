@@ -0,0 +1,255 @@
+/**
+ * Team chat channel
+ * Admins can connect one team chat channel through its incoming-webhook URL. The setting
+ * is stored in SETTINGS_TABLE under CHAT_SETTING_ID:
+ *   { url, format: 'slack' | 'teams', events: ['task-created', ...], enabled }
+ * Handlers queue chat notifications next to their emails (chatJobs() in outbox.js), and
+ * notify() posts them with the chat channel of sendNotification() in shared-utils.js.
+ * Messages carry the task title, priority and assignees and link to the task.
+ */
+
+const {
+    SETTINGS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { taskLink } = require('./email-templates');
+
+const CHAT_SETTING_ID = 'chat';
+const CHAT_FORMATS = ['slack', 'teams'];
+
+// Events posted to the channel, in the order the settings list them
+const CHAT_EVENTS = [
+    { id: 'task-created', label: 'Task created' },
+    { id: 'task-completed', label: 'Task completed' },
+    { id: 'task-blocked', label: 'Task blocked' }
+];
+const CHAT_EVENT_IDS = CHAT_EVENTS.map(event => event.id);
+
+// Local stand-ins for the chat service may use plain HTTP
+const LOCAL_HOSTS = ['localhost', '127.0.0.1'];
+
+/**
+ * @returns {Promise<Object|null>} The chat channel setting, or null when none is configured
+ */
+async function getChatSettings() {
+    const result = await dynamodb.get({
+        TableName: SETTINGS_TABLE,
+        Key: { settingId: CHAT_SETTING_ID }
+    }).promise();
+    return result.Item || null;
+}
+
+/**
+ * Validate a chat channel setting from a request
+ * The first setting needs url and format; later ones change only the fields sent.
+ * @param {Object} input - Request body
+ * @param {Object|null} existing - Stored setting, or null
+ * @returns {Object} { valid: true, fields } or { valid: false, error } with the error body
+ */
+function validateChatSettings(input, existing) {
+    const fields = {};
+    const has = (field) => input[field] !== undefined;
+
+    if (!existing && (!input.url || !input.format)) {
+        return { valid: false, error: { error: 'Missing required fields: url and format' } };
+    }
+
+    if (has('url')) {
+        let url = null;
+        try {
+            url = typeof input.url === 'string' ? new URL(input.url) : null;
+        } catch (error) {
+            url = null;
+        }
+        const secure = url && (url.protocol === 'https:' ||
+            (url.protocol === 'http:' && LOCAL_HOSTS.includes(url.hostname)));
+        if (!secure) {
+            return { valid: false, error: { error: 'url must be an https:// incoming-webhook URL' } };
+        }
+        fields.url = url.toString();
+    }
+
+    if (has('format')) {
+        if (!CHAT_FORMATS.includes(input.format)) {
+            return { valid: false, error: { error: `Invalid format. Must be one of: ${CHAT_FORMATS.join(', ')}` } };
+        }
+        fields.format = input.format;
+    }
+
+    if (has('events')) {
+        if (!Array.isArray(input.events)) {
+            return { valid: false, error: { error: 'events must be a list of event types' } };
+        }
+        const unknownEvents = input.events.filter(event => !CHAT_EVENT_IDS.includes(event));
+        if (unknownEvents.length > 0) {
+            return { valid: false, error: { error: 'Unknown event types', unknownEvents, eventTypes: CHAT_EVENT_IDS } };
+        }
+        fields.events = [...new Set(input.events)];
+    }
+
+    if (has('enabled')) {
+        if (typeof input.enabled !== 'boolean') {
+            return { valid: false, error: { error: 'enabled must be true or false' } };
+        }
+        fields.enabled = input.enabled;
+    }
+
+    return { valid: true, fields };
+}
+
+/**
+ * Store the chat channel setting
+ * A new setting posts every event and starts enabled.
+ * @param {Object|null} existing - Stored setting, or null
+ * @param {Object} fields - Validated fields
+ * @param {string} userEmail - Admin making the change
+ * @returns {Promise<Object>} The stored setting
+ */
+async function saveChatSettings(existing, fields, userEmail) {
+    const now = new Date().toISOString();
+    const settings = {
+        events: CHAT_EVENT_IDS,
+        enabled: true,
+        createdAt: now,
+        ...existing,
+        ...fields,
+        settingId: CHAT_SETTING_ID,
+        updatedAt: now,
+        updatedBy: userEmail
+    };
+
+    await dynamodb.put({
+        TableName: SETTINGS_TABLE,
+        Item: settings
+    }).promise();
+
+    return settings;
+}
+
+/**
+ * Disconnect the chat channel
+ * @returns {Promise<void>}
+ */
+async function deleteChatSettings() {
+    await dynamodb.delete({
+        TableName: SETTINGS_TABLE,
+        Key: { settingId: CHAT_SETTING_ID }
+    }).promise();
+}
+
+/**
+ * @param {Object|null} settings - Chat channel setting
+ * @param {string} event - Chat event
+ * @returns {boolean} True if the event is posted to the channel
+ */
+function postsEvent(settings, event) {
+    return Boolean(settings && settings.enabled && settings.events.includes(event));
+}
+
+const HEADLINES = {
+    'task-created': vars => `New task created by ${vars.actor}`,
+    'task-completed': vars => `Task completed by ${vars.actor}`,
+    'task-blocked': vars => `Task blocked by ${vars.actor}`
+};
+
+// Teams accent colour by priority
+const PRIORITY_COLOURS = { low: '6c757d', medium: '007bff', high: 'fd7e14', urgent: 'dc3545' };
+
+// Slack treats these as control characters in message text
+const escapeSlack = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+// Teams renders a subset of Markdown and HTML in card text
+const escapeTeams = text => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/([\\`*_[\]#])/g, '\\$1');
+
+function slackMessage(headline, rows, vars, link) {
+    const title = link ? `<${link}|${escapeSlack(vars.title)}>` : `*${escapeSlack(vars.title)}*`;
+    return {
+        text: `${headline}: ${vars.title}`,
+        blocks: [
+            { type: 'section', text: { type: 'mrkdwn', text: `${escapeSlack(headline)}\n${title}` } },
+            {
+                type: 'section',
+                fields: rows.map(([label, value]) => ({ type: 'mrkdwn', text: `*${label}*\n${escapeSlack(value)}` }))
+            }
+        ]
+    };
+}
+
+function teamsMessage(headline, rows, vars, link) {
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: `${headline}: ${vars.title}`,
+        themeColor: PRIORITY_COLOURS[vars.priority] || PRIORITY_COLOURS.medium,
+        title: escapeTeams(vars.title),
+        sections: [{
+            activityTitle: escapeTeams(headline),
+            facts: rows.map(([label, value]) => ({ name: label, value: escapeTeams(value) }))
+        }],
+        ...(link && {
+            potentialAction: [{
+                '@type': 'OpenUri',
+                name: 'View task',
+                targets: [{ os: 'default', uri: link }]
+            }]
+        })
+    };
+}
+
+/**
+ * Render a chat message for a task event
+ * @param {string} format - One of CHAT_FORMATS
+ * @param {string} event - One of the CHAT_EVENTS ids
+ * @param {Object} vars - { taskId, title, priority, assignees, actor, reason? }
+ * @returns {Object} { format, summary, body } where body is the JSON to post
+ * @throws {Error} For an unknown format or event, or missing variables
+ */
+function renderChatMessage(format, event, vars) {
+    if (!CHAT_FORMATS.includes(format)) {
+        throw new Error(`Unknown chat format "${format}"`);
+    }
+    if (!HEADLINES[event]) {
+        throw new Error(`Unknown chat event "${event}"`);
+    }
+    const missing = ['taskId', 'title', 'priority', 'actor'].filter(key => typeof vars[key] !== 'string');
+    if (!Array.isArray(vars.assignees)) {
+        missing.push('assignees');
+    }
+    if (missing.length > 0) {
+        throw new Error(`Chat message "${event}" is missing variables: ${missing.join(', ')}`);
+    }
+
+    const headline = HEADLINES[event](vars);
+    const rows = [
+        ['Priority', vars.priority],
+        ['Assignees', vars.assignees.length > 0 ? vars.assignees.join(', ') : 'Unassigned'],
+        ...(vars.reason ? [['Reason', vars.reason]] : [])
+    ];
+    const link = taskLink(vars.taskId);
+
+    return {
+        format,
+        summary: `${headline}: ${vars.title}`,
+        body: format === 'slack'
+            ? slackMessage(headline, rows, vars, link)
+            : teamsMessage(headline, rows, vars, link)
+    };
+}
+
+module.exports = {
+    CHAT_FORMATS,
+    CHAT_EVENTS,
+    getChatSettings,
+    validateChatSettings,
+    saveChatSettings,
+    deleteChatSettings,
+    postsEvent,
+    renderChatMessage
+};
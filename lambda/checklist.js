@@ -0,0 +1,134 @@
+/**
+ * Task checklists
+ * A task's checklist is stored on the task item as an ordered array of
+ * { itemId, text, done, assignee, order }. Admins replace the whole list to add,
+ * reorder or remove items; anyone who may update the task can tick items off.
+ * Validation results carry the error body so handlers can answer 400 with it.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_ITEM_TEXT_LENGTH = 500;
+
+/**
+ * Validate a checklist sent by an admin and build the list to store
+ * Items keep their position in the array as their order. Items with an itemId
+ * are existing items: they keep their done flag unless a new one is given.
+ * @param {*} items - Raw checklist from the request
+ * @param {Array<Object>} current - Checklist stored on the task ([] for new tasks)
+ * @param {Array<string>} assignedMembers - Task assignees; item assignees must be among them
+ * @returns {Object} { valid: true, checklist } or { valid: false, error }
+ */
+function buildChecklist(items, current, assignedMembers) {
+    if (!Array.isArray(items)) {
+        return { valid: false, error: { error: 'Checklist must be an array of items' } };
+    }
+
+    if (items.length > MAX_CHECKLIST_ITEMS) {
+        return { valid: false, error: { error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` } };
+    }
+
+    const currentById = new Map(current.map(item => [item.itemId, item]));
+    const seen = new Set();
+    const checklist = [];
+
+    for (const [index, item] of items.entries()) {
+        if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+            return { valid: false, error: { error: `Checklist item ${index + 1} needs text` } };
+        }
+
+        const text = item.text.trim();
+        if (text.length > MAX_ITEM_TEXT_LENGTH) {
+            return { valid: false, error: { error: `Checklist item text must be ${MAX_ITEM_TEXT_LENGTH} characters or fewer` } };
+        }
+
+        if ('done' in item && typeof item.done !== 'boolean') {
+            return { valid: false, error: { error: 'Checklist item done must be true or false' } };
+        }
+
+        let existing = null;
+        if (item.itemId) {
+            existing = currentById.get(item.itemId);
+            if (!existing || seen.has(item.itemId)) {
+                return { valid: false, error: { error: 'Unknown or repeated checklist item', itemId: item.itemId } };
+            }
+            seen.add(item.itemId);
+        }
+
+        const assignee = item.assignee || null;
+        if (assignee && !assignedMembers.includes(assignee)) {
+            return {
+                valid: false,
+                error: { error: 'Checklist items can only be assigned to members assigned to the task', assignee }
+            };
+        }
+
+        checklist.push({
+            itemId: existing ? existing.itemId : uuidv4(),
+            text,
+            done: 'done' in item ? item.done : Boolean(existing && existing.done),
+            assignee,
+            order: index
+        });
+    }
+
+    return { valid: true, checklist };
+}
+
+/**
+ * Tick checklist items on or off
+ * @param {*} checkItems - Raw { [itemId]: boolean } map from the request
+ * @param {Array<Object>} checklist - Checklist to apply it to
+ * @returns {Object} { valid: true, checklist } or { valid: false, error }
+ */
+function setItemsDone(checkItems, checklist) {
+    if (!checkItems || typeof checkItems !== 'object' || Array.isArray(checkItems)) {
+        return { valid: false, error: { error: 'checkItems must map checklist item IDs to true or false' } };
+    }
+
+    const unknownItems = Object.keys(checkItems).filter(itemId => !checklist.some(item => item.itemId === itemId));
+    if (unknownItems.length > 0) {
+        return { valid: false, error: { error: 'Some checklist items do not exist', unknownItems } };
+    }
+
+    if (Object.values(checkItems).some(done => typeof done !== 'boolean')) {
+        return { valid: false, error: { error: 'checkItems must map checklist item IDs to true or false' } };
+    }
+
+    return {
+        valid: true,
+        checklist: checklist.map(item =>
+            item.itemId in checkItems ? { ...item, done: checkItems[item.itemId] } : item
+        )
+    };
+}
+
+/**
+ * Drop item assignees who are no longer assigned to the task
+ * @param {Array<Object>} checklist - Checklist
+ * @param {Array<string>} assignedMembers - New task assignees
+ * @returns {Array<Object>} Checklist
+ */
+function unassignRemovedMembers(checklist, assignedMembers) {
+    return checklist.map(item =>
+        item.assignee && !assignedMembers.includes(item.assignee) ? { ...item, assignee: null } : item
+    );
+}
+
+/**
+ * Number of items not yet done
+ * @param {Array<Object>} [checklist] - Checklist
+ * @returns {number} Open items
+ */
+function countOpenItems(checklist = []) {
+    return checklist.filter(item => !item.done).length;
+}
+
+module.exports = {
+    MAX_CHECKLIST_ITEMS,
+    buildChecklist,
+    setItemsDone,
+    unassignRemovedMembers,
+    countOpenItems
+};
@@ -0,0 +1,459 @@
+/**
+ * Task comments
+ * Comments live in COMMENTS_TABLE, one item per comment, instead of an ever-growing
+ * array on the task item. Replies point at their thread's top-level comment through
+ * parentId, so threads are one level deep however the client nests them.
+ * `@email` mentions are checked against USERS_TABLE and the mentioned users are notified
+ * through the outbox, in the same write as the comment.
+ * Tasks created before COMMENTS_TABLE kept their comments in a `comments` array on the
+ * task item; migrateLegacyComments() moves them over.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    validateAssignedMembers,
+    encodePageToken,
+    decodePageToken,
+    fetchAllPages,
+    batchWriteAll,
+    TASKS_TABLE,
+    COMMENTS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { notificationJob, writeWithOutbox } = require('./outbox');
+const { ACTIVITY_TYPES, activityWrites } = require('./activity-log');
+
+const MAX_COMMENT_LENGTH = 5000;
+const DEFAULT_COMMENT_PAGE_SIZE = 50;
+const MAX_COMMENT_PAGE_SIZE = 100;
+const MAX_MENTIONS = 20;
+
+// "@" followed by an email address; the "@" must start a word so plain addresses are not mentions
+const MENTION_PATTERN = /(^|[^\w@.])@([^\s@]+@[^\s@]+\.[A-Za-z]{2,})/g;
+
+/**
+ * Validate comment text
+ * @param {*} text - Raw text from the request
+ * @returns {Object} { valid, error, text } with text trimmed
+ */
+function validateCommentText(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+        return { valid: false, error: 'Comment text is required' };
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.length > MAX_COMMENT_LENGTH) {
+        return { valid: false, error: `Comment text must be ${MAX_COMMENT_LENGTH} characters or fewer` };
+    }
+
+    return { valid: true, text: trimmed };
+}
+
+/**
+ * Find the @email mentions in comment text
+ * @param {string} text - Comment text
+ * @returns {Array<string>} Mentioned emails, without duplicates, in order of appearance
+ */
+function parseMentions(text) {
+    const mentions = [];
+    for (const match of text.matchAll(MENTION_PATTERN)) {
+        if (!mentions.includes(match[2])) {
+            mentions.push(match[2]);
+        }
+    }
+    return mentions;
+}
+
+/**
+ * Parse and check the mentions in comment text
+ * Mentioned users follow the same rules as task assignees: they must exist,
+ * be active and be members
+ * @param {string} text - Validated comment text
+ * @returns {Promise<Object>} { valid, mentions } or { valid: false, error } with error as a response body
+ */
+async function validateMentions(text) {
+    const mentions = parseMentions(text);
+    if (mentions.length === 0) {
+        return { valid: true, mentions };
+    }
+
+    if (mentions.length > MAX_MENTIONS) {
+        return { valid: false, error: { error: `A comment can mention at most ${MAX_MENTIONS} users` } };
+    }
+
+    const { inactiveUsers, nonExistentUsers, adminUsers } = await validateAssignedMembers(mentions);
+
+    if (nonExistentUsers.length > 0) {
+        return { valid: false, error: { error: 'Some mentioned users do not exist in the system', nonExistentUsers } };
+    }
+
+    if (inactiveUsers.length > 0) {
+        return { valid: false, error: { error: 'Cannot mention deactivated users', inactiveUsers } };
+    }
+
+    if (adminUsers.length > 0) {
+        return { valid: false, error: { error: 'Only members can be mentioned', adminUsers } };
+    }
+
+    return { valid: true, mentions };
+}
+
+/**
+ * Notification jobs for everyone mentioned in a comment, whether or not they are assigned to the task
+ * @param {Object} task - Task the comment belongs to
+ * @param {string} author - Comment author's email
+ * @param {string} text - Comment text
+ * @param {Array<string>} recipients - Who to notify
+ * @returns {Array<Object>} Outbox jobs
+ */
+function mentionJobs(task, author, text, recipients) {
+    return recipients
+        .filter(email => email !== author)
+        .map(email => notificationJob({
+            to: email,
+            event: 'mentioned',
+            template: 'mentioned',
+            variables: {
+                taskId: task.taskId,
+                title: task.title,
+                author,
+                comment: text
+            }
+        }));
+}
+
+/**
+ * Snapshot of a comment for the activity log
+ */
+function activityComment(comment) {
+    return {
+        commentId: comment.commentId,
+        parentId: comment.parentId,
+        author: comment.author,
+        text: comment.text,
+        createdAt: comment.createdAt
+    };
+}
+
+/**
+ * Get a single comment
+ * @param {string} taskId - Task ID
+ * @param {string} commentId - Comment ID
+ * @returns {Promise<Object|null>} Comment item or null
+ */
+async function getComment(taskId, commentId) {
+    const result = await dynamodb.get({
+        TableName: COMMENTS_TABLE,
+        Key: { taskId, commentId }
+    }).promise();
+
+    return result.Item || null;
+}
+
+/**
+ * Add a comment or reply to a task and notify the users it mentions
+ * @param {Object} task - Task the comment belongs to
+ * @param {string} author - Author's email
+ * @param {string} text - Validated comment text
+ * @param {Object|null} parent - Comment being replied to, or null for a top-level comment
+ * @param {Array<string>} mentions - Validated mentions from validateMentions
+ * @returns {Promise<Object>} The stored comment
+ */
+async function createComment(task, author, text, parent = null, mentions = []) {
+    const { taskId } = task;
+    const now = new Date().toISOString();
+    const comment = {
+        taskId,
+        commentId: uuidv4(),
+        // Replies to replies join the same thread
+        parentId: parent ? (parent.parentId || parent.commentId) : null,
+        author,
+        text,
+        mentions,
+        createdAt: now,
+        updatedAt: now,
+        edited: false,
+        replyCount: 0
+    };
+
+    await writeWithOutbox([{
+        Put: {
+            TableName: COMMENTS_TABLE,
+            Item: comment,
+            ConditionExpression: 'attribute_not_exists(commentId)'
+        }
+    }, ...activityWrites(taskId, author, [{
+        type: ACTIVITY_TYPES.COMMENTED,
+        comment: activityComment(comment)
+    }])], mentionJobs(task, author, text, mentions));
+
+    if (comment.parentId) {
+        await dynamodb.update({
+            TableName: COMMENTS_TABLE,
+            Key: { taskId, commentId: comment.parentId },
+            UpdateExpression: 'ADD replyCount :one',
+            ExpressionAttributeValues: { ':one': 1 }
+        }).promise();
+    }
+
+    return comment;
+}
+
+/**
+ * Change the text of a comment and mark it as edited
+ * Only users the comment did not mention before are notified.
+ * @param {Object} task - Task the comment belongs to
+ * @param {Object} comment - Current comment item
+ * @param {string} text - Validated new text
+ * @param {string} editor - Editor's email (the author)
+ * @param {Array<string>} mentions - Validated mentions in the new text
+ * @returns {Promise<Object>} The updated comment
+ */
+async function editComment(task, comment, text, editor, mentions = []) {
+    const now = new Date().toISOString();
+    const alreadyMentioned = comment.mentions || [];
+    const updated = { ...comment, text, mentions, edited: true, editedAt: now, updatedAt: now };
+
+    await writeWithOutbox([{
+        Update: {
+            TableName: COMMENTS_TABLE,
+            Key: { taskId: comment.taskId, commentId: comment.commentId },
+            UpdateExpression: 'SET #text = :text, #mentions = :mentions, #edited = :edited, #editedAt = :now, #updatedAt = :now',
+            ConditionExpression: 'attribute_exists(commentId)',
+            ExpressionAttributeNames: {
+                '#text': 'text',
+                '#mentions': 'mentions',
+                '#edited': 'edited',
+                '#editedAt': 'editedAt',
+                '#updatedAt': 'updatedAt'
+            },
+            ExpressionAttributeValues: {
+                ':text': text,
+                ':mentions': mentions,
+                ':edited': true,
+                ':now': now
+            }
+        }
+    }, ...activityWrites(comment.taskId, editor, [{
+        type: ACTIVITY_TYPES.COMMENT_EDITED,
+        changes: [{ field: 'text', from: comment.text, to: text }],
+        comment: activityComment(updated)
+    }])], mentionJobs(task, editor, text, mentions.filter(email => !alreadyMentioned.includes(email))));
+
+    return updated;
+}
+
+/**
+ * Delete a comment
+ * A comment that has replies is blanked and flagged deleted so its thread stays intact;
+ * anything else is removed outright
+ * @param {Object} comment - Current comment item
+ * @param {string} actor - Email of the user deleting it
+ * @returns {Promise<Object>} { removed } - true if the item was removed, false if blanked
+ */
+async function deleteComment(comment, actor) {
+    const { taskId, commentId } = comment;
+    const removed = !(comment.replyCount > 0);
+    const activity = activityWrites(taskId, actor, [{
+        type: ACTIVITY_TYPES.COMMENT_DELETED,
+        changes: [{ field: 'text', from: comment.text, to: null }],
+        comment: activityComment(comment)
+    }]);
+
+    if (!removed) {
+        const now = new Date().toISOString();
+        await writeWithOutbox([{
+            Update: {
+                TableName: COMMENTS_TABLE,
+                Key: { taskId, commentId },
+                UpdateExpression: 'SET #text = :empty, #mentions = :none, #deleted = :deleted, #deletedAt = :now, #updatedAt = :now',
+                ExpressionAttributeNames: {
+                    '#text': 'text',
+                    '#mentions': 'mentions',
+                    '#deleted': 'deleted',
+                    '#deletedAt': 'deletedAt',
+                    '#updatedAt': 'updatedAt'
+                },
+                ExpressionAttributeValues: {
+                    ':empty': '',
+                    ':none': [],
+                    ':deleted': true,
+                    ':now': now
+                }
+            }
+        }, ...activity]);
+    } else {
+        await writeWithOutbox([{
+            Delete: {
+                TableName: COMMENTS_TABLE,
+                Key: { taskId, commentId }
+            }
+        }, ...activity]);
+
+        if (comment.parentId) {
+            await dynamodb.update({
+                TableName: COMMENTS_TABLE,
+                Key: { taskId, commentId: comment.parentId },
+                UpdateExpression: 'ADD replyCount :minusOne',
+                ConditionExpression: 'attribute_exists(commentId)',
+                ExpressionAttributeValues: { ':minusOne': -1 }
+            }).promise().catch(error => {
+                if (error.code !== 'ConditionalCheckFailedException') throw error;
+            });
+        }
+    }
+
+    return { removed };
+}
+
+/**
+ * Delete every comment of a task, replies included
+ * Called once the task itself is gone, so nothing can add comments in between.
+ * @param {string} taskId - Task ID
+ * @returns {Promise<number>} Number of comments deleted
+ */
+async function deleteTaskComments(taskId) {
+    const rows = await fetchAllPages('query', {
+        TableName: COMMENTS_TABLE,
+        KeyConditionExpression: 'taskId = :taskId',
+        ProjectionExpression: 'taskId, commentId',
+        ExpressionAttributeValues: { ':taskId': taskId }
+    });
+
+    await batchWriteAll(COMMENTS_TABLE, rows.map(row => ({
+        DeleteRequest: { Key: { taskId: row.taskId, commentId: row.commentId } }
+    })));
+
+    return rows.length;
+}
+
+/**
+ * Move the `comments` arrays of older tasks into COMMENTS_TABLE
+ * Each legacy comment becomes a top-level comment, then the array is removed from the
+ * task (bumping its version, as any other change to the item does). Legacy comments get
+ * stable IDs, so a run that stops half way can simply be started again.
+ * @returns {Promise<Object>} { tasksMigrated, commentsMigrated }
+ */
+async function migrateLegacyComments() {
+    const tasks = await fetchAllPages('scan', {
+        TableName: TASKS_TABLE,
+        ProjectionExpression: 'taskId, createdAt, #comments',
+        FilterExpression: 'attribute_exists(#comments)',
+        ExpressionAttributeNames: { '#comments': 'comments' }
+    });
+
+    let tasksMigrated = 0;
+    let commentsMigrated = 0;
+
+    for (const task of tasks) {
+        const rows = (task.comments || []).map((legacy, index) => {
+            const createdAt = legacy.timestamp || task.createdAt;
+            return {
+                PutRequest: {
+                    Item: {
+                        taskId: task.taskId,
+                        commentId: `legacy-${String(index).padStart(4, '0')}`,
+                        parentId: null,
+                        author: legacy.author,
+                        text: legacy.text,
+                        mentions: [],
+                        createdAt,
+                        updatedAt: createdAt,
+                        edited: false,
+                        replyCount: 0
+                    }
+                }
+            };
+        });
+
+        await batchWriteAll(COMMENTS_TABLE, rows);
+
+        try {
+            await dynamodb.update({
+                TableName: TASKS_TABLE,
+                Key: { taskId: task.taskId },
+                UpdateExpression: 'SET #version = if_not_exists(#version, :zero) + :one REMOVE #comments',
+                ConditionExpression: 'attribute_exists(taskId)',
+                ExpressionAttributeNames: { '#version': 'version', '#comments': 'comments' },
+                ExpressionAttributeValues: { ':zero': 0, ':one': 1 }
+            }).promise();
+        } catch (error) {
+            if (error.code !== 'ConditionalCheckFailedException') throw error;
+            // Deleted since the scan: its comments go with it
+            await deleteTaskComments(task.taskId);
+            continue;
+        }
+
+        tasksMigrated++;
+        commentsMigrated += rows.length;
+    }
+
+    return { tasksMigrated, commentsMigrated };
+}
+
+/**
+ * Parse limit/nextToken for a comment listing
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @returns {Object} { valid, error, query }
+ */
+function parseCommentQuery(queryStringParameters) {
+    const params = queryStringParameters || {};
+
+    let limit = DEFAULT_COMMENT_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_COMMENT_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_COMMENT_PAGE_SIZE}` };
+        }
+    }
+
+    let startKey = null;
+    if (params.nextToken) {
+        startKey = decodePageToken(params.nextToken);
+        if (!startKey || !startKey.taskId || !startKey.commentId || !startKey.createdAt) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return { valid: true, query: { limit, startKey } };
+}
+
+/**
+ * List one page of a task's comments, oldest first
+ * Replies always come after the comment they answer, so a client that
+ * groups by parentId never sees a reply before its thread
+ * @param {string} taskId - Task ID
+ * @param {Object} query - Query produced by parseCommentQuery
+ * @returns {Promise<Object>} { comments, nextToken }
+ */
+async function listComments(taskId, query) {
+    const result = await dynamodb.query({
+        TableName: COMMENTS_TABLE,
+        IndexName: 'CreatedAtIndex',
+        KeyConditionExpression: 'taskId = :taskId',
+        ExpressionAttributeValues: { ':taskId': taskId },
+        ScanIndexForward: true,
+        Limit: query.limit,
+        ...(query.startKey && query.startKey.taskId === taskId && { ExclusiveStartKey: query.startKey })
+    }).promise();
+
+    return {
+        comments: result.Items || [],
+        nextToken: result.LastEvaluatedKey ? encodePageToken(result.LastEvaluatedKey) : null
+    };
+}
+
+module.exports = {
+    MAX_COMMENT_LENGTH,
+    validateCommentText,
+    parseMentions,
+    validateMentions,
+    getComment,
+    createComment,
+    editComment,
+    deleteComment,
+    deleteTaskComments,
+    migrateLegacyComments,
+    parseCommentQuery,
+    listComments
+};
@@ -1,24 +1,30 @@
 /**
  * Delete Task Lambda Function
  * Handles task deletion (admin only)
- * Sends notifications to all assigned members
+ * Queues notifications to all assigned members in the same write as the delete
  */
 
 const {
     getUserRole,
     checkUserActive,
-    sendNotificationEmail,
     response,
+    parseExpectedVersion,
+    versionConflict,
     validateAuth,
     TASKS_TABLE,
     dynamodb
 } = require('./shared-utils');
+const { notificationJob, webhookJobs, writeWithOutbox } = require('./outbox');
+const { membershipWrites } = require('./task-membership');
+const { taskDeletedActivity } = require('./activity-log');
+const { removeTaskLinks } = require('./dependencies');
+const { deleteTaskComments } = require('./comments');
 
 exports.handler = async (event) => {
     console.log('Delete Task Event:', JSON.stringify(event, null, 2));
     
     try {
-        const { pathParameters, requestContext } = event;
+        const { pathParameters, headers, requestContext } = event;
         
         // Validate authentication
         const authResult = validateAuth(requestContext);
@@ -40,7 +46,13 @@ exports.handler = async (event) => {
             return response(403, { error: 'Forbidden - Only admins can delete tasks' });
         }
         
-        return await deleteTask(pathParameters, userEmail);
+        // Optional optimistic lock via If-Match
+        const expected = parseExpectedVersion(headers, null);
+        if (!expected.valid) {
+            return response(400, { error: 'Invalid expected version. Must be a non-negative integer' });
+        }
+        
+        return await deleteTask(pathParameters, userEmail, expected.version);
     } catch (error) {
         console.error('Error:', error);
         return response(500, { 
@@ -50,7 +62,7 @@ exports.handler = async (event) => {
     }
 };
 
-async function deleteTask(pathParameters, userEmail) {
+async function deleteTask(pathParameters, userEmail, expectedVersion = null) {
     if (!pathParameters || !pathParameters.taskId) {
         return response(400, { error: 'Missing required parameter: taskId' });
     }
@@ -70,27 +82,77 @@ async function deleteTask(pathParameters, userEmail) {
         
         const task = taskResult.Item;
         
-        // Delete the task
-        await dynamodb.delete({
-            TableName: TASKS_TABLE,
-            Key: { taskId }
-        }).promise();
+        if (expectedVersion !== null && expectedVersion !== (task.version || 0)) {
+            return versionConflict(task, expectedVersion);
+        }
+        
+        // With an expected version, refuse the delete if the task changed since it was read
+        const versionGuard = expectedVersion === null
+            ? {}
+            : {
+                ConditionExpression: expectedVersion > 0
+                    ? '#version = :version'
+                    : 'attribute_not_exists(#version)',
+                ExpressionAttributeNames: { '#version': 'version' },
+                ...(expectedVersion > 0 && { ExpressionAttributeValues: { ':version': expectedVersion } })
+            };
         
         // Notify all assigned members about task closure
-        const notifications = [];
-        if (task.assignedMembers && task.assignedMembers.length > 0) {
-            task.assignedMembers.forEach(memberEmail => {
-                notifications.push(
-                    sendNotificationEmail(
-                        memberEmail,
-                        'Task Closed',
-                        `Task "${task.title}" has been closed by ${userEmail}.\n\nDescription: ${task.description}\n\nFinal Status: ${task.status}`
-                    )
-                );
-            });
+        const jobs = (task.assignedMembers || []).map(memberEmail =>
+            notificationJob({
+                to: memberEmail,
+                event: 'task-deleted',
+                template: 'task-closed',
+                variables: {
+                    taskId,
+                    title: task.title,
+                    description: task.description,
+                    status: task.status,
+                    closedBy: userEmail
+                }
+            })
+        );
+        
+        // Subscribed webhooks get the task as it was before deletion
+        jobs.push(...await webhookJobs('task.deleted', { task, actor: userEmail }));
+        
+        const writes = [
+            { Delete: { TableName: TASKS_TABLE, Key: { taskId }, ...versionGuard } },
+            // Drop the task from every member's index
+            ...membershipWrites(taskId, task.assignedMembers, []),
+            ...taskDeletedActivity(task, userEmail)
+        ];
+        
+        try {
+            await writeWithOutbox(writes, jobs);
+        } catch (error) {
+            if (error.code !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+            
+            const latest = await dynamodb.get({
+                TableName: TASKS_TABLE,
+                Key: { taskId },
+                ConsistentRead: true
+            }).promise();
+            
+            if (!latest.Item) {
+                return response(404, { error: 'Task not found' });
+            }
+            return versionConflict(latest.Item, expectedVersion);
         }
         
-        await Promise.allSettled(notifications);
+        // The task is deleted from here on, so cleanup failures are logged rather than
+        // reported: a retry of the delete would only find the task gone
+        try {
+            // Unlink the task from the tasks it blocked and the tasks blocking it
+            await removeTaskLinks(task);
+            
+            // Comments have no use without their task; its activity log keeps what was said
+            await deleteTaskComments(taskId);
+        } catch (error) {
+            console.error(`Task ${taskId} was deleted but its links or comments could not be removed:`, error);
+        }
         
         return response(200, { 
             message: 'Task deleted successfully',
@@ -0,0 +1,27 @@
+/**
+ * Deliver Notifications Lambda Function
+ * Runs every minute on an EventBridge schedule and delivers the notification and
+ * webhook jobs that are due: new ones and failed ones whose retry delay has passed.
+ * Can also be run locally with the table environment variables set:
+ *   node deliver-notifications.js
+ */
+
+const { deliverDueNotifications } = require('./outbox');
+
+exports.handler = async () => {
+    console.log('Delivering notifications');
+
+    const result = await deliverDueNotifications({ now: new Date() });
+    console.log('Delivery complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Delivery failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,258 @@
+/**
+ * Task dependencies
+ * A task lists the tasks that must finish before it can start in `blockedBy`;
+ * each of those lists it back in `blocks`. blockedBy is what admins edit, and
+ * blocks is kept in step here so either side can be read without a scan.
+ */
+
+const {
+    batchGetAll,
+    TASKS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { notificationJob } = require('./outbox');
+const { isFinalStatus } = require('./workflow');
+
+const MAX_BLOCKERS = 20;
+const MAX_LINK_ATTEMPTS = 3;
+
+/**
+ * Follow blockedBy links upstream from the proposed blockers
+ * Reaching the task itself means the new links would close a loop.
+ * @param {string} taskId - Task whose blockers are being set
+ * @param {Array<string>} blockedBy - Proposed blockers
+ * @returns {Promise<Array<string>|null>} The loop as task IDs, each blocked by the next, or null
+ */
+async function findCycle(taskId, blockedBy) {
+    const reachedFrom = new Map(blockedBy.map(id => [id, taskId]));
+    let frontier = [...blockedBy];
+
+    while (frontier.length > 0) {
+        const items = await batchGetAll(TASKS_TABLE, frontier.map(id => ({ taskId: id })));
+        const next = [];
+
+        for (const item of items) {
+            for (const upstream of item.blockedBy || []) {
+                if (upstream === taskId) {
+                    const chain = [];
+                    for (let current = item.taskId; current !== taskId; current = reachedFrom.get(current)) {
+                        chain.unshift(current);
+                    }
+                    return [taskId, ...chain, taskId];
+                }
+                if (!reachedFrom.has(upstream)) {
+                    reachedFrom.set(upstream, item.taskId);
+                    next.push(upstream);
+                }
+            }
+        }
+
+        frontier = next;
+    }
+
+    return null;
+}
+
+/**
+ * Validate the blockers requested for a task
+ * @param {string|null} taskId - Task being updated, or null for a new task (which cannot be in a loop yet)
+ * @param {*} blockedBy - Raw blockedBy list from the request
+ * @returns {Promise<Object>} { valid: true, blockedBy } or { valid: false, error } with the error body
+ */
+async function validateBlockedBy(taskId, blockedBy) {
+    if (!Array.isArray(blockedBy) || blockedBy.some(id => typeof id !== 'string' || !id.trim())) {
+        return { valid: false, error: { error: 'blockedBy must be a list of task IDs' } };
+    }
+
+    const ids = [...new Set(blockedBy.map(id => id.trim()))];
+
+    if (ids.length > MAX_BLOCKERS) {
+        return { valid: false, error: { error: `A task can be blocked by at most ${MAX_BLOCKERS} tasks` } };
+    }
+
+    if (taskId && ids.includes(taskId)) {
+        return { valid: false, error: { error: 'A task cannot block itself' } };
+    }
+
+    const existing = await batchGetAll(TASKS_TABLE, ids.map(id => ({ taskId: id })));
+    const missingTasks = ids.filter(id => !existing.some(item => item.taskId === id));
+    if (missingTasks.length > 0) {
+        return { valid: false, error: { error: 'Some blocking tasks do not exist', missingTasks } };
+    }
+
+    const cycle = taskId ? await findCycle(taskId, ids) : null;
+    if (cycle) {
+        return { valid: false, error: { error: 'These dependencies would create a cycle', cycle } };
+    }
+
+    return { valid: true, blockedBy: ids };
+}
+
+/**
+ * Blockers of a task that have not reached a final state
+ * @param {Array<string>} [blockedBy] - Blocker IDs
+ * @returns {Promise<Array<Object>>} { taskId, title, status } of each open blocker
+ */
+async function getOpenBlockers(blockedBy = []) {
+    if (blockedBy.length === 0) {
+        return [];
+    }
+
+    const blockers = await batchGetAll(TASKS_TABLE, blockedBy.map(taskId => ({ taskId })));
+    return blockers
+        .filter(blocker => !isFinalStatus(blocker.status))
+        .map(({ taskId, title, status }) => ({ taskId, title, status }));
+}
+
+/**
+ * Add an ID to a link list on another task, unless it is already there
+ * The other task's version goes up, so clients holding it see it changed.
+ */
+async function addLink(taskId, field, linkedId) {
+    try {
+        await dynamodb.update({
+            TableName: TASKS_TABLE,
+            Key: { taskId },
+            UpdateExpression: 'SET #field = list_append(if_not_exists(#field, :empty), :linked), #version = if_not_exists(#version, :zero) + :one',
+            ConditionExpression: 'attribute_exists(taskId) AND NOT contains(#field, :linkedId)',
+            ExpressionAttributeNames: { '#field': field, '#version': 'version' },
+            ExpressionAttributeValues: { ':empty': [], ':linked': [linkedId], ':linkedId': linkedId, ':zero': 0, ':one': 1 }
+        }).promise();
+    } catch (error) {
+        // Already linked, or the other task is gone
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * Remove an ID from a link list on another task
+ * The list is rewritten only if nobody changed it since it was read, and the
+ * other task's version goes up as for addLink().
+ */
+async function removeLink(taskId, field, linkedId) {
+    for (let attempt = 1; attempt <= MAX_LINK_ATTEMPTS; attempt++) {
+        const result = await dynamodb.get({ TableName: TASKS_TABLE, Key: { taskId }, ConsistentRead: true }).promise();
+        const current = result.Item && result.Item[field];
+        if (!current || !current.includes(linkedId)) {
+            return;
+        }
+
+        try {
+            await dynamodb.update({
+                TableName: TASKS_TABLE,
+                Key: { taskId },
+                UpdateExpression: 'SET #field = :next, #version = if_not_exists(#version, :zero) + :one',
+                ConditionExpression: '#field = :current',
+                ExpressionAttributeNames: { '#field': field, '#version': 'version' },
+                ExpressionAttributeValues: {
+                    ':next': current.filter(id => id !== linkedId),
+                    ':current': current,
+                    ':zero': 0,
+                    ':one': 1
+                }
+            }).promise();
+            return;
+        } catch (error) {
+            if (error.code !== 'ConditionalCheckFailedException' || attempt === MAX_LINK_ATTEMPTS) {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Bring the blockers' `blocks` lists in line with a task's new blockedBy
+ * @param {string} taskId - Dependent task
+ * @param {Array<string>} previous - Blockers before the change ([] for new tasks)
+ * @param {Array<string>} next - Blockers after the change ([] for deleted tasks)
+ * @returns {Promise<void>}
+ */
+async function syncBlocks(taskId, previous = [], next = []) {
+    await Promise.all([
+        ...next.filter(id => !previous.includes(id)).map(id => addLink(id, 'blocks', taskId)),
+        ...previous.filter(id => !next.includes(id)).map(id => removeLink(id, 'blocks', taskId))
+    ]);
+}
+
+/**
+ * syncBlocks() for a task change that is already saved
+ * The change stands either way, so a failure is logged rather than thrown and the
+ * caller still reports the change as saved.
+ * @param {string} taskId - Dependent task
+ * @param {Array<string>} previous - Blockers before the change
+ * @param {Array<string>} next - Blockers after the change
+ * @returns {Promise<void>}
+ */
+async function syncBlocksAfterSave(taskId, previous = [], next = []) {
+    try {
+        await syncBlocks(taskId, previous, next);
+    } catch (error) {
+        console.error(`Could not update the blocks lists of the blockers of task ${taskId}:`, error);
+    }
+}
+
+/**
+ * Drop every link to a deleted task from the tasks on the other side
+ * @param {Object} task - The deleted task
+ * @returns {Promise<void>}
+ */
+async function removeTaskLinks(task) {
+    await Promise.all([
+        syncBlocks(task.taskId, task.blockedBy || [], []),
+        ...(task.blocks || []).map(id => removeLink(id, 'blockedBy', task.taskId))
+    ]);
+}
+
+/**
+ * Notifications telling the members of the dependent tasks that a blocker has finished
+ * Built before the blocker's update is written, so the blocker itself is left out of
+ * each dependent's remaining blockers.
+ * @param {Object} blocker - The task reaching a final state, with its new status
+ * @param {string} actorEmail - Who finished it; not notified
+ * @returns {Promise<Array<Object>>} Outbox jobs
+ */
+async function blockerFinishedJobs(blocker, actorEmail) {
+    const blocks = blocker.blocks || [];
+    if (blocks.length === 0) {
+        return [];
+    }
+
+    const dependents = await batchGetAll(TASKS_TABLE, blocks.map(taskId => ({ taskId })));
+    const jobs = [];
+
+    for (const dependent of dependents) {
+        const openBlockers = (await getOpenBlockers(dependent.blockedBy))
+            .filter(open => open.taskId !== blocker.taskId);
+
+        (dependent.assignedMembers || [])
+            .filter(memberEmail => memberEmail !== actorEmail)
+            .forEach(memberEmail => {
+                jobs.push(notificationJob({
+                    to: memberEmail,
+                    event: 'blocker-finished',
+                    template: 'blocker-finished',
+                    variables: {
+                        taskId: dependent.taskId,
+                        title: dependent.title,
+                        blockerTitle: blocker.title,
+                        blockerStatus: blocker.status,
+                        openBlockers: openBlockers.map(open => open.title)
+                    }
+                }));
+            });
+    }
+
+    return jobs;
+}
+
+module.exports = {
+    MAX_BLOCKERS,
+    validateBlockedBy,
+    getOpenBlockers,
+    syncBlocks,
+    syncBlocksAfterSave,
+    removeTaskLinks,
+    blockerFinishedJobs
+};
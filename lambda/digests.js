@@ -0,0 +1,250 @@
+/**
+ * Daily and weekly digest emails
+ * One email per opted-in user in place of a burst of individual ones. It lists the user's
+ * assigned tasks that changed since their last digest, tasks due soon and overdue tasks;
+ * admins also get a team summary. Each user record keeps `lastDigestSentAt`, which both
+ * marks where the next digest starts and keeps overlapping runs from sending twice.
+ * The digest is queued in the notification outbox together with the marker update.
+ */
+
+const {
+    fetchAllPages,
+    TASKS_TABLE,
+    USERS_TABLE
+} = require('./shared-utils');
+const { resolvePreferences, DIGEST_EVENT } = require('./notifications');
+const { notificationJob, writeWithOutbox } = require('./outbox');
+const { isFinalStatus } = require('./workflow');
+const { dueTime } = require('./reminders');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const PERIOD_MS = {
+    daily: DAY_MS,
+    weekly: 7 * DAY_MS
+};
+
+// A scheduled run may start a little early; a digest this close to its period is due
+const SCHEDULE_SLACK_MS = 2 * HOUR_MS;
+
+// Open tasks untouched for this long are listed as stale in the team summary
+const STALE_DAYS = 7;
+
+// The team summary names at most this many blocked and stale tasks each, longest
+// untouched first, so an admin's digest stays far below DynamoDB's 400 KB item limit
+const MAX_SUMMARY_TASKS = 25;
+
+/**
+ * @param {Object} user - User record
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @param {Date} now - Current time
+ * @returns {boolean} True if the user's next digest is due
+ */
+function isDigestDue(user, frequency, now) {
+    if (!user.lastDigestSentAt) {
+        return true;
+    }
+    const elapsed = now.getTime() - new Date(user.lastDigestSentAt).getTime();
+    return elapsed >= PERIOD_MS[frequency] - SCHEDULE_SLACK_MS;
+}
+
+/**
+ * What a user's digest covers
+ * @param {Object} user - User record
+ * @param {Object} preferences - Resolved preferences
+ * @param {Array<Object>} tasks - Every task
+ * @param {Date} now - Current time
+ * @returns {Object} { since, changed, dueSoon, overdue, team } - team only for admins
+ */
+function buildDigest(user, preferences, tasks, now) {
+    const period = PERIOD_MS[preferences.digest];
+    const since = user.lastDigestSentAt || new Date(now.getTime() - period).toISOString();
+    const horizon = now.getTime() + period;
+
+    const assigned = tasks.filter(task =>
+        (task.assignedMembers || []).includes(user.email) &&
+        !preferences.mutedTasks.includes(task.taskId)
+    );
+    const open = assigned.filter(task => !isFinalStatus(task.status));
+
+    const digest = {
+        since,
+        changed: assigned.filter(task => (task.updatedAt || task.createdAt) > since),
+        dueSoon: open.filter(task => {
+            const due = dueTime(task.dueDate);
+            return due !== null && due >= now.getTime() && due <= horizon;
+        }),
+        overdue: open.filter(task => {
+            const due = dueTime(task.dueDate);
+            return due !== null && due < now.getTime();
+        })
+    };
+
+    if (user.role === 'admin') {
+        digest.team = buildTeamSummary(tasks, now);
+    }
+    return digest;
+}
+
+/**
+ * Team summary for admins
+ * Completion rate is computed as on the admin dashboard: completed tasks over all tasks.
+ * blockedTotal and staleTotal count every such task; the lists are capped at MAX_SUMMARY_TASKS.
+ */
+function buildTeamSummary(tasks, now) {
+    const completed = tasks.filter(task => task.status === 'completed').length;
+    const staleBefore = new Date(now.getTime() - STALE_DAYS * DAY_MS).toISOString();
+    const lastTouched = task => task.updatedAt || task.createdAt;
+    const oldestFirst = list => [...list].sort((a, b) => lastTouched(a).localeCompare(lastTouched(b)));
+
+    const blocked = tasks.filter(task => task.status === 'blocked');
+    const stale = tasks.filter(task => !isFinalStatus(task.status) && lastTouched(task) < staleBefore);
+
+    return {
+        total: tasks.length,
+        completed,
+        completionRate: tasks.length > 0 ? Math.round((completed / tasks.length) * 100) : 0,
+        blocked: oldestFirst(blocked).slice(0, MAX_SUMMARY_TASKS),
+        blockedTotal: blocked.length,
+        stale: oldestFirst(stale).slice(0, MAX_SUMMARY_TASKS),
+        staleTotal: stale.length
+    };
+}
+
+// Admins always get their team summary; other digests only when something happened
+function isEmpty(digest) {
+    return !digest.team &&
+        digest.changed.length === 0 &&
+        digest.dueSoon.length === 0 &&
+        digest.overdue.length === 0;
+}
+
+/**
+ * Variables for the digest email template
+ * @param {Object} digest - Output of buildDigest()
+ * @param {string} frequency - 'daily' or 'weekly'
+ * @returns {Object} Template variables
+ */
+function digestVariables(digest, frequency) {
+    const entries = (tasks, detail) => tasks.map(task => ({
+        taskId: task.taskId,
+        title: task.title,
+        detail: detail(task)
+    }));
+
+    const variables = {
+        frequency,
+        changed: entries(digest.changed, task => task.status),
+        dueSoon: entries(digest.dueSoon, task => `due ${task.dueDate}`),
+        overdue: entries(digest.overdue, task => `was due ${task.dueDate}`)
+    };
+
+    if (digest.team) {
+        const { team } = digest;
+        Object.assign(variables, {
+            teamTotal: team.total,
+            teamCompleted: team.completed,
+            completionRate: team.completionRate,
+            blocked: entries(team.blocked, task => task.statusReason || 'no reason given'),
+            blockedTotal: team.blockedTotal,
+            stale: entries(team.stale, task => task.status),
+            staleTotal: team.staleTotal,
+            staleDays: STALE_DAYS
+        });
+    }
+    return variables;
+}
+
+/**
+ * Move a user's digest marker, unless another run already did, and queue the digest
+ * @param {Object} user - User record as scanned
+ * @param {Date} now - Current time
+ * @param {Object|null} job - Digest job, or null when there is nothing to send
+ * @returns {Promise<boolean>} True if this run claimed the digest
+ */
+async function claimDigest(user, now, job) {
+    const marker = {
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+        UpdateExpression: 'SET lastDigestSentAt = :now',
+        ConditionExpression: user.lastDigestSentAt
+            ? 'lastDigestSentAt = :previous'
+            : 'attribute_not_exists(lastDigestSentAt)',
+        ExpressionAttributeValues: {
+            ':now': now.toISOString(),
+            ...(user.lastDigestSentAt && { ':previous': user.lastDigestSentAt })
+        }
+    };
+
+    try {
+        await writeWithOutbox([{ Update: marker }], job ? [job] : []);
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Queue every digest that is due
+ * Users with nothing to report get no email, but their marker still moves on.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { users, sent, empty, failed } counts
+ */
+async function sendDueDigests({ now = new Date() } = {}) {
+    const users = await fetchAllPages('scan', {
+        TableName: USERS_TABLE,
+        FilterExpression: '#status = :active',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':active': 'active' }
+    });
+
+    const due = users
+        .map(user => ({ user, preferences: resolvePreferences(user.notificationPreferences) }))
+        .filter(({ user, preferences }) =>
+            preferences.digest !== 'off' && isDigestDue(user, preferences.digest, now)
+        );
+
+    const summary = { users: due.length, sent: 0, empty: 0, failed: 0 };
+    if (due.length === 0) {
+        return summary;
+    }
+
+    const tasks = await fetchAllPages('scan', { TableName: TASKS_TABLE });
+
+    for (const { user, preferences } of due) {
+        try {
+            const digest = buildDigest(user, preferences, tasks, now);
+            const job = isEmpty(digest) ? null : notificationJob({
+                to: user.email,
+                event: DIGEST_EVENT,
+                template: 'digest',
+                variables: digestVariables(digest, preferences.digest)
+            }, now);
+
+            if (!(await claimDigest(user, now, job))) {
+                continue;
+            }
+            summary[job ? 'sent' : 'empty'] += 1;
+        } catch (error) {
+            // One failed digest must not stop the others; its marker is unchanged, so the next run retries it
+            console.error(`Error sending digest to ${user.email}:`, error);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    STALE_DAYS,
+    MAX_SUMMARY_TASKS,
+    isDigestDue,
+    buildDigest,
+    digestVariables,
+    sendDueDigests
+};
@@ -0,0 +1,488 @@
+/**
+ * Email templates
+ * Every notification email is rendered from a named template here. A template declares
+ * the variables it takes and their types, and builds its content from blocks:
+ *   paragraph(text), alert(text), fields([[label, value]]), list(title, items)
+ * renderEmail() checks the variables, then turns the blocks into a plain-text part and an
+ * HTML part. Values are escaped when the HTML is built, so templates never handle markup.
+ * Templates about a task end with a link to it in the frontend (APP_URL + /task/{taskId}).
+ *
+ * Bump a template's version whenever its wording or variables change; the snapshot
+ * tests are keyed by name and version, so an unbumped change fails them.
+ */
+
+const APP_URL = (process.env.APP_URL || '').replace(/\/+$/, '');
+
+const isString = value => typeof value === 'string';
+
+// Variable types; a type ending in '?' may be left out
+const TYPES = {
+    string: isString,
+    number: value => typeof value === 'number' && isFinite(value),
+    list: value => Array.isArray(value) && value.every(isString),
+    // Tasks listed in a digest: [{ taskId, title, detail }]
+    tasks: value => Array.isArray(value) && value.every(task =>
+        task && isString(task.taskId) && isString(task.title) && isString(task.detail)
+    )
+};
+
+const paragraph = text => ({ type: 'paragraph', text });
+const alert = text => ({ type: 'alert', text });
+const fields = rows => ({ type: 'fields', rows: rows.filter(([, value]) => value !== undefined) });
+const list = (title, items) => ({ type: 'list', title, items });
+
+const URGENT_ALERT = 'THIS IS AN URGENT TASK - IMMEDIATE ATTENTION REQUIRED';
+const upper = value => value.toUpperCase();
+
+const taskItems = tasks => tasks.map(task => ({ text: `${task.title} (${task.detail})`, taskId: task.taskId }));
+
+const TEMPLATES = {
+    'task-assigned': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            description: 'string?',
+            priority: 'string',
+            status: 'string',
+            dueDate: 'string?',
+            assignedBy: 'string'
+        },
+        build: vars => {
+            const urgent = vars.priority === 'urgent';
+            return {
+                subject: urgent ? '🚨 URGENT: New Task Assigned to You' : 'New Task Assigned to You',
+                blocks: [
+                    ...(urgent ? [alert(URGENT_ALERT)] : []),
+                    paragraph(`${vars.assignedBy} assigned you to task "${vars.title}".`),
+                    fields([
+                        ['Description', vars.description],
+                        ['Priority', upper(vars.priority)],
+                        ['Due Date', vars.dueDate || 'Not set'],
+                        ['Status', vars.status]
+                    ]),
+                    ...(urgent ? [paragraph('Please prioritize this task immediately.')] : [])
+                ]
+            };
+        }
+    },
+
+    // One email per assignee for a bulk import; each listed task links to itself
+    'tasks-imported': {
+        version: 1,
+        link: false,
+        variables: { count: 'number', tasks: 'tasks', assignedBy: 'string' },
+        build: vars => ({
+            subject: vars.count === 1 ? 'New Task Assigned to You' : `${vars.count} New Tasks Assigned to You`,
+            blocks: [
+                paragraph(`${vars.assignedBy} imported ${vars.count === 1 ? 'a task' : `${vars.count} tasks`} and assigned you to them.`),
+                list('Your new tasks', taskItems(vars.tasks))
+            ]
+        })
+    },
+
+    'removed-from-task': {
+        version: 1,
+        variables: { taskId: 'string', title: 'string', removedBy: 'string' },
+        build: vars => ({
+            subject: 'Task Assignment Removed',
+            blocks: [paragraph(`${vars.removedBy} removed you from task "${vars.title}".`)]
+        })
+    },
+
+    'status-changed': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            fromStatus: 'string',
+            toStatus: 'string',
+            changedBy: 'string',
+            reason: 'string?'
+        },
+        build: vars => ({
+            subject: 'Task Status Updated',
+            blocks: [
+                paragraph(`Task "${vars.title}" status changed from "${vars.fromStatus}" to "${vars.toStatus}" by ${vars.changedBy}.`),
+                fields([['Reason', vars.reason]])
+            ]
+        })
+    },
+
+    'review-submitted': {
+        version: 1,
+        variables: { taskId: 'string', title: 'string', submittedBy: 'string', note: 'string' },
+        build: vars => ({
+            subject: 'Task Submitted for Review',
+            blocks: [
+                paragraph(`${vars.submittedBy} submitted task "${vars.title}" for review.`),
+                fields([['Note', vars.note]]),
+                paragraph('An admin can approve or reject it from the task page.')
+            ]
+        })
+    },
+
+    'review-approved': {
+        version: 1,
+        variables: { taskId: 'string', title: 'string', approvedBy: 'string' },
+        build: vars => ({
+            subject: 'Task Approved',
+            blocks: [paragraph(`Task "${vars.title}" was approved by ${vars.approvedBy} and is now completed.`)]
+        })
+    },
+
+    'review-rejected': {
+        version: 1,
+        variables: { taskId: 'string', title: 'string', rejectedBy: 'string', reason: 'string' },
+        build: vars => ({
+            subject: 'Task Rejected',
+            blocks: [
+                paragraph(`Task "${vars.title}" was not approved by ${vars.rejectedBy} and is back in progress.`),
+                fields([['Reason', vars.reason]])
+            ]
+        })
+    },
+
+    'priority-urgent': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            description: 'string?',
+            status: 'string',
+            changedBy: 'string'
+        },
+        build: vars => ({
+            subject: '🚨 URGENT: Task Priority Changed',
+            blocks: [
+                alert('THIS TASK IS NOW URGENT - IMMEDIATE ATTENTION REQUIRED'),
+                paragraph(`The priority of task "${vars.title}" has been changed to URGENT by ${vars.changedBy}.`),
+                fields([
+                    ['Description', vars.description],
+                    ['Status', vars.status]
+                ]),
+                paragraph('Please prioritize this task immediately.')
+            ]
+        })
+    },
+
+    'task-updated': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            description: 'string?',
+            priority: 'string',
+            status: 'string',
+            dueDate: 'string?',
+            changedFields: 'list',
+            updatedBy: 'string'
+        },
+        build: vars => ({
+            subject: 'Task Updated',
+            blocks: [
+                paragraph(`Task "${vars.title}" has been updated by ${vars.updatedBy}.`),
+                fields([
+                    ['Fields changed', vars.changedFields.join(', ')],
+                    ['Description', vars.description],
+                    ['Priority', upper(vars.priority)],
+                    ['Due Date', vars.dueDate || 'Not set'],
+                    ['Status', vars.status]
+                ])
+            ]
+        })
+    },
+
+    // The task no longer exists, so there is nothing to link to
+    'task-closed': {
+        version: 1,
+        link: false,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            description: 'string?',
+            status: 'string',
+            closedBy: 'string'
+        },
+        build: vars => ({
+            subject: 'Task Closed',
+            blocks: [
+                paragraph(`Task "${vars.title}" has been closed by ${vars.closedBy}.`),
+                fields([
+                    ['Description', vars.description],
+                    ['Final Status', vars.status]
+                ])
+            ]
+        })
+    },
+
+    'mentioned': {
+        version: 1,
+        variables: { taskId: 'string', title: 'string', author: 'string', comment: 'string' },
+        build: vars => ({
+            subject: 'You were mentioned in a comment',
+            blocks: [
+                paragraph(`${vars.author} mentioned you in a comment on task "${vars.title}":`),
+                paragraph(vars.comment)
+            ]
+        })
+    },
+
+    'blocker-finished': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            blockerTitle: 'string',
+            blockerStatus: 'string',
+            openBlockers: 'list'
+        },
+        build: vars => ({
+            subject: 'Blocking Task Finished',
+            blocks: [
+                paragraph(`Task "${vars.blockerTitle}", which blocks your task "${vars.title}", is now ${vars.blockerStatus}.`),
+                vars.openBlockers.length === 0
+                    ? paragraph('It has no open blockers left and can be started.')
+                    : list('It is still blocked by', vars.openBlockers)
+            ]
+        })
+    },
+
+    'due-soon': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            dueDate: 'string',
+            priority: 'string',
+            status: 'string'
+        },
+        build: vars => ({
+            subject: 'Task Due Soon',
+            blocks: [
+                paragraph(`Reminder: task "${vars.title}", assigned to you, is due soon.`),
+                fields([
+                    ['Due Date', vars.dueDate],
+                    ['Priority', upper(vars.priority)],
+                    ['Status', vars.status]
+                ])
+            ]
+        })
+    },
+
+    'overdue': {
+        version: 1,
+        variables: {
+            taskId: 'string',
+            title: 'string',
+            dueDate: 'string',
+            priority: 'string',
+            status: 'string',
+            assignedMembers: 'list'
+        },
+        build: vars => ({
+            subject: 'Task Overdue',
+            blocks: [
+                paragraph(`Task "${vars.title}", which you created, is past its due date.`),
+                fields([
+                    ['Due Date', vars.dueDate],
+                    ['Priority', upper(vars.priority)],
+                    ['Status', vars.status],
+                    ['Assigned to', vars.assignedMembers.join(', ')]
+                ])
+            ]
+        })
+    },
+
+    // Each listed task links to itself; the team summary is only filled in for admins
+    'digest': {
+        version: 2,
+        link: false,
+        variables: {
+            frequency: 'string',
+            changed: 'tasks',
+            dueSoon: 'tasks',
+            overdue: 'tasks',
+            teamTotal: 'number?',
+            teamCompleted: 'number?',
+            completionRate: 'number?',
+            blocked: 'tasks?',
+            blockedTotal: 'number?',
+            stale: 'tasks?',
+            staleTotal: 'number?',
+            staleDays: 'number?'
+        },
+        build: vars => {
+            const sections = [
+                ['Changed since your last digest', vars.changed],
+                ['Due soon', vars.dueSoon],
+                ['Overdue', vars.overdue]
+            ].filter(([, tasks]) => tasks.length > 0).map(([title, tasks]) => list(title, taskItems(tasks)));
+
+            if (vars.teamTotal !== undefined) {
+                // Long lists are cut short; the totals still count every task
+                const more = (tasks, total) => (total > tasks.length ? [{ text: `...and ${total - tasks.length} more` }] : []);
+                sections.push(
+                    paragraph(`Team summary: ${vars.teamCompleted} of ${vars.teamTotal} tasks completed (${vars.completionRate}%)`),
+                    list(`Blocked (${vars.blockedTotal})`, [...taskItems(vars.blocked), ...more(vars.blocked, vars.blockedTotal)]),
+                    list(`No activity in ${vars.staleDays} days (${vars.staleTotal})`, [...taskItems(vars.stale), ...more(vars.stale, vars.staleTotal)])
+                );
+            }
+
+            return {
+                subject: vars.frequency === 'weekly' ? 'Your Weekly Task Digest' : 'Your Daily Task Digest',
+                blocks: sections.length > 0 ? sections : [paragraph('Nothing new since your last digest.')]
+            };
+        }
+    }
+};
+
+/**
+ * @param {string} value - Untrusted text
+ * @returns {string} The text with HTML special characters escaped
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * @param {string} taskId - Task ID
+ * @returns {string|null} The task's page in the frontend, or null when APP_URL is not set
+ */
+function taskLink(taskId) {
+    return APP_URL ? `${APP_URL}/task/${encodeURIComponent(taskId)}` : null;
+}
+
+/**
+ * Check variables against a template's declared types
+ * @returns {string|null} What is wrong, or null
+ */
+function checkVariables(name, template, variables) {
+    const unknown = Object.keys(variables).filter(key => !template.variables[key]);
+    if (unknown.length > 0) {
+        return `Unknown variables for email template "${name}": ${unknown.join(', ')}`;
+    }
+    for (const [key, declared] of Object.entries(template.variables)) {
+        const optional = declared.endsWith('?');
+        const type = optional ? declared.slice(0, -1) : declared;
+        const value = variables[key];
+        if (value === undefined || value === null) {
+            if (!optional) {
+                return `Email template "${name}" is missing variable "${key}"`;
+            }
+        } else if (!TYPES[type](value)) {
+            return `Email template "${name}" variable "${key}" must be of type ${type}`;
+        }
+    }
+    return null;
+}
+
+function blockText(block) {
+    switch (block.type) {
+        case 'alert':
+            return `⚠️ ${block.text} ⚠️`;
+        case 'fields':
+            return block.rows.map(([label, value]) => `${label}: ${value}`).join('\n');
+        case 'list':
+            return [`${block.title}:`, ...block.items.map(item => `- ${item.text || item}`)].join('\n');
+        default:
+            return block.text;
+    }
+}
+
+function blockHtml(block) {
+    const multiline = text => escapeHtml(text).replace(/\n/g, '<br>');
+
+    switch (block.type) {
+        case 'alert':
+            return `<p style="margin: 0 0 12px; color: #c0392b; font-weight: bold;">⚠️ ${escapeHtml(block.text)} ⚠️</p>`;
+        case 'fields':
+            return `<table style="border-collapse: collapse; margin: 0 0 12px;">${block.rows.map(([label, value]) =>
+                `<tr><td style="padding: 2px 12px 2px 0; color: #666; vertical-align: top;">${escapeHtml(label)}</td>` +
+                `<td style="padding: 2px 0;">${multiline(value)}</td></tr>`
+            ).join('')}</table>`;
+        case 'list': {
+            const items = block.items.map(item => {
+                const text = escapeHtml(item.text || item);
+                const href = item.taskId && taskLink(item.taskId);
+                return `<li>${href ? `<a href="${escapeHtml(href)}" style="color: #007bff;">${text}</a>` : text}</li>`;
+            });
+            return `<p style="margin: 12px 0 4px; font-weight: bold;">${escapeHtml(block.title)}</p>` +
+                (items.length > 0 ? `<ul style="margin: 0 0 12px; padding-left: 20px;">${items.join('')}</ul>` : '');
+        }
+        default:
+            return `<p style="margin: 0 0 12px;">${multiline(block.text)}</p>`;
+    }
+}
+
+function layoutHtml(subject, body) {
+    return [
+        '<!DOCTYPE html>',
+        '<html>',
+        '<body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">',
+        '<div style="max-width: 600px; margin: 0 auto; padding: 20px;">',
+        `<h2 style="color: #2c3e50;">${escapeHtml(subject)}</h2>`,
+        '<div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #007bff; margin: 20px 0;">',
+        body,
+        '</div>',
+        '<hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">',
+        '<p style="color: #666; font-size: 12px; text-align: center;">',
+        'Task Management System - Automated Notification<br>',
+        'Please do not reply to this email',
+        '</p>',
+        '</div>',
+        '</body>',
+        '</html>'
+    ].join('\n');
+}
+
+/**
+ * Render a template into an email
+ * @param {string} name - Template name
+ * @param {Object} variables - Values for the template's declared variables
+ * @returns {Object} { template, version, subject, text, html }
+ * @throws {Error} For an unknown template or variables that do not match its declaration
+ */
+function renderEmail(name, variables) {
+    const template = TEMPLATES[name];
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+    const problem = checkVariables(name, template, variables || {});
+    if (problem) {
+        throw new Error(problem);
+    }
+
+    const { subject, blocks } = template.build(variables);
+    const link = template.link !== false && taskLink(variables.taskId);
+
+    const textParts = blocks.map(blockText);
+    const htmlParts = blocks.map(blockHtml);
+    if (link) {
+        textParts.push(`View task: ${link}`);
+        htmlParts.push(
+            `<p style="margin: 16px 0 0;"><a href="${escapeHtml(link)}" ` +
+            'style="background-color: #007bff; color: #fff; padding: 8px 16px; border-radius: 4px; text-decoration: none;">View task</a></p>'
+        );
+    }
+
+    return {
+        template: name,
+        version: template.version,
+        subject,
+        text: textParts.join('\n\n'),
+        html: layoutHtml(subject, htmlParts.join('\n'))
+    };
+}
+
+module.exports = {
+    TEMPLATES,
+    escapeHtml,
+    taskLink,
+    renderEmail
+};
@@ -0,0 +1,78 @@
+/**
+ * Export Tasks Lambda Function
+ * Handles GET /tasks/export?format=csv|json
+ * Exports the tasks of a list view: the same filters, sort order and role-based
+ * visibility as GET /tasks, without pagination. Responds 303 See Other with a
+ * short-lived download link to the file.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { parseTaskListQuery, loadVisibleTasks, sortTasks } = require('./task-queries');
+const { EXPORT_FORMATS, writeExport } = require('./task-export');
+
+exports.handler = async (event) => {
+    console.log('Export Tasks Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, queryStringParameters, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (httpMethod !== 'GET') {
+            return response(405, { error: 'Method not allowed' });
+        }
+
+        return await exportTasks(userEmail, userRole, queryStringParameters);
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+async function exportTasks(userEmail, userRole, queryStringParameters) {
+    const params = queryStringParameters || {};
+    const format = params.format || 'csv';
+    if (!EXPORT_FORMATS.includes(format)) {
+        return response(400, { error: `Invalid format. Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    // Page size and cursor do not apply: the export holds every matching task
+    const parsed = parseTaskListQuery({ ...params, limit: undefined, nextToken: undefined });
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    // Admins export all tasks, members only the tasks assigned to them
+    const { filters, sortBy, sortOrder } = parsed.query;
+    const tasks = sortTasks(await loadVisibleTasks(userEmail, userRole, filters), sortBy, sortOrder);
+
+    const file = await writeExport(tasks, format);
+
+    return response(303, {
+        message: `Exported ${tasks.length} tasks`,
+        count: tasks.length,
+        format,
+        ...file
+    }, { Location: file.url });
+}
@@ -0,0 +1,28 @@
+/**
+ * Generate Recurring Tasks Lambda Function
+ * Runs daily on an EventBridge schedule and creates the task instances of every
+ * active series that are due. Safe to run more than once a day: each occurrence
+ * is claimed on its series before the task is created.
+ * Can also be run locally with the table environment variables set:
+ *   node generate-recurring-tasks.js
+ */
+
+const { generateDueInstances } = require('./series');
+
+exports.handler = async () => {
+    console.log('Starting recurring task generation');
+
+    const result = await generateDueInstances();
+    console.log('Recurring task generation complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Recurring task generation failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,59 @@
+/**
+ * Get Report Summary Lambda Function
+ * Handles GET /reports/summary?from=YYYY-MM-DD&to=YYYY-MM-DD - admin only
+ * Cycle time, lead time, weekly throughput, burndown and counts by priority and
+ * assignee over a date range, computed from task status history (see reports.js).
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { parseReportQuery, buildSummaryReport } = require('./reports');
+
+exports.handler = async (event) => {
+    console.log('Get Report Summary Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, queryStringParameters, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can view reports' });
+        }
+
+        if (httpMethod !== 'GET') {
+            return response(405, { error: 'Method not allowed' });
+        }
+
+        const parsed = parseReportQuery(queryStringParameters);
+        if (!parsed.valid) {
+            return response(400, { error: parsed.error });
+        }
+
+        const report = await buildSummaryReport(parsed.range);
+        return response(200, report);
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
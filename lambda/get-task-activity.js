@@ -0,0 +1,97 @@
+/**
+ * Get Task Activity Lambda Function
+ * Returns the activity history of a task, newest first by default
+ * Members can read the history of tasks assigned to them; admins can read any
+ * task's history, including tasks that have since been deleted
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth,
+    TASKS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { parseActivityQuery, listTaskActivity } = require('./activity-log');
+
+exports.handler = async (event) => {
+    console.log('Get Task Activity Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { pathParameters, queryStringParameters, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        return await getTaskActivity(userEmail, userRole, pathParameters, queryStringParameters);
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+async function getTaskActivity(userEmail, userRole, pathParameters, queryStringParameters) {
+    if (!pathParameters || !pathParameters.taskId) {
+        return response(400, { error: 'Missing required parameter: taskId' });
+    }
+
+    const taskId = pathParameters.taskId;
+
+    const parsed = parseActivityQuery(queryStringParameters);
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    try {
+        // Members can only see the history of tasks assigned to them
+        if (userRole !== 'admin') {
+            const result = await dynamodb.get({
+                TableName: TASKS_TABLE,
+                Key: { taskId }
+            }).promise();
+
+            if (!result.Item) {
+                return response(404, { error: 'Task not found' });
+            }
+
+            const isAssigned = result.Item.assignedMembers &&
+                              result.Item.assignedMembers.includes(userEmail);
+            if (!isAssigned) {
+                return response(403, {
+                    error: 'Forbidden - You can only view activity of tasks assigned to you'
+                });
+            }
+        }
+
+        const { activity, nextToken } = await listTaskActivity(taskId, parsed.query);
+
+        return response(200, {
+            taskId,
+            activity,
+            count: activity.length,
+            nextToken
+        });
+    } catch (error) {
+        console.error('Error fetching task activity:', error);
+        return response(500, {
+            error: 'Failed to fetch task activity',
+            message: error.message
+        });
+    }
+}
@@ -1,6 +1,6 @@
 /**
  * Get Tasks Lambda Function
- * Handles retrieving tasks (all tasks or specific task by ID)
+ * Handles retrieving tasks (paginated list or specific task by ID)
  * Role-based access control: Admins see all, members see only their assigned tasks
  */
 
@@ -8,16 +8,18 @@ const {
     getUserRole,
     checkUserActive,
     response,
+    versionETag,
     validateAuth,
     TASKS_TABLE,
     dynamodb
 } = require('./shared-utils');
+const { parseTaskListQuery, listTasks, SORT_FIELDS, ADMIN_SORT_FIELDS } = require('./task-queries');
 
 exports.handler = async (event) => {
     console.log('Get Tasks Event:', JSON.stringify(event, null, 2));
     
     try {
-        const { pathParameters, requestContext } = event;
+        const { pathParameters, queryStringParameters, requestContext } = event;
         
         // Validate authentication
         const authResult = validateAuth(requestContext);
@@ -34,7 +36,7 @@ exports.handler = async (event) => {
             return response(403, { error: 'Account is deactivated' });
         }
         
-        return await getTasks(userEmail, userRole, pathParameters);
+        return await getTasks(userEmail, userRole, pathParameters, queryStringParameters);
     } catch (error) {
         console.error('Error:', error);
         return response(500, { 
@@ -44,10 +46,8 @@ exports.handler = async (event) => {
     }
 };
 
-async function getTasks(userEmail, userRole, pathParameters) {
+async function getTasks(userEmail, userRole, pathParameters, queryStringParameters) {
     try {
-        let tasks;
-        
         // Check if requesting a specific task
         if (pathParameters && pathParameters.taskId) {
             const result = await dynamodb.get({
@@ -72,35 +72,25 @@ async function getTasks(userEmail, userRole, pathParameters) {
                 }
             }
             
-            return response(200, { task });
+            return response(200, { task }, { ETag: versionETag(task.version) });
         }
         
-        if (userRole === 'admin') {
-            // Admins can see all tasks
-            const result = await dynamodb.scan({
-                TableName: TASKS_TABLE
-            }).promise();
-            tasks = result.Items || [];
-        } else {
-            // Members can only see tasks assigned to them
-            // Since DynamoDB doesn't support 'contains' in KeyConditionExpression,
-            // we'll scan and filter
-            const result = await dynamodb.scan({
-                TableName: TASKS_TABLE
-            }).promise();
-            
-            // Filter to only tasks where user is in assignedMembers array
-            tasks = (result.Items || []).filter(task => 
-                task.assignedMembers && task.assignedMembers.includes(userEmail)
-            );
+        // Parse pagination, filter and sort parameters; the admin list pages through an index
+        // ordered by creation time, so admins cannot pick another sort field
+        const parsed = parseTaskListQuery(queryStringParameters, {
+            sortFields: userRole === 'admin' ? ADMIN_SORT_FIELDS : SORT_FIELDS
+        });
+        if (!parsed.valid) {
+            return response(400, { error: parsed.error });
         }
         
-        // Sort by creation date (newest first)
-        tasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+        // Admins see all tasks, members only the tasks assigned to them
+        const { tasks, nextToken } = await listTasks(userEmail, userRole, parsed.query);
         
         return response(200, { 
             tasks, 
             count: tasks.length,
+            nextToken,
             userRole
         });
     } catch (error) {
@@ -0,0 +1,37 @@
+/**
+ * Get Workflow Lambda Function
+ * Returns the task status workflow so clients build their status selects
+ * from the same definition the task handlers enforce
+ */
+
+const {
+    getUserRole,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { getWorkflowDefinition } = require('./workflow');
+
+exports.handler = async (event) => {
+    console.log('Get Workflow Event:', JSON.stringify(event, null, 2));
+
+    try {
+        // Validate authentication
+        const authResult = validateAuth(event.requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userRole = await getUserRole(authResult.userEmail);
+
+        return response(200, {
+            workflow: getWorkflowDefinition(),
+            role: userRole
+        });
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
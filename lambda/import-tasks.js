@@ -0,0 +1,122 @@
+/**
+ * Import Tasks Lambda Function
+ * Handles POST /tasks/import - admin only
+ * Validates a CSV or JSON file of tasks row by row. A dry run returns the report only;
+ * a commit also creates the tasks of the valid rows.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { parseImport, validateRows, importRows } = require('./task-import');
+
+exports.handler = async (event) => {
+    // The file can be large, so only its size is logged
+    console.log('Import Tasks Event:', event.httpMethod, event.resource, `${(event.body || '').length} bytes`);
+
+    try {
+        const { httpMethod, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        // Only admins can create tasks
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can import tasks' });
+        }
+
+        if (httpMethod !== 'POST') {
+            return response(405, { error: 'Method not allowed' });
+        }
+
+        return await importTasks(JSON.parse(body || '{}'), userEmail);
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Row report as returned to the client
+ * A valid row left out because the import stopped carries notImportedError
+ */
+function rowResult({ row, valid, task, error }, taskId, notImportedError) {
+    return {
+        row,
+        valid,
+        task: taskId ? { ...task, taskId } : task,
+        ...(error && { error }),
+        ...(notImportedError && { error: notImportedError })
+    };
+}
+
+/**
+ * Validate the file and, in commit mode, create the tasks of its valid rows
+ */
+async function importTasks(input, userEmail) {
+    const parsed = parseImport(input);
+    if (!parsed.valid) {
+        return response(400, parsed.error);
+    }
+
+    const reports = await validateRows(parsed.tasks);
+    const validReports = reports.filter(report => report.valid);
+    const summary = {
+        mode: parsed.mode,
+        total: reports.length,
+        validCount: validReports.length,
+        invalidCount: reports.length - validReports.length
+    };
+
+    if (parsed.mode === 'dry-run') {
+        return response(200, { ...summary, rows: reports.map(report => rowResult(report)) });
+    }
+
+    if (validReports.length === 0) {
+        return response(400, {
+            error: 'No valid rows to import',
+            ...summary,
+            rows: reports.map(report => rowResult(report))
+        });
+    }
+
+    const { created, error } = await importRows(validReports, userEmail);
+    const taskIds = new Map(created.map((task, index) => [validReports[index], task.taskId]));
+
+    if (error) {
+        // Report which rows were created so they are not imported twice
+        const notImported = { error: 'Not imported: the import stopped before this row' };
+        return response(500, {
+            error: `Import stopped after ${created.length} of ${validReports.length} valid tasks`,
+            message: error,
+            ...summary,
+            created: created.length,
+            rows: reports.map(report => rowResult(report, taskIds.get(report), report.valid && !taskIds.has(report) ? notImported : null))
+        });
+    }
+
+    return response(201, {
+        message: `Imported ${created.length} of ${reports.length} tasks`,
+        ...summary,
+        created: created.length,
+        rows: reports.map(report => rowResult(report, taskIds.get(report)))
+    });
+}
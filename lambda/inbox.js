@@ -0,0 +1,189 @@
+/**
+ * In-app notification inbox
+ * Alongside the email, the outbox worker stores notifications about the events below in
+ * NOTIFICATIONS_TABLE, one item per recipient, so the frontend can show them with a
+ * read/unread state. The item is keyed by the outbox job ID, which makes storing it again
+ * on a retried delivery a no-op. Notifications about muted tasks are not stored; email
+ * preferences do not apply. Items expire after INBOX_RETENTION_DAYS.
+ */
+
+const {
+    fetchAllPages,
+    encodePageToken,
+    decodePageToken,
+    NOTIFICATIONS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { renderEmail } = require('./email-templates');
+const { getUserByEmail, resolvePreferences } = require('./notifications');
+
+// Events shown in the inbox
+const INBOX_EVENTS = ['task-assigned', 'task-unassigned', 'status-changed', 'mentioned', 'task-deleted'];
+
+// Template variables naming the user who caused the notification, in the order they are looked for
+const ACTOR_VARIABLES = ['assignedBy', 'removedBy', 'changedBy', 'submittedBy', 'approvedBy', 'rejectedBy', 'author', 'closedBy'];
+
+const INBOX_RETENTION_DAYS = 90;
+const DEFAULT_NOTIFICATION_PAGE_SIZE = 20;
+const MAX_NOTIFICATION_PAGE_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Store an outbox job in its recipient's inbox
+ * @param {Object} job - Outbox job
+ * @returns {Promise<boolean>} True if the notification is in the inbox, false if it was not stored
+ */
+async function storeNotification(job) {
+    if (!INBOX_EVENTS.includes(job.event)) {
+        return false;
+    }
+
+    const user = await getUserByEmail(job.to);
+    const preferences = resolvePreferences(user && user.notificationPreferences);
+    if (job.taskId && preferences.mutedTasks.includes(job.taskId)) {
+        return false;
+    }
+
+    const { variables } = job;
+    const actor = ACTOR_VARIABLES.map(name => variables[name]).find(Boolean);
+
+    try {
+        await dynamodb.put({
+            TableName: NOTIFICATIONS_TABLE,
+            Item: {
+                userEmail: job.to,
+                notificationId: job.jobId,
+                event: job.event,
+                subject: renderEmail(job.template, variables).subject,
+                ...(job.taskId && { taskId: job.taskId }),
+                ...(variables.title && { title: variables.title }),
+                ...(actor && { actor }),
+                read: false,
+                createdAt: job.createdAt,
+                expiresAt: Math.floor((new Date(job.createdAt).getTime() + INBOX_RETENTION_DAYS * DAY_MS) / 1000)
+            },
+            ConditionExpression: 'attribute_not_exists(notificationId)'
+        }).promise();
+    } catch (error) {
+        // Stored by an earlier attempt
+        if (error.code !== 'ConditionalCheckFailedException') {
+            throw error;
+        }
+    }
+    return true;
+}
+
+/**
+ * Parse limit/nextToken for a notification listing
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @returns {Object} { valid, error, query }
+ */
+function parseNotificationQuery(queryStringParameters) {
+    const params = queryStringParameters || {};
+
+    let limit = DEFAULT_NOTIFICATION_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_NOTIFICATION_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_NOTIFICATION_PAGE_SIZE}` };
+        }
+    }
+
+    let startKey = null;
+    if (params.nextToken) {
+        startKey = decodePageToken(params.nextToken);
+        if (!startKey || !startKey.userEmail || !startKey.notificationId || !startKey.createdAt) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return { valid: true, query: { limit, startKey } };
+}
+
+/**
+ * List one page of a user's notifications, newest first
+ * @param {string} userEmail - Recipient
+ * @param {Object} query - Query produced by parseNotificationQuery
+ * @returns {Promise<Object>} { notifications, nextToken }
+ */
+async function listNotifications(userEmail, query) {
+    const result = await dynamodb.query({
+        TableName: NOTIFICATIONS_TABLE,
+        IndexName: 'CreatedAtIndex',
+        KeyConditionExpression: 'userEmail = :userEmail',
+        ExpressionAttributeValues: { ':userEmail': userEmail },
+        ScanIndexForward: false,
+        Limit: query.limit,
+        ...(query.startKey && query.startKey.userEmail === userEmail && { ExclusiveStartKey: query.startKey })
+    }).promise();
+
+    return {
+        notifications: result.Items || [],
+        nextToken: result.LastEvaluatedKey ? encodePageToken(result.LastEvaluatedKey) : null
+    };
+}
+
+/**
+ * A user's unread notifications
+ * @param {string} userEmail - Recipient
+ * @returns {Promise<Array<Object>>} The unread notifications
+ */
+async function unreadNotifications(userEmail) {
+    return fetchAllPages('query', {
+        TableName: NOTIFICATIONS_TABLE,
+        KeyConditionExpression: 'userEmail = :userEmail',
+        FilterExpression: '#read = :unread',
+        ExpressionAttributeNames: { '#read': 'read' },
+        ExpressionAttributeValues: { ':userEmail': userEmail, ':unread': false }
+    });
+}
+
+/**
+ * Mark one of a user's notifications as read
+ * @param {string} userEmail - Recipient
+ * @param {string} notificationId - Notification ID
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} The notification, or null if the user has none with that ID
+ */
+async function markRead(userEmail, notificationId, now = new Date()) {
+    try {
+        const result = await dynamodb.update({
+            TableName: NOTIFICATIONS_TABLE,
+            Key: { userEmail, notificationId },
+            UpdateExpression: 'SET #read = :read, readAt = if_not_exists(readAt, :now)',
+            ConditionExpression: 'attribute_exists(notificationId)',
+            ExpressionAttributeNames: { '#read': 'read' },
+            ExpressionAttributeValues: { ':read': true, ':now': now.toISOString() },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Mark all of a user's notifications as read
+ * @param {string} userEmail - Recipient
+ * @param {Date} [now] - Current time
+ * @returns {Promise<number>} How many were unread
+ */
+async function markAllRead(userEmail, now = new Date()) {
+    const unread = await unreadNotifications(userEmail);
+    await Promise.all(unread.map(item => markRead(userEmail, item.notificationId, now)));
+    return unread.length;
+}
+
+module.exports = {
+    INBOX_EVENTS,
+    storeNotification,
+    parseNotificationQuery,
+    listNotifications,
+    unreadNotifications,
+    markRead,
+    markAllRead
+};
@@ -0,0 +1,28 @@
+/**
+ * Migrate Task Comments Lambda Function
+ * Moves the comments of tasks created before the comments table out of the
+ * task items and into COMMENTS_TABLE. Invoke once after deploying; safe to re-run:
+ *   aws lambda invoke --function-name <project>-migrate-task-comments out.json
+ * Can also be run locally with the table environment variables set:
+ *   node migrate-task-comments.js
+ */
+
+const { migrateLegacyComments } = require('./comments');
+
+exports.handler = async () => {
+    console.log('Starting legacy comment migration');
+
+    const result = await migrateLegacyComments();
+    console.log('Legacy comment migration complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
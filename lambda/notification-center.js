@@ -0,0 +1,111 @@
+/**
+ * Notification Center Lambda Function
+ * Handles GET /notifications, POST /notifications/read-all and
+ * POST /notifications/{notificationId}/read
+ * Every signed-in user reads their own in-app notifications, newest first with the
+ * number still unread, and marks one or all of them as read.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const {
+    parseNotificationQuery,
+    listNotifications,
+    unreadNotifications,
+    markRead,
+    markAllRead
+} = require('./inbox');
+
+exports.handler = async (event) => {
+    console.log('Notification Center Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, pathParameters, queryStringParameters, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+
+        // Creates the user record on first use
+        await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        const notificationId = pathParameters && pathParameters.notificationId;
+
+        switch (httpMethod) {
+            case 'GET':
+                return await getNotifications(userEmail, queryStringParameters);
+            case 'POST':
+                return notificationId
+                    ? await readNotification(userEmail, notificationId)
+                    : await readAllNotifications(userEmail);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List notifications - one page, newest first, with the unread count
+ */
+async function getNotifications(userEmail, queryStringParameters) {
+    const parsed = parseNotificationQuery(queryStringParameters);
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    const [{ notifications, nextToken }, unread] = await Promise.all([
+        listNotifications(userEmail, parsed.query),
+        unreadNotifications(userEmail)
+    ]);
+
+    return response(200, {
+        notifications,
+        unreadCount: unread.length,
+        nextToken
+    });
+}
+
+/**
+ * Mark one notification as read
+ */
+async function readNotification(userEmail, notificationId) {
+    const notification = await markRead(userEmail, notificationId);
+    if (!notification) {
+        return response(404, { error: 'Notification not found' });
+    }
+
+    const unread = await unreadNotifications(userEmail);
+    return response(200, { notification, unreadCount: unread.length });
+}
+
+/**
+ * Mark every notification as read
+ */
+async function readAllNotifications(userEmail) {
+    const marked = await markAllRead(userEmail);
+    return response(200, {
+        message: `${marked} notification(s) marked as read`,
+        marked,
+        unreadCount: 0
+    });
+}
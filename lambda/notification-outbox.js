@@ -0,0 +1,95 @@
+/**
+ * Notification Outbox Lambda Function
+ * Handles /outbox and /outbox/{jobId}/replay - admin only
+ * Admins list notification jobs (dead letters by default) and replay the ones
+ * that ran out of attempts once the cause has been fixed.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { parseJobQuery, listJobs, replayJob } = require('./outbox');
+
+exports.handler = async (event) => {
+    console.log('Notification Outbox Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, pathParameters, queryStringParameters, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can manage notification delivery' });
+        }
+
+        const jobId = pathParameters && pathParameters.jobId;
+
+        switch (httpMethod) {
+            case 'GET':
+                return await getJobs(queryStringParameters);
+            case 'POST':
+                return await replay(jobId, userEmail);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List jobs - one page, most recent first
+ */
+async function getJobs(queryStringParameters) {
+    const parsed = parseJobQuery(queryStringParameters);
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    const { jobs, nextToken } = await listJobs(parsed.query);
+    return response(200, {
+        status: parsed.query.status,
+        jobs,
+        count: jobs.length,
+        nextToken
+    });
+}
+
+/**
+ * Requeue a dead job
+ */
+async function replay(jobId, userEmail) {
+    if (!jobId) {
+        return response(400, { error: 'Missing required path parameter: jobId' });
+    }
+
+    const job = await replayJob(jobId, userEmail);
+    if (!job) {
+        return response(404, { error: 'No failed notification with that ID' });
+    }
+
+    return response(200, {
+        message: 'Notification queued for delivery',
+        job
+    });
+}
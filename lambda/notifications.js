@@ -0,0 +1,238 @@
+/**
+ * Notification delivery and per-user preferences
+ * The outbox worker (outbox.js) hands every notification to notify(), which looks up the
+ * recipient's preferences on their user record and then emails it now, leaves it for the
+ * digest or drops it. Emails are rendered from the templates in email-templates.js.
+ * Preferences are stored as:
+ *   notificationPreferences: { events: { 'status-changed': 'digest', ... }, mutedTasks: [taskId], digest: 'daily' }
+ * Events not listed use DEFAULT_DELIVERY. Muted tasks send nothing at all. `digest` is how
+ * often the digest email goes out; choosing digest delivery for an event opts into a daily one.
+ *
+ * Team notifications (channel 'chat') skip preferences and go to the team chat channel
+ * configured in chat.js. Both are delivered through sendNotification() in shared-utils.js.
+ */
+
+const {
+    sendNotification,
+    USERS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { renderEmail } = require('./email-templates');
+const { getChatSettings, postsEvent, renderChatMessage } = require('./chat');
+
+// Event types users can choose a delivery for, in the order the settings page shows them
+const EVENT_TYPES = [
+    { id: 'task-assigned', label: 'Assigned to a task' },
+    { id: 'task-unassigned', label: 'Removed from a task' },
+    { id: 'status-changed', label: 'Status changes and review decisions' },
+    { id: 'task-updated', label: 'Task details or priority changed' },
+    { id: 'task-deleted', label: 'Task deleted' },
+    { id: 'mentioned', label: 'Mentioned in a comment' },
+    { id: 'blocker-finished', label: 'A blocking task finished' },
+    { id: 'due-soon', label: 'Task due soon' },
+    { id: 'overdue', label: 'Task overdue (tasks you created)' }
+];
+
+const DELIVERY_MODES = ['instant', 'digest', 'off'];
+const DEFAULT_DELIVERY = 'instant';
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+const MAX_MUTED_TASKS = 200;
+
+const EVENT_IDS = EVENT_TYPES.map(type => type.id);
+
+// Event of the digest email itself, which is the delivery users chose and is always sent
+const DIGEST_EVENT = 'digest';
+
+/**
+ * @param {string} email - User email
+ * @returns {Promise<Object|null>} The user record, or null
+ */
+async function getUserByEmail(email) {
+    const result = await dynamodb.query({
+        TableName: USERS_TABLE,
+        IndexName: 'EmailIndex',
+        KeyConditionExpression: 'email = :email',
+        ExpressionAttributeValues: { ':email': email }
+    }).promise();
+    return (result.Items && result.Items[0]) || null;
+}
+
+/**
+ * Complete preferences with the default for every event
+ * @param {Object} [stored] - notificationPreferences from the user record
+ * @returns {Object} { events, mutedTasks, digest }
+ */
+function resolvePreferences(stored = {}) {
+    const events = {};
+    EVENT_IDS.forEach(id => {
+        const mode = stored.events && stored.events[id];
+        events[id] = DELIVERY_MODES.includes(mode) ? mode : DEFAULT_DELIVERY;
+    });
+    const digest = DIGEST_FREQUENCIES.includes(stored.digest)
+        ? stored.digest
+        : usesDigest(events) ? 'daily' : 'off';
+    return { events, mutedTasks: stored.mutedTasks || [], digest };
+}
+
+// True if any event is delivered by digest
+function usesDigest(events) {
+    return Object.values(events).includes('digest');
+}
+
+/**
+ * Validate a preferences update
+ * `events` may list only the events being changed; `mutedTasks` replaces the whole list.
+ * Sending an event to the digest while the digest is off turns on a daily digest.
+ * @param {Object} input - Request body
+ * @param {Object} current - Resolved preferences
+ * @returns {Object} { valid: true, preferences } or { valid: false, error }
+ */
+function validatePreferences(input, current) {
+    if (!input || (input.events === undefined && input.mutedTasks === undefined && input.digest === undefined)) {
+        return { valid: false, error: { error: 'Provide events, mutedTasks and/or digest' } };
+    }
+
+    const events = { ...current.events };
+    if (input.events !== undefined) {
+        if (!input.events || typeof input.events !== 'object' || Array.isArray(input.events)) {
+            return { valid: false, error: { error: 'events must map event types to a delivery mode' } };
+        }
+        const unknownEvents = Object.keys(input.events).filter(id => !EVENT_IDS.includes(id));
+        if (unknownEvents.length > 0) {
+            return { valid: false, error: { error: 'Unknown event types', unknownEvents, eventTypes: EVENT_IDS } };
+        }
+        const invalid = Object.entries(input.events).filter(([, mode]) => !DELIVERY_MODES.includes(mode));
+        if (invalid.length > 0) {
+            return { valid: false, error: { error: `Delivery must be one of: ${DELIVERY_MODES.join(', ')}` } };
+        }
+        Object.assign(events, input.events);
+    }
+
+    let mutedTasks = current.mutedTasks;
+    if (input.mutedTasks !== undefined) {
+        if (!Array.isArray(input.mutedTasks) || input.mutedTasks.some(id => typeof id !== 'string' || !id)) {
+            return { valid: false, error: { error: 'mutedTasks must be a list of task IDs' } };
+        }
+        mutedTasks = [...new Set(input.mutedTasks)];
+        if (mutedTasks.length > MAX_MUTED_TASKS) {
+            return { valid: false, error: { error: `At most ${MAX_MUTED_TASKS} tasks can be muted` } };
+        }
+    }
+
+    let digest = current.digest;
+    if (input.digest !== undefined) {
+        if (!DIGEST_FREQUENCIES.includes(input.digest)) {
+            return { valid: false, error: { error: `digest must be one of: ${DIGEST_FREQUENCIES.join(', ')}` } };
+        }
+        if (input.digest === 'off' && usesDigest(events)) {
+            return { valid: false, error: { error: 'Some notifications are set to digest; change them before turning the digest off' } };
+        }
+        digest = input.digest;
+    } else if (digest === 'off' && usesDigest(events)) {
+        digest = 'daily';
+    }
+
+    return { valid: true, preferences: { events, mutedTasks, digest } };
+}
+
+/**
+ * @param {string} userId - User ID
+ * @param {Object} preferences - Validated preferences
+ * @returns {Promise<Object>} The stored preferences
+ */
+async function savePreferences(userId, preferences) {
+    await dynamodb.update({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET notificationPreferences = :preferences, updatedAt = :now',
+        ExpressionAttributeValues: {
+            ':preferences': preferences,
+            ':now': new Date().toISOString()
+        }
+    }).promise();
+    return preferences;
+}
+
+/**
+ * How a notification would reach a user
+ * @param {Object} preferences - Resolved preferences
+ * @param {string} event - Event type
+ * @param {string} [taskId] - Task the notification is about
+ * @returns {string} 'instant', 'digest', 'off' or 'muted'
+ */
+function deliveryFor(preferences, event, taskId) {
+    if (taskId && preferences.mutedTasks.includes(taskId)) {
+        return 'muted';
+    }
+    return preferences.events[event] || DEFAULT_DELIVERY;
+}
+
+/**
+ * Deliver one notification according to the recipient's preferences
+ * Only instant notifications are emailed here; digest ones are covered by the digest.
+ * Nothing is emailed to a deactivated user.
+ * Failing to read preferences falls back to sending, so nobody silently misses mail.
+ * @param {Object} notification - Outbox job
+ * @param {string} [notification.channel] - 'chat' for the team chat channel; email otherwise
+ * @param {string} notification.to - Recipient email
+ * @param {string} notification.event - One of EVENT_TYPES, or DIGEST_EVENT; a CHAT_EVENTS id for chat
+ * @param {string} notification.template - Email template name, or the chat event
+ * @param {Object} notification.variables - Template variables; `taskId` is the task the notification is about
+ * @returns {Promise<string>} The delivery used ('off' for a deactivated user)
+ * @throws {Error} When sending fails
+ */
+async function notify({ channel, to, event, template, variables }) {
+    if (channel === 'chat') {
+        return notifyTeamChat(template, variables);
+    }
+
+    let delivery = DEFAULT_DELIVERY;
+    try {
+        const user = await getUserByEmail(to);
+        // Same rule as checkUserActive(): only a stored user who is not active is skipped
+        if (user && user.status !== 'active') {
+            return 'off';
+        }
+        if (event !== DIGEST_EVENT) {
+            delivery = deliveryFor(resolvePreferences(user && user.notificationPreferences), event, variables.taskId);
+        }
+    } catch (error) {
+        console.error(`Error reading notification preferences for ${to}:`, error);
+    }
+
+    if (delivery === 'instant') {
+        await sendNotification('email', to, renderEmail(template, variables));
+    }
+    return delivery;
+}
+
+/**
+ * Post a team notification to the chat channel, in the format it is set up for
+ * Nothing is posted if the channel was disconnected, disabled or unsubscribed since it was queued.
+ * @param {string} event - One of the CHAT_EVENTS ids
+ * @param {Object} variables - Message variables
+ * @returns {Promise<string>} 'instant', or 'off' when nothing was posted
+ */
+async function notifyTeamChat(event, variables) {
+    const settings = await getChatSettings();
+    if (!postsEvent(settings, event)) {
+        return 'off';
+    }
+
+    await sendNotification('chat', settings.url, renderChatMessage(settings.format, event, variables));
+    return 'instant';
+}
+
+module.exports = {
+    EVENT_TYPES,
+    DELIVERY_MODES,
+    DEFAULT_DELIVERY,
+    DIGEST_FREQUENCIES,
+    DIGEST_EVENT,
+    getUserByEmail,
+    resolvePreferences,
+    validatePreferences,
+    savePreferences,
+    deliveryFor,
+    notify
+};
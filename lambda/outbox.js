@@ -0,0 +1,510 @@
+/**
+ * Notification outbox
+ * Handlers do not send notifications themselves. They build jobs with notificationJob()
+ * and write them in the same DynamoDB transaction as the change that caused them
+ * (writeWithOutbox), so a change is never saved without its notifications or the
+ * other way round. A change and its jobs must fit in one transaction
+ * (MAX_TRANSACT_ITEMS); larger ones are refused rather than half written. Jobs that
+ * do not belong to a change (e.g. one summary per assignee after an import) are
+ * queued with queueJobs().
+ *
+ * The deliver-notifications worker then picks up due jobs, stores them in the
+ * recipient's in-app inbox, emails each recipient according to their preferences and
+ * publishes the notification to the SNS topic. A failed delivery is retried with
+ * exponential backoff; after MAX_ATTEMPTS the job is kept as a dead letter until an
+ * admin replays it.
+ *
+ * Webhook deliveries (webhookJobs(), kind 'webhook') are queued the same way, one job per
+ * subscribed endpoint, and POSTed by the worker instead of emailed (see webhooks.js).
+ * Team chat notifications (chatJobs(), channel 'chat') go through notify() like emails.
+ *
+ * Job lifecycle (status): pending -> sent, or pending -> dead -> (replay) -> pending
+ */
+
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const {
+    encodePageToken,
+    decodePageToken,
+    OUTBOX_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { renderEmail } = require('./email-templates');
+const { notify } = require('./notifications');
+const { getChatSettings, postsEvent, renderChatMessage } = require('./chat');
+const { storeNotification } = require('./inbox');
+const { subscribedWebhooks, deliverWebhook } = require('./webhooks');
+
+const sns = new AWS.SNS();
+const SNS_TOPIC_ARN = process.env.SNS_TOPIC_ARN;
+
+const JOB_STATUSES = ['pending', 'sent', 'dead'];
+const MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 60 * 60 * 1000;
+// Delivered jobs expire (DynamoDB TTL) after this many days
+const SENT_RETENTION_DAYS = 7;
+// Jobs one worker run delivers; the rest wait for the next run
+const MAX_JOBS_PER_RUN = 200;
+// DynamoDB limit on the items in one transaction
+const MAX_TRANSACT_ITEMS = 100;
+
+const DEFAULT_JOB_PAGE_SIZE = 50;
+const MAX_JOB_PAGE_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a notification job
+ * The message is rendered once here so a template mismatch fails the request that
+ * caused it instead of every delivery attempt.
+ * @param {Object} notification
+ * @param {string} [notification.channel] - 'chat' for the team chat channel; email otherwise
+ * @param {string} notification.to - Recipient email
+ * @param {string} notification.event - Event type (see EVENT_TYPES in notifications.js)
+ * @param {string} notification.template - Email template name, or the chat event
+ * @param {Object} notification.variables - Template variables; `taskId` is the task it is about
+ * @param {Date} [now] - Current time
+ * @returns {Object} Outbox item, ready to write
+ */
+function notificationJob({ channel, to, event, template, variables }, now = new Date()) {
+    if (channel === 'chat') {
+        renderChatMessage('slack', template, variables);
+    } else {
+        renderEmail(template, variables);
+    }
+
+    return {
+        jobId: uuidv4(),
+        status: 'pending',
+        ...(channel && { channel }),
+        to,
+        event,
+        template,
+        variables,
+        ...(variables.taskId && { taskId: variables.taskId }),
+        attempts: 0,
+        nextAttemptAt: now.toISOString(),
+        createdAt: now.toISOString()
+    };
+}
+
+/**
+ * Build a webhook delivery job
+ * @param {string} webhookId - Endpoint to deliver to
+ * @param {Object} payload - Event payload from webhookJobs()
+ * @param {Date} [now] - Current time
+ * @param {Object} [extra] - Extra job fields, e.g. redeliveryOf
+ * @returns {Object} Outbox item, ready to write
+ */
+function webhookJob(webhookId, payload, now = new Date(), extra = {}) {
+    const task = payload.data.task;
+
+    return {
+        jobId: uuidv4(),
+        kind: 'webhook',
+        status: 'pending',
+        webhookId,
+        event: payload.event,
+        payload,
+        ...(task && task.taskId && { taskId: task.taskId }),
+        ...extra,
+        attempts: 0,
+        nextAttemptAt: now.toISOString(),
+        createdAt: now.toISOString()
+    };
+}
+
+/**
+ * Build the webhook deliveries for an event, one per active endpoint subscribed to it
+ * Every delivery of the event carries the same payload, whose `id` receivers can use
+ * to spot repeats.
+ * @param {string} event - One of WEBHOOK_EVENTS in webhooks.js
+ * @param {Object} data - Event data, e.g. { task, actor }
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Outbox items, ready to write (none without subscribers)
+ */
+async function webhookJobs(event, data, now = new Date()) {
+    const webhooks = await subscribedWebhooks(event);
+    if (webhooks.length === 0) {
+        return [];
+    }
+
+    const payload = { id: uuidv4(), event, occurredAt: now.toISOString(), data };
+    return webhooks.map(webhook => webhookJob(webhook.webhookId, payload, now));
+}
+
+/**
+ * Build the team chat notification for a task event, if the chat channel posts it
+ * @param {string} event - One of CHAT_EVENTS in chat.js
+ * @param {Object} task - The task as it will be stored
+ * @param {string} actor - Who caused the event
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Array<Object>>} Outbox items, ready to write (none when the channel is off)
+ */
+async function chatJobs(event, task, actor, now = new Date()) {
+    if (!postsEvent(await getChatSettings(), event)) {
+        return [];
+    }
+
+    return [notificationJob({
+        channel: 'chat',
+        to: 'team-chat',
+        event,
+        template: event,
+        variables: {
+            taskId: task.taskId,
+            title: task.title,
+            priority: task.priority,
+            assignees: task.assignedMembers || [],
+            actor,
+            ...(task.statusReason && event === 'task-blocked' && { reason: task.statusReason })
+        }
+    }, now)];
+}
+
+/**
+ * Delay before the next attempt after a failed one
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number} Milliseconds
+ */
+function retryDelay(attempts) {
+    return Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+}
+
+// A cancelled transaction whose condition failed is reported like a failed single write
+function conditionFailed(error) {
+    return error.code === 'ConditionalCheckFailedException' ||
+        (error.code === 'TransactionCanceledException' && /ConditionalCheckFailed/.test(error.message));
+}
+
+function outboxError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Write a change together with the notification jobs it causes
+ * Without jobs the change is written on its own. Everything goes in one transaction,
+ * so a change too large for one (more than MAX_TRANSACT_ITEMS writes and jobs together)
+ * is refused before anything is written; callers split their changes to fit.
+ * @param {Array<Object>} writes - Transaction items: { Put }, { Update } or { Delete }
+ * @param {Array<Object>} jobs - Jobs from notificationJob()
+ * @returns {Promise<void>}
+ * @throws {Error} With code ConditionalCheckFailedException when a write's condition fails,
+ *   or TransactionTooLarge when the change and its jobs do not fit in one transaction
+ */
+async function writeWithOutbox(writes, jobs = []) {
+    const size = writes.length + jobs.length;
+    if (size > MAX_TRANSACT_ITEMS) {
+        throw outboxError('TransactionTooLarge',
+            `A change can be saved with at most ${MAX_TRANSACT_ITEMS} writes and notifications together; this one has ${size}`);
+    }
+
+    if (jobs.length === 0 && writes.length === 1) {
+        const [write] = writes;
+        if (write.Put) {
+            await dynamodb.put(write.Put).promise();
+        } else if (write.Update) {
+            await dynamodb.update(write.Update).promise();
+        } else {
+            await dynamodb.delete(write.Delete).promise();
+        }
+        return;
+    }
+
+    const puts = jobs.map(job => ({ Put: { TableName: OUTBOX_TABLE, Item: job } }));
+
+    try {
+        await dynamodb.transactWrite({ TransactItems: [...writes, ...puts] }).promise();
+    } catch (error) {
+        if (conditionFailed(error)) {
+            throw outboxError('ConditionalCheckFailedException', 'The conditional request failed');
+        }
+        throw error;
+    }
+}
+
+/**
+ * Queue jobs that are not part of a change
+ * Jobs are written MAX_TRANSACT_ITEMS at a time, each chunk in its own transaction:
+ * a failure part way leaves the earlier chunks queued. Use writeWithOutbox() for jobs
+ * that must be saved together with a change.
+ * @param {Array<Object>} jobs - Jobs from notificationJob() or webhookJob()
+ * @returns {Promise<void>}
+ */
+async function queueJobs(jobs) {
+    for (let start = 0; start < jobs.length; start += MAX_TRANSACT_ITEMS) {
+        await writeWithOutbox([], jobs.slice(start, start + MAX_TRANSACT_ITEMS));
+    }
+}
+
+/**
+ * Take a job for one attempt
+ * Counting the attempt and moving nextAttemptAt past its retry delay up front means a
+ * worker that dies mid-delivery leaves the job to be retried, not lost, and another
+ * run cannot take it meanwhile.
+ * @returns {Promise<Object|null>} The claimed job, or null if another run has it
+ */
+async function claimJob(job, now) {
+    const attempts = job.attempts + 1;
+    try {
+        const result = await dynamodb.update({
+            TableName: OUTBOX_TABLE,
+            Key: { jobId: job.jobId },
+            UpdateExpression: 'SET attempts = :attempts, nextAttemptAt = :retryAt',
+            ConditionExpression: '#status = :pending AND attempts = :previous',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':attempts': attempts,
+                ':retryAt': new Date(now.getTime() + retryDelay(attempts)).toISOString(),
+                ':pending': 'pending',
+                ':previous': job.attempts
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Publish a notification to the SNS topic for other subscribers
+ */
+async function publishJob(job) {
+    await sns.publish({
+        TopicArn: SNS_TOPIC_ARN,
+        Subject: job.event,
+        Message: JSON.stringify({
+            jobId: job.jobId,
+            event: job.event,
+            to: job.to,
+            taskId: job.taskId || null,
+            template: job.template,
+            variables: job.variables,
+            createdAt: job.createdAt
+        }),
+        MessageAttributes: {
+            event: { DataType: 'String', StringValue: job.event },
+            template: { DataType: 'String', StringValue: job.template }
+        }
+    }).promise();
+}
+
+/**
+ * Run the steps of a notification job that have not succeeded yet
+ * Inbox, email and publish are tracked separately, so a retry repeats only the step that failed.
+ * @param {Object} progress - Receives the time of each step completed
+ */
+async function sendNotification(job, now, progress) {
+    if (!job.storedAt) {
+        await storeNotification(job);
+        progress.storedAt = now.toISOString();
+    }
+    if (!job.emailedAt) {
+        progress.delivery = await notify(job);
+        progress.emailedAt = now.toISOString();
+    }
+    if (SNS_TOPIC_ARN && !job.publishedAt) {
+        await publishJob(job);
+        progress.publishedAt = now.toISOString();
+    }
+}
+
+/**
+ * Attempt one claimed job
+ * @returns {Promise<string>} 'sent', 'retry' or 'dead'
+ */
+async function attemptJob(job, now) {
+    const progress = {};
+    let failure = null;
+
+    try {
+        if (job.kind === 'webhook') {
+            await deliverWebhook(job, { now, lastAttempt: job.attempts >= MAX_ATTEMPTS });
+        } else {
+            await sendNotification(job, now, progress);
+        }
+    } catch (error) {
+        console.error(`Notification ${job.jobId} attempt ${job.attempts} failed:`, error);
+        failure = error.message || String(error);
+    }
+
+    let outcome;
+    let fields;
+    if (!failure) {
+        outcome = 'sent';
+        fields = {
+            status: 'sent',
+            sentAt: now.toISOString(),
+            expiresAt: Math.floor((now.getTime() + SENT_RETENTION_DAYS * DAY_MS) / 1000)
+        };
+    } else if (job.attempts >= MAX_ATTEMPTS) {
+        outcome = 'dead';
+        fields = { status: 'dead', deadAt: now.toISOString(), nextAttemptAt: now.toISOString(), lastError: failure };
+    } else {
+        // nextAttemptAt already holds the retry time set by the claim
+        outcome = 'retry';
+        fields = { lastError: failure };
+    }
+
+    const values = { ...progress, ...fields };
+    const names = Object.keys(values);
+    await dynamodb.update({
+        TableName: OUTBOX_TABLE,
+        Key: { jobId: job.jobId },
+        UpdateExpression: `SET ${names.map(name => `#${name} = :${name}`).join(', ')}`,
+        ExpressionAttributeNames: Object.fromEntries(names.map(name => [`#${name}`, name])),
+        ExpressionAttributeValues: Object.fromEntries(names.map(name => [`:${name}`, values[name]]))
+    }).promise();
+
+    return outcome;
+}
+
+/**
+ * Deliver every pending job that is due
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @returns {Promise<Object>} { due, sent, retrying, dead } counts
+ */
+async function deliverDueNotifications({ now = new Date() } = {}) {
+    const due = [];
+    let lastKey;
+    do {
+        const result = await dynamodb.query({
+            TableName: OUTBOX_TABLE,
+            IndexName: 'StatusIndex',
+            KeyConditionExpression: '#status = :pending AND nextAttemptAt <= :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':pending': 'pending', ':now': now.toISOString() },
+            Limit: MAX_JOBS_PER_RUN - due.length,
+            ExclusiveStartKey: lastKey
+        }).promise();
+        due.push(...result.Items);
+        lastKey = result.LastEvaluatedKey;
+    } while (lastKey && due.length < MAX_JOBS_PER_RUN);
+
+    const summary = { due: due.length, sent: 0, retrying: 0, dead: 0 };
+    for (const found of due) {
+        const job = await claimJob(found, now);
+        if (!job) {
+            continue;
+        }
+
+        const outcome = await attemptJob(job, now);
+        summary[outcome === 'retry' ? 'retrying' : outcome] += 1;
+    }
+
+    return summary;
+}
+
+/**
+ * Parse status/limit/nextToken for a job listing
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @returns {Object} { valid, error, query }
+ */
+function parseJobQuery(queryStringParameters) {
+    const params = queryStringParameters || {};
+
+    const status = params.status || 'dead';
+    if (!JOB_STATUSES.includes(status)) {
+        return { valid: false, error: `Invalid status. Must be one of: ${JOB_STATUSES.join(', ')}` };
+    }
+
+    let limit = DEFAULT_JOB_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_JOB_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_JOB_PAGE_SIZE}` };
+        }
+    }
+
+    let startKey = null;
+    if (params.nextToken) {
+        startKey = decodePageToken(params.nextToken);
+        if (!startKey || !startKey.jobId || startKey.status !== status || !startKey.nextAttemptAt) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return { valid: true, query: { status, limit, startKey } };
+}
+
+/**
+ * List one page of jobs with a given status, most recent first
+ * @param {Object} query - Query produced by parseJobQuery
+ * @returns {Promise<Object>} { jobs, nextToken }
+ */
+async function listJobs(query) {
+    const result = await dynamodb.query({
+        TableName: OUTBOX_TABLE,
+        IndexName: 'StatusIndex',
+        KeyConditionExpression: '#status = :status',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':status': query.status },
+        ScanIndexForward: false,
+        Limit: query.limit,
+        ...(query.startKey && { ExclusiveStartKey: query.startKey })
+    }).promise();
+
+    return {
+        jobs: result.Items || [],
+        nextToken: result.LastEvaluatedKey ? encodePageToken(result.LastEvaluatedKey) : null
+    };
+}
+
+/**
+ * Put a dead job back in the queue with a fresh set of attempts
+ * @param {string} jobId - Job ID
+ * @param {string} adminEmail - Who replayed it
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object|null>} The requeued job, or null if there is no dead job with that ID
+ */
+async function replayJob(jobId, adminEmail, now = new Date()) {
+    try {
+        const result = await dynamodb.update({
+            TableName: OUTBOX_TABLE,
+            Key: { jobId },
+            UpdateExpression: 'SET #status = :pending, attempts = :zero, nextAttemptAt = :now, ' +
+                'replayedAt = :now, replayedBy = :admin REMOVE deadAt',
+            ConditionExpression: '#status = :dead',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':pending': 'pending',
+                ':dead': 'dead',
+                ':zero': 0,
+                ':now': now.toISOString(),
+                ':admin': adminEmail
+            },
+            ReturnValues: 'ALL_NEW'
+        }).promise();
+        return result.Attributes;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return null;
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    JOB_STATUSES,
+    MAX_ATTEMPTS,
+    notificationJob,
+    webhookJob,
+    webhookJobs,
+    chatJobs,
+    retryDelay,
+    MAX_TRANSACT_ITEMS,
+    writeWithOutbox,
+    queueJobs,
+    deliverDueNotifications,
+    parseJobQuery,
+    listJobs,
+    replayJob
+};
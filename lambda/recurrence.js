@@ -0,0 +1,126 @@
+/**
+ * Recurrence rules
+ * A small RRULE-like subset for recurring task series:
+ *   { frequency: 'daily' }
+ *   { frequency: 'weekly', byWeekday: ['MO', 'TH'] }
+ *   { frequency: 'monthly', byMonthDay: 15 }
+ * Dates are calendar days in UTC, written as YYYY-MM-DD. A monthly rule on a day
+ * the month does not have (e.g. 31 in April) falls on the month's last day.
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Index matches Date#getUTCDay()
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @param {*} value - Value to check
+ * @returns {boolean} True for a real calendar date written as YYYY-MM-DD
+ */
+function isDateString(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * @param {Date} date - Point in time
+ * @returns {string} Its UTC calendar day as YYYY-MM-DD
+ */
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return toDateString(date);
+}
+
+/**
+ * Validate a rule from a request and drop anything it does not use
+ * @param {*} rule - Raw rule
+ * @returns {Object} { valid: true, rule } or { valid: false, error }
+ */
+function validateRule(rule) {
+    if (!rule || typeof rule !== 'object' || !FREQUENCIES.includes(rule.frequency)) {
+        return { valid: false, error: `Rule frequency must be one of: ${FREQUENCIES.join(', ')}` };
+    }
+
+    if (rule.frequency === 'weekly') {
+        const weekdays = Array.isArray(rule.byWeekday) ? rule.byWeekday : [];
+        if (weekdays.length === 0 || weekdays.some(day => !WEEKDAYS.includes(day))) {
+            return { valid: false, error: `Weekly rules need byWeekday with one or more of: ${WEEKDAYS.join(', ')}` };
+        }
+        const byWeekday = WEEKDAYS.filter(day => weekdays.includes(day));
+        return { valid: true, rule: { frequency: 'weekly', byWeekday } };
+    }
+
+    if (rule.frequency === 'monthly') {
+        if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+            return { valid: false, error: 'Monthly rules need byMonthDay between 1 and 31' };
+        }
+        return { valid: true, rule: { frequency: 'monthly', byMonthDay: rule.byMonthDay } };
+    }
+
+    return { valid: true, rule: { frequency: 'daily' } };
+}
+
+/**
+ * @param {Object} rule - Validated rule
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {boolean} True if the rule has an occurrence on that day
+ */
+function matchesRule(rule, dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+
+    switch (rule.frequency) {
+        case 'daily':
+            return true;
+        case 'weekly':
+            return rule.byWeekday.includes(WEEKDAYS[date.getUTCDay()]);
+        case 'monthly': {
+            const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+            return date.getUTCDate() === Math.min(rule.byMonthDay, lastDay);
+        }
+        default:
+            return false;
+    }
+}
+
+/**
+ * Occurrence days of a rule in a range
+ * @param {Object} rule - Validated rule
+ * @param {string} from - First day to consider (inclusive)
+ * @param {string} to - Last day to consider (inclusive)
+ * @returns {Array<string>} YYYY-MM-DD days in order
+ */
+function occurrencesBetween(rule, from, to) {
+    const days = [];
+    for (let day = from; day <= to; day = addDays(day, 1)) {
+        if (matchesRule(rule, day)) {
+            days.push(day);
+        }
+    }
+    return days;
+}
+
+module.exports = {
+    FREQUENCIES,
+    WEEKDAYS,
+    isDateString,
+    toDateString,
+    addDays,
+    validateRule,
+    matchesRule,
+    occurrencesBetween
+};
@@ -0,0 +1,163 @@
+/**
+ * Due-date reminders and overdue escalation
+ * Two thresholds per task:
+ *   due-soon - the due date falls within the reminder window; assignees are reminded
+ *   overdue  - the due date has passed; the task creator is told
+ * Each is sent once per task and due date: the task records the due date a threshold
+ * was sent for, so moving the due date re-arms its reminders. The reminders are queued in
+ * the notification outbox together with that record. The clock is passed in so runs can
+ * be tested at any moment.
+ */
+
+const {
+    fetchAllPages,
+    TASKS_TABLE
+} = require('./shared-utils');
+const { notificationJob, writeWithOutbox } = require('./outbox');
+const { isFinalStatus } = require('./workflow');
+
+const DEFAULT_WINDOW_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Task attribute that holds the due date each threshold was last sent for
+const THRESHOLDS = {
+    'due-soon': 'dueSoonReminderFor',
+    overdue: 'overdueReminderFor'
+};
+
+/**
+ * When a task is due
+ * A bare date (YYYY-MM-DD) means the end of that day, UTC.
+ * @param {string} dueDate - Stored dueDate
+ * @returns {number|null} Milliseconds since the epoch, or null when unset or invalid
+ */
+function dueTime(dueDate) {
+    if (!dueDate) {
+        return null;
+    }
+    const time = /^\d{4}-\d{2}-\d{2}$/.test(dueDate)
+        ? new Date(`${dueDate}T23:59:59.999Z`).getTime()
+        : new Date(dueDate).getTime();
+    return isNaN(time) ? null : time;
+}
+
+/**
+ * The threshold a task has reached and not yet been sent for
+ * @param {Object} task - Task item
+ * @param {Date} now - Current time
+ * @param {number} windowHours - How far ahead due-soon reminders look
+ * @returns {string|null} 'due-soon', 'overdue' or null
+ */
+function pendingThreshold(task, now, windowHours) {
+    const due = dueTime(task.dueDate);
+    if (due === null || isFinalStatus(task.status)) {
+        return null;
+    }
+
+    let threshold = null;
+    if (due < now.getTime()) {
+        threshold = 'overdue';
+    } else if (due - now.getTime() <= windowHours * HOUR_MS) {
+        threshold = 'due-soon';
+    }
+
+    if (!threshold || task[THRESHOLDS[threshold]] === task.dueDate) {
+        return null;
+    }
+    return threshold;
+}
+
+/**
+ * Record that a threshold was sent for the task's current due date and queue its reminders
+ * Conditional, so overlapping runs send each reminder once and a due date changed
+ * since the scan is not marked.
+ * @returns {Promise<boolean>} True if this run claimed the reminder
+ */
+async function claimReminder(task, threshold, jobs) {
+    const attribute = THRESHOLDS[threshold];
+    try {
+        await writeWithOutbox([{
+            Update: {
+                TableName: TASKS_TABLE,
+                Key: { taskId: task.taskId },
+                UpdateExpression: 'SET #sent = :dueDate',
+                ConditionExpression: 'dueDate = :dueDate AND (attribute_not_exists(#sent) OR #sent <> :dueDate)',
+                ExpressionAttributeNames: { '#sent': attribute },
+                ExpressionAttributeValues: { ':dueDate': task.dueDate }
+            }
+        }], jobs);
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Reminder jobs for a threshold
+ * @returns {Array<Object>} Outbox jobs
+ */
+function reminderJobs(task, threshold, now) {
+    const details = {
+        taskId: task.taskId,
+        title: task.title,
+        dueDate: task.dueDate,
+        priority: task.priority,
+        status: task.status
+    };
+
+    if (threshold === 'due-soon') {
+        return (task.assignedMembers || []).map(memberEmail => notificationJob({
+            to: memberEmail,
+            event: 'due-soon',
+            template: 'due-soon',
+            variables: details
+        }, now));
+    }
+
+    if (!task.createdBy) {
+        return [];
+    }
+    return [notificationJob({
+        to: task.createdBy,
+        event: 'overdue',
+        template: 'overdue',
+        variables: { ...details, assignedMembers: task.assignedMembers || [] }
+    }, now)];
+}
+
+/**
+ * Queue every reminder that is due
+ * @param {Object} [options]
+ * @param {Date} [options.now] - Current time
+ * @param {number} [options.windowHours] - How far ahead due-soon reminders look
+ * @returns {Promise<Object>} { checked, dueSoon, overdue } counts
+ */
+async function sendDueReminders({ now = new Date(), windowHours = DEFAULT_WINDOW_HOURS } = {}) {
+    const tasks = await fetchAllPages('scan', {
+        TableName: TASKS_TABLE,
+        FilterExpression: 'attribute_exists(dueDate) AND dueDate <> :null',
+        ExpressionAttributeValues: { ':null': null }
+    });
+
+    const summary = { checked: tasks.length, dueSoon: 0, overdue: 0 };
+    for (const task of tasks) {
+        const threshold = pendingThreshold(task, now, windowHours);
+        if (!threshold || !(await claimReminder(task, threshold, reminderJobs(task, threshold, now)))) {
+            continue;
+        }
+
+        summary[threshold === 'due-soon' ? 'dueSoon' : 'overdue'] += 1;
+    }
+
+    return summary;
+}
+
+module.exports = {
+    DEFAULT_WINDOW_HOURS,
+    dueTime,
+    pendingThreshold,
+    sendDueReminders
+};
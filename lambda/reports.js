@@ -0,0 +1,273 @@
+/**
+ * Task reports
+ * Computes delivery metrics from the task activity log rather than from current task
+ * state, so tasks that were reopened, reassigned or deleted are counted as they were:
+ *   - cycle time: from a task's first move to in-progress until it is completed
+ *   - lead time: from creation until completion
+ *   - weekly throughput: completions per week (weeks start on Monday, UTC)
+ *   - burndown: open and closed (completed or cancelled) tasks at the end of each day
+ *   - open tasks and completions grouped by priority and by assignee
+ */
+
+const {
+    fetchAllPages,
+    TASKS_TABLE,
+    ACTIVITY_TABLE
+} = require('./shared-utils');
+const { ACTIVITY_TYPES } = require('./activity-log');
+const { isFinalStatus } = require('./workflow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Twelve weeks up to today unless the query names a range
+const DEFAULT_RANGE_DAYS = 84;
+const MAX_RANGE_DAYS = 366;
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+const dateOnly = date => date.toISOString().slice(0, 10);
+const roundDays = ms => Math.round((ms / DAY_MS) * 10) / 10;
+
+/**
+ * Parse and validate the date range of a report
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @param {Date} [now] - Current time
+ * @returns {Object} { valid, error, range } where range is { from, to } as YYYY-MM-DD, both inclusive
+ */
+function parseReportQuery(queryStringParameters, now = new Date()) {
+    const params = queryStringParameters || {};
+
+    for (const name of ['from', 'to']) {
+        if (params[name] && (!DATE_ONLY_PATTERN.test(params[name]) || isNaN(new Date(params[name]).getTime()))) {
+            return { valid: false, error: `Invalid ${name} date. Use YYYY-MM-DD` };
+        }
+    }
+
+    const to = params.to || dateOnly(now);
+    const from = params.from || dateOnly(new Date(new Date(to).getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+    const days = (new Date(to) - new Date(from)) / DAY_MS + 1;
+
+    if (days < 1) {
+        return { valid: false, error: 'Invalid range. from must not be after to' };
+    }
+    if (days > MAX_RANGE_DAYS) {
+        return { valid: false, error: `Invalid range. Reports cover at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    return { valid: true, range: { from, to } };
+}
+
+/**
+ * Value of a field in an activity event's changes
+ */
+function changed(event, field, side) {
+    const change = (event.changes || []).find(item => item.field === field);
+    return change ? change[side] : undefined;
+}
+
+/**
+ * History of every task: status transitions in order, plus the priority and assignees
+ * the task has now (or had when it was deleted)
+ * Tasks older than the activity log are taken as created with their current status.
+ * @param {Array<Object>} tasks - Task items
+ * @param {Array<Object>} events - created, status_changed and deleted activity events
+ * @returns {Array<Object>} { taskId, priority, assignees, transitions: [{ at, status }], deletedAt }
+ */
+function buildHistories(tasks, events) {
+    const histories = new Map();
+    const history = (taskId) => {
+        if (!histories.has(taskId)) {
+            histories.set(taskId, { taskId, priority: null, assignees: [], transitions: [], deletedAt: null });
+        }
+        return histories.get(taskId);
+    };
+
+    [...events]
+        .sort((a, b) => (a.activityId < b.activityId ? -1 : 1))
+        .forEach(event => {
+            const entry = history(event.taskId);
+            if (event.type === ACTIVITY_TYPES.CREATED) {
+                entry.transitions.push({ at: event.timestamp, status: changed(event, 'status', 'to') || 'pending' });
+                entry.priority = changed(event, 'priority', 'to') || entry.priority;
+                entry.assignees = changed(event, 'assignedMembers', 'to') || entry.assignees;
+            } else if (event.type === ACTIVITY_TYPES.STATUS_CHANGED) {
+                entry.transitions.push({ at: event.timestamp, status: changed(event, 'status', 'to') });
+            } else if (event.type === ACTIVITY_TYPES.DELETED) {
+                entry.deletedAt = event.timestamp;
+                entry.priority = changed(event, 'priority', 'from') || entry.priority;
+                entry.assignees = changed(event, 'assignedMembers', 'from') || entry.assignees;
+            }
+        });
+
+    tasks.forEach(task => {
+        const entry = history(task.taskId);
+        entry.priority = task.priority || entry.priority;
+        entry.assignees = task.assignedMembers || entry.assignees;
+        if (entry.transitions.length === 0 && task.createdAt) {
+            entry.transitions.push({ at: task.createdAt, status: task.status });
+        }
+    });
+
+    return [...histories.values()].filter(entry => entry.transitions.length > 0);
+}
+
+/**
+ * Status of a task at a point in time, or null if it did not exist then
+ */
+function statusAt(entry, at) {
+    if (entry.deletedAt && entry.deletedAt <= at) {
+        return null;
+    }
+    let status = null;
+    for (const transition of entry.transitions) {
+        if (transition.at > at) break;
+        status = transition.status;
+    }
+    return status;
+}
+
+/**
+ * Completions of a task, each with its lead and cycle time
+ * A task that is reopened and completed again counts again; its cycle still starts
+ * at the first move to in-progress.
+ */
+function completions(entry) {
+    const createdAt = entry.transitions[0].at;
+    const started = entry.transitions.find(transition => transition.status === 'in-progress');
+
+    return entry.transitions
+        .filter((transition, index) => transition.status === 'completed' && index > 0)
+        .map(transition => ({
+            at: transition.at,
+            leadMs: new Date(transition.at) - new Date(createdAt),
+            cycleMs: started && started.at <= transition.at ? new Date(transition.at) - new Date(started.at) : null
+        }));
+}
+
+/**
+ * Count, average, median and 85th percentile of durations, in days
+ */
+function durationStats(durations) {
+    if (durations.length === 0) {
+        return { count: 0, averageDays: null, medianDays: null, p85Days: null };
+    }
+    const sorted = [...durations].sort((a, b) => a - b);
+    const percentile = share => sorted[Math.min(sorted.length - 1, Math.ceil(share * sorted.length) - 1)];
+    const middle = Math.floor(sorted.length / 2);
+
+    return {
+        count: sorted.length,
+        averageDays: roundDays(sorted.reduce((sum, value) => sum + value, 0) / sorted.length),
+        medianDays: roundDays(sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2),
+        p85Days: roundDays(percentile(0.85))
+    };
+}
+
+/**
+ * Monday (UTC) of the week a date falls in
+ */
+function weekStart(date) {
+    const day = new Date(`${date}T00:00:00.000Z`);
+    return dateOnly(new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS));
+}
+
+/**
+ * Compute the summary report from task items and activity events
+ * @param {Array<Object>} tasks - Current task items
+ * @param {Array<Object>} events - created, status_changed and deleted activity events
+ * @param {Object} range - { from, to } from parseReportQuery
+ * @returns {Object} { range, cycleTime, leadTime, throughput, burndown, byPriority, byAssignee }
+ */
+function summarize(tasks, events, range) {
+    const histories = buildHistories(tasks, events);
+    const rangeStart = `${range.from}T00:00:00.000Z`;
+    const rangeEnd = `${range.to}T23:59:59.999Z`;
+
+    const done = histories.flatMap(entry => completions(entry)
+        .filter(completion => completion.at >= rangeStart && completion.at <= rangeEnd)
+        .map(completion => ({ ...completion, entry })));
+
+    const days = [];
+    for (let time = new Date(rangeStart).getTime(); time <= new Date(rangeEnd).getTime(); time += DAY_MS) {
+        days.push(dateOnly(new Date(time)));
+    }
+
+    const weeks = [...new Set(days.map(weekStart))];
+    const throughput = weeks.map(week => ({
+        weekStart: week,
+        completed: done.filter(completion => weekStart(completion.at.slice(0, 10)) === week).length
+    }));
+
+    const burndown = days.map(date => {
+        const statuses = histories.map(entry => statusAt(entry, `${date}T23:59:59.999Z`)).filter(Boolean);
+        const closed = statuses.filter(isFinalStatus).length;
+        return { date, open: statuses.length - closed, closed };
+    });
+
+    // Open counts are as of the end of the range
+    const openAtEnd = histories.filter(entry => {
+        const status = statusAt(entry, rangeEnd);
+        return status && !isFinalStatus(status);
+    });
+
+    const byPriority = PRIORITIES.map(priority => ({
+        priority,
+        open: openAtEnd.filter(entry => entry.priority === priority).length,
+        completed: done.filter(completion => completion.entry.priority === priority).length
+    }));
+
+    const assignees = [...new Set([...openAtEnd, ...done.map(completion => completion.entry)].flatMap(entry => entry.assignees))];
+    const byAssignee = assignees
+        .map(assignee => ({
+            assignee,
+            open: openAtEnd.filter(entry => entry.assignees.includes(assignee)).length,
+            completed: done.filter(completion => completion.entry.assignees.includes(assignee)).length
+        }))
+        .sort((a, b) => b.open - a.open || b.completed - a.completed || a.assignee.localeCompare(b.assignee));
+
+    return {
+        range,
+        cycleTime: durationStats(done.map(completion => completion.cycleMs).filter(ms => ms !== null)),
+        leadTime: durationStats(done.map(completion => completion.leadMs)),
+        throughput,
+        burndown,
+        byPriority,
+        byAssignee
+    };
+}
+
+/**
+ * Load the task items and the status history of every task, then summarize them
+ * @param {Object} range - { from, to } from parseReportQuery
+ * @returns {Promise<Object>} Report from summarize()
+ */
+async function buildSummaryReport(range) {
+    const [tasks, events] = await Promise.all([
+        fetchAllPages('scan', {
+            TableName: TASKS_TABLE,
+            ProjectionExpression: 'taskId, #status, priority, assignedMembers, createdAt',
+            ExpressionAttributeNames: { '#status': 'status' }
+        }),
+        fetchAllPages('scan', {
+            TableName: ACTIVITY_TABLE,
+            FilterExpression: '#type IN (:created, :statusChanged, :deleted)',
+            ExpressionAttributeNames: { '#type': 'type' },
+            ExpressionAttributeValues: {
+                ':created': ACTIVITY_TYPES.CREATED,
+                ':statusChanged': ACTIVITY_TYPES.STATUS_CHANGED,
+                ':deleted': ACTIVITY_TYPES.DELETED
+            }
+        })
+    ]);
+
+    return summarize(tasks, events, range);
+}
+
+module.exports = {
+    DEFAULT_RANGE_DAYS,
+    MAX_RANGE_DAYS,
+    parseReportQuery,
+    summarize,
+    buildSummaryReport
+};
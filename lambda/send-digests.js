@@ -0,0 +1,27 @@
+/**
+ * Send Digests Lambda Function
+ * Runs daily on an EventBridge schedule and emails the daily and weekly digests
+ * that are due. Weekly digests go out a week after the previous one.
+ * Can also be run locally with the table environment variables set:
+ *   node send-digests.js
+ */
+
+const { sendDueDigests } = require('./digests');
+
+exports.handler = async () => {
+    console.log('Sending digests');
+
+    const result = await sendDueDigests({ now: new Date() });
+    console.log('Digests complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Digests failed:', error);
+            process.exit(1);
+        });
+}
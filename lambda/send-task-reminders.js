@@ -0,0 +1,29 @@
+/**
+ * Send Task Reminders Lambda Function
+ * Runs hourly on an EventBridge schedule: reminds assignees of tasks due within
+ * REMINDER_WINDOW_HOURS and tells creators about overdue tasks. Each reminder is
+ * sent once per task and due date, however often the function runs.
+ * Can also be run locally with the table environment variables set:
+ *   node send-task-reminders.js
+ */
+
+const { sendDueReminders, DEFAULT_WINDOW_HOURS } = require('./reminders');
+
+exports.handler = async () => {
+    const windowHours = Number(process.env.REMINDER_WINDOW_HOURS) || DEFAULT_WINDOW_HOURS;
+    console.log(`Sending task reminders (window: ${windowHours}h)`);
+
+    const result = await sendDueReminders({ now: new Date(), windowHours });
+    console.log('Task reminders complete:', JSON.stringify(result));
+
+    return result;
+};
+
+if (require.main === module) {
+    exports.handler()
+        .then(result => console.log(JSON.stringify(result, null, 2)))
+        .catch(error => {
+            console.error('Task reminders failed:', error);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,417 @@
+/**
+ * Recurring task series
+ * A series in SERIES_TABLE holds a task template and a recurrence rule. The scheduled
+ * generator creates one task per occurrence through createTask, so instances get the
+ * same validation and assignment emails as tasks created by hand. Each instance carries
+ * its seriesId and occurrenceDate; edits to a series only shape instances not yet created.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    fetchAllPages,
+    SERIES_TABLE,
+    TASKS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { isDateString, toDateString, addDays, validateRule, occurrencesBetween } = require('./recurrence');
+const { validateTaskInput, createTask } = require('./task-creation');
+
+const SERIES_STATUSES = ['active', 'paused', 'ended'];
+// Series fields copied onto every instance
+const TEMPLATE_FIELDS = ['title', 'description', 'priority', 'tags', 'assignedTo'];
+const MAX_LEAD_DAYS = 30;
+
+// A generator run catches up on at most this many missed occurrences per series
+const MAX_INSTANCES_PER_RUN = 31;
+
+// A generator run that has not finished an occurrence by then is taken to have stopped
+const CLAIM_TIMEOUT_MS = 15 * 60 * 1000;
+
+/**
+ * Validate series fields from a request
+ * On create every template field is required; on update only the fields sent are checked.
+ * @param {Object} input - Request body
+ * @param {Object|null} existing - Stored series when updating, null when creating
+ * @returns {Promise<Object>} { valid: true, fields } or { valid: false, error } with the error body
+ */
+async function validateSeriesInput(input, existing) {
+    const fields = {};
+    const has = (field) => input[field] !== undefined;
+    const isCreate = !existing;
+
+    if (isCreate && (!input.title || !input.description || !input.rule)) {
+        return { valid: false, error: { error: 'Missing required fields: title, description and rule' } };
+    }
+
+    if (TEMPLATE_FIELDS.some(has)) {
+        // Instances are tasks, so the template follows the same rules as POST /tasks.
+        // Checked again by createTask for every instance; this catches mistakes up front
+        const template = Object.fromEntries(TEMPLATE_FIELDS.map(field => [
+            field,
+            has(field) ? input[field] : existing && existing[field]
+        ]));
+        const taskCheck = await validateTaskInput(template);
+        if (!taskCheck.valid) {
+            return { valid: false, error: taskCheck.error };
+        }
+
+        const checked = { ...taskCheck.fields, assignedTo: taskCheck.fields.assignedMembers };
+        TEMPLATE_FIELDS
+            .filter(field => isCreate || has(field))
+            .forEach(field => { fields[field] = checked[field]; });
+    }
+
+    if (has('rule')) {
+        const ruleCheck = validateRule(input.rule);
+        if (!ruleCheck.valid) {
+            return { valid: false, error: { error: ruleCheck.error } };
+        }
+        fields.rule = ruleCheck.rule;
+    }
+
+    if (has('startDate')) {
+        if (!isDateString(input.startDate)) {
+            return { valid: false, error: { error: 'startDate must be a date as YYYY-MM-DD' } };
+        }
+        fields.startDate = input.startDate;
+    }
+
+    if (has('endDate')) {
+        if (input.endDate !== null && !isDateString(input.endDate)) {
+            return { valid: false, error: { error: 'endDate must be a date as YYYY-MM-DD, or null' } };
+        }
+        fields.endDate = input.endDate;
+    }
+
+    const startDate = fields.startDate || (existing && existing.startDate);
+    const endDate = has('endDate') ? fields.endDate : existing && existing.endDate;
+    if (startDate && endDate && endDate < startDate) {
+        return { valid: false, error: { error: 'endDate cannot be before startDate' } };
+    }
+
+    if (has('leadDays')) {
+        if (!Number.isInteger(input.leadDays) || input.leadDays < 0 || input.leadDays > MAX_LEAD_DAYS) {
+            return { valid: false, error: { error: `leadDays must be a whole number from 0 to ${MAX_LEAD_DAYS}` } };
+        }
+        fields.leadDays = input.leadDays;
+    }
+
+    if (has('status')) {
+        if (!SERIES_STATUSES.includes(input.status)) {
+            return { valid: false, error: { error: `Invalid status. Must be one of: ${SERIES_STATUSES.join(', ')}` } };
+        }
+        if (existing && existing.status === 'ended' && input.status !== 'ended') {
+            return { valid: false, error: { error: 'An ended series cannot be restarted' } };
+        }
+        fields.status = input.status;
+    }
+
+    return { valid: true, fields };
+}
+
+/**
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Object|null>} The series, or null
+ */
+async function getSeries(seriesId) {
+    const result = await dynamodb.get({
+        TableName: SERIES_TABLE,
+        Key: { seriesId }
+    }).promise();
+    return result.Item || null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Every series, newest first
+ */
+async function listSeries() {
+    const items = await fetchAllPages('scan', { TableName: SERIES_TABLE });
+    return items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Tasks generated from a series, newest occurrence first
+ * @param {string} seriesId - Series ID
+ * @returns {Promise<Array<Object>>} Tasks
+ */
+async function listInstances(seriesId) {
+    return await fetchAllPages('query', {
+        TableName: TASKS_TABLE,
+        IndexName: 'SeriesIndex',
+        KeyConditionExpression: 'seriesId = :seriesId',
+        ExpressionAttributeValues: { ':seriesId': seriesId },
+        ScanIndexForward: false
+    });
+}
+
+/**
+ * Store a new series
+ * @param {Object} fields - Validated fields
+ * @param {string} userEmail - Admin creating the series; instances are created in their name
+ * @returns {Promise<Object>} The stored series
+ */
+async function createSeries(fields, userEmail) {
+    const now = new Date();
+    const series = {
+        seriesId: uuidv4(),
+        tags: [],
+        startDate: toDateString(now),
+        endDate: null,
+        leadDays: 0,
+        ...fields,
+        status: 'active',
+        lastOccurrence: null,
+        lastError: null,
+        createdBy: userEmail,
+        createdAt: now.toISOString(),
+        updatedAt: now.toISOString()
+    };
+
+    await dynamodb.put({
+        TableName: SERIES_TABLE,
+        Item: series,
+        ConditionExpression: 'attribute_not_exists(seriesId)'
+    }).promise();
+
+    return series;
+}
+
+/**
+ * Apply validated changes to a series
+ * Resuming a paused series skips the occurrences that fell in the pause.
+ * @param {Object} series - Stored series
+ * @param {Object} fields - Validated fields
+ * @param {string} userEmail - Admin making the change
+ * @returns {Promise<Object>} The updated series
+ */
+async function updateSeries(series, fields, userEmail) {
+    const now = new Date();
+    const updates = { ...fields, updatedAt: now.toISOString(), updatedBy: userEmail };
+
+    if (fields.status === 'active' && series.status === 'paused') {
+        const yesterday = addDays(toDateString(now), -1);
+        if (!series.lastOccurrence || series.lastOccurrence < yesterday) {
+            updates.lastOccurrence = yesterday;
+        }
+    }
+    if (fields.status === 'ended' && series.status !== 'ended') {
+        updates.endedAt = now.toISOString();
+    }
+
+    const names = {};
+    const values = {};
+    const assignments = Object.entries(updates).map(([key, value]) => {
+        names[`#${key}`] = key;
+        values[`:${key}`] = value;
+        return `#${key} = :${key}`;
+    });
+
+    const result = await dynamodb.update({
+        TableName: SERIES_TABLE,
+        Key: { seriesId: series.seriesId },
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ConditionExpression: 'attribute_exists(seriesId)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return result.Attributes;
+}
+
+/**
+ * Claim an occurrence for this generator run
+ * The claim is only a guard: the conditional write makes overlapping generator runs
+ * create each occurrence once, and stops generation as soon as the series is paused or
+ * ended. lastOccurrence moves on only once the instance exists (completeOccurrence).
+ * A claim older than CLAIM_TIMEOUT_MS was left by a run that stopped part way.
+ * @param {Object} series - Stored series
+ * @param {string} occurrence - YYYY-MM-DD
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} True if this run claimed the occurrence
+ */
+async function claimOccurrence(series, occurrence, now) {
+    try {
+        await dynamodb.update({
+            TableName: SERIES_TABLE,
+            Key: { seriesId: series.seriesId },
+            UpdateExpression: 'SET claimedOccurrence = :occurrence, claimedAt = :now',
+            ConditionExpression: [
+                '#status = :active',
+                series.lastOccurrence
+                    ? 'lastOccurrence = :previous'
+                    : '(attribute_not_exists(lastOccurrence) OR lastOccurrence = :null)',
+                '(attribute_not_exists(claimedAt) OR claimedAt < :staleBefore)'
+            ].join(' AND '),
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':occurrence': occurrence,
+                ':now': now.toISOString(),
+                ':staleBefore': new Date(now.getTime() - CLAIM_TIMEOUT_MS).toISOString(),
+                ':active': 'active',
+                ...(series.lastOccurrence ? { ':previous': series.lastOccurrence } : { ':null': null })
+            }
+        }).promise();
+        return true;
+    } catch (error) {
+        if (error.code === 'ConditionalCheckFailedException') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Drop this run's claim, recording the occurrence as generated when it was
+ * @param {Object} series - Stored series; its lastOccurrence is moved on when generated
+ * @param {string} occurrence - Claimed occurrence
+ * @param {boolean} generated - True once the instance exists
+ * @returns {Promise<void>}
+ */
+async function releaseOccurrence(series, occurrence, generated) {
+    await dynamodb.update({
+        TableName: SERIES_TABLE,
+        Key: { seriesId: series.seriesId },
+        UpdateExpression: generated
+            ? 'SET lastOccurrence = :occurrence REMOVE claimedOccurrence, claimedAt'
+            : 'REMOVE claimedOccurrence, claimedAt',
+        ConditionExpression: 'claimedOccurrence = :occurrence',
+        ExpressionAttributeValues: { ':occurrence': occurrence }
+    }).promise();
+
+    if (generated) {
+        series.lastOccurrence = occurrence;
+    }
+}
+
+/**
+ * @param {string} seriesId - Series ID
+ * @param {string} occurrence - YYYY-MM-DD
+ * @returns {Promise<boolean>} True if the instance was already created, by a run that stopped before recording it
+ */
+async function instanceExists(seriesId, occurrence) {
+    const result = await dynamodb.query({
+        TableName: TASKS_TABLE,
+        IndexName: 'SeriesIndex',
+        KeyConditionExpression: 'seriesId = :seriesId AND occurrenceDate = :occurrence',
+        ExpressionAttributeValues: { ':seriesId': seriesId, ':occurrence': occurrence },
+        Limit: 1
+    }).promise();
+    return result.Items.length > 0;
+}
+
+/**
+ * Create the instances of one series that are due by `today`
+ * An instance is created `leadDays` before its occurrence, which is its due date.
+ * Occurrences are created in order. When one cannot be created, the run stops there
+ * and the next run tries it again, so no occurrence is skipped while the series is active.
+ * @param {Object} series - Stored series
+ * @param {string} today - YYYY-MM-DD
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { created: [taskId], failed: [{ occurrence, error }] }
+ */
+async function generateSeriesInstances(series, today, now = new Date()) {
+    const created = [];
+    const failed = [];
+
+    const horizon = addDays(today, series.leadDays || 0);
+    const from = series.lastOccurrence ? addDays(series.lastOccurrence, 1) : series.startDate;
+    const to = series.endDate && series.endDate < horizon ? series.endDate : horizon;
+    const occurrences = from <= to
+        ? occurrencesBetween(series.rule, from, to).slice(0, MAX_INSTANCES_PER_RUN)
+        : [];
+
+    for (const occurrence of occurrences) {
+        if (!(await claimOccurrence(series, occurrence, now))) {
+            break;
+        }
+
+        if (await instanceExists(series.seriesId, occurrence)) {
+            await releaseOccurrence(series, occurrence, true);
+            continue;
+        }
+
+        const result = await createTask({
+            title: series.title,
+            description: series.description,
+            priority: series.priority,
+            assignedTo: series.assignedTo,
+            tags: series.tags,
+            dueDate: occurrence
+        }, series.createdBy, { seriesId: series.seriesId, occurrenceDate: occurrence });
+
+        const body = JSON.parse(result.body);
+        if (result.statusCode === 201) {
+            created.push(body.task.taskId);
+            await releaseOccurrence(series, occurrence, true);
+        } else {
+            console.error(`Series ${series.seriesId} could not create the ${occurrence} instance:`, body);
+            failed.push({ occurrence, error: body.error });
+            await releaseOccurrence(series, occurrence, false);
+            break;
+        }
+    }
+
+    // Keep the last failure on the series so admins can see why instances are missing,
+    // and clear it once its occurrence is created. A series whose last occurrences still
+    // fail stays active so they are retried.
+    const finished = failed.length === 0 && series.endDate && series.endDate < today;
+    const recovered = failed.length === 0 && created.length > 0 && series.lastError;
+    if (failed.length > 0 || finished || recovered) {
+        await dynamodb.update({
+            TableName: SERIES_TABLE,
+            Key: { seriesId: series.seriesId },
+            UpdateExpression: finished
+                ? 'SET lastError = :lastError, #status = :ended, endedAt = :now'
+                : 'SET lastError = :lastError',
+            ...(finished && { ExpressionAttributeNames: { '#status': 'status' } }),
+            ExpressionAttributeValues: {
+                ':lastError': failed.length > 0 ? failed[0] : recovered ? null : series.lastError || null,
+                ...(finished && { ':ended': 'ended', ':now': now.toISOString() })
+            }
+        }).promise();
+    }
+
+    return { created, failed };
+}
+
+/**
+ * Create every due instance of every active series
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} { series, created, failed } counts
+ */
+async function generateDueInstances(now = new Date()) {
+    const today = toDateString(now);
+    const activeSeries = await fetchAllPages('scan', {
+        TableName: SERIES_TABLE,
+        FilterExpression: '#status = :active',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':active': 'active' }
+    });
+
+    const summary = { series: activeSeries.length, created: 0, failed: 0 };
+    for (const series of activeSeries) {
+        try {
+            const { created, failed } = await generateSeriesInstances(series, today, now);
+            summary.created += created.length;
+            summary.failed += failed.length;
+        } catch (error) {
+            // One broken series must not stop the others
+            console.error(`Error generating series ${series.seriesId}:`, error);
+            summary.failed += 1;
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    SERIES_STATUSES,
+    validateSeriesInput,
+    getSeries,
+    listSeries,
+    listInstances,
+    createSeries,
+    updateSeries,
+    generateDueInstances
+};
@@ -4,17 +4,32 @@
  */
 
 const AWS = require('aws-sdk');
-const dynamodb = new AWS.DynamoDB.DocumentClient();
+// Local runs (e.g. backup-restore.js) can point at DynamoDB Local through DYNAMODB_ENDPOINT
+const dynamodb = new AWS.DynamoDB.DocumentClient(
+    process.env.DYNAMODB_ENDPOINT ? { endpoint: process.env.DYNAMODB_ENDPOINT } : {}
+);
 const ses = new AWS.SES();
+const s3 = new AWS.S3();
 
 const TASKS_TABLE = process.env.TASKS_TABLE;
 const USERS_TABLE = process.env.USERS_TABLE;
+const TASK_MEMBERS_TABLE = process.env.TASK_MEMBERS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+const SERIES_TABLE = process.env.SERIES_TABLE;
+const OUTBOX_TABLE = process.env.OUTBOX_TABLE;
+const NOTIFICATIONS_TABLE = process.env.NOTIFICATIONS_TABLE;
+const WEBHOOKS_TABLE = process.env.WEBHOOKS_TABLE;
+const WEBHOOK_DELIVERIES_TABLE = process.env.WEBHOOK_DELIVERIES_TABLE;
+const SETTINGS_TABLE = process.env.SETTINGS_TABLE;
+const EXPORTS_BUCKET = process.env.EXPORTS_BUCKET;
 const SES_SOURCE_EMAIL = process.env.SES_SOURCE_EMAIL;
 
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token',
-    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match',
+    'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
+    'Access-Control-Expose-Headers': 'ETag'
 };
 
 /**
@@ -84,22 +99,23 @@ async function checkUserActive(email) {
 }
 
 /**
- * Send notification email via SES with HTML formatting
- * Gracefully handles SES configuration errors
+ * Send a rendered notification email via SES
+ * Skips sending while SES is not configured; send failures are thrown so the
+ * notification outbox can retry them
  * @param {string} to - Recipient email address
- * @param {string} subject - Email subject
- * @param {string} message - Plain text message (newlines converted to <br>)
+ * @param {Object} email - Output of renderEmail() in email-templates.js
+ * @param {string} email.subject - Email subject
+ * @param {string} email.text - Plain text part
+ * @param {string} email.html - HTML part
  * @returns {Promise<void>}
  */
-async function sendNotificationEmail(to, subject, message) {
+async function sendNotificationEmail(to, email) {
     if (!SES_SOURCE_EMAIL || SES_SOURCE_EMAIL === 'noreply@yourdomain.com') {
         console.log('SES not configured, skipping email to:', to);
         return;
     }
     
     try {
-        const htmlMessage = message.replace(/\n/g, '<br>');
-        
         const params = {
             Source: SES_SOURCE_EMAIL,
             Destination: { 
@@ -107,33 +123,16 @@ async function sendNotificationEmail(to, subject, message) {
             },
             Message: {
                 Subject: { 
-                    Data: subject,
+                    Data: email.subject,
                     Charset: 'UTF-8'
                 },
                 Body: { 
                     Text: { 
-                        Data: message,
+                        Data: email.text,
                         Charset: 'UTF-8'
                     },
                     Html: {
-                        Data: `
-                            <!DOCTYPE html>
-                            <html>
-                            <body style="font-family: Arial, sans-serif; line-height: 1.6; color: #333;">
-                                <div style="max-width: 600px; margin: 0 auto; padding: 20px;">
-                                    <h2 style="color: #2c3e50;">${subject}</h2>
-                                    <div style="background-color: #f8f9fa; padding: 15px; border-left: 4px solid #007bff; margin: 20px 0;">
-                                        <p style="margin: 0;">${htmlMessage}</p>
-                                    </div>
-                                    <hr style="border: none; border-top: 1px solid #ddd; margin: 20px 0;">
-                                    <p style="color: #666; font-size: 12px; text-align: center;">
-                                        Task Management System - Automated Notification<br>
-                                        Please do not reply to this email
-                                    </p>
-                                </div>
-                            </body>
-                            </html>
-                        `,
+                        Data: email.html,
                         Charset: 'UTF-8'
                     }
                 }
@@ -141,26 +140,184 @@ async function sendNotificationEmail(to, subject, message) {
         };
         
         await ses.sendEmail(params).promise();
-        console.log(`Email sent successfully to ${to}: "${subject}"`);
+        console.log(`Email sent successfully to ${to}: "${email.subject}" (${email.template} v${email.version})`);
     } catch (error) {
         console.error('Failed to send email to', to, ':', error.message);
+        throw error;
+    }
+}
+
+// A chat service that has not answered by then counts as a failed send
+const CHAT_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Post a rendered message to a chat channel's incoming-webhook URL (Slack or Teams)
+ * Failures are thrown so the notification outbox can retry them
+ * @param {string} webhookUrl - Incoming-webhook URL of the channel
+ * @param {Object} message - Output of renderChatMessage() in chat.js
+ * @param {Object} message.body - JSON body in the channel's format
+ * @returns {Promise<void>}
+ */
+async function sendChatMessage(webhookUrl, message) {
+    const result = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(message.body),
+        signal: AbortSignal.timeout(CHAT_TIMEOUT_MS)
+    });
+    if (!result.ok) {
+        throw new Error(`Chat webhook responded with HTTP ${result.status}`);
+    }
+    console.log(`Chat message posted: "${message.summary}" (${message.format})`);
+}
+
+// Notification channels by name; each delivers a message rendered for it to an address of its kind
+const notificationChannels = {
+    email: sendNotificationEmail,
+    chat: sendChatMessage
+};
+
+/**
+ * Add a notification channel, or replace one
+ * @param {string} name - Channel name used by sendNotification()
+ * @param {Function} send - async (to, message) => void; throws when delivery fails
+ */
+function registerNotificationChannel(name, send) {
+    notificationChannels[name] = send;
+}
+
+/**
+ * Deliver a rendered notification over a channel
+ * @param {string} channel - Channel name, e.g. 'email' or 'chat'
+ * @param {string} to - Address on that channel: an email address, a webhook URL
+ * @param {Object} message - Message rendered for the channel
+ * @returns {Promise<void>}
+ * @throws {Error} For an unknown channel, or when delivery fails
+ */
+async function sendNotification(channel, to, message) {
+    const send = notificationChannels[channel];
+    if (!send) {
+        throw new Error(`Unknown notification channel "${channel}"`);
     }
+    await send(to, message);
 }
 
 /**
  * Standard HTTP response with CORS headers
  * @param {number} statusCode - HTTP status code
  * @param {Object} body - Response body object (will be JSON stringified)
+ * @param {Object} [headers] - Extra response headers (e.g. ETag)
  * @returns {Object} API Gateway formatted response
  */
-function response(statusCode, body) {
+function response(statusCode, body, headers = {}) {
     return {
         statusCode,
-        headers: corsHeaders,
+        headers: { ...corsHeaders, ...headers },
         body: JSON.stringify(body)
     };
 }
 
+/**
+ * HTTP response with CORS headers and a body that is not JSON (a calendar, a CSV file)
+ * @param {number} statusCode - HTTP status code
+ * @param {string} body - Response body, sent as is
+ * @param {string} contentType - Content-Type of the body
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Object} API Gateway formatted response
+ */
+function textResponse(statusCode, body, contentType, headers = {}) {
+    return {
+        statusCode,
+        headers: { ...corsHeaders, 'Content-Type': contentType, ...headers },
+        body
+    };
+}
+
+/**
+ * ETag header value for a task version
+ * @param {number} version - Task version
+ * @returns {string} Quoted entity tag
+ */
+function versionETag(version) {
+    return `"${version || 0}"`;
+}
+
+/**
+ * Read the version a client expects to overwrite
+ * Accepts an If-Match header ("3", W/"3" or 3) or an expectedVersion body field;
+ * the body field wins when both are sent
+ * @param {Object} headers - Request headers (any casing)
+ * @param {Object} body - Parsed request body
+ * @returns {Object} { valid, version } where version is null when the client sent none
+ */
+function parseExpectedVersion(headers, body) {
+    const headerName = Object.keys(headers || {}).find(name => name.toLowerCase() === 'if-match');
+    let raw = body && body.expectedVersion !== undefined && body.expectedVersion !== null
+        ? body.expectedVersion
+        : headerName && headers[headerName];
+    
+    if (raw === undefined || raw === null || raw === '' || raw === '*') {
+        return { valid: true, version: null };
+    }
+    
+    if (typeof raw === 'string') {
+        raw = raw.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+    }
+    
+    const version = Number(raw);
+    if (!Number.isInteger(version) || version < 0) {
+        return { valid: false, version: null };
+    }
+    
+    return { valid: true, version };
+}
+
+/**
+ * Add an optimistic-locking guard to update parameters
+ * The write only succeeds if the item still exists at the version that was read,
+ * and it bumps the version by one. Items written before versioning count as version 0.
+ * @param {Object} updateParams - Output of buildUpdateExpression
+ * @param {number} currentVersion - Version the caller read
+ * @returns {Object} Update parameters with ConditionExpression and version increment
+ */
+function withVersionCheck(updateParams, currentVersion) {
+    const version = currentVersion || 0;
+    
+    return {
+        ...updateParams,
+        UpdateExpression: `${updateParams.UpdateExpression}, #version = :nextVersion`,
+        ConditionExpression: version > 0
+            ? '#version = :currentVersion'
+            : 'attribute_exists(#taskId) AND attribute_not_exists(#version)',
+        ExpressionAttributeNames: {
+            ...updateParams.ExpressionAttributeNames,
+            '#version': 'version',
+            ...(version === 0 && { '#taskId': 'taskId' })
+        },
+        ExpressionAttributeValues: {
+            ...updateParams.ExpressionAttributeValues,
+            ':nextVersion': version + 1,
+            ...(version > 0 && { ':currentVersion': version })
+        }
+    };
+}
+
+/**
+ * Standard 409 response for a version mismatch, carrying the task as it is now
+ * so the client can merge its changes
+ * @param {Object} currentTask - Latest task item
+ * @param {number|null} expectedVersion - Version the client sent
+ * @returns {Object} API Gateway formatted response
+ */
+function versionConflict(currentTask, expectedVersion) {
+    return response(409, {
+        error: 'Task was modified by someone else. Review the latest version and try again.',
+        expectedVersion,
+        currentVersion: currentTask.version || 0,
+        currentTask
+    }, { ETag: versionETag(currentTask.version) });
+}
+
 /**
  * Validate authentication from API Gateway request context
  * @param {Object} requestContext - API Gateway request context
@@ -264,17 +421,158 @@ async function validateAssignedMembers(memberEmails) {
     return { inactiveUsers, nonExistentUsers, adminUsers };
 }
 
+/**
+ * Run a DynamoDB scan or query to completion, following LastEvaluatedKey
+ * A single call stops at 1 MB of data, so callers that need every match use this
+ * @param {string} operation - DocumentClient method name ('scan' or 'query')
+ * @param {Object} params - DynamoDB request parameters
+ * @returns {Promise<Array<Object>>} All items across every page
+ */
+async function fetchAllPages(operation, params) {
+    const items = [];
+    let exclusiveStartKey;
+    
+    do {
+        const result = await dynamodb[operation]({
+            ...params,
+            ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey })
+        }).promise();
+        
+        items.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey);
+    
+    return items;
+}
+
+// Unprocessed batch requests (throttling) are retried after BATCH_RETRY_BASE_MS, doubling
+// each time; after BATCH_MAX_ATTEMPTS calls the batch fails
+const BATCH_MAX_ATTEMPTS = 8;
+const BATCH_RETRY_BASE_MS = 50;
+
+/**
+ * Send one batch request until DynamoDB has processed all of it
+ * @param {string} operation - DocumentClient method name ('batchWrite' or 'batchGet')
+ * @param {Object} requestItems - RequestItems of the first call
+ * @param {Function} unprocessed - Picks the requests left over from a call's result
+ * @param {Function} [onResult] - Called with each call's result
+ * @returns {Promise<void>}
+ * @throws {Error} With code BatchUnprocessed when requests are still left after the last attempt
+ */
+async function sendBatch(operation, requestItems, unprocessed, onResult = () => {}) {
+    let pending = requestItems;
+    
+    for (let attempt = 1; ; attempt++) {
+        const result = await dynamodb[operation]({ RequestItems: pending }).promise();
+        onResult(result);
+        pending = unprocessed(result);
+        
+        if (!pending || Object.keys(pending).length === 0) {
+            return;
+        }
+        if (attempt === BATCH_MAX_ATTEMPTS) {
+            const error = new Error(`DynamoDB ${operation} still had unprocessed requests after ${BATCH_MAX_ATTEMPTS} attempts`);
+            error.code = 'BatchUnprocessed';
+            throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, BATCH_RETRY_BASE_MS * 2 ** (attempt - 1)));
+    }
+}
+
+/**
+ * Write items in BatchWriteItem sized chunks, retrying unprocessed requests with backoff
+ * @param {string} tableName - Target table
+ * @param {Array<Object>} requests - PutRequest/DeleteRequest entries
+ * @returns {Promise<void>}
+ * @throws {Error} With code BatchUnprocessed if DynamoDB keeps leaving requests unprocessed
+ */
+async function batchWriteAll(tableName, requests) {
+    for (let i = 0; i < requests.length; i += 25) {
+        await sendBatch('batchWrite', { [tableName]: requests.slice(i, i + 25) }, result => result.UnprocessedItems);
+    }
+}
+
+/**
+ * Read items by key in BatchGetItem sized chunks, retrying unprocessed keys with backoff
+ * Results are not returned in key order
+ * @param {string} tableName - Source table
+ * @param {Array<Object>} keys - Primary keys to read
+ * @returns {Promise<Array<Object>>} Items that exist
+ * @throws {Error} With code BatchUnprocessed if DynamoDB keeps leaving keys unprocessed
+ */
+async function batchGetAll(tableName, keys) {
+    const items = [];
+    
+    for (let i = 0; i < keys.length; i += 100) {
+        await sendBatch(
+            'batchGet',
+            { [tableName]: { Keys: keys.slice(i, i + 100) } },
+            result => result.UnprocessedKeys,
+            result => items.push(...((result.Responses && result.Responses[tableName]) || []))
+        );
+    }
+    
+    return items;
+}
+
+/**
+ * Encode a pagination cursor as an opaque URL-safe token
+ * @param {Object} cursor - Cursor state to hand back to the client
+ * @returns {string} Base64url encoded token
+ */
+function encodePageToken(cursor) {
+    return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+/**
+ * Decode a pagination token produced by encodePageToken
+ * @param {string} token - Token received from the client
+ * @returns {Object|null} Cursor state, or null if the token is malformed
+ */
+function decodePageToken(token) {
+    try {
+        const cursor = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+        return cursor && typeof cursor === 'object' ? cursor : null;
+    } catch (error) {
+        return null;
+    }
+}
+
 module.exports = {
     getUserRole,
     checkUserActive,
     sendNotificationEmail,
+    sendChatMessage,
+    registerNotificationChannel,
+    sendNotification,
     response,
+    textResponse,
+    versionETag,
+    parseExpectedVersion,
+    withVersionCheck,
+    versionConflict,
     validateAuth,
     isValidEmail,
     validateEmails,
     buildUpdateExpression,
     validateAssignedMembers,
+    fetchAllPages,
+    batchWriteAll,
+    batchGetAll,
+    encodePageToken,
+    decodePageToken,
     TASKS_TABLE,
     USERS_TABLE,
-    dynamodb
+    TASK_MEMBERS_TABLE,
+    ACTIVITY_TABLE,
+    COMMENTS_TABLE,
+    SERIES_TABLE,
+    OUTBOX_TABLE,
+    NOTIFICATIONS_TABLE,
+    WEBHOOKS_TABLE,
+    WEBHOOK_DELIVERIES_TABLE,
+    SETTINGS_TABLE,
+    EXPORTS_BUCKET,
+    dynamodb,
+    s3
 };
@@ -0,0 +1,231 @@
+/**
+ * Task Comments Lambda Function
+ * Handles /tasks/{taskId}/comments and /tasks/{taskId}/comments/{commentId}
+ * Admins and the task's assigned members can read and add comments;
+ * only the author can edit a comment, the author or an admin can delete it.
+ * Users mentioned as @email are notified through the notification outbox.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth,
+    TASKS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const {
+    validateCommentText,
+    validateMentions,
+    getComment,
+    createComment,
+    editComment,
+    deleteComment,
+    parseCommentQuery,
+    listComments
+} = require('./comments');
+
+exports.handler = async (event) => {
+    console.log('Task Comments Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, pathParameters, queryStringParameters, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (!pathParameters || !pathParameters.taskId) {
+            return response(400, { error: 'Missing required parameter: taskId' });
+        }
+
+        const access = await checkTaskAccess(pathParameters.taskId, userEmail, userRole);
+        if (access.error) {
+            return access.error;
+        }
+
+        const { commentId } = pathParameters;
+        const { task } = access;
+
+        switch (httpMethod) {
+            case 'GET':
+                return await getComments(task.taskId, queryStringParameters);
+            case 'POST':
+                return await addComment(task, JSON.parse(body || '{}'), userEmail);
+            case 'PUT':
+                return await updateComment(task, commentId, JSON.parse(body || '{}'), userEmail);
+            case 'DELETE':
+                return await removeComment(task.taskId, commentId, userEmail, userRole);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Make sure the task exists and the user may see it
+ * @returns {Promise<Object>} { task } or { error } holding an error response
+ */
+async function checkTaskAccess(taskId, userEmail, userRole) {
+    const result = await dynamodb.get({
+        TableName: TASKS_TABLE,
+        Key: { taskId }
+    }).promise();
+
+    if (!result.Item) {
+        return { error: response(404, { error: 'Task not found' }) };
+    }
+
+    const task = result.Item;
+
+    if (userRole !== 'admin') {
+        const isAssigned = task.assignedMembers &&
+                          task.assignedMembers.includes(userEmail);
+        if (!isAssigned) {
+            return { error: response(403, {
+                error: 'Forbidden - You can only comment on tasks assigned to you'
+            }) };
+        }
+    }
+
+    return { task };
+}
+
+/**
+ * List comments - one page, oldest first
+ */
+async function getComments(taskId, queryStringParameters) {
+    const parsed = parseCommentQuery(queryStringParameters);
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    const { comments, nextToken } = await listComments(taskId, parsed.query);
+
+    return response(200, {
+        taskId,
+        comments,
+        count: comments.length,
+        nextToken
+    });
+}
+
+/**
+ * Add a comment, or a reply when parentId is given
+ */
+async function addComment(task, commentData, userEmail) {
+    const { taskId } = task;
+
+    const validation = validateCommentText(commentData.text);
+    if (!validation.valid) {
+        return response(400, { error: validation.error });
+    }
+
+    const mentionCheck = await validateMentions(validation.text);
+    if (!mentionCheck.valid) {
+        return response(400, mentionCheck.error);
+    }
+
+    let parent = null;
+    if (commentData.parentId) {
+        parent = await getComment(taskId, commentData.parentId);
+        if (!parent) {
+            return response(404, { error: 'Parent comment not found' });
+        }
+        if (parent.deleted) {
+            return response(400, { error: 'Cannot reply to a deleted comment' });
+        }
+    }
+
+    const comment = await createComment(task, userEmail, validation.text, parent, mentionCheck.mentions);
+
+    return response(201, {
+        message: 'Comment added successfully',
+        comment
+    });
+}
+
+/**
+ * Edit a comment - author only
+ * Only users who were not already mentioned are notified
+ */
+async function updateComment(task, commentId, commentData, userEmail) {
+    const { taskId } = task;
+
+    if (!commentId) {
+        return response(400, { error: 'Missing required parameter: commentId' });
+    }
+
+    const comment = await getComment(taskId, commentId);
+    if (!comment || comment.deleted) {
+        return response(404, { error: 'Comment not found' });
+    }
+
+    if (comment.author !== userEmail) {
+        return response(403, { error: 'Forbidden - You can only edit your own comments' });
+    }
+
+    const validation = validateCommentText(commentData.text);
+    if (!validation.valid) {
+        return response(400, { error: validation.error });
+    }
+
+    if (validation.text === comment.text) {
+        return response(200, { message: 'Comment unchanged', comment });
+    }
+
+    const mentionCheck = await validateMentions(validation.text);
+    if (!mentionCheck.valid) {
+        return response(400, mentionCheck.error);
+    }
+
+    const updated = await editComment(task, comment, validation.text, userEmail, mentionCheck.mentions);
+
+    return response(200, {
+        message: 'Comment updated successfully',
+        comment: updated
+    });
+}
+
+/**
+ * Delete a comment - author or admin
+ */
+async function removeComment(taskId, commentId, userEmail, userRole) {
+    if (!commentId) {
+        return response(400, { error: 'Missing required parameter: commentId' });
+    }
+
+    const comment = await getComment(taskId, commentId);
+    if (!comment || comment.deleted) {
+        return response(404, { error: 'Comment not found' });
+    }
+
+    if (comment.author !== userEmail && userRole !== 'admin') {
+        return response(403, { error: 'Forbidden - You can only delete your own comments' });
+    }
+
+    const { removed } = await deleteComment(comment, userEmail);
+
+    return response(200, {
+        message: 'Comment deleted successfully',
+        commentId,
+        removed
+    });
+}
@@ -0,0 +1,255 @@
+/**
+ * Task creation
+ * The validation, storage and assignment notifications behind POST /tasks.
+ * Lives outside the handler so scheduled jobs create tasks through the same checks.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const {
+    response,
+    validateEmails,
+    validateAssignedMembers,
+    TASKS_TABLE
+} = require('./shared-utils');
+const {
+    MAX_TRANSACT_ITEMS,
+    notificationJob,
+    webhookJobs,
+    chatJobs,
+    writeWithOutbox
+} = require('./outbox');
+const { membershipWrites } = require('./task-membership');
+const { taskCreatedActivity } = require('./activity-log');
+const { getInitialStates } = require('./workflow');
+const { buildChecklist } = require('./checklist');
+const { validateBlockedBy, syncBlocksAfterSave } = require('./dependencies');
+const { listOrderAttributes } = require('./task-queries');
+
+const VALID_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+// A task change is saved in one transaction (MAX_TRANSACT_ITEMS). A reassignment can drop
+// every assignee and add as many new ones, each with a membership row and a notification;
+// the rest of the transaction is kept for the task, its activity events, webhook
+// deliveries and chat posts
+const ITEMS_PER_ASSIGNEE = 4;
+const RESERVED_TRANSACT_ITEMS = 20;
+const MAX_ASSIGNEES = Math.floor((MAX_TRANSACT_ITEMS - RESERVED_TRANSACT_ITEMS) / ITEMS_PER_ASSIGNEE);
+
+/**
+ * Validate the fields of a new task
+ * @param {Object} taskData - Task fields as sent to POST /tasks
+ * @param {Object} [options]
+ * @param {Function} [options.checkMembers] - Looks up assignees; validateAssignedMembers unless a caller caches lookups
+ * @returns {Promise<Object>} { valid: true, fields } or { valid: false, error } with the error body
+ */
+async function validateTaskInput(taskData, { checkMembers = validateAssignedMembers } = {}) {
+    // Validate required fields
+    if (!taskData.title || !taskData.description) {
+        return { valid: false, error: { error: 'Missing required fields: title and description' } };
+    }
+    
+    // Validate and deduplicate assigned members
+    const emailValidation = validateEmails(taskData.assignedTo || []);
+    
+    if (!emailValidation.valid) {
+        if (emailValidation.emails.length === 0) {
+            return { valid: false, error: { error: 'At least one member must be assigned' } };
+        }
+        return { valid: false, error: { error: 'Invalid email addresses', invalidEmails: emailValidation.invalid } };
+    }
+    
+    const assignedMembers = emailValidation.emails;
+    
+    if (assignedMembers.length > MAX_ASSIGNEES) {
+        return { valid: false, error: { error: `A task can have at most ${MAX_ASSIGNEES} assignees` } };
+    }
+    
+    // Verify all assigned users are active members (not admins)
+    const { inactiveUsers, nonExistentUsers, adminUsers } = await checkMembers(assignedMembers);
+    
+    if (nonExistentUsers.length > 0) {
+        return { valid: false, error: { error: 'Some users do not exist in the system', nonExistentUsers } };
+    }
+    
+    if (inactiveUsers.length > 0) {
+        return { valid: false, error: { error: 'Cannot assign to deactivated users', inactiveUsers } };
+    }
+    
+    if (adminUsers.length > 0) {
+        return {
+            valid: false,
+            error: { error: 'Cannot assign tasks to admins. Admins manage tasks, only members can be assigned tasks.', adminUsers }
+        };
+    }
+    
+    // Validate status - new tasks must start in one of the workflow's initial states
+    const initialStates = getInitialStates();
+    const status = taskData.status || initialStates[0];
+    if (!initialStates.includes(status)) {
+        return {
+            valid: false,
+            error: { error: `Invalid status. New tasks must start in one of: ${initialStates.join(', ')}`, allowedStatuses: initialStates }
+        };
+    }
+    
+    // Validate priority
+    const priority = taskData.priority || 'medium';
+    if (!VALID_PRIORITIES.includes(priority)) {
+        return { valid: false, error: { error: `Invalid priority. Must be one of: ${VALID_PRIORITIES.join(', ')}` } };
+    }
+    
+    // Validate due date if provided
+    if (taskData.dueDate) {
+        const dueDate = new Date(taskData.dueDate);
+        if (isNaN(dueDate.getTime())) {
+            return { valid: false, error: { error: 'Invalid due date format' } };
+        }
+    }
+    
+    // Validate checklist items; their assignees must be among the task's members
+    let checklist = [];
+    if (taskData.checklist !== undefined) {
+        const built = buildChecklist(taskData.checklist, [], assignedMembers);
+        if (!built.valid) {
+            return { valid: false, error: built.error };
+        }
+        checklist = built.checklist;
+    }
+    
+    // Validate dependencies - every blocking task must exist
+    let blockedBy = [];
+    if (taskData.blockedBy !== undefined) {
+        const dependencyCheck = await validateBlockedBy(null, taskData.blockedBy);
+        if (!dependencyCheck.valid) {
+            return { valid: false, error: dependencyCheck.error };
+        }
+        blockedBy = dependencyCheck.blockedBy;
+    }
+    
+    return {
+        valid: true,
+        fields: {
+            title: taskData.title.trim(),
+            description: taskData.description.trim(),
+            status,
+            assignedMembers,
+            priority,
+            dueDate: taskData.dueDate || null,
+            tags: taskData.tags || [],
+            checklist,
+            blockedBy
+        }
+    };
+}
+
+/**
+ * Build the item for a new task from validated fields
+ * @param {Object} fields - Fields from validateTaskInput()
+ * @param {string} userEmail - Admin creating the task
+ * @param {Object} [attributes] - Extra attributes set by internal callers
+ * @returns {Object} Task item, ready to write
+ */
+function buildTask(fields, userEmail, attributes = {}) {
+    const now = new Date().toISOString();
+    const taskId = uuidv4();
+    return {
+        taskId,
+        ...fields,
+        assignedTo: fields.assignedMembers[0], // For GSI compatibility
+        createdBy: userEmail,
+        createdAt: now,
+        updatedAt: now,
+        blocks: [],
+        version: 1,
+        ...listOrderAttributes({ taskId, createdAt: now }),
+        ...attributes
+    };
+}
+
+/**
+ * Transaction writes that store a new task with its membership rows and creation event
+ * @param {Object} task - Task from buildTask()
+ * @param {string} userEmail - Admin creating it
+ * @returns {Array<Object>} Transaction items for writeWithOutbox()
+ */
+function createdTaskWrites(task, userEmail) {
+    return [
+        { Put: { TableName: TASKS_TABLE, Item: task } },
+        ...membershipWrites(task.taskId, [], task.assignedMembers),
+        ...taskCreatedActivity(task, userEmail)
+    ];
+}
+
+/**
+ * Index a stored task under its blockers
+ * Runs after the task is saved and never throws, so a saved task is not reported as failed
+ * @param {Object} task - Stored task
+ * @returns {Promise<void>}
+ */
+async function indexCreatedTask(task) {
+    await syncBlocksAfterSave(task.taskId, [], task.blockedBy);
+}
+
+/**
+ * Validate a new task, store it and notify its assignees
+ * @param {Object} taskData - Task fields as sent to POST /tasks
+ * @param {string} userEmail - Admin creating the task
+ * @param {Object} [attributes] - Extra attributes set by internal callers, e.g. the series a recurring instance belongs to
+ * @returns {Promise<Object>} API response: 201 with the task, or the validation error
+ */
+async function createTask(taskData, userEmail, attributes = {}) {
+    const validation = await validateTaskInput(taskData);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+    
+    const task = buildTask(validation.fields, userEmail, attributes);
+    
+    try {
+        // Notify all assigned members, queued together with the task itself
+        const jobs = task.assignedMembers.map(memberEmail =>
+            notificationJob({
+                to: memberEmail,
+                event: 'task-assigned',
+                template: 'task-assigned',
+                variables: {
+                    taskId: task.taskId,
+                    title: task.title,
+                    description: task.description,
+                    priority: task.priority,
+                    status: task.status,
+                    dueDate: task.dueDate,
+                    assignedBy: userEmail
+                }
+            })
+        );
+        jobs.push(...await webhookJobs('task.created', { task, actor: userEmail }));
+        jobs.push(...await chatJobs('task-created', task, userEmail));
+        
+        // Create the task, index it under its members and log its creation
+        await writeWithOutbox(createdTaskWrites(task, userEmail), jobs);
+        
+        await indexCreatedTask(task);
+        
+        return response(201, { 
+            message: 'Task created successfully', 
+            task 
+        });
+    } catch (error) {
+        console.error('Error creating task:', error);
+        return response(500, { 
+            error: 'Failed to create task', 
+            message: error.message 
+        });
+    }
+}
+
+module.exports = {
+    VALID_PRIORITIES,
+    MAX_ASSIGNEES,
+    validateTaskInput,
+    buildTask,
+    createdTaskWrites,
+    indexCreatedTask,
+    createTask
+};
@@ -0,0 +1,171 @@
+/**
+ * Task export
+ * Writes the tasks of a list view to a CSV or JSON file for reports. The file is streamed
+ * into the exports bucket while the rows are built, so exports are not bound by the
+ * API Gateway response size, and downloaded through a short-lived signed URL.
+ *
+ * CSV files start with a UTF-8 byte order mark and use CRLF line endings so spreadsheet
+ * apps (Excel, Numbers, Google Sheets) open them with the right encoding.
+ */
+
+const { Readable } = require('stream');
+const { v4: uuidv4 } = require('uuid');
+const {
+    COMMENTS_TABLE,
+    EXPORTS_BUCKET,
+    dynamodb,
+    s3
+} = require('./shared-utils');
+
+const EXPORT_FORMATS = ['csv', 'json'];
+const EXPORT_COLUMNS = [
+    'taskId', 'title', 'description', 'status', 'priority', 'dueDate', 'assignedTo',
+    'tags', 'commentCount', 'createdBy', 'createdAt', 'updatedAt'
+];
+const CONTENT_TYPES = {
+    csv: 'text/csv; charset=utf-8',
+    json: 'application/json; charset=utf-8'
+};
+
+// Tasks whose comments are counted in parallel before their rows are written
+const EXPORT_BATCH_SIZE = 25;
+
+// Lifetime of a download link; the bucket deletes exports after a day
+const EXPORT_URL_TTL_SECONDS = 5 * 60;
+
+/**
+ * Number of comments on a task, not counting deleted ones kept for their replies
+ * @param {string} taskId - Task ID
+ * @returns {Promise<number>} Comment count
+ */
+async function countComments(taskId) {
+    let count = 0;
+    let ExclusiveStartKey;
+
+    do {
+        const result = await dynamodb.query({
+            TableName: COMMENTS_TABLE,
+            KeyConditionExpression: 'taskId = :taskId',
+            FilterExpression: 'attribute_not_exists(#deleted)',
+            ExpressionAttributeNames: { '#deleted': 'deleted' },
+            ExpressionAttributeValues: { ':taskId': taskId },
+            Select: 'COUNT',
+            ExclusiveStartKey
+        }).promise();
+        count += result.Count;
+        ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (ExclusiveStartKey);
+
+    return count;
+}
+
+/**
+ * One exported task, with the fields of EXPORT_COLUMNS
+ * @param {Object} task - Task item
+ * @param {number} commentCount - Comments on the task
+ * @returns {Object} Export record
+ */
+function exportRecord(task, commentCount) {
+    return {
+        taskId: task.taskId,
+        title: task.title,
+        description: task.description || '',
+        status: task.status,
+        priority: task.priority || null,
+        dueDate: task.dueDate || null,
+        assignedTo: task.assignedMembers || [],
+        tags: task.tags || [],
+        commentCount,
+        createdBy: task.createdBy || null,
+        createdAt: task.createdAt || null,
+        updatedAt: task.updatedAt || null
+    };
+}
+
+/**
+ * Format a value as a CSV field
+ * Lists are joined with '; '. Text that a spreadsheet would run as a formula
+ * (starting with =, +, -, @ or a control character) is prefixed with a quote.
+ */
+function csvField(value) {
+    let text = Array.isArray(value) ? value.join('; ') : (value === null || value === undefined ? '' : String(value));
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build the export file in pieces, a batch of tasks at a time
+ * @param {Array<Object>} tasks - Sorted tasks to export
+ * @param {string} format - 'csv' or 'json'
+ * @param {Date} [now] - Export time (for tests)
+ * @returns {AsyncGenerator<string>} Chunks of the file
+ */
+async function* exportChunks(tasks, format, now = new Date()) {
+    if (format === 'csv') {
+        yield `\uFEFF${EXPORT_COLUMNS.join(',')}\r\n`;
+    } else {
+        yield `{"exportedAt":${JSON.stringify(now.toISOString())},"count":${tasks.length},"tasks":[`;
+    }
+
+    for (let start = 0; start < tasks.length; start += EXPORT_BATCH_SIZE) {
+        const batch = tasks.slice(start, start + EXPORT_BATCH_SIZE);
+        const counts = await Promise.all(batch.map(task => countComments(task.taskId)));
+        const records = batch.map((task, index) => exportRecord(task, counts[index]));
+
+        if (format === 'csv') {
+            yield records.map(record => `${EXPORT_COLUMNS.map(column => csvField(record[column])).join(',')}\r\n`).join('');
+        } else {
+            yield `${start > 0 ? ',' : ''}${records.map(record => JSON.stringify(record)).join(',')}`;
+        }
+    }
+
+    if (format === 'json') {
+        yield ']}';
+    }
+}
+
+/**
+ * Stream an export of the tasks into the exports bucket
+ * @param {Array<Object>} tasks - Sorted tasks to export
+ * @param {string} format - 'csv' or 'json'
+ * @param {Date} [now] - Export time
+ * @returns {Promise<Object>} { url, filename, expiresAt } where url downloads the file
+ */
+async function writeExport(tasks, format, now = new Date()) {
+    const filename = `tasks-${now.toISOString().slice(0, 10)}.${format}`;
+    const key = `exports/${now.toISOString().slice(0, 10)}/${uuidv4()}.${format}`;
+
+    // The managed upload sends the stream in parts as the chunks are produced
+    await s3.upload({
+        Bucket: EXPORTS_BUCKET,
+        Key: key,
+        Body: Readable.from(exportChunks(tasks, format, now)),
+        ContentType: CONTENT_TYPES[format],
+        ContentDisposition: `attachment; filename="${filename}"`
+    }).promise();
+
+    const url = await s3.getSignedUrlPromise('getObject', {
+        Bucket: EXPORTS_BUCKET,
+        Key: key,
+        Expires: EXPORT_URL_TTL_SECONDS
+    });
+
+    return {
+        url,
+        filename,
+        expiresAt: new Date(now.getTime() + EXPORT_URL_TTL_SECONDS * 1000).toISOString()
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    EXPORT_COLUMNS,
+    countComments,
+    exportRecord,
+    exportChunks,
+    writeExport
+};
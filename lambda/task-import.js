@@ -0,0 +1,345 @@
+/**
+ * Bulk task import
+ * Admins upload a CSV or JSON file of tasks. Every row goes through validateTaskInput(),
+ * the checks behind POST /tasks. A dry run only reports each row's errors; a commit writes
+ * the valid rows in batches and then emails each assignee once for all their new tasks.
+ *
+ * CSV files need a header row naming the columns below (any order, case-insensitive);
+ * assignedTo and tags hold several values separated by ';' or ','. JSON files are an
+ * array of task objects with the same fields as POST /tasks.
+ */
+
+const { validateAssignedMembers } = require('./shared-utils');
+const {
+    MAX_TRANSACT_ITEMS,
+    notificationJob,
+    webhookJobs,
+    writeWithOutbox,
+    queueJobs
+} = require('./outbox');
+const { validateTaskInput, buildTask, createdTaskWrites, indexCreatedTask } = require('./task-creation');
+
+const IMPORT_FORMATS = ['csv', 'json'];
+const IMPORT_MODES = ['dry-run', 'commit'];
+const IMPORT_COLUMNS = ['title', 'description', 'assignedTo', 'status', 'priority', 'dueDate', 'tags'];
+const LIST_COLUMNS = ['assignedTo', 'tags'];
+
+const MAX_IMPORT_ROWS = 500;
+
+// Most tasks written per transaction, with their webhook deliveries; fewer when they
+// would not fit in one transaction together
+const IMPORT_BATCH_SIZE = 25;
+
+/**
+ * Split CSV text into rows of fields (RFC 4180: quoted fields may hold commas,
+ * doubled quotes and line breaks)
+ * @param {string} text - CSV file content
+ * @returns {Object} { valid: true, rows } or { valid: false, error }
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // A UTF-8 byte order mark, as spreadsheet apps often write, is not part of the first header
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        return { valid: false, error: 'Invalid CSV: a quoted field is not closed' };
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines are skipped
+    return { valid: true, rows: rows.filter(fields => fields.some(value => value.trim() !== '')) };
+}
+
+/**
+ * Turn CSV rows into task objects keyed by the header row
+ */
+function csvTasks(text) {
+    const parsed = parseCsv(text);
+    if (!parsed.valid) {
+        return parsed;
+    }
+
+    const [header, ...rows] = parsed.rows;
+    if (!header) {
+        return { valid: false, error: 'The file is empty' };
+    }
+
+    const columns = header.map(name => IMPORT_COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase()));
+    const unknownColumns = header.filter((name, index) => !columns[index]).map(name => name.trim());
+    if (unknownColumns.length > 0) {
+        return { valid: false, error: `Unknown columns: ${unknownColumns.join(', ')}. Columns may be: ${IMPORT_COLUMNS.join(', ')}` };
+    }
+    if (!columns.includes('title') || !columns.includes('description')) {
+        return { valid: false, error: 'The header row must name the title and description columns' };
+    }
+
+    const tasks = rows.map(fields => {
+        const task = {};
+        columns.forEach((column, index) => {
+            const value = (fields[index] || '').trim();
+            if (value === '') {
+                return;
+            }
+            task[column] = LIST_COLUMNS.includes(column)
+                ? value.split(/[;,]/).map(item => item.trim()).filter(Boolean)
+                : value;
+        });
+        return task;
+    });
+
+    return { valid: true, tasks };
+}
+
+/**
+ * Read the task objects from a JSON file
+ */
+function jsonTasks(text) {
+    let tasks;
+    try {
+        tasks = JSON.parse(text);
+    } catch (error) {
+        return { valid: false, error: `Invalid JSON: ${error.message}` };
+    }
+
+    if (!Array.isArray(tasks)) {
+        return { valid: false, error: 'The JSON file must hold an array of tasks' };
+    }
+
+    // Anything but an object fails row validation with the missing-fields error
+    return { valid: true, tasks: tasks.map(task => (task && typeof task === 'object' && !Array.isArray(task) ? task : {})) };
+}
+
+/**
+ * Validate an import request and parse its file
+ * @param {Object} input - Request body: { format, content, mode }
+ * @returns {Object} { valid: true, mode, tasks } or { valid: false, error } with the error body
+ */
+function parseImport(input) {
+    const mode = input.mode || 'dry-run';
+    if (!IMPORT_MODES.includes(mode)) {
+        return { valid: false, error: { error: `Invalid mode. Must be one of: ${IMPORT_MODES.join(', ')}` } };
+    }
+
+    if (!IMPORT_FORMATS.includes(input.format)) {
+        return { valid: false, error: { error: `Invalid format. Must be one of: ${IMPORT_FORMATS.join(', ')}` } };
+    }
+
+    if (typeof input.content !== 'string' || input.content.trim() === '') {
+        return { valid: false, error: { error: 'Missing required field: content' } };
+    }
+
+    const parsed = input.format === 'csv' ? csvTasks(input.content) : jsonTasks(input.content);
+    if (!parsed.valid) {
+        return { valid: false, error: { error: parsed.error } };
+    }
+
+    if (parsed.tasks.length === 0) {
+        return { valid: false, error: { error: 'The file has no tasks' } };
+    }
+
+    if (parsed.tasks.length > MAX_IMPORT_ROWS) {
+        return { valid: false, error: { error: `Too many tasks. Import at most ${MAX_IMPORT_ROWS} at a time` } };
+    }
+
+    return { valid: true, mode, tasks: parsed.tasks };
+}
+
+/**
+ * validateAssignedMembers that looks each user up once per import
+ * @returns {Function} async (emails) => { inactiveUsers, nonExistentUsers, adminUsers }
+ */
+function memberChecker() {
+    const cache = new Map();
+
+    return async (emails) => {
+        for (const email of emails.filter(email => !cache.has(email))) {
+            const { inactiveUsers, nonExistentUsers, adminUsers } = await validateAssignedMembers([email]);
+            cache.set(email, {
+                inactiveUsers: inactiveUsers.length > 0,
+                nonExistentUsers: nonExistentUsers.length > 0,
+                adminUsers: adminUsers.length > 0
+            });
+        }
+
+        const matching = problem => emails.filter(email => cache.get(email)[problem]);
+        return {
+            inactiveUsers: matching('inactiveUsers'),
+            nonExistentUsers: matching('nonExistentUsers'),
+            adminUsers: matching('adminUsers')
+        };
+    };
+}
+
+/**
+ * Validate every row
+ * @param {Array<Object>} tasks - Parsed rows
+ * @returns {Promise<Array<Object>>} One report per row: { row, valid, task, error? }, plus the validated fields of valid rows
+ */
+async function validateRows(tasks) {
+    const checkMembers = memberChecker();
+    const reports = [];
+
+    for (const [index, taskData] of tasks.entries()) {
+        const validation = await validateTaskInput(taskData, { checkMembers });
+        const source = validation.valid ? validation.fields : taskData;
+        reports.push({
+            row: index + 1,
+            valid: validation.valid,
+            task: {
+                title: typeof source.title === 'string' ? source.title : null,
+                assignedTo: validation.valid ? source.assignedMembers : [].concat(source.assignedTo || []),
+                status: source.status || null,
+                priority: source.priority || null,
+                dueDate: source.dueDate || null
+            },
+            ...(validation.valid ? { fields: validation.fields } : { error: validation.error })
+        });
+    }
+
+    return reports;
+}
+
+/**
+ * Group new tasks into transactions
+ * A batch holds up to IMPORT_BATCH_SIZE tasks, as long as their writes and jobs fit
+ * in one transaction.
+ * @param {Array<Object>} entries - { task, writes, jobs } per task
+ * @returns {Array<Array<Object>>} Batches of entries
+ */
+function importBatches(entries) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+
+    entries.forEach(entry => {
+        const entrySize = entry.writes.length + entry.jobs.length;
+        if (batch.length > 0 && (batch.length === IMPORT_BATCH_SIZE || size + entrySize > MAX_TRANSACT_ITEMS)) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(entry);
+        size += entrySize;
+    });
+
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+    return batches;
+}
+
+/**
+ * Store the tasks of the valid rows and notify their assignees
+ * Each batch is written with its membership rows, creation events and webhook deliveries; once
+ * the batches are in, each assignee gets one notification listing all their new tasks.
+ * A batch that cannot be written stops the import: the tasks of the earlier batches stay
+ * created and their assignees are still notified.
+ * @param {Array<Object>} reports - Valid row reports from validateRows()
+ * @param {string} userEmail - Admin importing the tasks
+ * @returns {Promise<Object>} { created, error }: the stored tasks, in row order, and why the
+ *   import stopped (null when every row was written)
+ */
+async function importRows(reports, userEmail) {
+    const created = [];
+    const entries = [];
+
+    for (const report of reports) {
+        const task = buildTask(report.fields, userEmail, { importedBy: userEmail });
+        entries.push({
+            task,
+            writes: createdTaskWrites(task, userEmail),
+            jobs: await webhookJobs('task.created', { task, actor: userEmail })
+        });
+    }
+
+    let error = null;
+    for (const batch of importBatches(entries)) {
+        try {
+            await writeWithOutbox(batch.flatMap(entry => entry.writes), batch.flatMap(entry => entry.jobs));
+        } catch (batchError) {
+            console.error(`Import stopped after ${created.length} of ${entries.length} tasks:`, batchError);
+            error = batchError.message;
+            break;
+        }
+
+        for (const { task } of batch) {
+            await indexCreatedTask(task);
+        }
+        created.push(...batch.map(entry => entry.task));
+    }
+
+    const byAssignee = new Map();
+    created.forEach(task => task.assignedMembers.forEach(email => {
+        byAssignee.set(email, [...(byAssignee.get(email) || []), task]);
+    }));
+
+    const notifications = [...byAssignee].map(([email, tasks]) => notificationJob({
+        to: email,
+        event: 'task-assigned',
+        template: 'tasks-imported',
+        variables: {
+            count: tasks.length,
+            tasks: tasks.map(task => ({
+                taskId: task.taskId,
+                title: task.title,
+                detail: `${task.priority}, ${task.dueDate ? `due ${task.dueDate}` : 'no due date'}`
+            })),
+            assignedBy: userEmail
+        }
+    }));
+    try {
+        await queueJobs(notifications);
+    } catch (queueError) {
+        // The tasks are created either way; only the summary emails are missing
+        console.error('Could not queue the import notifications:', queueError);
+    }
+
+    return { created, error };
+}
+
+module.exports = {
+    IMPORT_FORMATS,
+    IMPORT_MODES,
+    IMPORT_COLUMNS,
+    MAX_IMPORT_ROWS,
+    parseCsv,
+    parseImport,
+    validateRows,
+    importRows
+};
@@ -0,0 +1,101 @@
+/**
+ * Task membership projection
+ * Keeps one TASK_MEMBERS_TABLE item per (member, task) pair so a member's
+ * tasks can be read with a key query instead of scanning TASKS_TABLE
+ */
+
+const {
+    fetchAllPages,
+    batchWriteAll,
+    TASKS_TABLE,
+    TASK_MEMBERS_TABLE
+} = require('./shared-utils');
+
+/**
+ * Transaction writes that bring a task's membership rows in line with its assigned members
+ * Adds rows for new members and removes rows for members no longer assigned.
+ * Pass them to writeWithOutbox() together with the task write so the index never drifts.
+ * @param {string} taskId - Task ID
+ * @param {Array<string>} previousMembers - Members before the change ([] for new tasks)
+ * @param {Array<string>} nextMembers - Members after the change ([] for deleted tasks)
+ * @returns {Array<Object>} { Put } and { Delete } transaction items
+ */
+function membershipWrites(taskId, previousMembers, nextMembers) {
+    const previous = previousMembers || [];
+    const next = nextMembers || [];
+    const assignedAt = new Date().toISOString();
+
+    return [
+        ...next
+            .filter(memberEmail => !previous.includes(memberEmail))
+            .map(memberEmail => ({
+                Put: { TableName: TASK_MEMBERS_TABLE, Item: { memberEmail, taskId, assignedAt } }
+            })),
+        ...previous
+            .filter(memberEmail => !next.includes(memberEmail))
+            .map(memberEmail => ({
+                Delete: { TableName: TASK_MEMBERS_TABLE, Key: { memberEmail, taskId } }
+            }))
+    ];
+}
+
+/**
+ * List the IDs of every task a member is assigned to
+ * @param {string} memberEmail - Member email address
+ * @returns {Promise<Array<string>>} Task IDs
+ */
+async function listMemberTaskIds(memberEmail) {
+    const rows = await fetchAllPages('query', {
+        TableName: TASK_MEMBERS_TABLE,
+        KeyConditionExpression: 'memberEmail = :memberEmail',
+        ExpressionAttributeValues: { ':memberEmail': memberEmail }
+    });
+
+    return rows.map(row => row.taskId);
+}
+
+/**
+ * Rebuild the membership projection from TASKS_TABLE
+ * Writes a row for every assigned member of every task and removes rows
+ * whose task no longer exists or no longer lists that member. Safe to re-run.
+ * @returns {Promise<Object>} { tasksScanned, membershipsWritten, staleRemoved }
+ */
+async function backfillTaskMembership() {
+    const tasks = await fetchAllPages('scan', { TableName: TASKS_TABLE });
+    const expected = new Set();
+    const puts = [];
+
+    tasks.forEach(task => {
+        (task.assignedMembers || []).forEach(memberEmail => {
+            expected.add(`${memberEmail}|${task.taskId}`);
+            puts.push({
+                PutRequest: {
+                    Item: { memberEmail, taskId: task.taskId, assignedAt: task.updatedAt || task.createdAt }
+                }
+            });
+        });
+    });
+
+    await batchWriteAll(TASK_MEMBERS_TABLE, puts);
+
+    const rows = await fetchAllPages('scan', { TableName: TASK_MEMBERS_TABLE });
+    const stale = rows
+        .filter(row => !expected.has(`${row.memberEmail}|${row.taskId}`))
+        .map(row => ({
+            DeleteRequest: { Key: { memberEmail: row.memberEmail, taskId: row.taskId } }
+        }));
+
+    await batchWriteAll(TASK_MEMBERS_TABLE, stale);
+
+    return {
+        tasksScanned: tasks.length,
+        membershipsWritten: puts.length,
+        staleRemoved: stale.length
+    };
+}
+
+module.exports = {
+    membershipWrites,
+    listMemberTaskIds,
+    backfillTaskMembership
+};
@@ -0,0 +1,440 @@
+/**
+ * Task listing queries shared by the task Lambda functions
+ * Parses list filters from the query string, loads the tasks a user may see
+ * and returns them one sorted page at a time behind an opaque cursor
+ *
+ * Admin listings read one page at a time from ListOrderIndex, where every task shares
+ * one partition ordered by creation time, so they can only be sorted by createdAt.
+ * Member listings load the member's own tasks through the membership index and sort
+ * them in memory, by any of SORT_FIELDS.
+ */
+
+const {
+    fetchAllPages,
+    batchGetAll,
+    encodePageToken,
+    decodePageToken,
+    TASKS_TABLE,
+    dynamodb
+} = require('./shared-utils');
+const { listMemberTaskIds } = require('./task-membership');
+const { STATUS_IDS, isValidStatus } = require('./workflow');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'priority', 'status', 'title'];
+const ADMIN_SORT_FIELDS = ['createdAt'];
+const LIST_INDEX = 'ListOrderIndex';
+const LIST_KEY = 'tasks';
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3, urgent: 4 };
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Split a comma separated query parameter into trimmed values
+ * @param {string} value - Raw query string value
+ * @returns {Array<string>} Non-empty values
+ */
+function splitList(value) {
+    return (value || '')
+        .split(',')
+        .map(item => item.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Normalize a due-date bound from the query string
+ * Date-only values cover the whole day so dueTo=2026-03-15 includes tasks due that day
+ * @param {string} value - Raw date value
+ * @param {boolean} endOfDay - Extend date-only values to the end of the day
+ * @returns {string|null} Comparable date string, or null if invalid
+ */
+function normalizeDateBound(value, endOfDay) {
+    if (DATE_ONLY_PATTERN.test(value)) {
+        return endOfDay ? `${value}T23:59:59.999Z` : value;
+    }
+
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Parse and validate list parameters from API Gateway queryStringParameters
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.sortFields] - Allowed sortBy values; ADMIN_SORT_FIELDS for admin listings
+ * @returns {Object} { valid, error, query } where query holds limit, cursor, filters and sort
+ */
+function parseTaskListQuery(queryStringParameters, { sortFields = SORT_FIELDS } = {}) {
+    const params = queryStringParameters || {};
+
+    let limit = DEFAULT_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+        }
+    }
+
+    const sortBy = params.sortBy || 'createdAt';
+    if (!sortFields.includes(sortBy)) {
+        return { valid: false, error: `Invalid sortBy. Must be one of: ${sortFields.join(', ')}` };
+    }
+
+    const sortOrder = (params.sortOrder || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(sortOrder)) {
+        return { valid: false, error: 'Invalid sortOrder. Must be asc or desc' };
+    }
+
+    const filters = {
+        status: splitList(params.status),
+        priority: splitList(params.priority),
+        assignee: params.assignee ? params.assignee.trim() : null,
+        createdBy: params.createdBy ? params.createdBy.trim() : null,
+        dueFrom: null,
+        dueTo: null
+    };
+
+    const unknownStatuses = filters.status.filter(status => !isValidStatus(status));
+    if (unknownStatuses.length > 0) {
+        return { valid: false, error: `Invalid status filter: ${unknownStatuses.join(', ')}. Must be one of: ${STATUS_IDS.join(', ')}` };
+    }
+
+    if (params.dueFrom) {
+        filters.dueFrom = normalizeDateBound(params.dueFrom, false);
+        if (!filters.dueFrom) {
+            return { valid: false, error: 'Invalid dueFrom date format' };
+        }
+    }
+
+    if (params.dueTo) {
+        filters.dueTo = normalizeDateBound(params.dueTo, true);
+        if (!filters.dueTo) {
+            return { valid: false, error: 'Invalid dueTo date format' };
+        }
+    }
+
+    let cursor = null;
+    if (params.nextToken) {
+        cursor = decodePageToken(params.nextToken);
+        // A token is only meaningful for the ordering it was issued under
+        const valueType = sortBy === 'priority' ? 'number' : 'string';
+        if (!cursor || cursor.sortBy !== sortBy || cursor.sortOrder !== sortOrder ||
+            typeof cursor.taskId !== 'string' || (cursor.value !== null && typeof cursor.value !== valueType)) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return {
+        valid: true,
+        query: { limit, cursor, filters, sortBy, sortOrder }
+    };
+}
+
+/**
+ * Build a DynamoDB FilterExpression from list filters
+ * @param {Object} filters - Filters produced by parseTaskListQuery
+ * @returns {Object} Expression parameters to spread into a scan or query (empty if no filters)
+ */
+function buildTaskFilterExpression(filters) {
+    const conditions = [];
+    const names = {};
+    const values = {};
+
+    const addInCondition = (field, list) => {
+        if (list.length === 0) return;
+        names[`#${field}`] = field;
+        const placeholders = list.map((value, index) => {
+            values[`:${field}${index}`] = value;
+            return `:${field}${index}`;
+        });
+        conditions.push(`#${field} IN (${placeholders.join(', ')})`);
+    };
+
+    addInCondition('status', filters.status);
+    addInCondition('priority', filters.priority);
+
+    if (filters.assignee) {
+        names['#assignedMembers'] = 'assignedMembers';
+        values[':assignee'] = filters.assignee;
+        conditions.push('contains(#assignedMembers, :assignee)');
+    }
+
+    if (filters.createdBy) {
+        names['#createdBy'] = 'createdBy';
+        values[':createdBy'] = filters.createdBy;
+        conditions.push('#createdBy = :createdBy');
+    }
+
+    if (filters.dueFrom) {
+        names['#dueDate'] = 'dueDate';
+        values[':dueFrom'] = filters.dueFrom;
+        conditions.push('#dueDate >= :dueFrom');
+    }
+
+    if (filters.dueTo) {
+        names['#dueDate'] = 'dueDate';
+        values[':dueTo'] = filters.dueTo;
+        conditions.push('#dueDate <= :dueTo');
+    }
+
+    if (conditions.length === 0) {
+        return {};
+    }
+
+    return {
+        FilterExpression: conditions.join(' AND '),
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values
+    };
+}
+
+/**
+ * Check a task against list filters in memory
+ * Mirrors buildTaskFilterExpression for items read by key, where DynamoDB cannot filter
+ * @param {Object} task - Task item
+ * @param {Object} filters - Filters produced by parseTaskListQuery
+ * @returns {boolean} True if the task matches every filter
+ */
+function matchesTaskFilters(task, filters) {
+    if (filters.status.length > 0 && !filters.status.includes(task.status)) return false;
+    if (filters.priority.length > 0 && !filters.priority.includes(task.priority)) return false;
+    if (filters.assignee && !(task.assignedMembers || []).includes(filters.assignee)) return false;
+    if (filters.createdBy && task.createdBy !== filters.createdBy) return false;
+    if (filters.dueFrom && !(task.dueDate && task.dueDate >= filters.dueFrom)) return false;
+    if (filters.dueTo && !(task.dueDate && task.dueDate <= filters.dueTo)) return false;
+    return true;
+}
+
+/**
+ * Attributes that place a task in ListOrderIndex
+ * @param {Object} task - Task item with its taskId and createdAt
+ * @returns {Object} { listKey, listOrder } to store on the task
+ */
+function listOrderAttributes(task) {
+    return {
+        listKey: LIST_KEY,
+        listOrder: `${task.createdAt}#${task.taskId}`
+    };
+}
+
+/**
+ * Add the ListOrderIndex attributes to tasks stored without them
+ * Safe to run more than once: tasks that already have them are skipped
+ * @returns {Promise<Object>} { tasksOrdered }
+ */
+async function backfillTaskListOrder() {
+    const tasks = await fetchAllPages('scan', {
+        TableName: TASKS_TABLE,
+        FilterExpression: 'attribute_not_exists(#listOrder)',
+        ExpressionAttributeNames: { '#listOrder': 'listOrder' }
+    });
+
+    let tasksOrdered = 0;
+    for (const task of tasks) {
+        const { listKey, listOrder } = listOrderAttributes(task);
+        try {
+            await dynamodb.update({
+                TableName: TASKS_TABLE,
+                Key: { taskId: task.taskId },
+                UpdateExpression: 'SET #listKey = :listKey, #listOrder = :listOrder',
+                ConditionExpression: 'attribute_exists(taskId)',
+                ExpressionAttributeNames: { '#listKey': 'listKey', '#listOrder': 'listOrder' },
+                ExpressionAttributeValues: { ':listKey': listKey, ':listOrder': listOrder }
+            }).promise();
+            tasksOrdered++;
+        } catch (error) {
+            // Deleted since the scan
+            if (error.code !== 'ConditionalCheckFailedException') {
+                throw error;
+            }
+        }
+    }
+
+    return { tasksOrdered };
+}
+
+/**
+ * Load every task visible to the user that matches the filters
+ * Admins scan all tasks; members read their tasks through the membership index
+ * @param {string} userEmail - Requesting user's email
+ * @param {string} userRole - Requesting user's role
+ * @param {Object} filters - Filters produced by parseTaskListQuery
+ * @returns {Promise<Array<Object>>} Matching tasks (unsorted)
+ */
+async function loadVisibleTasks(userEmail, userRole, filters) {
+    if (userRole === 'admin') {
+        return await fetchAllPages('scan', {
+            TableName: TASKS_TABLE,
+            ...buildTaskFilterExpression(filters)
+        });
+    }
+
+    const taskIds = await listMemberTaskIds(userEmail);
+    const tasks = await batchGetAll(TASKS_TABLE, taskIds.map(taskId => ({ taskId })));
+
+    // The task item stays the source of truth if a membership row is stale
+    return tasks.filter(task =>
+        task.assignedMembers &&
+        task.assignedMembers.includes(userEmail) &&
+        matchesTaskFilters(task, filters)
+    );
+}
+
+/**
+ * Comparable value of a task for the chosen sort field
+ * @param {Object} task - Task item
+ * @param {string} sortBy - Sort field
+ * @returns {string|number|null} Sort value, null when the task has none
+ */
+function sortValue(task, sortBy) {
+    if (sortBy === 'priority') {
+        return PRIORITY_RANK[task.priority] || null;
+    }
+
+    const value = task[sortBy];
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+
+    return typeof value === 'string' && sortBy === 'title' ? value.toLowerCase() : value;
+}
+
+/**
+ * Compare two cursor positions ({ value, taskId })
+ * Tasks without a value sort last in either direction; taskId breaks ties, in the
+ * sort order as ListOrderIndex does, so the order is total and a cursor always
+ * identifies a unique position
+ */
+function comparePositions(a, b, sortOrder) {
+    if (a.taskId === b.taskId) return 0;
+
+    let difference;
+    if (a.value !== b.value) {
+        if (a.value === null) return 1;
+        if (b.value === null) return -1;
+        difference = a.value < b.value ? -1 : 1;
+    } else {
+        difference = a.taskId < b.taskId ? -1 : 1;
+    }
+    return sortOrder === 'asc' ? difference : -difference;
+}
+
+/**
+ * Sort tasks into cursor positions ({ task, value, taskId })
+ */
+function positionTasks(tasks, sortBy, sortOrder) {
+    return tasks
+        .map(task => ({ task, value: sortValue(task, sortBy), taskId: task.taskId }))
+        .sort((a, b) => comparePositions(a, b, sortOrder));
+}
+
+/**
+ * Sort tasks in the order of the list endpoint
+ * @param {Array<Object>} tasks - Matching tasks
+ * @param {string} sortBy - Sort field
+ * @param {string} sortOrder - 'asc' or 'desc'
+ * @returns {Array<Object>} Sorted tasks
+ */
+function sortTasks(tasks, sortBy, sortOrder) {
+    return positionTasks(tasks, sortBy, sortOrder).map(position => position.task);
+}
+
+/**
+ * Sort tasks and cut out the page that follows the cursor
+ * @param {Array<Object>} tasks - Matching tasks
+ * @param {Object} query - Query produced by parseTaskListQuery
+ * @returns {Object} { tasks, nextToken } where nextToken is null on the last page
+ */
+function paginateTasks(tasks, query) {
+    const { limit, cursor, sortBy, sortOrder } = query;
+    const positioned = positionTasks(tasks, sortBy, sortOrder);
+
+    const remaining = cursor
+        ? positioned.filter(position => comparePositions(position, cursor, sortOrder) > 0)
+        : positioned;
+
+    const page = remaining.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextToken = remaining.length > limit
+        ? encodePageToken({ sortBy, sortOrder, value: last.value, taskId: last.taskId })
+        : null;
+
+    return {
+        tasks: page.map(position => position.task),
+        nextToken
+    };
+}
+
+/**
+ * Read one page of all tasks from ListOrderIndex, in creation order
+ * Filters apply after each read, so reading goes on until one task past the page
+ * is found or the index runs out; that task only decides whether there is a next page.
+ * @param {Object} query - Query produced by parseTaskListQuery with ADMIN_SORT_FIELDS
+ * @returns {Promise<Object>} { tasks, nextToken } where nextToken is null on the last page
+ */
+async function listIndexedTasks(query) {
+    const { limit, cursor, filters, sortBy, sortOrder } = query;
+    const filterExpression = buildTaskFilterExpression(filters);
+
+    const tasks = [];
+    let startKey = cursor
+        ? { listKey: LIST_KEY, listOrder: `${cursor.value}#${cursor.taskId}`, taskId: cursor.taskId }
+        : undefined;
+
+    do {
+        const result = await dynamodb.query({
+            TableName: TASKS_TABLE,
+            IndexName: LIST_INDEX,
+            KeyConditionExpression: '#listKey = :listKey',
+            ...filterExpression,
+            ExpressionAttributeNames: { ...filterExpression.ExpressionAttributeNames, '#listKey': 'listKey' },
+            ExpressionAttributeValues: { ...filterExpression.ExpressionAttributeValues, ':listKey': LIST_KEY },
+            ScanIndexForward: sortOrder === 'asc',
+            Limit: limit + 1,
+            ...(startKey && { ExclusiveStartKey: startKey })
+        }).promise();
+
+        tasks.push(...result.Items);
+        startKey = result.LastEvaluatedKey;
+    } while (startKey && tasks.length <= limit);
+
+    const page = tasks.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextToken = tasks.length > limit
+        ? encodePageToken({ sortBy, sortOrder, value: last.createdAt, taskId: last.taskId })
+        : null;
+
+    return { tasks: page, nextToken };
+}
+
+/**
+ * List one page of tasks visible to the user
+ * @param {string} userEmail - Requesting user's email
+ * @param {string} userRole - Requesting user's role
+ * @param {Object} query - Query produced by parseTaskListQuery; for admins, with ADMIN_SORT_FIELDS
+ * @returns {Promise<Object>} { tasks, nextToken }
+ */
+async function listTasks(userEmail, userRole, query) {
+    if (userRole === 'admin') {
+        return await listIndexedTasks(query);
+    }
+
+    const tasks = await loadVisibleTasks(userEmail, userRole, query.filters);
+    return paginateTasks(tasks, query);
+}
+
+module.exports = {
+    parseTaskListQuery,
+    buildTaskFilterExpression,
+    matchesTaskFilters,
+    loadVisibleTasks,
+    sortTasks,
+    paginateTasks,
+    listTasks,
+    listOrderAttributes,
+    backfillTaskListOrder,
+    SORT_FIELDS,
+    ADMIN_SORT_FIELDS,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+};
@@ -0,0 +1,167 @@
+/**
+ * Task Series Lambda Function
+ * Handles /series and /series/{seriesId} - admin only
+ * Admins define recurring task series, then pause, resume, edit or end them.
+ * Deleting a series ends it; tasks already generated are kept.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const {
+    validateSeriesInput,
+    getSeries,
+    listSeries,
+    listInstances,
+    createSeries,
+    updateSeries
+} = require('./series');
+
+exports.handler = async (event) => {
+    console.log('Task Series Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, pathParameters, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can manage recurring tasks' });
+        }
+
+        const seriesId = pathParameters && pathParameters.seriesId;
+
+        switch (httpMethod) {
+            case 'GET':
+                return seriesId ? await getSeriesDetail(seriesId) : await getAllSeries();
+            case 'POST':
+                return await addSeries(JSON.parse(body || '{}'), userEmail);
+            case 'PUT':
+                return await editSeries(seriesId, JSON.parse(body || '{}'), userEmail);
+            case 'DELETE':
+                return await endSeries(seriesId, userEmail);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List every series
+ */
+async function getAllSeries() {
+    const series = await listSeries();
+    return response(200, { series, count: series.length });
+}
+
+/**
+ * One series with the tasks generated from it
+ */
+async function getSeriesDetail(seriesId) {
+    const series = await getSeries(seriesId);
+    if (!series) {
+        return response(404, { error: 'Series not found' });
+    }
+
+    const instances = await listInstances(seriesId);
+    return response(200, { series, instances });
+}
+
+/**
+ * Create a series - the first instances are generated on the next scheduled run
+ */
+async function addSeries(seriesData, userEmail) {
+    const validation = await validateSeriesInput(seriesData, null);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    const series = await createSeries(validation.fields, userEmail);
+
+    return response(201, {
+        message: 'Series created successfully',
+        series
+    });
+}
+
+/**
+ * Edit a series, or pause/resume/end it through `status`
+ * Changes apply to instances generated from now on
+ */
+async function editSeries(seriesId, seriesData, userEmail) {
+    if (!seriesId) {
+        return response(400, { error: 'Missing required parameter: seriesId' });
+    }
+
+    const series = await getSeries(seriesId);
+    if (!series) {
+        return response(404, { error: 'Series not found' });
+    }
+
+    const validation = await validateSeriesInput(seriesData, series);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    if (Object.keys(validation.fields).length === 0) {
+        return response(400, { error: 'No updates provided' });
+    }
+
+    if (series.status === 'ended' && validation.fields.status !== 'ended') {
+        return response(400, { error: 'An ended series cannot be edited' });
+    }
+
+    const updated = await updateSeries(series, validation.fields, userEmail);
+
+    return response(200, {
+        message: 'Series updated successfully',
+        series: updated
+    });
+}
+
+/**
+ * End a series - generated tasks are kept
+ */
+async function endSeries(seriesId, userEmail) {
+    if (!seriesId) {
+        return response(400, { error: 'Missing required parameter: seriesId' });
+    }
+
+    const series = await getSeries(seriesId);
+    if (!series) {
+        return response(404, { error: 'Series not found' });
+    }
+
+    if (series.status === 'ended') {
+        return response(200, { message: 'Series already ended', series });
+    }
+
+    const updated = await updateSeries(series, { status: 'ended' }, userEmail);
+
+    return response(200, {
+        message: 'Series ended successfully',
+        series: updated
+    });
+}
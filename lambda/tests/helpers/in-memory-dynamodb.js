@@ -0,0 +1,628 @@
+// In-memory stand-in for AWS.DynamoDB.DocumentClient
+// Implements the subset of the DocumentClient API and expression syntax the Lambdas use,
+// so handler logic can be exercised end to end without a real table
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'BETWEEN', 'IN', 'SET', 'REMOVE', 'ADD', 'DELETE'];
+
+function awsError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.code = code;
+  Object.assign(error, extra);
+  return error;
+}
+
+function clone(value) {
+  return value === undefined ? undefined : structuredClone(value);
+}
+
+// ---------------------------------------------------------------------------
+// Expression tokenizer and parser
+// ---------------------------------------------------------------------------
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(<>|<=|>=|[=<>(),+\-\[\]]|[#:]?[A-Za-z_][A-Za-z0-9_]*|\.|\d+)/y;
+  let index = 0;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(index))) break;
+      throw awsError('ValidationException', `Unable to parse expression near: ${expression.slice(index)}`);
+    }
+    tokens.push(match[1]);
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+class Parser {
+  constructor(expression, names = {}, values = {}) {
+    this.tokens = tokenize(expression);
+    this.position = 0;
+    this.names = names;
+    this.values = values;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[this.position + offset];
+  }
+
+  peekKeyword(keyword) {
+    const token = this.peek();
+    return token !== undefined && token.toUpperCase() === keyword;
+  }
+
+  next() {
+    return this.tokens[this.position++];
+  }
+
+  expect(token) {
+    const actual = this.next();
+    if (actual === undefined || actual.toUpperCase() !== token.toUpperCase()) {
+      throw awsError('ValidationException', `Expected "${token}" but found "${actual}"`);
+    }
+  }
+
+  done() {
+    return this.position >= this.tokens.length;
+  }
+
+  // Path: name ( . name | [ n ] )*
+  parsePath() {
+    const segments = [this.resolveName(this.next())];
+
+    while (this.peek() === '.' || this.peek() === '[') {
+      if (this.next() === '.') {
+        segments.push(this.resolveName(this.next()));
+      } else {
+        segments.push(Number(this.next()));
+        this.expect(']');
+      }
+    }
+
+    return { type: 'path', segments };
+  }
+
+  resolveName(token) {
+    if (token.startsWith('#')) {
+      if (!(token in this.names)) {
+        throw awsError('ValidationException', `Missing ExpressionAttributeNames entry for ${token}`);
+      }
+      return this.names[token];
+    }
+    return token;
+  }
+
+  parseOperand() {
+    const token = this.peek();
+
+    if (token === '(') {
+      this.next();
+      const inner = this.parseValueExpression();
+      this.expect(')');
+      return inner;
+    }
+
+    if (token.startsWith(':')) {
+      this.next();
+      if (!(token in this.values)) {
+        throw awsError('ValidationException', `Missing ExpressionAttributeValues entry for ${token}`);
+      }
+      return { type: 'value', value: this.values[token] };
+    }
+
+    if (this.peek(1) === '(') {
+      const name = this.next();
+      this.expect('(');
+      const args = [];
+      while (this.peek() !== ')') {
+        args.push(this.parseValueExpression());
+        if (this.peek() === ',') this.next();
+      }
+      this.expect(')');
+      return { type: 'function', name, args };
+    }
+
+    return this.parsePath();
+  }
+
+  // Value expression used on the right of SET: operand ((+|-) operand)?
+  parseValueExpression() {
+    let left = this.parseOperand();
+    while (this.peek() === '+' || this.peek() === '-') {
+      const operator = this.next();
+      const right = this.parseOperand();
+      left = { type: 'arithmetic', operator, left, right };
+    }
+    return left;
+  }
+
+  parseCondition() {
+    let left = this.parseAnd();
+    while (this.peekKeyword('OR')) {
+      this.next();
+      left = { type: 'or', left, right: this.parseAnd() };
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseNot();
+    while (this.peekKeyword('AND')) {
+      this.next();
+      left = { type: 'and', left, right: this.parseNot() };
+    }
+    return left;
+  }
+
+  parseNot() {
+    if (this.peekKeyword('NOT')) {
+      this.next();
+      return { type: 'not', operand: this.parseNot() };
+    }
+    return this.parseComparison();
+  }
+
+  parseComparison() {
+    if (this.peek() === '(') {
+      // Either a grouped condition or a parenthesised operand; conditions are far more common
+      const start = this.position;
+      this.next();
+      try {
+        const inner = this.parseCondition();
+        this.expect(')');
+        if (!['=', '<>', '<', '<=', '>', '>='].includes(this.peek()) && !this.peekKeyword('BETWEEN') && !this.peekKeyword('IN')) {
+          return inner;
+        }
+      } catch (error) {
+        // Fall through and parse as an operand
+      }
+      this.position = start;
+    }
+
+    const left = this.parseOperand();
+    const token = this.peek();
+
+    if (['=', '<>', '<', '<=', '>', '>='].includes(token)) {
+      this.next();
+      return { type: 'compare', operator: token, left, right: this.parseOperand() };
+    }
+
+    if (this.peekKeyword('BETWEEN')) {
+      this.next();
+      const low = this.parseOperand();
+      this.expect('AND');
+      return { type: 'between', operand: left, low, high: this.parseOperand() };
+    }
+
+    if (this.peekKeyword('IN')) {
+      this.next();
+      this.expect('(');
+      const options = [];
+      while (this.peek() !== ')') {
+        options.push(this.parseOperand());
+        if (this.peek() === ',') this.next();
+      }
+      this.expect(')');
+      return { type: 'in', operand: left, options };
+    }
+
+    if (left.type === 'function') {
+      return left;
+    }
+
+    throw awsError('ValidationException', `Invalid condition near "${token}"`);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Evaluation
+// ---------------------------------------------------------------------------
+
+function getPath(item, segments) {
+  return segments.reduce(
+    (current, segment) => (current === undefined || current === null ? undefined : current[segment]),
+    item
+  );
+}
+
+function setPath(item, segments, value) {
+  let current = item;
+  for (let i = 0; i < segments.length - 1; i++) {
+    if (current[segments[i]] === undefined || typeof current[segments[i]] !== 'object') {
+      throw awsError('ValidationException', 'The document path provided in the update expression is invalid for update');
+    }
+    current = current[segments[i]];
+  }
+  current[segments[segments.length - 1]] = value;
+}
+
+function removePath(item, segments) {
+  const parent = getPath(item, segments.slice(0, -1));
+  const last = segments[segments.length - 1];
+  if (Array.isArray(parent) && typeof last === 'number') {
+    parent.splice(last, 1);
+  } else if (parent && typeof parent === 'object') {
+    delete parent[last];
+  }
+}
+
+function evaluateOperand(node, item) {
+  switch (node.type) {
+    case 'value':
+      return node.value;
+    case 'path':
+      return getPath(item, node.segments);
+    case 'arithmetic': {
+      const left = evaluateOperand(node.left, item);
+      const right = evaluateOperand(node.right, item);
+      if (typeof left !== 'number' || typeof right !== 'number') {
+        throw awsError('ValidationException', 'An operand in the update expression has an incorrect data type');
+      }
+      return node.operator === '+' ? left + right : left - right;
+    }
+    case 'function':
+      return evaluateFunction(node, item);
+    default:
+      throw awsError('ValidationException', `Unsupported operand ${node.type}`);
+  }
+}
+
+function evaluateFunction(node, item) {
+  const [first, second] = node.args;
+
+  switch (node.name) {
+    case 'attribute_exists':
+      return evaluateOperand(first, item) !== undefined;
+    case 'attribute_not_exists':
+      return evaluateOperand(first, item) === undefined;
+    case 'begins_with': {
+      const value = evaluateOperand(first, item);
+      return typeof value === 'string' && value.startsWith(evaluateOperand(second, item));
+    }
+    case 'contains': {
+      const value = evaluateOperand(first, item);
+      const search = evaluateOperand(second, item);
+      if (typeof value === 'string') return value.includes(search);
+      if (Array.isArray(value)) return value.some(entry => entry === search);
+      return false;
+    }
+    case 'size': {
+      const value = evaluateOperand(first, item);
+      if (value === undefined || value === null) return undefined;
+      return typeof value === 'object' && !Array.isArray(value) ? Object.keys(value).length : value.length;
+    }
+    case 'if_not_exists': {
+      const value = evaluateOperand(first, item);
+      return value === undefined ? evaluateOperand(second, item) : value;
+    }
+    case 'list_append':
+      return [...(evaluateOperand(first, item) || []), ...(evaluateOperand(second, item) || [])];
+    default:
+      throw awsError('ValidationException', `Unsupported function ${node.name}`);
+  }
+}
+
+function compareValues(operator, left, right) {
+  if (left === undefined || right === undefined) {
+    return operator === '<>' ? left !== right : false;
+  }
+
+  switch (operator) {
+    case '=': return JSON.stringify(left) === JSON.stringify(right);
+    case '<>': return JSON.stringify(left) !== JSON.stringify(right);
+    case '<': return typeof left === typeof right && left < right;
+    case '<=': return typeof left === typeof right && left <= right;
+    case '>': return typeof left === typeof right && left > right;
+    case '>=': return typeof left === typeof right && left >= right;
+    default: throw awsError('ValidationException', `Unsupported operator ${operator}`);
+  }
+}
+
+function evaluateCondition(node, item) {
+  switch (node.type) {
+    case 'or': return evaluateCondition(node.left, item) || evaluateCondition(node.right, item);
+    case 'and': return evaluateCondition(node.left, item) && evaluateCondition(node.right, item);
+    case 'not': return !evaluateCondition(node.operand, item);
+    case 'compare':
+      return compareValues(node.operator, evaluateOperand(node.left, item), evaluateOperand(node.right, item));
+    case 'between': {
+      const value = evaluateOperand(node.operand, item);
+      return compareValues('>=', value, evaluateOperand(node.low, item)) &&
+        compareValues('<=', value, evaluateOperand(node.high, item));
+    }
+    case 'in': {
+      const value = evaluateOperand(node.operand, item);
+      return node.options.some(option => compareValues('=', value, evaluateOperand(option, item)));
+    }
+    case 'function':
+      return Boolean(evaluateFunction(node, item));
+    default:
+      throw awsError('ValidationException', `Unsupported condition ${node.type}`);
+  }
+}
+
+function matchesCondition(expression, names, values, item) {
+  if (!expression) return true;
+  const parser = new Parser(expression, names, values);
+  const node = parser.parseCondition();
+  if (!parser.done()) {
+    throw awsError('ValidationException', `Unexpected token "${parser.peek()}" in condition`);
+  }
+  return evaluateCondition(node, item || {});
+}
+
+function applyUpdateExpression(expression, names, values, item) {
+  const parser = new Parser(expression, names, values);
+  const original = clone(item);
+
+  while (!parser.done()) {
+    const clause = parser.next().toUpperCase();
+    if (!['SET', 'REMOVE', 'ADD', 'DELETE'].includes(clause)) {
+      throw awsError('ValidationException', `Unsupported update clause ${clause}`);
+    }
+
+    do {
+      if (parser.peek() === ',') parser.next();
+      const path = parser.parsePath();
+
+      if (clause === 'SET') {
+        parser.expect('=');
+        setPath(item, path.segments, clone(evaluateOperand(parser.parseValueExpression(), original)));
+      } else if (clause === 'REMOVE') {
+        removePath(item, path.segments);
+      } else if (clause === 'ADD') {
+        const value = evaluateOperand(parser.parseOperand(), original);
+        const current = getPath(item, path.segments);
+        if (Array.isArray(value)) {
+          setPath(item, path.segments, [...new Set([...(current || []), ...value])]);
+        } else {
+          setPath(item, path.segments, (current || 0) + value);
+        }
+      } else {
+        const value = evaluateOperand(parser.parseOperand(), original);
+        const current = getPath(item, path.segments) || [];
+        setPath(item, path.segments, current.filter(entry => !value.includes(entry)));
+      }
+    } while (parser.peek() === ',');
+
+    if (!parser.done() && !KEYWORDS.includes(parser.peek().toUpperCase())) {
+      throw awsError('ValidationException', `Unexpected token "${parser.peek()}" in update expression`);
+    }
+  }
+
+  return item;
+}
+
+// ---------------------------------------------------------------------------
+// DocumentClient stand-in
+// ---------------------------------------------------------------------------
+
+function request(fn) {
+  return { promise: () => Promise.resolve().then(fn) };
+}
+
+/**
+ * Create an in-memory DocumentClient
+ * @param {Object} schema - { [tableName]: { hashKey, rangeKey?, indexes?: { [indexName]: { hashKey, rangeKey? } } } }
+ */
+function createInMemoryDynamoDB(schema) {
+  const tables = {};
+  Object.keys(schema).forEach(name => { tables[name] = new Map(); });
+
+  const tableOf = (name) => {
+    if (!tables[name]) {
+      throw awsError('ResourceNotFoundException', `Requested resource not found: Table: ${name} not found`);
+    }
+    return tables[name];
+  };
+
+  const keyAttributes = (tableName) => [schema[tableName].hashKey, schema[tableName].rangeKey].filter(Boolean);
+
+  const keyString = (tableName, key) => {
+    const attributes = keyAttributes(tableName);
+    attributes.forEach(attribute => {
+      if (key[attribute] === undefined) {
+        throw awsError('ValidationException', `The provided key element does not match the schema (${attribute})`);
+      }
+    });
+    return JSON.stringify(attributes.map(attribute => key[attribute]));
+  };
+
+  const pickKey = (tableName, item, indexName) => {
+    const attributes = [...keyAttributes(tableName)];
+    if (indexName) {
+      const index = schema[tableName].indexes[indexName];
+      [index.hashKey, index.rangeKey].filter(Boolean).forEach(attribute => {
+        if (!attributes.includes(attribute)) attributes.push(attribute);
+      });
+    }
+    return attributes.reduce((key, attribute) => ({ ...key, [attribute]: item[attribute] }), {});
+  };
+
+  const checkCondition = (params, existing) => {
+    if (!matchesCondition(params.ConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues, existing)) {
+      throw awsError('ConditionalCheckFailedException', 'The conditional request failed');
+    }
+  };
+
+  const compareBy = (attribute) => (a, b) => {
+    if (!attribute || a[attribute] === b[attribute]) return 0;
+    return a[attribute] < b[attribute] ? -1 : 1;
+  };
+
+  const paginate = (tableName, items, params, indexName) => {
+    let start = 0;
+    if (params.ExclusiveStartKey) {
+      const startKey = keyString(tableName, params.ExclusiveStartKey);
+      start = items.findIndex(item => keyString(tableName, item) === startKey) + 1;
+    }
+
+    const limit = params.Limit || Infinity;
+    const page = items.slice(start, start + limit);
+    const hasMore = start + limit < items.length;
+    const filtered = page.filter(item =>
+      matchesCondition(params.FilterExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues, item)
+    );
+
+    const result = { Items: filtered.map(clone), Count: filtered.length, ScannedCount: page.length };
+    if (hasMore && page.length > 0) {
+      result.LastEvaluatedKey = pickKey(tableName, page[page.length - 1], indexName);
+    }
+    return result;
+  };
+
+  const put = (params) => {
+    const table = tableOf(params.TableName);
+    const key = keyString(params.TableName, params.Item);
+    const existing = table.get(key);
+    checkCondition(params, existing);
+    table.set(key, clone(params.Item));
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+  };
+
+  const remove = (params) => {
+    const table = tableOf(params.TableName);
+    const key = keyString(params.TableName, params.Key);
+    const existing = table.get(key);
+    checkCondition(params, existing);
+    table.delete(key);
+    return params.ReturnValues === 'ALL_OLD' && existing ? { Attributes: clone(existing) } : {};
+  };
+
+  const update = (params) => {
+    const table = tableOf(params.TableName);
+    const key = keyString(params.TableName, params.Key);
+    const existing = table.get(key);
+    checkCondition(params, existing);
+
+    const item = applyUpdateExpression(
+      params.UpdateExpression,
+      params.ExpressionAttributeNames,
+      params.ExpressionAttributeValues,
+      clone(existing) || clone(params.Key)
+    );
+    table.set(key, item);
+
+    if (params.ReturnValues === 'ALL_NEW') return { Attributes: clone(item) };
+    if (params.ReturnValues === 'ALL_OLD') return { Attributes: clone(existing) };
+    return {};
+  };
+
+  const conditionCheck = (params) => {
+    const existing = tableOf(params.TableName).get(keyString(params.TableName, params.Key));
+    checkCondition(params, existing);
+  };
+
+  return {
+    tables,
+
+    /** Insert items directly, bypassing conditions */
+    seed(tableName, items) {
+      items.forEach(item => tableOf(tableName).set(keyString(tableName, item), clone(item)));
+    },
+
+    /** Snapshot every item in a table */
+    items(tableName) {
+      return [...tableOf(tableName).values()].map(clone);
+    },
+
+    get: (params) => request(() => {
+      const item = tableOf(params.TableName).get(keyString(params.TableName, params.Key));
+      return item ? { Item: clone(item) } : {};
+    }),
+
+    put: (params) => request(() => put(params)),
+
+    delete: (params) => request(() => remove(params)),
+
+    update: (params) => request(() => update(params)),
+
+    scan: (params) => request(() => {
+      const items = [...tableOf(params.TableName).entries()]
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([, item]) => item);
+      return paginate(params.TableName, items, params);
+    }),
+
+    query: (params) => request(() => {
+      const tableSchema = schema[params.TableName];
+      const index = params.IndexName ? tableSchema.indexes[params.IndexName] : tableSchema;
+      if (!index) {
+        throw awsError('ValidationException', `The table does not have the specified index: ${params.IndexName}`);
+      }
+
+      const items = [...tableOf(params.TableName).values()]
+        .filter(item => item[index.hashKey] !== undefined && (!index.rangeKey || item[index.rangeKey] !== undefined))
+        .filter(item => matchesCondition(
+          params.KeyConditionExpression, params.ExpressionAttributeNames, params.ExpressionAttributeValues, item
+        ))
+        .sort(compareBy(index.rangeKey));
+
+      if (params.ScanIndexForward === false) items.reverse();
+      return paginate(params.TableName, items, params, params.IndexName);
+    }),
+
+    batchGet: (params) => request(() => {
+      const Responses = {};
+      Object.entries(params.RequestItems).forEach(([tableName, { Keys }]) => {
+        if (Keys.length > 100) {
+          throw awsError('ValidationException', 'Too many items requested for the BatchGetItem call');
+        }
+        Responses[tableName] = Keys
+          .map(key => tableOf(tableName).get(keyString(tableName, key)))
+          .filter(Boolean)
+          .map(clone);
+      });
+      return { Responses, UnprocessedKeys: {} };
+    }),
+
+    batchWrite: (params) => request(() => {
+      Object.entries(params.RequestItems).forEach(([tableName, requests]) => {
+        if (requests.length > 25) {
+          throw awsError('ValidationException', 'Too many items requested for the BatchWriteItem call');
+        }
+        requests.forEach(entry => {
+          if (entry.PutRequest) put({ TableName: tableName, Item: entry.PutRequest.Item });
+          if (entry.DeleteRequest) remove({ TableName: tableName, Key: entry.DeleteRequest.Key });
+        });
+      });
+      return { UnprocessedItems: {} };
+    }),
+
+    transactWrite: (params) => request(() => {
+      const snapshot = Object.fromEntries(
+        Object.entries(tables).map(([name, table]) => [name, new Map(table)])
+      );
+      const reasons = params.TransactItems.map(() => ({ Code: 'None' }));
+
+      try {
+        params.TransactItems.forEach((entry, index) => {
+          try {
+            if (entry.Put) put(entry.Put);
+            else if (entry.Update) update(entry.Update);
+            else if (entry.Delete) remove(entry.Delete);
+            else if (entry.ConditionCheck) conditionCheck(entry.ConditionCheck);
+          } catch (error) {
+            reasons[index] = { Code: error.code === 'ConditionalCheckFailedException' ? 'ConditionalCheckFailed' : error.code };
+            throw error;
+          }
+        });
+      } catch (error) {
+        Object.entries(snapshot).forEach(([name, table]) => { tables[name] = table; });
+        throw awsError(
+          'TransactionCanceledException',
+          `Transaction cancelled, please refer cancellation reasons for specific reasons [${reasons.map(reason => reason.Code).join(', ')}]`,
+          { CancellationReasons: reasons }
+        );
+      }
+
+      return {};
+    })
+  };
+}
+
+module.exports = { createInMemoryDynamoDB };
@@ -0,0 +1,157 @@
+// Shared fixtures for the unit suites: the in-memory tables, the users tests run as and
+// recorded SES email. Table layouts mirror terraform/modules/database.
+
+const AWS = require('aws-sdk');
+const { createInMemoryDynamoDB } = require('./in-memory-dynamodb');
+
+const ADMIN = 'admin@amalitech.com';
+const ALICE = 'alice@amalitechtraining.org';
+const BOB = 'bob@amalitechtraining.org';
+const CAROL = 'carol@amalitechtraining.org';
+
+const TABLE_SCHEMA = {
+  [process.env.TASKS_TABLE]: {
+    hashKey: 'taskId',
+    indexes: {
+      AssignedToIndex: { hashKey: 'assignedTo' },
+      StatusIndex: { hashKey: 'status' },
+      SeriesIndex: { hashKey: 'seriesId', rangeKey: 'occurrenceDate' },
+      ListOrderIndex: { hashKey: 'listKey', rangeKey: 'listOrder' }
+    }
+  },
+  [process.env.USERS_TABLE]: {
+    hashKey: 'userId',
+    indexes: {
+      EmailIndex: { hashKey: 'email' },
+      CalendarTokenIndex: { hashKey: 'calendarToken' }
+    }
+  },
+  [process.env.TASK_MEMBERS_TABLE]: {
+    hashKey: 'memberEmail',
+    rangeKey: 'taskId'
+  },
+  [process.env.ACTIVITY_TABLE]: {
+    hashKey: 'taskId',
+    rangeKey: 'activityId'
+  },
+  [process.env.COMMENTS_TABLE]: {
+    hashKey: 'taskId',
+    rangeKey: 'commentId',
+    indexes: {
+      CreatedAtIndex: { hashKey: 'taskId', rangeKey: 'createdAt' }
+    }
+  },
+  [process.env.SERIES_TABLE]: {
+    hashKey: 'seriesId'
+  },
+  [process.env.OUTBOX_TABLE]: {
+    hashKey: 'jobId',
+    indexes: {
+      StatusIndex: { hashKey: 'status', rangeKey: 'nextAttemptAt' }
+    }
+  },
+  [process.env.NOTIFICATIONS_TABLE]: {
+    hashKey: 'userEmail',
+    rangeKey: 'notificationId',
+    indexes: {
+      CreatedAtIndex: { hashKey: 'userEmail', rangeKey: 'createdAt' }
+    }
+  },
+  [process.env.WEBHOOKS_TABLE]: {
+    hashKey: 'webhookId'
+  },
+  [process.env.WEBHOOK_DELIVERIES_TABLE]: {
+    hashKey: 'webhookId',
+    rangeKey: 'deliveryId',
+    indexes: {
+      CreatedAtIndex: { hashKey: 'webhookId', rangeKey: 'createdAt' }
+    }
+  },
+  [process.env.SETTINGS_TABLE]: {
+    hashKey: 'settingId'
+  }
+};
+
+// Build an API Gateway proxy event for a handler under test
+function apiEvent(email, { body, pathParameters, queryStringParameters, httpMethod, headers } = {}) {
+  return {
+    httpMethod,
+    headers: headers || {},
+    requestContext: {
+      authorizer: {
+        claims: { email }
+      }
+    },
+    pathParameters: pathParameters || null,
+    queryStringParameters: queryStringParameters || null,
+    body: body === undefined ? null : JSON.stringify(body)
+  };
+}
+
+// Call a handler that answers in JSON, returning its status code and parsed body
+async function callApi(handler, email, options) {
+  const result = await handler(apiEvent(email, options));
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+// A member's user record, its userId taken from the name part of the email
+function member(email, status = 'active') {
+  return { userId: `u-${email.split('@')[0]}`, email, role: 'member', status };
+}
+
+// The admin and the two active members most tests run as
+const TEAM = [
+  { userId: 'u-admin', email: ADMIN, role: 'admin', status: 'active' },
+  member(ALICE),
+  member(BOB)
+];
+
+// Back every DocumentClient with a new in-memory store. Call it before requiring a handler,
+// as shared-utils creates its client when it is loaded.
+function setupTaskTables() {
+  const db = createInMemoryDynamoDB(TABLE_SCHEMA);
+  AWS.DynamoDB.DocumentClient.mockImplementation(() => db);
+  return db;
+}
+
+function clearTables(db) {
+  Object.values(db.tables).forEach(table => table.clear());
+}
+
+// Empty every table and seed TEAM, followed by any extra users
+function resetTables(db, extraUsers = []) {
+  clearTables(db);
+  db.seed(process.env.USERS_TABLE, [...TEAM, ...extraUsers]);
+}
+
+// Record the emails sent through SES instead of sending them, in the returned list
+function mockSes() {
+  const sentEmails = [];
+  AWS.SES.mockImplementation(() => ({
+    sendEmail: jest.fn(params => {
+      sentEmails.push({
+        to: params.Destination.ToAddresses[0],
+        subject: params.Message.Subject.Data,
+        text: params.Message.Body.Text.Data
+      });
+      return { promise: () => Promise.resolve({ MessageId: 'test-message-id' }) };
+    })
+  }));
+  return sentEmails;
+}
+
+module.exports = {
+  TABLE_SCHEMA,
+  ADMIN,
+  ALICE,
+  BOB,
+  CAROL,
+  TEAM,
+  apiEvent,
+  callApi,
+  member,
+  setupTaskTables,
+  clearTables,
+  resetTables,
+  mockSes
+};
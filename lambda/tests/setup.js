@@ -6,6 +6,16 @@ process.env.NODE_ENV = 'test';
 process.env.AWS_REGION = 'eu-west-1';
 process.env.TASKS_TABLE = 'test-tasks-table';
 process.env.USERS_TABLE = 'test-users-table';
+process.env.TASK_MEMBERS_TABLE = 'test-task-members-table';
+process.env.ACTIVITY_TABLE = 'test-activity-table';
+process.env.COMMENTS_TABLE = 'test-comments-table';
+process.env.SERIES_TABLE = 'test-series-table';
+process.env.OUTBOX_TABLE = 'test-outbox-table';
+process.env.NOTIFICATIONS_TABLE = 'test-notifications-table';
+process.env.WEBHOOKS_TABLE = 'test-webhooks-table';
+process.env.WEBHOOK_DELIVERIES_TABLE = 'test-webhook-deliveries-table';
+process.env.SETTINGS_TABLE = 'test-settings-table';
+process.env.EXPORTS_BUCKET = 'test-exports-bucket';
 process.env.SES_SENDER_EMAIL = 'test@amalitech.com';
 
 // Increase timeout for integration tests
@@ -49,6 +59,19 @@ jest.mock('aws-sdk', () => {
         })
       })
     })),
+    S3: jest.fn(() => ({
+      upload: jest.fn().mockReturnValue({
+        promise: jest.fn().mockResolvedValue({})
+      }),
+      getSignedUrlPromise: jest.fn().mockResolvedValue('https://test-exports-bucket.s3.amazonaws.com/test')
+    })),
+    SNS: jest.fn(() => ({
+      publish: jest.fn().mockReturnValue({
+        promise: jest.fn().mockResolvedValue({
+          MessageId: 'test-message-id'
+        })
+      })
+    })),
     CognitoIdentityServiceProvider: jest.fn(() => ({
       adminCreateUser: jest.fn().mockReturnValue({
         promise: jest.fn().mockResolvedValue({})
@@ -0,0 +1,135 @@
+// Unit Tests for the task activity log
+// Runs the task handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const getTaskActivity = require('../../get-task-activity');
+const { describeTaskUpdate } = require('../../activity-log');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+
+// Events sort by timestamp, so each step below runs a minute after the last
+let clock;
+function advanceClock() {
+  clock += 60 * 1000;
+  jest.setSystemTime(clock);
+}
+
+async function createAs(email, body) {
+  advanceClock();
+  const result = await createTask.handler(apiEvent(email, { body }));
+  return JSON.parse(result.body).task;
+}
+
+function updateAs(email, taskId, body) {
+  advanceClock();
+  return updateTask.handler(apiEvent(email, { pathParameters: { taskId }, body }));
+}
+
+async function activityFor(email, taskId, queryStringParameters) {
+  return callApi(getTaskActivity.handler, email, {
+    pathParameters: { taskId },
+    queryStringParameters
+  });
+}
+
+describe('task activity log', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    clock = new Date('2026-03-02T09:00:00.000Z').getTime();
+    resetTables(db);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('records create, status change, reassignment, edit, comment and delete', async () => {
+    const task = await createAs(ADMIN, { title: 'Report', description: 'Draft', assignedTo: [ALICE] });
+    await updateAs(ALICE, task.taskId, { status: 'in-progress' });
+    await updateAs(ADMIN, task.taskId, { assignedTo: [ALICE, BOB], title: 'Final report' });
+    await updateAs(BOB, task.taskId, { comment: 'On it' });
+    advanceClock();
+    await deleteTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId } }));
+
+    const { body } = await activityFor(ADMIN, task.taskId, { order: 'asc' });
+
+    expect(body.activity.map(event => [event.type, event.actor])).toEqual([
+      ['created', ADMIN],
+      ['status_changed', ALICE],
+      ['reassigned', ADMIN],
+      ['updated', ADMIN],
+      ['commented', BOB],
+      ['deleted', ADMIN]
+    ]);
+    expect(body.activity[1].changes).toEqual([{ field: 'status', from: 'pending', to: 'in-progress' }]);
+    expect(body.activity[2].changes).toEqual([{ field: 'assignedMembers', from: [ALICE], to: [ALICE, BOB] }]);
+    expect(body.activity[3].changes).toEqual([{ field: 'title', from: 'Report', to: 'Final report' }]);
+    expect(body.activity[4].comment.text).toBe('On it');
+  });
+
+  test('lists newest first and pages with nextToken', async () => {
+    const task = await createAs(ADMIN, { title: 'Report', description: 'Draft', assignedTo: [ALICE] });
+    await updateAs(ALICE, task.taskId, { status: 'in-progress' });
+    await updateAs(ALICE, task.taskId, { status: 'in-review', reason: 'Ready' });
+
+    const first = await activityFor(ALICE, task.taskId, { limit: '2' });
+    const second = await activityFor(ALICE, task.taskId, { limit: '2', nextToken: first.body.nextToken });
+
+    expect(first.body.activity.map(event => event.changes[0].to)).toEqual(['in-review', 'in-progress']);
+    expect(second.body.activity.map(event => event.type)).toEqual(['created']);
+    expect(second.body.nextToken).toBeNull();
+  });
+
+  test('members cannot read the history of tasks they are not assigned to', async () => {
+    const task = await createAs(ADMIN, { title: 'Report', description: 'Draft', assignedTo: [ALICE] });
+
+    const { statusCode } = await activityFor(BOB, task.taskId);
+
+    expect(statusCode).toBe(403);
+  });
+
+  test('events are write-once', async () => {
+    const task = await createAs(ADMIN, { title: 'Report', description: 'Draft', assignedTo: [ALICE] });
+    const [event] = db.items(ACTIVITY_TABLE);
+
+    await expect(db.put({
+      TableName: ACTIVITY_TABLE,
+      Item: { ...event, actor: 'someone-else' },
+      ConditionExpression: 'attribute_not_exists(activityId)'
+    }).promise()).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+    expect(db.items(ACTIVITY_TABLE)).toEqual([event]);
+    expect(event.taskId).toBe(task.taskId);
+  });
+
+  test('a change is not saved when its event cannot be written', async () => {
+    const task = await createAs(ADMIN, { title: 'Report', description: 'Draft', assignedTo: [ALICE] });
+    const transactWrite = db.transactWrite;
+    // Take the event's key first so its write-once condition fails inside the transaction
+    jest.spyOn(db, 'transactWrite').mockImplementationOnce(params => {
+      const event = params.TransactItems.find(item => item.Put && item.Put.TableName === ACTIVITY_TABLE);
+      db.seed(ACTIVITY_TABLE, [{ taskId: task.taskId, activityId: event.Put.Item.activityId }]);
+      return transactWrite(params);
+    });
+    advanceClock();
+
+    const result = await deleteTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId } }));
+
+    expect(result.statusCode).not.toBe(200);
+    expect(db.items(TASKS_TABLE).map(item => item.taskId)).toEqual([task.taskId]);
+    expect(db.items(ACTIVITY_TABLE).filter(event => event.type === 'deleted')).toEqual([]);
+  });
+
+  test('an update that changes nothing records nothing', () => {
+    const task = { taskId: 't-1', title: 'Same', status: 'pending', assignedMembers: [ALICE], comments: [] };
+
+    expect(describeTaskUpdate(task, { ...task, updatedAt: 'later' })).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+// Unit Tests for backup and restore
+// Runs the backup handler and the local command against in-memory DynamoDB and S3 stand-ins
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const AWS = require('aws-sdk');
+const { ADMIN, ALICE, apiEvent, setupTaskTables, clearTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const objects = new Map();
+AWS.S3.mockImplementation(() => ({
+  upload: (params) => ({
+    promise: async () => {
+      const chunks = [];
+      for await (const chunk of params.Body) {
+        chunks.push(Buffer.from(chunk));
+      }
+      objects.set(params.Key, Buffer.concat(chunks));
+      return { Key: params.Key };
+    }
+  }),
+  headObject: (params) => ({
+    promise: async () => {
+      if (!objects.has(params.Key)) {
+        throw Object.assign(new Error('Not Found'), { code: 'NotFound' });
+      }
+      return { ContentLength: objects.get(params.Key).length };
+    }
+  }),
+  getObject: (params) => ({
+    createReadStream: () => Readable.from([objects.get(params.Key)])
+  }),
+  getSignedUrlPromise: async (operation, params) => `https://exports.example.com/${params.Key}`
+}));
+
+const createTask = require('../../create-task');
+const taskComments = require('../../task-comments');
+const backupRestore = require('../../backup-restore');
+
+const USERS_TABLE = process.env.USERS_TABLE;
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const TASK_MEMBERS_TABLE = process.env.TASK_MEMBERS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+const BACKED_UP = [USERS_TABLE, TASKS_TABLE, COMMENTS_TABLE, ACTIVITY_TABLE];
+
+// Only the admin's user record, as in a fresh environment the admin has just signed in to
+function emptyEnvironment(adminUserId = 'u-admin') {
+  clearTables(db);
+  db.seed(USERS_TABLE, [{ userId: adminUserId, email: ADMIN, role: 'admin', status: 'active' }]);
+}
+
+async function seedData() {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title: 'Quarterly report', description: 'Draft', assignedTo: [ALICE] }
+  }));
+  const { task } = JSON.parse(result.body);
+  await taskComments.handler(apiEvent(ALICE, {
+    httpMethod: 'POST',
+    pathParameters: { taskId: task.taskId },
+    body: { text: 'On it' }
+  }));
+  return task;
+}
+
+// Sorted, as a restore writes items in scan (key) order rather than the order they were created in
+const sortedItems = table => db.items(table).sort((a, b) => (JSON.stringify(a) < JSON.stringify(b) ? -1 : 1));
+const snapshot = () => Object.fromEntries(BACKED_UP.map(table => [table, sortedItems(table)]));
+
+async function call(resource, body, email = ADMIN) {
+  const result = await backupRestore.handler({ ...apiEvent(email, { httpMethod: 'POST', body }), resource });
+  return { statusCode: result.statusCode, body: JSON.parse(result.body) };
+}
+
+describe('backup and restore', () => {
+  beforeEach(() => {
+    resetTables(db);
+    objects.clear();
+  });
+
+  test('a backup restores into an empty environment with the same IDs', async () => {
+    const task = await seedData();
+    const before = snapshot();
+
+    const backup = await call('/backups');
+    expect(backup.statusCode).toBe(201);
+    expect(backup.body.key).toMatch(/^backups\/backup-[\dT-]+Z\.jsonl\.gz$/);
+    expect(backup.body.counts).toEqual({ users: 3, tasks: 1, comments: 1, activity: 2 });
+
+    const lines = zlib.gunzipSync(objects.get(backup.body.key)).toString().trim().split('\n').map(line => JSON.parse(line));
+    expect(lines[0]).toMatchObject({ format: 'task-management-backup', version: 1 });
+    expect(lines[lines.length - 1]).toEqual({ end: true, counts: backup.body.counts });
+
+    emptyEnvironment();
+    const restored = await call('/backups/restore', { key: backup.body.key, conflicts: 'skip' });
+
+    expect(restored.statusCode).toBe(200);
+    expect(restored.body.tables.users).toEqual({ items: 3, conflicts: 1, restored: 2, skipped: 1 });
+    expect(restored.body.tables.tasks).toEqual({ items: 1, conflicts: 0, restored: 1, skipped: 0 });
+    expect(snapshot()).toEqual(before);
+    expect(db.items(TASK_MEMBERS_TABLE)).toEqual([expect.objectContaining({ memberEmail: ALICE, taskId: task.taskId })]);
+  });
+
+  test('conflict policies decide what happens to items that already exist', async () => {
+    const task = await seedData();
+    const { body: { key } } = await call('/backups');
+
+    // The admin signed in to the new environment first, so they have another user ID
+    emptyEnvironment('u-admin-new');
+    db.seed(TASKS_TABLE, [{ ...db.items(TASKS_TABLE)[0], taskId: task.taskId, title: 'Changed since' }]);
+
+    const failed = await call('/backups/restore', { key, conflicts: 'fail' });
+    expect(failed.statusCode).toBe(409);
+    expect(failed.body.tables.users.conflicts).toBe(1);
+    expect(db.items(COMMENTS_TABLE)).toHaveLength(0);
+
+    const checked = await call('/backups/restore', { key, conflicts: 'overwrite', dryRun: true });
+    expect(checked.body.tables.tasks).toEqual({ items: 1, conflicts: 1, restored: 0, skipped: 0 });
+    expect(db.items(COMMENTS_TABLE)).toHaveLength(0);
+
+    await call('/backups/restore', { key, conflicts: 'skip' });
+    expect(db.items(TASKS_TABLE)[0].title).toBe('Changed since');
+
+    await call('/backups/restore', { key, conflicts: 'overwrite' });
+    expect(db.items(TASKS_TABLE)[0].title).toBe('Quarterly report');
+    expect(db.items(USERS_TABLE).map(user => user.userId).sort()).toEqual(['u-admin', 'u-alice', 'u-bob']);
+  });
+
+  test('damaged, cut-off and unknown archives are rejected before anything is written', async () => {
+    await seedData();
+    const { body: { key } } = await call('/backups');
+    const archive = objects.get(key);
+    const lines = zlib.gunzipSync(archive).toString().trim().split('\n');
+    objects.set('backups/cut-off.jsonl.gz', archive.subarray(0, archive.length - 20));
+    objects.set('backups/no-end.jsonl.gz', zlib.gzipSync(lines.slice(0, -1).join('\n')));
+    objects.set('backups/future.jsonl.gz', zlib.gzipSync(lines[0].replace('"version":1', '"version":2')));
+    emptyEnvironment();
+
+    const results = await Promise.all([
+      call('/backups/restore', { key: 'backups/cut-off.jsonl.gz', conflicts: 'skip' }),
+      call('/backups/restore', { key: 'backups/no-end.jsonl.gz', conflicts: 'skip' }),
+      call('/backups/restore', { key: 'backups/future.jsonl.gz', conflicts: 'skip' }),
+      call('/backups/restore', { key: 'backups/missing.jsonl.gz', conflicts: 'skip' }),
+      call('/backups/restore', { key: '../secrets', conflicts: 'skip' }),
+      call('/backups/restore', { key, conflicts: 'merge' }),
+      call('/backups', undefined, ALICE)
+    ]);
+
+    expect(results.map(result => result.statusCode)).toEqual([400, 400, 400, 404, 400, 400, 403]);
+    expect(results[1].body.error).toBe('Invalid backup: the archive is incomplete');
+    expect(results[2].body.error).toMatch(/^Unsupported backup version 2/);
+    expect(db.items(TASKS_TABLE)).toHaveLength(0);
+  });
+
+  test('the local command backs up to and restores from a file', async () => {
+    await seedData();
+    const before = snapshot();
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'backup-')), 'backup.jsonl.gz');
+
+    const backup = await backupRestore.main(['backup', file]);
+    expect(backup.counts.tasks).toBe(1);
+
+    clearTables(db);
+    const report = await backupRestore.main(['restore', file, '--conflicts', 'fail']);
+
+    expect(report.tables.activity.restored).toBe(2);
+    expect(snapshot()).toEqual(before);
+    await expect(backupRestore.main(['restore', file])).rejects.toThrow('Invalid conflicts policy');
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
@@ -0,0 +1,115 @@
+// Unit Tests for the iCalendar feed of due dates
+// Runs the calendar and task handlers against an in-memory DynamoDB stand-in
+
+process.env.APP_URL = 'https://tasks.example.com';
+
+const { ADMIN, ALICE, BOB, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const userCalendar = require('../../user-calendar');
+const calendarFeed = require('../../calendar-feed');
+const { renderCalendar } = require('../../calendar');
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+async function calendarLink(email, httpMethod = 'GET') {
+  return callApi(userCalendar.handler, email, { httpMethod });
+}
+
+async function feed(url) {
+  const token = url.split('/').pop();
+  return calendarFeed.handler({ httpMethod: 'GET', pathParameters: { token } });
+}
+
+async function create(title, fields) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE], ...fields }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+const events = body => body.split('BEGIN:VEVENT').slice(1);
+
+describe('calendar feed', () => {
+  beforeEach(() => {
+    resetTables(db);
+  });
+
+  test('lists the open tasks with a due date that the user sees', async () => {
+    const report = await create('Quarterly report', { dueDate: '2026-03-15', priority: 'urgent' });
+    await create('No due date');
+    await create('Bob only', { dueDate: '2026-03-10', assignedTo: [BOB] });
+    const done = await create('Done already', { dueDate: '2026-03-01' });
+    await updateTask.handler(apiEvent(ALICE, { pathParameters: { taskId: done.taskId }, body: { status: 'in-progress' } }));
+    await updateTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: done.taskId }, body: { status: 'completed' } }));
+
+    const link = await calendarLink(ALICE);
+    const result = await feed(link.body.feedUrl);
+
+    expect(link.body.feedUrl).toMatch(/^\/calendar\/[0-9a-f]{48}\.ics$/);
+    expect(result.statusCode).toBe(200);
+    expect(result.headers['Content-Type']).toBe('text/calendar; charset=utf-8');
+    expect(result.body.startsWith('BEGIN:VCALENDAR\r\nVERSION:2.0\r\n')).toBe(true);
+
+    const [event] = events(result.body);
+    expect(events(result.body)).toHaveLength(1);
+    expect(event).toContain(`UID:task-${report.taskId}@task-management\r\n`);
+    expect(event).toContain('DTSTART;VALUE=DATE:20260315\r\nDTEND;VALUE=DATE:20260316\r\n');
+    expect(event).toContain('SUMMARY:Due: Quarterly report\r\n');
+    expect(event).toContain('PRIORITY:1\r\n');
+    expect(event).toContain(`URL:https://tasks.example.com/task/${report.taskId}\r\n`);
+
+    const adminFeed = await feed((await calendarLink(ADMIN)).body.feedUrl);
+    expect(events(adminFeed.body)).toHaveLength(2);
+  });
+
+  test('the link stays the same until it is rotated, after which the old one stops working', async () => {
+    await create('Quarterly report', { dueDate: '2026-03-15' });
+
+    const first = await calendarLink(ALICE);
+    const again = await calendarLink(ALICE);
+    const rotated = await calendarLink(ALICE, 'POST');
+
+    expect(again.body.feedUrl).toBe(first.body.feedUrl);
+    expect(rotated.body.feedUrl).not.toBe(first.body.feedUrl);
+    expect((await feed(first.body.feedUrl)).statusCode).toBe(404);
+    expect((await feed(rotated.body.feedUrl)).statusCode).toBe(200);
+    expect((await feed('/calendar/not-a-token.ics')).statusCode).toBe(404);
+  });
+
+  test('deactivated users lose their feed', async () => {
+    const link = await calendarLink(ALICE);
+    await db.update({
+      TableName: USERS_TABLE,
+      Key: { userId: 'u-alice' },
+      UpdateExpression: 'SET #status = :inactive',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':inactive': 'inactive' }
+    }).promise();
+
+    expect((await feed(link.body.feedUrl)).statusCode).toBe(404);
+  });
+
+  test('text is escaped, long lines are folded and due times are kept', () => {
+    const body = renderCalendar([{
+      taskId: 't1',
+      title: 'Review; sign off, ship',
+      description: `Line one\nLine two ${'x'.repeat(80)}`,
+      status: 'pending',
+      priority: 'low',
+      dueDate: '2026-03-15T14:30:00.000Z',
+      version: 3
+    }], { email: ALICE }, new Date('2026-03-01T08:00:00Z'));
+
+    expect(body).toContain('SUMMARY:Due: Review\\; sign off\\, ship\r\n');
+    expect(body).toContain('DTSTART:20260315T143000Z\r\n');
+    expect(body).toContain('DTSTAMP:20260301T080000Z\r\n');
+    expect(body).toContain('PRIORITY:9\r\nSEQUENCE:3\r\n');
+    expect(body).toContain('DESCRIPTION:Line one\\nLine two xxx');
+    expect(body.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+    expect(body.split('\r\n').some(line => line.startsWith(' x'))).toBe(true);
+  });
+});
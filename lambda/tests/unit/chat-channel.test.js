@@ -0,0 +1,165 @@
+// Unit Tests for the team chat channel
+// Runs the settings and task handlers and the delivery worker against an in-memory
+// DynamoDB stand-in, posting to a local HTTP server standing in for Slack or Teams
+
+process.env.APP_URL = 'https://tasks.example.com';
+
+const http = require('http');
+const { ADMIN, ALICE, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const chatSettings = require('../../chat-settings');
+const { retryDelay, deliverDueNotifications } = require('../../outbox');
+const { renderChatMessage } = require('../../chat');
+
+const OUTBOX_TABLE = process.env.OUTBOX_TABLE;
+
+const MINUTE_MS = 60 * 1000;
+const later = (ms) => new Date(Date.now() + ms);
+
+// Local stand-in for the chat service's incoming webhook
+const posts = [];
+let channelStatus = 200;
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    posts.push({ path: req.url, contentType: req.headers['content-type'], message: JSON.parse(body) });
+    res.writeHead(channelStatus);
+    res.end(channelStatus === 200 ? 'ok' : 'unavailable');
+  });
+});
+let channelUrl;
+
+async function settings(email, { httpMethod = 'GET', body } = {}) {
+  return callApi(chatSettings.handler, email, { httpMethod, body });
+}
+
+async function connect(body) {
+  return settings(ADMIN, { httpMethod: 'PUT', body: { url: channelUrl, ...body } });
+}
+
+async function create(title, priority = 'high') {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', priority, assignedTo: [ALICE] }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+async function setStatus(email, task, status, body = {}) {
+  return updateTask.handler(apiEvent(email, { pathParameters: { taskId: task.taskId }, body: { status, ...body } }));
+}
+
+describe('team chat channel', () => {
+  beforeAll(done => {
+    server.listen(0, '127.0.0.1', () => {
+      channelUrl = `http://127.0.0.1:${server.address().port}/services/T000/B000`;
+      done();
+    });
+  });
+
+  afterAll(done => {
+    server.close(done);
+  });
+
+  beforeEach(() => {
+    resetTables(db);
+    posts.length = 0;
+    channelStatus = 200;
+  });
+
+  test('only admins configure the channel, and settings are validated', async () => {
+    const empty = await settings(ADMIN);
+    const missingFormat = await settings(ADMIN, { httpMethod: 'PUT', body: { url: channelUrl } });
+    const insecure = await settings(ADMIN, { httpMethod: 'PUT', body: { url: 'http://hooks.slack.com/services/x', format: 'slack' } });
+    const unknownEvent = await connect({ format: 'slack', events: ['task-archived'] });
+    const asMember = await settings(ALICE, { httpMethod: 'PUT', body: { url: channelUrl, format: 'slack' } });
+    const connected = await connect({ format: 'teams' });
+    const paused = await settings(ADMIN, { httpMethod: 'PUT', body: { enabled: false } });
+
+    expect(empty.body).toMatchObject({ settings: null, formats: ['slack', 'teams'] });
+    expect(missingFormat.statusCode).toBe(400);
+    expect(insecure.statusCode).toBe(400);
+    expect(unknownEvent.body.unknownEvents).toEqual(['task-archived']);
+    expect(asMember.statusCode).toBe(403);
+    expect(connected.body.settings).toMatchObject({
+      url: channelUrl,
+      format: 'teams',
+      events: ['task-created', 'task-completed', 'task-blocked'],
+      enabled: true,
+      updatedBy: ADMIN
+    });
+    expect(paused.body.settings).toMatchObject({ format: 'teams', enabled: false });
+  });
+
+  test('created, completed and blocked tasks are posted in Slack format', async () => {
+    await connect({ format: 'slack' });
+
+    const task = await create('Ship release');
+    await setStatus(ALICE, task, 'in-progress');
+    await setStatus(ALICE, task, 'blocked', { reason: 'Waiting on <QA>' });
+    await setStatus(ALICE, task, 'in-progress');
+    await setStatus(ADMIN, task, 'completed');
+    await deliverDueNotifications();
+
+    expect(posts.map(post => post.message.text)).toEqual([
+      `New task created by ${ADMIN}: Ship release`,
+      `Task blocked by ${ALICE}: Ship release`,
+      `Task completed by ${ADMIN}: Ship release`
+    ]);
+    expect(posts[0].contentType).toBe('application/json');
+    expect(posts[0].path).toBe('/services/T000/B000');
+
+    const [headline, details] = posts[1].message.blocks;
+    expect(headline.text.text).toContain(`<https://tasks.example.com/task/${task.taskId}|Ship release>`);
+    expect(details.fields.map(field => field.text)).toEqual([
+      '*Priority*\nhigh',
+      `*Assignees*\n${ALICE}`,
+      '*Reason*\nWaiting on &lt;QA&gt;'
+    ]);
+  });
+
+  test('Teams gets a message card, and only for the events the channel posts', async () => {
+    await connect({ format: 'teams', events: ['task-completed'] });
+
+    const task = await create('Ship release', 'urgent');
+    await setStatus(ALICE, task, 'in-progress');
+    await setStatus(ADMIN, task, 'completed');
+    await deliverDueNotifications();
+
+    expect(posts).toHaveLength(1);
+    expect(posts[0].message).toMatchObject({
+      '@type': 'MessageCard',
+      summary: `Task completed by ${ADMIN}: Ship release`,
+      themeColor: 'dc3545',
+      title: 'Ship release',
+      sections: [{ facts: [{ name: 'Priority', value: 'urgent' }, { name: 'Assignees', value: ALICE }] }],
+      potentialAction: [{ '@type': 'OpenUri', targets: [{ os: 'default', uri: `https://tasks.example.com/task/${task.taskId}` }] }]
+    });
+  });
+
+  test('failed posts are retried, and nothing is queued without a channel', async () => {
+    await create('Before');
+    expect(db.items(OUTBOX_TABLE).filter(job => job.channel === 'chat')).toHaveLength(0);
+
+    await connect({ format: 'slack' });
+    await create('After');
+    channelStatus = 503;
+    await deliverDueNotifications();
+    channelStatus = 200;
+    await deliverDueNotifications({ now: later(retryDelay(1) + MINUTE_MS) });
+
+    const [job] = db.items(OUTBOX_TABLE).filter(item => item.channel === 'chat');
+    expect(posts).toHaveLength(2);
+    expect(job).toMatchObject({ status: 'sent', attempts: 2, lastError: 'Chat webhook responded with HTTP 503' });
+  });
+
+  test('messages need their task variables', () => {
+    expect(() => renderChatMessage('slack', 'task-created', { taskId: 't1', title: 'Draft', priority: 'low' }))
+      .toThrow('missing variables: actor, assignees');
+    expect(() => renderChatMessage('discord', 'task-created', {})).toThrow('Unknown chat format');
+  });
+});
@@ -0,0 +1,115 @@
+// Unit Tests for task checklists
+// Runs the task handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+
+async function create(body = {}) {
+  return callApi(createTask.handler, ADMIN, {
+    body: { title: 'Report', description: 'Draft', assignedTo: [ALICE, BOB], ...body }
+  });
+}
+
+async function update(email, taskId, body) {
+  return callApi(updateTask.handler, email, { pathParameters: { taskId }, body });
+}
+
+const storedChecklist = () => db.items(TASKS_TABLE)[0].checklist;
+
+describe('task checklists', () => {
+  beforeEach(() => {
+    resetTables(db);
+  });
+
+  test('tasks are created with ordered checklist items', async () => {
+    const { statusCode, body } = await create({
+      checklist: [{ text: 'Collect figures', assignee: ALICE }, { text: ' Write summary ' }]
+    });
+
+    expect(statusCode).toBe(201);
+    expect(body.task.checklist).toEqual([
+      { itemId: expect.any(String), text: 'Collect figures', done: false, assignee: ALICE, order: 0 },
+      { itemId: expect.any(String), text: 'Write summary', done: false, assignee: null, order: 1 }
+    ]);
+  });
+
+  test('item assignees must be assigned to the task', async () => {
+    const { statusCode, body } = await create({ checklist: [{ text: 'Review', assignee: ADMIN }] });
+
+    expect(statusCode).toBe(400);
+    expect(body.assignee).toBe(ADMIN);
+    expect(db.items(TASKS_TABLE)).toHaveLength(0);
+  });
+
+  test('admins add, reorder and remove items while existing items keep their state', async () => {
+    const { body: { task } } = await create({ checklist: [{ text: 'A' }, { text: 'B' }, { text: 'C' }] });
+    const [a, b, c] = task.checklist;
+    await update(ALICE, task.taskId, { checkItems: { [a.itemId]: true } });
+
+    const result = await update(ADMIN, task.taskId, {
+      checklist: [{ itemId: c.itemId, text: 'C' }, { itemId: a.itemId, text: 'A' }, { text: 'D' }]
+    });
+
+    expect(result.statusCode).toBe(200);
+    expect(storedChecklist().map(item => [item.text, item.done, item.order])).toEqual([
+      ['C', false, 0], ['A', true, 1], ['D', false, 2]
+    ]);
+    expect(storedChecklist().find(item => item.itemId === b.itemId)).toBeUndefined();
+
+    const unknown = await update(ADMIN, task.taskId, { checklist: [{ itemId: 'missing', text: 'X' }] });
+    expect(unknown.statusCode).toBe(400);
+  });
+
+  test('members can tick items but not edit the list', async () => {
+    const { body: { task } } = await create({ checklist: [{ text: 'A' }, { text: 'B' }] });
+    const [a] = task.checklist;
+
+    const ticked = await update(BOB, task.taskId, { checkItems: { [a.itemId]: true } });
+    const edited = await update(BOB, task.taskId, { checklist: [] });
+    const unknown = await update(BOB, task.taskId, { checkItems: { nope: true } });
+
+    expect(ticked.statusCode).toBe(200);
+    expect(storedChecklist().map(item => item.done)).toEqual([true, false]);
+    expect(edited.statusCode).toBe(400);
+    expect(storedChecklist()).toHaveLength(2);
+    expect(unknown.body.unknownItems).toEqual(['nope']);
+
+    const activity = db.items(ACTIVITY_TABLE).find(item => item.type === 'updated');
+    expect(activity.changes[0].field).toBe('checklist');
+  });
+
+  test('unassigning a member clears their checklist items', async () => {
+    const { body: { task } } = await create({ checklist: [{ text: 'A', assignee: BOB }] });
+
+    await update(ADMIN, task.taskId, { assignedTo: [ALICE] });
+
+    expect(storedChecklist()[0].assignee).toBeNull();
+  });
+
+  test('completing a task with open items needs confirmation', async () => {
+    const { body: { task } } = await create({ status: 'in-progress', checklist: [{ text: 'A' }, { text: 'B' }] });
+
+    const unconfirmed = await update(ADMIN, task.taskId, { status: 'completed' });
+    expect(unconfirmed.statusCode).toBe(400);
+    expect(unconfirmed.body).toMatchObject({ guard: 'checklistConfirmed', currentStatus: 'in-progress' });
+    expect(unconfirmed.body.error).toContain('2 checklist items are still open');
+
+    const confirmed = await update(ADMIN, task.taskId, { status: 'completed', confirmOpenItems: true });
+    expect(confirmed.statusCode).toBe(200);
+
+    // Ticking the last items in the same request needs no confirmation
+    const { body: { task: other } } = await create({ status: 'in-progress', checklist: [{ text: 'A' }] });
+    const finished = await update(ADMIN, other.taskId, {
+      status: 'completed',
+      checkItems: { [other.checklist[0].itemId]: true }
+    });
+    expect(finished.statusCode).toBe(200);
+  });
+});
@@ -0,0 +1,189 @@
+// Unit Tests for the task comments API
+// Runs the handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, CAROL, apiEvent, callApi, member, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const taskComments = require('../../task-comments');
+const { migrateLegacyComments } = require('../../comments');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+// Comments list in creation order, so each call below runs a second after the last
+let clock;
+function advanceClock() {
+  clock += 1000;
+  jest.setSystemTime(clock);
+}
+
+async function createSharedTask() {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title: 'Report', description: 'Draft', assignedTo: [ALICE, BOB] }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+async function call(email, httpMethod, pathParameters, { body, queryStringParameters } = {}) {
+  advanceClock();
+  return callApi(taskComments.handler, email, { httpMethod, pathParameters, body, queryStringParameters });
+}
+
+async function post(email, taskId, body) {
+  const result = await call(email, 'POST', { taskId }, { body });
+  return result.body.comment;
+}
+
+describe('task comments API', () => {
+  let task;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    clock = new Date('2026-03-02T09:00:00.000Z').getTime();
+    resetTables(db, [member(CAROL)]);
+    task = await createSharedTask();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('admins and assigned members can comment; comments are stored outside the task', async () => {
+    const adminResult = await call(ADMIN, 'POST', { taskId: task.taskId }, { body: { text: 'Please prioritise' } });
+    const memberResult = await call(ALICE, 'POST', { taskId: task.taskId }, { body: { text: 'Will do' } });
+
+    expect(adminResult.statusCode).toBe(201);
+    expect(memberResult.statusCode).toBe(201);
+    expect(db.items(COMMENTS_TABLE)).toHaveLength(2);
+    expect(db.items(TASKS_TABLE)[0].comments).toBeUndefined();
+  });
+
+  test('members not assigned to the task cannot read or comment', async () => {
+    const list = await call(CAROL, 'GET', { taskId: task.taskId });
+    const create = await call(CAROL, 'POST', { taskId: task.taskId }, { body: { text: 'Hi' } });
+
+    expect(list.statusCode).toBe(403);
+    expect(create.statusCode).toBe(403);
+  });
+
+  test('lists oldest first with pagination', async () => {
+    await post(ALICE, task.taskId, { text: 'one' });
+    await post(BOB, task.taskId, { text: 'two' });
+    await post(ALICE, task.taskId, { text: 'three' });
+
+    const first = await call(ALICE, 'GET', { taskId: task.taskId }, { queryStringParameters: { limit: '2' } });
+    const second = await call(ALICE, 'GET', { taskId: task.taskId }, {
+      queryStringParameters: { limit: '2', nextToken: first.body.nextToken }
+    });
+
+    expect(first.body.comments.map(comment => comment.text)).toEqual(['one', 'two']);
+    expect(second.body.comments.map(comment => comment.text)).toEqual(['three']);
+    expect(second.body.nextToken).toBeNull();
+  });
+
+  test('replies join the thread of the comment they answer', async () => {
+    const root = await post(ALICE, task.taskId, { text: 'Question' });
+    const reply = await post(BOB, task.taskId, { text: 'Answer', parentId: root.commentId });
+    const nested = await post(ALICE, task.taskId, { text: 'Thanks', parentId: reply.commentId });
+
+    expect(reply.parentId).toBe(root.commentId);
+    expect(nested.parentId).toBe(root.commentId);
+
+    const { body } = await call(ALICE, 'GET', { taskId: task.taskId });
+    expect(body.comments.find(comment => comment.commentId === root.commentId).replyCount).toBe(2);
+  });
+
+  test('only the author can edit, and edits are flagged', async () => {
+    const comment = await post(ALICE, task.taskId, { text: 'Typo hre' });
+
+    const byOther = await call(ADMIN, 'PUT', { taskId: task.taskId, commentId: comment.commentId }, { body: { text: 'Hacked' } });
+    const byAuthor = await call(ALICE, 'PUT', { taskId: task.taskId, commentId: comment.commentId }, { body: { text: 'Typo here' } });
+
+    expect(byOther.statusCode).toBe(403);
+    expect(byAuthor.statusCode).toBe(200);
+    expect(byAuthor.body.comment).toMatchObject({ text: 'Typo here', edited: true });
+    expect(byAuthor.body.comment.editedAt).toBeDefined();
+  });
+
+  test('authors and admins can delete; comments with replies are blanked to keep the thread', async () => {
+    const root = await post(ALICE, task.taskId, { text: 'Question' });
+    const reply = await post(BOB, task.taskId, { text: 'Answer', parentId: root.commentId });
+
+    const byStranger = await call(BOB, 'DELETE', { taskId: task.taskId, commentId: root.commentId });
+    const rootDelete = await call(ALICE, 'DELETE', { taskId: task.taskId, commentId: root.commentId });
+    const replyDelete = await call(ADMIN, 'DELETE', { taskId: task.taskId, commentId: reply.commentId });
+
+    expect(byStranger.statusCode).toBe(403);
+    expect(rootDelete.body.removed).toBe(false);
+    expect(replyDelete.body.removed).toBe(true);
+
+    const stored = db.items(COMMENTS_TABLE);
+    expect(stored).toHaveLength(1);
+    expect(stored[0]).toMatchObject({ commentId: root.commentId, text: '', deleted: true, replyCount: 0 });
+  });
+
+  test('rejects empty and oversized comments', async () => {
+    const empty = await call(ALICE, 'POST', { taskId: task.taskId }, { body: { text: '   ' } });
+    const huge = await call(ALICE, 'POST', { taskId: task.taskId }, { body: { text: 'x'.repeat(5001) } });
+
+    expect(empty.statusCode).toBe(400);
+    expect(huge.statusCode).toBe(400);
+  });
+
+  test('the comment field of PUT /tasks still works and no longer grows the task item', async () => {
+    const result = await updateTask.handler(apiEvent(ADMIN, {
+      pathParameters: { taskId: task.taskId },
+      body: { comment: 'Admins can comment too' }
+    }));
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(body.comment).toMatchObject({ author: ADMIN, text: 'Admins can comment too' });
+    expect(body.version).toBe(1);
+    expect(db.items(TASKS_TABLE)[0].comments).toBeUndefined();
+    expect(db.items(COMMENTS_TABLE)).toHaveLength(1);
+  });
+
+  test('deleting a task deletes its comments and replies', async () => {
+    const other = await createSharedTask();
+    const top = await post(ALICE, task.taskId, { text: 'First' });
+    await post(BOB, task.taskId, { text: 'Reply', parentId: top.commentId });
+    const kept = await post(ALICE, other.taskId, { text: 'Elsewhere' });
+
+    const result = await deleteTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId } }));
+
+    expect(result.statusCode).toBe(200);
+    expect(db.items(COMMENTS_TABLE).map(comment => comment.commentId)).toEqual([kept.commentId]);
+  });
+
+  test('legacy comment arrays move to the comments table, once', async () => {
+    db.seed(TASKS_TABLE, [{
+      taskId: 't-legacy',
+      title: 'Legacy',
+      assignedMembers: [ALICE],
+      createdAt: '2025-01-01T00:00:00.000Z',
+      comments: [
+        { author: ALICE, text: 'Old news', timestamp: '2025-01-02T00:00:00.000Z' },
+        { author: ADMIN, text: 'Older reply', timestamp: '2025-01-03T00:00:00.000Z' }
+      ]
+    }]);
+
+    const first = await migrateLegacyComments();
+    const second = await migrateLegacyComments();
+    const listed = await call(ALICE, 'GET', { taskId: 't-legacy' });
+    const legacy = db.items(TASKS_TABLE).find(item => item.taskId === 't-legacy');
+
+    expect(first).toEqual({ tasksMigrated: 1, commentsMigrated: 2 });
+    expect(second).toEqual({ tasksMigrated: 0, commentsMigrated: 0 });
+    expect(listed.body.comments.map(comment => [comment.author, comment.text])).toEqual([
+      [ALICE, 'Old news'],
+      [ADMIN, 'Older reply']
+    ]);
+    expect(legacy.comments).toBeUndefined();
+    expect(legacy.version).toBe(1);
+  });
+});
@@ -0,0 +1,144 @@
+// Unit Tests for task dependencies (blockedBy / blocks)
+// Runs the task handlers against an in-memory DynamoDB stand-in and records outgoing email
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, apiEvent, callApi, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+async function create(title, body = {}) {
+  return callApi(createTask.handler, ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE], ...body }
+  });
+}
+
+async function update(email, taskId, body) {
+  const result = await callApi(updateTask.handler, email, { pathParameters: { taskId }, body });
+  await deliverDueNotifications();
+  return result;
+}
+
+const stored = (taskId) => db.items(TASKS_TABLE).find(item => item.taskId === taskId);
+
+describe('task dependencies', () => {
+  let schema;
+  let api;
+
+  beforeEach(async () => {
+    resetTables(db);
+    schema = (await create('Schema', { status: 'in-progress' })).body.task;
+    api = (await create('API', { assignedTo: [BOB], blockedBy: [schema.taskId] })).body.task;
+    sentEmails.length = 0;
+  });
+
+  test('blockedBy links are mirrored as blocks on the blocking task', async () => {
+    expect(api.blockedBy).toEqual([schema.taskId]);
+    expect(stored(schema.taskId).blocks).toEqual([api.taskId]);
+
+    const ui = (await create('UI')).body.task;
+    await update(ADMIN, ui.taskId, { blockedBy: [schema.taskId, api.taskId] });
+    await update(ADMIN, ui.taskId, { blockedBy: [api.taskId] });
+
+    expect(stored(schema.taskId).blocks).toEqual([api.taskId]);
+    expect(stored(api.taskId).blocks).toEqual([ui.taskId]);
+  });
+
+  test('linking and unlinking bump the version of the other task', async () => {
+    expect(stored(schema.taskId).version).toBe(2);
+
+    const stale = await update(ADMIN, schema.taskId, { title: 'Schema v2', expectedVersion: schema.version });
+    await update(ADMIN, api.taskId, { blockedBy: [] });
+
+    expect(stale.statusCode).toBe(409);
+    expect(stored(schema.taskId).version).toBe(3);
+  });
+
+  test('links must point at existing tasks', async () => {
+    const result = await create('UI', { blockedBy: [schema.taskId, 'missing-task'] });
+
+    expect(result.statusCode).toBe(400);
+    expect(result.body.missingTasks).toEqual(['missing-task']);
+  });
+
+  test('links that would form a cycle are refused', async () => {
+    const ui = (await create('UI', { blockedBy: [api.taskId] })).body.task;
+
+    const self = await update(ADMIN, schema.taskId, { blockedBy: [schema.taskId] });
+    const loop = await update(ADMIN, schema.taskId, { blockedBy: [ui.taskId] });
+
+    expect(self.statusCode).toBe(400);
+    expect(loop.statusCode).toBe(400);
+    expect(loop.body.cycle).toEqual([schema.taskId, ui.taskId, api.taskId, schema.taskId]);
+    expect(stored(schema.taskId).blockedBy).toEqual([]);
+  });
+
+  test('members cannot change dependencies', async () => {
+    const result = await update(BOB, api.taskId, { blockedBy: [] });
+
+    expect(result.statusCode).toBe(400);
+    expect(stored(api.taskId).blockedBy).toEqual([schema.taskId]);
+  });
+
+  test('a task cannot start while its blockers are open', async () => {
+    const blocked = await update(BOB, api.taskId, { status: 'in-progress' });
+
+    expect(blocked.statusCode).toBe(400);
+    expect(blocked.body.guard).toBe('blockersDone');
+    expect(blocked.body.openBlockers).toEqual([{ taskId: schema.taskId, title: 'Schema', status: 'in-progress' }]);
+
+    await update(ADMIN, schema.taskId, { status: 'completed' });
+    expect((await update(BOB, api.taskId, { status: 'in-progress' })).statusCode).toBe(200);
+  });
+
+  test('completing a blocker notifies the members of dependent tasks', async () => {
+    await update(ADMIN, schema.taskId, { status: 'completed' });
+
+    const notices = sentEmails.filter(email => email.subject === 'Blocking Task Finished');
+    expect(notices).toEqual([
+      expect.objectContaining({ to: BOB, text: expect.stringContaining('no open blockers left') })
+    ]);
+  });
+
+  test('a saved change is reported as saved when its follow-up writes fail', async () => {
+    const failing = () => ({ promise: () => Promise.reject(Object.assign(new Error('Throughput exceeded'), { code: 'ProvisionedThroughputExceededException' })) });
+    const realUpdate = db.update;
+    jest.spyOn(db, 'update').mockImplementation(params => (
+      params.UpdateExpression.includes('list_append') ? failing() : realUpdate(params)
+    ));
+    const realTransactWrite = db.transactWrite;
+    jest.spyOn(db, 'transactWrite').mockImplementation(params => (
+      params.TransactItems.some(item => Object.values(item)[0].TableName === COMMENTS_TABLE)
+        ? failing()
+        : realTransactWrite(params)
+    ));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const ui = await create('UI', { blockedBy: [schema.taskId] });
+    expect(ui.statusCode).toBe(201);
+    expect(db.items(TASKS_TABLE).filter(item => item.title === 'UI')).toHaveLength(1);
+    expect(stored(schema.taskId).blocks).toEqual([api.taskId]);
+
+    const updated = await update(ADMIN, ui.body.task.taskId, { priority: 'high', comment: 'Raised the priority' });
+    expect(updated.statusCode).toBe(200);
+    expect(updated.body.commentError).toBe('The task was updated but the comment could not be saved');
+    expect(stored(ui.body.task.taskId).priority).toBe('high');
+
+    jest.restoreAllMocks();
+  });
+
+  test('deleting a task removes its links from other tasks', async () => {
+    await deleteTask.handler(apiEvent(ADMIN, { httpMethod: 'DELETE', pathParameters: { taskId: schema.taskId } }));
+
+    expect(stored(api.taskId).blockedBy).toEqual([]);
+  });
+});
@@ -0,0 +1,161 @@
+// Unit Tests for daily and weekly digest emails
+// Runs the digest job against an in-memory DynamoDB stand-in with an injected clock
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, callApi, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const userPreferences = require('../../user-preferences');
+const { sendDueDigests, MAX_SUMMARY_TASKS } = require('../../digests');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+
+const NOW = '2026-03-10T07:00:00.000Z';
+const at = (iso) => new Date(iso);
+const daysAfter = (iso, days) => new Date(new Date(iso).getTime() + days * 24 * 60 * 60 * 1000);
+
+// Run the digest job, then the outbox worker that sends what it queued
+async function runDigests(options) {
+  const summary = await sendDueDigests(options);
+  await deliverDueNotifications({ now: options.now });
+  return summary;
+}
+
+function seedTask(taskId, fields) {
+  db.seed(TASKS_TABLE, [{
+    taskId,
+    title: `Task ${taskId}`,
+    status: 'in-progress',
+    priority: 'medium',
+    assignedMembers: [ALICE],
+    createdBy: ADMIN,
+    createdAt: '2026-03-01T09:00:00.000Z',
+    updatedAt: '2026-03-01T09:00:00.000Z',
+    ...fields
+  }]);
+}
+
+async function setPreferences(email, body) {
+  return callApi(userPreferences.handler, email, { httpMethod: 'PUT', body });
+}
+
+const digestsTo = (email) => sentEmails.filter(email_ => email_.to === email);
+
+describe('digest emails', () => {
+  beforeEach(() => {
+    resetTables(db);
+    sentEmails.length = 0;
+  });
+
+  test('choosing digest delivery opts into a daily digest', async () => {
+    const optIn = await setPreferences(ALICE, { events: { 'status-changed': 'digest' } });
+    const turnOff = await setPreferences(ALICE, { digest: 'off' });
+
+    expect(optIn.body.preferences.digest).toBe('daily');
+    expect(turnOff.statusCode).toBe(400);
+  });
+
+  test('members get changed, due-soon and overdue tasks, once per period', async () => {
+    await setPreferences(ALICE, { digest: 'daily' });
+    seedTask('changed', { updatedAt: '2026-03-09T15:00:00.000Z', status: 'blocked' });
+    seedTask('soon', { dueDate: '2026-03-10' });
+    seedTask('late', { dueDate: '2026-03-08' });
+    seedTask('quiet', {});
+    seedTask('bobs', { assignedMembers: [BOB], updatedAt: '2026-03-09T15:00:00.000Z' });
+
+    const first = await runDigests({ now: at(NOW) });
+    const again = await runDigests({ now: at('2026-03-10T08:00:00.000Z') });
+
+    expect(first).toEqual({ users: 1, sent: 1, empty: 0, failed: 0 });
+    expect(again.users).toBe(0);
+
+    const [digest] = digestsTo(ALICE);
+    expect(digest.subject).toBe('Your Daily Task Digest');
+    expect(digest.text).toContain('Changed since your last digest:\n- Task changed (blocked)');
+    expect(digest.text).toContain('Due soon:\n- Task soon (due 2026-03-10)');
+    expect(digest.text).toContain('Overdue:\n- Task late (was due 2026-03-08)');
+    expect(digest.text).not.toContain('Task quiet');
+    expect(digest.text).not.toContain('Task bobs');
+  });
+
+  test('the next digest starts from the last one and nothing new sends nothing', async () => {
+    await setPreferences(ALICE, { digest: 'daily' });
+    seedTask('changed', { updatedAt: '2026-03-09T15:00:00.000Z' });
+
+    await runDigests({ now: at(NOW) });
+    sentEmails.length = 0;
+    const nextDay = await runDigests({ now: daysAfter(NOW, 1) });
+
+    expect(nextDay).toEqual({ users: 1, sent: 0, empty: 1, failed: 0 });
+    expect(sentEmails).toHaveLength(0);
+    expect(db.items(USERS_TABLE).find(user => user.email === ALICE).lastDigestSentAt)
+      .toBe(daysAfter(NOW, 1).toISOString());
+  });
+
+  test('weekly digests go out a week apart', async () => {
+    await setPreferences(ALICE, { digest: 'weekly' });
+    seedTask('soon', { dueDate: '2026-03-15' });
+
+    for (let day = 0; day <= 7; day++) {
+      await runDigests({ now: daysAfter(NOW, day) });
+    }
+
+    expect(digestsTo(ALICE).map(email => email.subject)).toEqual(['Your Weekly Task Digest', 'Your Weekly Task Digest']);
+  });
+
+  test('admins get a team summary with completion rate, blocked and stale tasks', async () => {
+    await setPreferences(ADMIN, { digest: 'daily' });
+    seedTask('done', { status: 'completed', updatedAt: '2026-03-09T09:00:00.000Z' });
+    seedTask('stuck', { status: 'blocked', statusReason: 'Waiting on data', updatedAt: '2026-03-09T09:00:00.000Z' });
+    seedTask('stale', { updatedAt: '2026-02-20T09:00:00.000Z' });
+    seedTask('fresh', { updatedAt: '2026-03-09T09:00:00.000Z' });
+
+    await runDigests({ now: at(NOW) });
+
+    const [digest] = digestsTo(ADMIN);
+    expect(digest.text).toContain('Team summary: 1 of 4 tasks completed (25%)');
+    expect(digest.text).toContain('Blocked (1):\n- Task stuck (Waiting on data)');
+    expect(digest.text).toContain('No activity in 7 days (1):\n- Task stale (in-progress)');
+  });
+
+  test('the team summary names a limited number of tasks but counts them all', async () => {
+    await setPreferences(ADMIN, { digest: 'daily' });
+    const count = MAX_SUMMARY_TASKS + 5;
+    for (let day = 1; day <= count; day++) {
+      seedTask(`stuck-${day}`, { status: 'blocked', updatedAt: new Date(Date.UTC(2026, 0, day)).toISOString() });
+    }
+
+    await runDigests({ now: at(NOW) });
+
+    const [digest] = digestsTo(ADMIN);
+    expect(digest.text).toContain(`Blocked (${count}):\n- Task stuck-1 (no reason given)`);
+    expect(digest.text).not.toContain(`Task stuck-${count} `);
+    expect(digest.text).toContain('...and 5 more');
+  });
+
+  test('a digest that fails does not stop the others and is retried next run', async () => {
+    await setPreferences(ALICE, { digest: 'daily' });
+    await setPreferences(BOB, { digest: 'daily' });
+    seedTask('report', { assignedMembers: [ALICE, BOB], updatedAt: '2026-03-09T09:00:00.000Z' });
+    const transactWrite = db.transactWrite;
+    jest.spyOn(db, 'transactWrite').mockImplementation(params => {
+      const marker = params.TransactItems.find(item => item.Update && item.Update.TableName === USERS_TABLE);
+      if (marker && marker.Update.Key.userId === 'u-alice') {
+        return { promise: () => Promise.reject(Object.assign(new Error('Throttled'), { code: 'ThrottlingException' })) };
+      }
+      return transactWrite(params);
+    });
+
+    const summary = await sendDueDigests({ now: at(NOW) });
+    db.transactWrite.mockRestore();
+    const retry = await sendDueDigests({ now: at(NOW) });
+
+    expect(summary).toEqual({ users: 2, sent: 1, empty: 0, failed: 1 });
+    expect(retry).toMatchObject({ users: 1, sent: 1, failed: 0 });
+  });
+});
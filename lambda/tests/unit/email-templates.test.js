@@ -0,0 +1,91 @@
+// Unit Tests for the email templates
+// Snapshots every template's text and HTML parts; a wording change needs a version bump
+
+process.env.APP_URL = 'https://tasks.example.com/';
+
+const { TEMPLATES, renderEmail } = require('../../email-templates');
+
+const TASK = { taskId: 'task-1', title: 'Quarterly report' };
+const description = 'Collect the figures\nand write the summary';
+
+const SAMPLES = {
+  'task-assigned': { ...TASK, description, priority: 'urgent', status: 'pending', dueDate: '2026-03-12', assignedBy: 'admin@amalitech.com' },
+  'tasks-imported': {
+    count: 2,
+    tasks: [
+      { taskId: 'task-1', title: 'Quarterly report', detail: 'high, due 2026-03-12' },
+      { taskId: 'task-2', title: 'Budget', detail: 'medium, no due date' }
+    ],
+    assignedBy: 'admin@amalitech.com'
+  },
+  'removed-from-task': { ...TASK, removedBy: 'admin@amalitech.com' },
+  'status-changed': { ...TASK, fromStatus: 'in-progress', toStatus: 'blocked', changedBy: 'alice@amalitechtraining.org', reason: 'Waiting on data' },
+  'review-submitted': { ...TASK, submittedBy: 'alice@amalitechtraining.org', note: 'Figures checked twice' },
+  'review-approved': { ...TASK, approvedBy: 'admin@amalitech.com' },
+  'review-rejected': { ...TASK, rejectedBy: 'admin@amalitech.com', reason: 'Totals are off by one row' },
+  'priority-urgent': { ...TASK, description, status: 'in-progress', changedBy: 'admin@amalitech.com' },
+  'task-updated': { ...TASK, description, priority: 'high', status: 'in-progress', changedFields: ['title', 'due date'], updatedBy: 'admin@amalitech.com' },
+  'task-closed': { ...TASK, description, status: 'completed', closedBy: 'admin@amalitech.com' },
+  'mentioned': { ...TASK, author: 'bob@amalitechtraining.org', comment: '@alice@amalitechtraining.org can you check the totals?' },
+  'blocker-finished': { ...TASK, blockerTitle: 'Export figures', blockerStatus: 'completed', openBlockers: ['Review budget'] },
+  'due-soon': { ...TASK, dueDate: '2026-03-12', priority: 'medium', status: 'in-progress' },
+  'overdue': { ...TASK, dueDate: '2026-03-08', priority: 'medium', status: 'in-progress', assignedMembers: ['alice@amalitechtraining.org', 'bob@amalitechtraining.org'] },
+  'digest': {
+    frequency: 'daily',
+    changed: [{ taskId: 'task-1', title: 'Quarterly report', detail: 'blocked' }],
+    dueSoon: [{ taskId: 'task-2', title: 'Budget', detail: 'due 2026-03-10' }],
+    overdue: [],
+    teamTotal: 4,
+    teamCompleted: 1,
+    completionRate: 25,
+    blocked: [{ taskId: 'task-1', title: 'Quarterly report', detail: 'Waiting on data' }],
+    blockedTotal: 3,
+    stale: [],
+    staleTotal: 0,
+    staleDays: 7
+  }
+};
+
+describe('email templates', () => {
+  test('every template has a sample', () => {
+    expect(Object.keys(SAMPLES).sort()).toEqual(Object.keys(TEMPLATES).sort());
+  });
+
+  Object.entries(TEMPLATES).forEach(([name, template]) => {
+    test(`${name} v${template.version}`, () => {
+      const { subject, text, html } = renderEmail(name, SAMPLES[name]);
+      expect({ subject, text, html }).toMatchSnapshot();
+    });
+  });
+
+  test('values are escaped in the HTML part and left as typed in the text part', () => {
+    const title = '<img src=x onerror="alert(1)">';
+    const email = renderEmail('mentioned', { ...SAMPLES.mentioned, title, comment: 'Tom & Jerry\'s <b>notes</b>' });
+
+    expect(email.html).not.toContain('<img');
+    expect(email.html).not.toContain('<b>');
+    expect(email.html).toContain('&lt;img src=x onerror=&quot;alert(1)&quot;&gt;');
+    expect(email.html).toContain('Tom &amp; Jerry&#39;s &lt;b&gt;notes&lt;/b&gt;');
+    expect(email.text).toContain(`on task "${title}"`);
+  });
+
+  test('task emails link to the task page, except for closed tasks', () => {
+    const assigned = renderEmail('task-assigned', SAMPLES['task-assigned']);
+    const closed = renderEmail('task-closed', SAMPLES['task-closed']);
+
+    expect(assigned.text).toContain('View task: https://tasks.example.com/task/task-1');
+    expect(assigned.html).toContain('href="https://tasks.example.com/task/task-1"');
+    expect(closed.text).not.toContain('View task');
+  });
+
+  test('variables are checked against the template', () => {
+    const missing = { ...SAMPLES['task-assigned'], assignedBy: undefined };
+
+    expect(() => renderEmail('task-assigned', missing)).toThrow('missing variable "assignedBy"');
+    expect(() => renderEmail('removed-from-task', { ...SAMPLES['removed-from-task'], extra: 'x' }))
+      .toThrow('Unknown variables for email template "removed-from-task": extra');
+    expect(() => renderEmail('overdue', { ...SAMPLES.overdue, assignedMembers: 'alice' }))
+      .toThrow('variable "assignedMembers" must be of type list');
+    expect(() => renderEmail('task-archived', {})).toThrow('Unknown email template "task-archived"');
+  });
+});
@@ -0,0 +1,111 @@
+// Unit Tests for @mentions in task comments
+// Runs the handlers against an in-memory DynamoDB stand-in and records outgoing email
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, CAROL, apiEvent, callApi, member, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const taskComments = require('../../task-comments');
+const userManagement = require('../../user-management');
+const { parseMentions } = require('../../comments');
+const { deliverDueNotifications } = require('../../outbox');
+
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+const DAVE = 'dave@amalitechtraining.org';
+
+async function postComment(email, taskId, body) {
+  const result = await callApi(taskComments.handler, email, { httpMethod: 'POST', pathParameters: { taskId }, body });
+  await deliverDueNotifications();
+  return result;
+}
+
+const mentionEmails = () => sentEmails.filter(email => email.subject === 'You were mentioned in a comment');
+
+describe('comment mentions', () => {
+  let task;
+
+  beforeEach(async () => {
+    resetTables(db, [member(CAROL), member(DAVE, 'inactive')]);
+    const result = await createTask.handler(apiEvent(ADMIN, {
+      body: { title: 'Report', description: 'Draft', assignedTo: [ALICE] }
+    }));
+    task = JSON.parse(result.body).task;
+    await deliverDueNotifications();
+    sentEmails.length = 0;
+  });
+
+  test('parses @email mentions once each and ignores plain addresses', () => {
+    expect(parseMentions(`Ping @${BOB}, @${CAROL}. Cc ${ADMIN} and @${BOB} again`)).toEqual([BOB, CAROL]);
+  });
+
+  test('mentioned users are stored on the comment and emailed even if not assigned', async () => {
+    const { statusCode, body } = await postComment(ALICE, task.taskId, { text: `@${CAROL} can you review?` });
+
+    expect(statusCode).toBe(201);
+    expect(body.comment.mentions).toEqual([CAROL]);
+    expect(mentionEmails()).toEqual([
+      expect.objectContaining({ to: CAROL, text: expect.stringContaining('can you review?') })
+    ]);
+  });
+
+  test('mentions follow the assignee rules', async () => {
+    const unknown = await postComment(ALICE, task.taskId, { text: '@nobody@amalitechtraining.org hi' });
+    const inactive = await postComment(ALICE, task.taskId, { text: `@${DAVE} hi` });
+    const admin = await postComment(ALICE, task.taskId, { text: `@${ADMIN} hi` });
+
+    expect(unknown.statusCode).toBe(400);
+    expect(unknown.body.nonExistentUsers).toEqual(['nobody@amalitechtraining.org']);
+    expect(inactive.body.inactiveUsers).toEqual([DAVE]);
+    expect(admin.body.adminUsers).toEqual([ADMIN]);
+    expect(db.items(COMMENTS_TABLE)).toHaveLength(0);
+    expect(mentionEmails()).toHaveLength(0);
+  });
+
+  test('editing a comment only notifies newly mentioned users', async () => {
+    const { body } = await postComment(ALICE, task.taskId, { text: `@${BOB} thoughts?` });
+    sentEmails.length = 0;
+
+    const result = await taskComments.handler(apiEvent(ALICE, {
+      httpMethod: 'PUT',
+      pathParameters: { taskId: task.taskId, commentId: body.comment.commentId },
+      body: { text: `@${BOB} @${CAROL} thoughts?` }
+    }));
+    await deliverDueNotifications();
+
+    expect(JSON.parse(result.body).comment.mentions).toEqual([BOB, CAROL]);
+    expect(mentionEmails().map(email => email.to)).toEqual([CAROL]);
+  });
+
+  test('the comment field of PUT /tasks notifies mentions too', async () => {
+    const result = await updateTask.handler(apiEvent(ALICE, {
+      pathParameters: { taskId: task.taskId },
+      body: { status: 'in-progress', comment: `Started, @${BOB} please help` }
+    }));
+    await deliverDueNotifications();
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body).comment.mentions).toEqual([BOB]);
+    expect(mentionEmails().map(email => email.to)).toEqual([BOB]);
+  });
+
+  test('members can list active members to pick mentions from', async () => {
+    const result = await userManagement.handler(apiEvent(ALICE, { httpMethod: 'GET' }));
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(body.users.map(user => user.email).sort()).toEqual([ALICE, BOB, CAROL]);
+    expect(body.users[0]).not.toHaveProperty('userId');
+  });
+
+  test('deactivated members cannot list members', async () => {
+    const result = await userManagement.handler(apiEvent(DAVE, { httpMethod: 'GET' }));
+
+    expect(result.statusCode).toBe(403);
+  });
+});
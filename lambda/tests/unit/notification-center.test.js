@@ -0,0 +1,112 @@
+// Unit Tests for the in-app notification center
+// Runs the task handlers, the outbox worker and the notification center against an
+// in-memory DynamoDB stand-in
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const userPreferences = require('../../user-preferences');
+const notificationCenter = require('../../notification-center');
+const { deliverDueNotifications } = require('../../outbox');
+
+
+function setTime(iso) {
+  jest.setSystemTime(new Date(iso));
+}
+
+async function create(title, assignedTo = [ALICE]) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo }
+  }));
+  await deliverDueNotifications();
+  return JSON.parse(result.body).task;
+}
+
+async function update(email, taskId, body) {
+  await updateTask.handler(apiEvent(email, { pathParameters: { taskId }, body }));
+  await deliverDueNotifications();
+}
+
+async function center(email, { httpMethod = 'GET', pathParameters, queryStringParameters } = {}) {
+  return callApi(notificationCenter.handler, email, { httpMethod, pathParameters, queryStringParameters });
+}
+
+describe('notification center', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    setTime('2026-03-02T09:00:00.000Z');
+    resetTables(db);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('notifications are listed newest first with the unread count', async () => {
+    const task = await create('Report');
+    setTime('2026-03-02T10:00:00.000Z');
+    await update(ALICE, task.taskId, { status: 'in-progress' });
+    setTime('2026-03-02T11:00:00.000Z');
+    await update(ADMIN, task.taskId, { title: 'Quarterly report' });
+
+    const alice = await center(ALICE);
+    const admin = await center(ADMIN);
+
+    expect(alice.statusCode).toBe(200);
+    expect(alice.body.unreadCount).toBe(1);
+    expect(alice.body.notifications).toEqual([
+      expect.objectContaining({
+        event: 'task-assigned',
+        subject: 'New Task Assigned to You',
+        taskId: task.taskId,
+        title: 'Report',
+        actor: ADMIN,
+        read: false
+      })
+    ]);
+    expect(admin.body.notifications.map(notification => [notification.event, notification.actor])).toEqual([
+      ['status-changed', ALICE]
+    ]);
+  });
+
+  test('one or all notifications can be marked as read', async () => {
+    await create('Report');
+    setTime('2026-03-02T10:00:00.000Z');
+    await create('Budget');
+
+    const { notifications } = (await center(ALICE)).body;
+    const one = await center(ALICE, { httpMethod: 'POST', pathParameters: { notificationId: notifications[0].notificationId } });
+    const notMine = await center(BOB, { httpMethod: 'POST', pathParameters: { notificationId: notifications[1].notificationId } });
+
+    expect(one.body.notification).toMatchObject({ title: 'Budget', read: true, readAt: '2026-03-02T10:00:00.000Z' });
+    expect(one.body.unreadCount).toBe(1);
+    expect(notMine.statusCode).toBe(404);
+
+    const all = await center(ALICE, { httpMethod: 'POST' });
+
+    expect(all.body.marked).toBe(1);
+    expect((await center(ALICE)).body.unreadCount).toBe(0);
+  });
+
+  test('muted tasks stay out of the inbox, whatever the email preferences', async () => {
+    await userPreferences.handler(apiEvent(ALICE, { httpMethod: 'PUT', body: { events: { 'task-assigned': 'off' } } }));
+    const task = await create('Report', [ALICE, BOB]);
+    await userPreferences.handler(apiEvent(BOB, { httpMethod: 'PUT', body: { mutedTasks: [task.taskId] } }));
+    setTime('2026-03-02T10:00:00.000Z');
+    await update(ADMIN, task.taskId, { assignedTo: [ALICE] });
+
+    expect((await center(ALICE)).body.notifications.map(notification => notification.event)).toEqual(['task-assigned']);
+    expect((await center(BOB)).body.notifications.map(notification => notification.event)).toEqual(['task-assigned']);
+  });
+
+  test('the page size is checked', async () => {
+    const result = await center(ALICE, { queryStringParameters: { limit: '0' } });
+
+    expect(result.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,200 @@
+// Unit Tests for the notification outbox
+// Runs the task handlers and the delivery worker against an in-memory DynamoDB stand-in,
+// with SES and SNS calls recorded and failed on demand
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+process.env.SNS_TOPIC_ARN = 'arn:aws:sns:eu-west-1:123456789012:task-notifications';
+
+const AWS = require('aws-sdk');
+const { ADMIN, ALICE, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const sentEmails = [];
+let emailFailure = null;
+AWS.SES.mockImplementation(() => ({
+  sendEmail: jest.fn(params => {
+    if (emailFailure) {
+      return { promise: () => Promise.reject(new Error(emailFailure)) };
+    }
+    sentEmails.push({ to: params.Destination.ToAddresses[0], subject: params.Message.Subject.Data });
+    return { promise: () => Promise.resolve({ MessageId: 'test-message-id' }) };
+  })
+}));
+
+const published = [];
+let publishFailure = null;
+AWS.SNS.mockImplementation(() => ({
+  publish: jest.fn(params => {
+    if (publishFailure) {
+      return { promise: () => Promise.reject(new Error(publishFailure)) };
+    }
+    published.push({ topic: params.TopicArn, message: JSON.parse(params.Message), attributes: params.MessageAttributes });
+    return { promise: () => Promise.resolve({ MessageId: 'test-message-id' }) };
+  })
+}));
+
+const createTask = require('../../create-task');
+const notificationOutbox = require('../../notification-outbox');
+const { MAX_ATTEMPTS, retryDelay, writeWithOutbox, notificationJob, deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const OUTBOX_TABLE = process.env.OUTBOX_TABLE;
+
+const MINUTE_MS = 60 * 1000;
+const later = (ms) => new Date(Date.now() + ms);
+const jobs = () => db.items(OUTBOX_TABLE);
+
+async function create(title) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE] }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+async function outbox(email, { httpMethod = 'GET', pathParameters, queryStringParameters } = {}) {
+  return callApi(notificationOutbox.handler, email, { httpMethod, pathParameters, queryStringParameters });
+}
+
+describe('notification outbox', () => {
+  beforeEach(() => {
+    resetTables(db);
+    sentEmails.length = 0;
+    published.length = 0;
+    emailFailure = null;
+    publishFailure = null;
+  });
+
+  test('jobs are written with the change and sent by the worker', async () => {
+    const task = await create('Report');
+
+    expect(jobs()).toEqual([expect.objectContaining({ to: ALICE, taskId: task.taskId, status: 'pending', attempts: 0 })]);
+    expect(sentEmails).toHaveLength(0);
+
+    const summary = await deliverDueNotifications();
+
+    expect(summary).toEqual({ due: 1, sent: 1, retrying: 0, dead: 0 });
+    expect(sentEmails).toEqual([{ to: ALICE, subject: 'New Task Assigned to You' }]);
+    expect(published).toEqual([expect.objectContaining({
+      topic: process.env.SNS_TOPIC_ARN,
+      message: expect.objectContaining({ event: 'task-assigned', to: ALICE, taskId: task.taskId }),
+      attributes: expect.objectContaining({ event: { DataType: 'String', StringValue: 'task-assigned' } })
+    })]);
+    expect(jobs()[0]).toMatchObject({ status: 'sent', attempts: 1, expiresAt: expect.any(Number) });
+  });
+
+  test('a change that fails its condition queues nothing', async () => {
+    db.seed(TASKS_TABLE, [{ taskId: 'task-1', title: 'Existing' }]);
+    const job = notificationJob({
+      to: ALICE,
+      event: 'task-assigned',
+      template: 'removed-from-task',
+      variables: { taskId: 'task-1', title: 'Existing', removedBy: ADMIN }
+    });
+
+    await expect(writeWithOutbox([{
+      Put: { TableName: TASKS_TABLE, Item: { taskId: 'task-1' }, ConditionExpression: 'attribute_not_exists(taskId)' }
+    }], [job])).rejects.toMatchObject({ code: 'ConditionalCheckFailedException' });
+
+    expect(jobs()).toHaveLength(0);
+  });
+
+  test('a change too large for one transaction is refused before anything is written', async () => {
+    const job = () => notificationJob({
+      to: ALICE,
+      event: 'task-assigned',
+      template: 'removed-from-task',
+      variables: { taskId: 'task-1', title: 'Existing', removedBy: ADMIN }
+    });
+
+    await expect(writeWithOutbox(
+      [{ Put: { TableName: TASKS_TABLE, Item: { taskId: 'task-1' } } }],
+      Array.from({ length: 100 }, job)
+    )).rejects.toMatchObject({ code: 'TransactionTooLarge' });
+
+    expect(db.items(TASKS_TABLE)).toHaveLength(0);
+    expect(jobs()).toHaveLength(0);
+  });
+
+  test('failed deliveries are retried with exponential backoff', async () => {
+    await create('Report');
+    emailFailure = 'Throttling: Maximum sending rate exceeded';
+
+    const first = await deliverDueNotifications();
+    const tooSoon = await deliverDueNotifications({ now: later(retryDelay(1) / 2) });
+
+    expect(first.retrying).toBe(1);
+    expect(tooSoon.due).toBe(0);
+    expect(jobs()[0]).toMatchObject({ status: 'pending', attempts: 1, lastError: emailFailure });
+    expect(retryDelay(2)).toBe(2 * retryDelay(1));
+
+    emailFailure = null;
+    const retried = await deliverDueNotifications({ now: later(retryDelay(1) + MINUTE_MS) });
+
+    expect(retried.sent).toBe(1);
+    expect(sentEmails).toHaveLength(1);
+  });
+
+  test('a job that keeps failing becomes a dead letter', async () => {
+    await create('Report');
+    emailFailure = 'Email address is not verified';
+
+    let elapsed = 0;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS + 1; attempt++) {
+      await deliverDueNotifications({ now: later(elapsed) });
+      elapsed += retryDelay(attempt) + MINUTE_MS;
+    }
+
+    expect(jobs()[0]).toMatchObject({
+      status: 'dead',
+      attempts: MAX_ATTEMPTS,
+      lastError: 'Email address is not verified',
+      deadAt: expect.any(String)
+    });
+  });
+
+  test('a failed publish is retried without emailing twice', async () => {
+    await create('Report');
+    publishFailure = 'SNS unavailable';
+
+    await deliverDueNotifications();
+    publishFailure = null;
+    await deliverDueNotifications({ now: later(retryDelay(1) + MINUTE_MS) });
+
+    expect(sentEmails).toHaveLength(1);
+    expect(published).toHaveLength(1);
+    expect(jobs()[0].status).toBe('sent');
+  });
+
+  test('admins list dead letters and replay them', async () => {
+    await create('Report');
+    emailFailure = 'Email address is not verified';
+    let elapsed = 0;
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      await deliverDueNotifications({ now: later(elapsed) });
+      elapsed += retryDelay(attempt) + MINUTE_MS;
+    }
+
+    const member = await outbox(ALICE);
+    const badStatus = await outbox(ADMIN, { queryStringParameters: { status: 'lost' } });
+    const dead = await outbox(ADMIN);
+
+    expect(member.statusCode).toBe(403);
+    expect(badStatus.statusCode).toBe(400);
+    expect(dead.body.jobs).toEqual([expect.objectContaining({ to: ALICE, status: 'dead' })]);
+
+    const { jobId } = dead.body.jobs[0];
+    const replayed = await outbox(ADMIN, { httpMethod: 'POST', pathParameters: { jobId } });
+    const again = await outbox(ADMIN, { httpMethod: 'POST', pathParameters: { jobId } });
+
+    expect(replayed.statusCode).toBe(200);
+    expect(replayed.body.job).toMatchObject({ status: 'pending', attempts: 0, replayedBy: ADMIN });
+    expect(again.statusCode).toBe(404);
+
+    emailFailure = null;
+    await deliverDueNotifications({ now: later(elapsed) });
+
+    expect(sentEmails).toHaveLength(1);
+    expect((await outbox(ADMIN)).body.jobs).toHaveLength(0);
+  });
+});
@@ -0,0 +1,130 @@
+// Unit Tests for notification preferences and the notification dispatcher
+// Runs the handlers against an in-memory DynamoDB stand-in and records outgoing email
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, apiEvent, callApi, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const userPreferences = require('../../user-preferences');
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const taskComments = require('../../task-comments');
+const { deliverDueNotifications } = require('../../outbox');
+const { notify, DIGEST_EVENT } = require('../../notifications');
+
+const USERS_TABLE = process.env.USERS_TABLE;
+
+async function preferences(email, httpMethod, body) {
+  return callApi(userPreferences.handler, email, { httpMethod, body });
+}
+
+async function create(title) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE, BOB] }
+  }));
+  await deliverDueNotifications();
+  return JSON.parse(result.body).task;
+}
+
+const recipients = (subject) => sentEmails
+  .filter(email => email.subject === subject)
+  .map(email => email.to)
+  .sort();
+
+describe('notification preferences', () => {
+  beforeEach(() => {
+    resetTables(db);
+    sentEmails.length = 0;
+  });
+
+  test('every event defaults to instant email', async () => {
+    const result = await preferences(ALICE, 'GET');
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.deliveryModes).toEqual(['instant', 'digest', 'off']);
+    expect(result.body.eventTypes.map(type => type.id)).toContain('status-changed');
+    expect(Object.values(result.body.preferences.events).every(mode => mode === 'instant')).toBe(true);
+    expect(result.body.preferences.mutedTasks).toEqual([]);
+  });
+
+  test('updates are validated and merged into the stored preferences', async () => {
+    const unknown = await preferences(ALICE, 'PUT', { events: { 'task-archived': 'off' } });
+    const badMode = await preferences(ALICE, 'PUT', { events: { 'status-changed': 'hourly' } });
+    const empty = await preferences(ALICE, 'PUT', {});
+
+    expect(unknown.body.unknownEvents).toEqual(['task-archived']);
+    expect(badMode.statusCode).toBe(400);
+    expect(empty.statusCode).toBe(400);
+
+    await preferences(ALICE, 'PUT', { events: { 'status-changed': 'off' } });
+    await preferences(ALICE, 'PUT', { events: { 'task-updated': 'digest' } });
+    const stored = await preferences(ALICE, 'GET');
+
+    expect(stored.body.preferences.events).toMatchObject({
+      'status-changed': 'off',
+      'task-updated': 'digest',
+      'task-assigned': 'instant'
+    });
+  });
+
+  test('status change emails follow each recipient\'s choice', async () => {
+    await preferences(ALICE, 'PUT', { events: { 'status-changed': 'off' } });
+    await preferences(BOB, 'PUT', { events: { 'status-changed': 'digest' } });
+    const task = await create('Report');
+    sentEmails.length = 0;
+
+    await updateTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId }, body: { status: 'in-progress' } }));
+    await deliverDueNotifications();
+    expect(sentEmails).toHaveLength(0);
+
+    await preferences(BOB, 'PUT', { events: { 'status-changed': 'instant' } });
+    await updateTask.handler(apiEvent(ADMIN, {
+      pathParameters: { taskId: task.taskId },
+      body: { status: 'blocked', reason: 'Waiting on data' }
+    }));
+    await deliverDueNotifications();
+    expect(sentEmails.map(email => email.to)).toEqual([BOB]);
+  });
+
+  test('muted tasks send nothing while other tasks still notify', async () => {
+    const muted = await create('Muted');
+    const other = await create('Other');
+    await preferences(ALICE, 'PUT', { mutedTasks: [muted.taskId] });
+    sentEmails.length = 0;
+
+    for (const task of [muted, other]) {
+      await taskComments.handler(apiEvent(BOB, {
+        httpMethod: 'POST',
+        pathParameters: { taskId: task.taskId },
+        body: { text: `@${ALICE} please check` }
+      }));
+    }
+    await deliverDueNotifications();
+
+    expect(recipients('You were mentioned in a comment')).toEqual([ALICE]);
+    expect(sentEmails[0].text).toContain('"Other"');
+  });
+
+  test('deactivated users are not emailed, digests included', async () => {
+    const task = await create('Report');
+    await db.update({
+      TableName: USERS_TABLE,
+      Key: { userId: 'u-bob' },
+      UpdateExpression: 'SET #status = :inactive',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':inactive': 'inactive' }
+    }).promise();
+    sentEmails.length = 0;
+
+    await updateTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId }, body: { status: 'in-progress' } }));
+    await deliverDueNotifications();
+    expect(sentEmails.map(email => email.to)).toEqual([ALICE]);
+
+    sentEmails.length = 0;
+    expect(await notify({ to: BOB, event: DIGEST_EVENT, template: 'task-assigned', variables: {} })).toBe('off');
+    expect(sentEmails).toHaveLength(0);
+  });
+});
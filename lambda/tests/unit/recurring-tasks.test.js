@@ -0,0 +1,240 @@
+// Unit Tests for recurring task series
+// Runs the series API and the scheduled generator against an in-memory DynamoDB stand-in
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, callApi, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const taskSeries = require('../../task-series');
+const generateRecurringTasks = require('../../generate-recurring-tasks');
+const { validateRule, occurrencesBetween } = require('../../recurrence');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const SERIES_TABLE = process.env.SERIES_TABLE;
+
+function setDay(day) {
+  jest.setSystemTime(new Date(`${day}T05:00:00.000Z`));
+}
+
+async function call(email, httpMethod, pathParameters, body) {
+  return callApi(taskSeries.handler, email, { httpMethod, pathParameters, body });
+}
+
+async function createSeries(body = {}) {
+  const result = await call(ADMIN, 'POST', null, {
+    title: 'Weekly report',
+    description: 'Send the status report',
+    assignedTo: [ALICE],
+    rule: { frequency: 'weekly', byWeekday: ['MO', 'TH'] },
+    startDate: '2026-03-02',
+    ...body
+  });
+  return result.body.series;
+}
+
+const instanceDates = () => db.items(TASKS_TABLE)
+  .map(task => task.dueDate)
+  .sort();
+
+describe('recurrence rules', () => {
+  test('weekly rules fall on the listed weekdays', () => {
+    const { rule } = validateRule({ frequency: 'weekly', byWeekday: ['TH', 'MO'] });
+
+    expect(rule.byWeekday).toEqual(['MO', 'TH']);
+    expect(occurrencesBetween(rule, '2026-03-01', '2026-03-12')).toEqual(['2026-03-02', '2026-03-05', '2026-03-09', '2026-03-12']);
+  });
+
+  test('monthly rules on a missing day fall on the last day of the month', () => {
+    const { rule } = validateRule({ frequency: 'monthly', byMonthDay: 31 });
+
+    expect(occurrencesBetween(rule, '2026-01-01', '2026-04-30')).toEqual(['2026-01-31', '2026-02-28', '2026-03-31', '2026-04-30']);
+    expect(validateRule({ frequency: 'monthly', byMonthDay: 0 }).valid).toBe(false);
+    expect(validateRule({ frequency: 'weekly', byWeekday: ['XX'] }).valid).toBe(false);
+  });
+});
+
+describe('recurring task series', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    setDay('2026-03-01');
+    resetTables(db);
+    sentEmails.length = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('only admins manage series and invalid series are refused', async () => {
+    expect((await call(ALICE, 'GET', null)).statusCode).toBe(403);
+
+    const badRule = await call(ADMIN, 'POST', null, {
+      title: 'Report', description: 'Draft', assignedTo: [ALICE], rule: { frequency: 'yearly' }
+    });
+    const badDates = await call(ADMIN, 'POST', null, {
+      title: 'Report', description: 'Draft', assignedTo: [ALICE], rule: { frequency: 'daily' },
+      startDate: '2026-03-10', endDate: '2026-03-01'
+    });
+    const adminAssignee = await call(ADMIN, 'POST', null, {
+      title: 'Report', description: 'Draft', assignedTo: [ADMIN], rule: { frequency: 'daily' }
+    });
+
+    expect(badRule.statusCode).toBe(400);
+    expect(badDates.body.error).toBe('endDate cannot be before startDate');
+    expect(adminAssignee.body.adminUsers).toEqual([ADMIN]);
+  });
+
+  test('each run creates the due instances once, linked to the series, and notifies assignees', async () => {
+    const series = await createSeries({ leadDays: 1 });
+
+    setDay('2026-03-04');
+    const first = await generateRecurringTasks.handler();
+    const second = await generateRecurringTasks.handler();
+
+    expect(first).toEqual({ series: 1, created: 2, failed: 0 });
+    expect(second.created).toBe(0);
+    expect(instanceDates()).toEqual(['2026-03-02', '2026-03-05']);
+
+    const task = db.items(TASKS_TABLE).find(item => item.dueDate === '2026-03-05');
+    expect(task).toMatchObject({ seriesId: series.seriesId, occurrenceDate: '2026-03-05', assignedMembers: [ALICE] });
+    await deliverDueNotifications();
+    expect(sentEmails.filter(email => email.to === ALICE)).toHaveLength(2);
+
+    const detail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+    expect(detail.body.instances.map(instance => instance.occurrenceDate)).toEqual(['2026-03-05', '2026-03-02']);
+  });
+
+  test('templates follow the task rules and instances are read from the series index', async () => {
+    const series = await createSeries();
+    const badPriority = await call(ADMIN, 'PUT', { seriesId: series.seriesId }, { priority: 'someday' });
+
+    setDay('2026-03-02');
+    await generateRecurringTasks.handler();
+    const scanSpy = jest.spyOn(db, 'scan');
+    const detail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+
+    expect(badPriority.statusCode).toBe(400);
+    expect(badPriority.body.error).toMatch(/^Invalid priority/);
+    expect(detail.body.instances.map(instance => instance.occurrenceDate)).toEqual(['2026-03-02']);
+    expect(scanSpy).not.toHaveBeenCalled();
+    scanSpy.mockRestore();
+  });
+
+  test('paused series skip their occurrences and do not catch up when resumed', async () => {
+    const series = await createSeries();
+
+    setDay('2026-03-02');
+    await generateRecurringTasks.handler();
+    await call(ADMIN, 'PUT', { seriesId: series.seriesId }, { status: 'paused' });
+
+    setDay('2026-03-09');
+    await generateRecurringTasks.handler();
+    expect(instanceDates()).toEqual(['2026-03-02']);
+
+    setDay('2026-03-10');
+    await call(ADMIN, 'PUT', { seriesId: series.seriesId }, { status: 'active' });
+    setDay('2026-03-12');
+    await generateRecurringTasks.handler();
+
+    expect(instanceDates()).toEqual(['2026-03-02', '2026-03-12']);
+  });
+
+  test('edits shape future instances only and ended series stop generating', async () => {
+    const series = await createSeries();
+
+    setDay('2026-03-02');
+    await generateRecurringTasks.handler();
+    await call(ADMIN, 'PUT', { seriesId: series.seriesId }, { title: 'Team report', assignedTo: [BOB] });
+
+    setDay('2026-03-05');
+    await generateRecurringTasks.handler();
+
+    const titles = db.items(TASKS_TABLE)
+      .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+      .map(task => [task.title, task.assignedMembers[0]]);
+    expect(titles).toEqual([['Weekly report', ALICE], ['Team report', BOB]]);
+
+    const ended = await call(ADMIN, 'DELETE', { seriesId: series.seriesId });
+    const restart = await call(ADMIN, 'PUT', { seriesId: series.seriesId }, { status: 'active' });
+    setDay('2026-03-12');
+    await generateRecurringTasks.handler();
+
+    expect(ended.body.series.status).toBe('ended');
+    expect(restart.statusCode).toBe(400);
+    expect(db.items(TASKS_TABLE)).toHaveLength(2);
+  });
+
+  test('a series past its end date is ended by the generator', async () => {
+    const series = await createSeries({ rule: { frequency: 'daily' }, endDate: '2026-03-03' });
+
+    setDay('2026-03-06');
+    await generateRecurringTasks.handler();
+
+    const detail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+    expect(instanceDates()).toEqual(['2026-03-02', '2026-03-03']);
+    expect(detail.body.series.status).toBe('ended');
+  });
+
+  test('an occurrence that cannot be created is retried by the next run', async () => {
+    const series = await createSeries();
+    await db.update({
+      TableName: USERS_TABLE,
+      Key: { userId: 'u-alice' },
+      UpdateExpression: 'SET #status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': 'inactive' }
+    }).promise();
+
+    setDay('2026-03-02');
+    const failedRun = await generateRecurringTasks.handler();
+    const failedDetail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+
+    expect(failedRun).toEqual({ series: 1, created: 0, failed: 1 });
+    expect(failedDetail.body.series.lastOccurrence).toBeNull();
+    expect(failedDetail.body.series.lastError).toMatchObject({ occurrence: '2026-03-02', error: 'Cannot assign to deactivated users' });
+
+    await db.update({
+      TableName: USERS_TABLE,
+      Key: { userId: 'u-alice' },
+      UpdateExpression: 'SET #status = :status',
+      ExpressionAttributeNames: { '#status': 'status' },
+      ExpressionAttributeValues: { ':status': 'active' }
+    }).promise();
+    setDay('2026-03-05');
+    await generateRecurringTasks.handler();
+    const detail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+
+    expect(instanceDates()).toEqual(['2026-03-02', '2026-03-05']);
+    expect(detail.body.series.lastOccurrence).toBe('2026-03-05');
+    expect(detail.body.series.lastError).toBeNull();
+  });
+
+  test('a run that stopped after creating an instance is taken over without a duplicate', async () => {
+    const series = await createSeries();
+    setDay('2026-03-02');
+    await generateRecurringTasks.handler();
+
+    // As left by a run that created the instance but stopped before recording it
+    await db.update({
+      TableName: SERIES_TABLE,
+      Key: { seriesId: series.seriesId },
+      UpdateExpression: 'SET lastOccurrence = :null, claimedOccurrence = :occurrence, claimedAt = :claimedAt',
+      ExpressionAttributeValues: { ':null': null, ':occurrence': '2026-03-02', ':claimedAt': '2026-03-02T05:00:00.000Z' }
+    }).promise();
+
+    setDay('2026-03-02');
+    expect((await generateRecurringTasks.handler()).created).toBe(0);
+
+    jest.setSystemTime(new Date('2026-03-02T06:00:00.000Z'));
+    expect((await generateRecurringTasks.handler()).created).toBe(0);
+    const detail = await call(ADMIN, 'GET', { seriesId: series.seriesId });
+
+    expect(instanceDates()).toEqual(['2026-03-02']);
+    expect(detail.body.series.lastOccurrence).toBe('2026-03-02');
+  });
+});
@@ -0,0 +1,107 @@
+// Unit Tests for due-date reminders and overdue escalation
+// Runs the reminder job against an in-memory DynamoDB stand-in with an injected clock
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, BOB, setupTaskTables, clearTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const { sendDueReminders, dueTime } = require('../../reminders');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+
+function seedTask(taskId, fields) {
+  db.seed(TASKS_TABLE, [{
+    taskId,
+    title: `Task ${taskId}`,
+    description: 'Draft',
+    status: 'in-progress',
+    priority: 'medium',
+    assignedMembers: [ALICE, BOB],
+    createdBy: ADMIN,
+    ...fields
+  }]);
+}
+
+const at = (iso) => new Date(iso);
+
+// Run the reminder job, then the outbox worker that sends what it queued
+async function remind(options) {
+  const summary = await sendDueReminders(options);
+  await deliverDueNotifications({ now: options.now });
+  return summary;
+}
+
+const subjects = () => sentEmails.map(email => `${email.subject} -> ${email.to}`).sort();
+const stored = (taskId) => db.items(TASKS_TABLE).find(item => item.taskId === taskId);
+
+describe('due-date reminders', () => {
+  beforeEach(() => {
+    clearTables(db);
+    sentEmails.length = 0;
+  });
+
+  test('a bare due date means the end of that day', () => {
+    expect(dueTime('2026-03-05')).toBe(at('2026-03-05T23:59:59.999Z').getTime());
+    expect(dueTime('2026-03-05T12:00:00Z')).toBe(at('2026-03-05T12:00:00Z').getTime());
+    expect(dueTime(null)).toBeNull();
+  });
+
+  test('assignees are reminded once when the due date enters the window', async () => {
+    seedTask('soon', { dueDate: '2026-03-05' });
+    seedTask('later', { dueDate: '2026-03-09' });
+    seedTask('undated', { dueDate: null });
+
+    const first = await remind({ now: at('2026-03-05T08:00:00Z'), windowHours: 24 });
+    const second = await remind({ now: at('2026-03-05T09:00:00Z'), windowHours: 24 });
+
+    expect(first).toEqual({ checked: 2, dueSoon: 1, overdue: 0 });
+    expect(second.dueSoon).toBe(0);
+    expect(subjects()).toEqual([`Task Due Soon -> ${ALICE}`, `Task Due Soon -> ${BOB}`]);
+    expect(stored('soon').dueSoonReminderFor).toBe('2026-03-05');
+  });
+
+  test('overdue tasks are escalated to the creator once', async () => {
+    seedTask('late', { dueDate: '2026-03-05' });
+
+    await remind({ now: at('2026-03-05T08:00:00Z') });
+    sentEmails.length = 0;
+    await remind({ now: at('2026-03-06T08:00:00Z') });
+    await remind({ now: at('2026-03-07T08:00:00Z') });
+
+    expect(subjects()).toEqual([`Task Overdue -> ${ADMIN}`]);
+    expect(sentEmails[0].text).toContain(`Assigned to: ${ALICE}, ${BOB}`);
+  });
+
+  test('finished tasks are skipped and a moved due date re-arms its reminders', async () => {
+    seedTask('done', { dueDate: '2026-03-01', status: 'completed' });
+    seedTask('moved', { dueDate: '2026-03-01' });
+
+    await remind({ now: at('2026-03-02T08:00:00Z') });
+    expect(subjects()).toEqual([`Task Overdue -> ${ADMIN}`]);
+
+    sentEmails.length = 0;
+    await db.update({
+      TableName: TASKS_TABLE,
+      Key: { taskId: 'moved' },
+      UpdateExpression: 'SET dueDate = :dueDate',
+      ExpressionAttributeValues: { ':dueDate': '2026-03-03' }
+    }).promise();
+    await remind({ now: at('2026-03-03T08:00:00Z') });
+
+    expect(subjects()).toEqual([`Task Due Soon -> ${ALICE}`, `Task Due Soon -> ${BOB}`]);
+  });
+
+  test('the window decides how early reminders go out', async () => {
+    seedTask('soon', { dueDate: '2026-03-08' });
+
+    await remind({ now: at('2026-03-05T08:00:00Z'), windowHours: 24 });
+    expect(sentEmails).toHaveLength(0);
+
+    await remind({ now: at('2026-03-05T08:00:00Z'), windowHours: 96 });
+    expect(sentEmails).toHaveLength(2);
+  });
+});
@@ -0,0 +1,133 @@
+// Unit Tests for task reports
+// Seeds task status histories with fixed timestamps and runs the report handler against in-memory DynamoDB
+
+const { ADMIN, ALICE, BOB, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const getReportSummary = require('../../get-report-summary');
+const { parseReportQuery } = require('../../reports');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+
+let sequence = 0;
+
+function event(taskId, type, timestamp, changes) {
+  sequence++;
+  return { taskId, activityId: `${timestamp}#0#${sequence}`, type, actor: ADMIN, timestamp, changes };
+}
+
+// A task and its status history: [[timestamp, status], ...], the first entry being its creation
+function seedTask(taskId, { priority = 'medium', assignees = [ALICE], history, deletedAt }) {
+  const [[createdAt, initial], ...moves] = history;
+  const events = [
+    event(taskId, 'created', createdAt, [
+      { field: 'status', from: null, to: initial },
+      { field: 'priority', from: null, to: priority },
+      { field: 'assignedMembers', from: null, to: assignees }
+    ]),
+    ...moves.map(([timestamp, status], index) => event(taskId, 'status_changed', timestamp, [
+      { field: 'status', from: index ? moves[index - 1][1] : initial, to: status }
+    ]))
+  ];
+
+  if (deletedAt) {
+    events.push(event(taskId, 'deleted', deletedAt, [
+      { field: 'status', from: history[history.length - 1][1], to: null },
+      { field: 'priority', from: priority, to: null },
+      { field: 'assignedMembers', from: assignees, to: null }
+    ]));
+  } else {
+    db.seed(TASKS_TABLE, [{
+      taskId,
+      title: taskId,
+      status: history[history.length - 1][1],
+      priority,
+      assignedMembers: assignees,
+      createdAt
+    }]);
+  }
+  db.seed(ACTIVITY_TABLE, events);
+}
+
+async function summary(queryStringParameters, email = ADMIN) {
+  return callApi(getReportSummary.handler, email, { httpMethod: 'GET', queryStringParameters });
+}
+
+describe('report summary', () => {
+  beforeEach(() => resetTables(db));
+
+  test('cycle and lead times come from status history', async () => {
+    // Waits two days, in progress for one day
+    seedTask('t1', { history: [['2026-03-02T09:00:00.000Z', 'pending'], ['2026-03-04T09:00:00.000Z', 'in-progress'], ['2026-03-05T09:00:00.000Z', 'completed']] });
+    // Sent back and finished again: the cycle runs from the first start
+    seedTask('t2', { priority: 'high', assignees: [ALICE, BOB], history: [
+      ['2026-03-02T09:00:00.000Z', 'in-progress'],
+      ['2026-03-05T09:00:00.000Z', 'completed'],
+      ['2026-03-06T09:00:00.000Z', 'in-progress'],
+      ['2026-03-11T09:00:00.000Z', 'completed']
+    ] });
+    // Completed without being started: counts towards lead time only
+    seedTask('t3', { priority: 'low', history: [['2026-03-03T09:00:00.000Z', 'pending'], ['2026-03-10T09:00:00.000Z', 'completed']] });
+    // Completed before the range
+    seedTask('t4', { history: [['2026-02-01T09:00:00.000Z', 'in-progress'], ['2026-02-20T09:00:00.000Z', 'completed']] });
+
+    const { statusCode, body } = await summary({ from: '2026-03-01', to: '2026-03-14' });
+
+    expect(statusCode).toBe(200);
+    expect(body.range).toEqual({ from: '2026-03-01', to: '2026-03-14' });
+    expect(body.cycleTime).toEqual({ count: 3, averageDays: 4.3, medianDays: 3, p85Days: 9 });
+    expect(body.leadTime).toEqual({ count: 4, averageDays: 5.5, medianDays: 5, p85Days: 9 });
+    expect(body.throughput).toEqual([
+      { weekStart: '2026-02-23', completed: 0 },
+      { weekStart: '2026-03-02', completed: 2 },
+      { weekStart: '2026-03-09', completed: 2 }
+    ]);
+  });
+
+  test('burndown and groupings follow tasks through reopening and deletion', async () => {
+    seedTask('done', { priority: 'high', history: [['2026-03-02T09:00:00.000Z', 'pending'], ['2026-03-03T09:00:00.000Z', 'completed']] });
+    seedTask('open', { priority: 'urgent', assignees: [BOB], history: [['2026-03-01T09:00:00.000Z', 'pending']] });
+    seedTask('dropped', { history: [['2026-03-02T09:00:00.000Z', 'pending'], ['2026-03-03T12:00:00.000Z', 'cancelled']] });
+    seedTask('removed', { priority: 'low', assignees: [BOB], history: [['2026-03-01T09:00:00.000Z', 'pending'], ['2026-03-02T10:00:00.000Z', 'completed']], deletedAt: '2026-03-03T10:00:00.000Z' });
+    // Created before activity was recorded
+    db.seed(TASKS_TABLE, [{ taskId: 'legacy', status: 'in-progress', priority: 'medium', assignedMembers: [ALICE], createdAt: '2026-02-01T00:00:00.000Z' }]);
+
+    const { body } = await summary({ from: '2026-03-01', to: '2026-03-04' });
+
+    expect(body.burndown).toEqual([
+      { date: '2026-03-01', open: 3, closed: 0 },
+      { date: '2026-03-02', open: 4, closed: 1 },
+      { date: '2026-03-03', open: 2, closed: 2 },
+      { date: '2026-03-04', open: 2, closed: 2 }
+    ]);
+    expect(body.byPriority).toEqual([
+      { priority: 'urgent', open: 1, completed: 0 },
+      { priority: 'high', open: 0, completed: 1 },
+      { priority: 'medium', open: 1, completed: 0 },
+      { priority: 'low', open: 0, completed: 1 }
+    ]);
+    expect(body.byAssignee).toEqual([
+      { assignee: ALICE, open: 1, completed: 1 },
+      { assignee: BOB, open: 1, completed: 1 }
+    ]);
+  });
+
+  test('ranges default to twelve weeks and are validated', async () => {
+    expect(parseReportQuery(null, new Date('2026-03-31T15:00:00.000Z'))).toEqual({
+      valid: true,
+      range: { from: '2026-01-07', to: '2026-03-31' }
+    });
+
+    const results = await Promise.all([
+      summary({ from: '2026-3-1' }),
+      summary({ from: '2026-03-10', to: '2026-03-01' }),
+      summary({ from: '2025-01-01', to: '2026-03-01' }),
+      summary({}, ALICE)
+    ]);
+
+    expect(results.map(result => result.statusCode)).toEqual([400, 400, 400, 403]);
+    expect(results[0].body.error).toBe('Invalid from date. Use YYYY-MM-DD');
+  });
+});
@@ -0,0 +1,125 @@
+// Unit Tests for task export
+// Runs the export handler against in-memory DynamoDB and S3 stand-ins
+
+const AWS = require('aws-sdk');
+const { ADMIN, ALICE, BOB, apiEvent, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+// Keeps every uploaded object, reading the body stream as S3 would
+const objects = new Map();
+AWS.S3.mockImplementation(() => ({
+  upload: (params) => ({
+    promise: async () => {
+      const chunks = [];
+      for await (const chunk of params.Body) {
+        chunks.push(chunk);
+      }
+      objects.set(params.Key, { ...params, chunks, body: chunks.join('') });
+      return { Key: params.Key };
+    }
+  }),
+  getSignedUrlPromise: async (operation, params) => `https://exports.example.com/${params.Key}?expires=${params.Expires}`
+}));
+
+const createTask = require('../../create-task');
+const exportTasks = require('../../export-tasks');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+async function create(title, fields) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE], ...fields }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+async function download(email, queryStringParameters) {
+  const result = await exportTasks.handler(apiEvent(email, { httpMethod: 'GET', queryStringParameters }));
+  const body = JSON.parse(result.body);
+  const key = result.statusCode === 303 ? new URL(result.headers.Location).pathname.slice(1) : null;
+  return { statusCode: result.statusCode, body, file: key && objects.get(key) };
+}
+
+describe('task export', () => {
+  beforeEach(() => {
+    resetTables(db);
+    objects.clear();
+  });
+
+  test('a CSV export holds the filtered, sorted tasks with assignees and comment counts', async () => {
+    const report = await create('Quarterly report', { assignedTo: [ALICE, BOB], priority: 'high', dueDate: '2026-03-15' });
+    await create('=HYPERLINK("http://evil.example")', { description: 'Say "hi", then leave', priority: 'high' });
+    await create('Low priority', { priority: 'low' });
+    db.seed(COMMENTS_TABLE, [
+      { taskId: report.taskId, commentId: 'c1', text: 'First' },
+      { taskId: report.taskId, commentId: 'c2', text: 'Second' },
+      { taskId: report.taskId, commentId: 'c3', text: '', deleted: true }
+    ]);
+
+    const result = await download(ADMIN, { format: 'csv', priority: 'high', sortBy: 'title', sortOrder: 'asc', limit: '1' });
+
+    expect(result.statusCode).toBe(303);
+    expect(result.body).toMatchObject({ count: 2, format: 'csv', filename: expect.stringMatching(/^tasks-\d{4}-\d{2}-\d{2}\.csv$/) });
+    expect(result.file.ContentType).toBe('text/csv; charset=utf-8');
+    expect(result.file.ContentDisposition).toBe(`attachment; filename="${result.body.filename}"`);
+
+    const lines = result.file.body.split('\r\n');
+    expect(lines[0]).toBe('\uFEFFtaskId,title,description,status,priority,dueDate,assignedTo,tags,commentCount,createdBy,createdAt,updatedAt');
+    expect(lines).toHaveLength(4);
+    expect(lines[1]).toMatch(/^[\w-]+,"'=HYPERLINK\(""http:\/\/evil\.example""\)","Say ""hi"", then leave",pending,high,,/);
+    expect(lines[2]).toContain(`,Quarterly report,Draft,pending,high,2026-03-15,${ALICE}; ${BOB},,2,${ADMIN},`);
+  });
+
+  test('members export only their own tasks, as JSON', async () => {
+    await create('Alice only');
+    const shared = await create('Shared', { assignedTo: [ALICE, BOB] });
+
+    const result = await download(BOB, { format: 'json' });
+    const file = JSON.parse(result.file.body);
+
+    expect(file.count).toBe(1);
+    expect(file.tasks).toEqual([{
+      taskId: shared.taskId,
+      title: 'Shared',
+      description: 'Draft',
+      status: 'pending',
+      priority: 'medium',
+      dueDate: null,
+      assignedTo: [ALICE, BOB],
+      tags: [],
+      commentCount: 0,
+      createdBy: ADMIN,
+      createdAt: shared.createdAt,
+      updatedAt: shared.updatedAt
+    }]);
+  });
+
+  test('large exports are streamed in batches', async () => {
+    db.seed(TASKS_TABLE, Array.from({ length: 60 }, (_, index) => ({
+      taskId: `task-${String(index).padStart(2, '0')}`,
+      title: `Task ${index}`,
+      status: 'pending',
+      assignedMembers: [ALICE],
+      createdAt: `2026-01-01T00:00:${String(index).padStart(2, '0')}.000Z`
+    })));
+
+    const result = await download(ADMIN, { format: 'json' });
+    const file = JSON.parse(result.file.body);
+
+    expect(result.file.chunks.length).toBeGreaterThan(3);
+    expect(file.tasks).toHaveLength(60);
+    expect(file.tasks[0].taskId).toBe('task-59');
+  });
+
+  test('bad formats and filters are rejected', async () => {
+    const badFormat = await download(ADMIN, { format: 'xlsx' });
+    const badStatus = await download(ADMIN, { status: 'done' });
+
+    expect(badFormat.statusCode).toBe(400);
+    expect(badFormat.body.error).toBe('Invalid format. Must be one of: csv, json');
+    expect(badStatus.statusCode).toBe(400);
+    expect(objects.size).toBe(0);
+  });
+});
@@ -0,0 +1,148 @@
+// Unit Tests for bulk task import
+// Runs the import handler and the delivery worker against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, CAROL, callApi, member, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const importTasks = require('../../import-tasks');
+const { parseCsv } = require('../../task-import');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const TASK_MEMBERS_TABLE = process.env.TASK_MEMBERS_TABLE;
+const OUTBOX_TABLE = process.env.OUTBOX_TABLE;
+
+async function upload(email, body) {
+  return callApi(importTasks.handler, email, { httpMethod: 'POST', body });
+}
+
+const CSV = [
+  'Title,Description,assignedTo,priority,dueDate,tags',
+  `"Budget, Q3",Collect the figures,"${ALICE}; ${BOB}",high,2026-03-15,finance;q3`,
+  `Review,"Check the ""final"" totals",${ALICE},,,`,
+  `No description,,${ALICE},low,,`,
+  `Deactivated,Someone left,${CAROL},,,`,
+  `Admin,Admins cannot be assigned,${ADMIN},,,`,
+  `Bad priority,Typo,${BOB},critical,,`,
+  `Bad date,Typo,${BOB},,next week,`
+].join('\r\n');
+
+describe('task import', () => {
+  beforeEach(() => {
+    resetTables(db, [member(CAROL, 'inactive')]);
+  });
+
+  test('a dry run reports every row and writes nothing', async () => {
+    const result = await upload(ADMIN, { format: 'csv', content: CSV });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body).toMatchObject({ mode: 'dry-run', total: 7, validCount: 2, invalidCount: 5 });
+    expect(result.body.rows[0]).toEqual({
+      row: 1,
+      valid: true,
+      task: { title: 'Budget, Q3', assignedTo: [ALICE, BOB], status: 'pending', priority: 'high', dueDate: '2026-03-15' }
+    });
+    expect(result.body.rows.slice(2).map(row => row.error)).toEqual([
+      { error: 'Missing required fields: title and description' },
+      { error: 'Cannot assign to deactivated users', inactiveUsers: [CAROL] },
+      expect.objectContaining({ adminUsers: [ADMIN] }),
+      { error: 'Invalid priority. Must be one of: low, medium, high, urgent' },
+      { error: 'Invalid due date format' }
+    ]);
+    expect(db.items(TASKS_TABLE)).toHaveLength(0);
+    expect(db.items(OUTBOX_TABLE)).toHaveLength(0);
+  });
+
+  test('a commit creates the valid rows and emails each assignee once', async () => {
+    const result = await upload(ADMIN, { format: 'csv', content: CSV, mode: 'commit' });
+
+    expect(result.statusCode).toBe(201);
+    expect(result.body).toMatchObject({ mode: 'commit', created: 2, invalidCount: 5 });
+    expect(result.body.rows[0].task.taskId).toEqual(expect.any(String));
+    expect(result.body.rows[2].task.taskId).toBeUndefined();
+
+    const tasks = db.items(TASKS_TABLE);
+    expect(tasks.map(task => task.title).sort()).toEqual(['Budget, Q3', 'Review']);
+    expect(tasks.find(task => task.title === 'Review')).toMatchObject({
+      description: 'Check the "final" totals',
+      priority: 'medium',
+      importedBy: ADMIN,
+      version: 1
+    });
+    expect(tasks.find(task => task.title === 'Budget, Q3').tags).toEqual(['finance', 'q3']);
+    expect(db.items(TASK_MEMBERS_TABLE)).toHaveLength(3);
+
+    const jobs = db.items(OUTBOX_TABLE);
+    expect(jobs.map(job => [job.to, job.template, job.variables.count]).sort()).toEqual([
+      [ALICE, 'tasks-imported', 2],
+      [BOB, 'tasks-imported', 1]
+    ]);
+
+    const delivery = await deliverDueNotifications();
+    expect(delivery).toMatchObject({ sent: 2, dead: 0 });
+  });
+
+  test('an import that stops part way reports the created rows and notifies their assignees', async () => {
+    const tasks = Array.from({ length: 30 }, (_, index) => ({ title: `Task ${index + 1}`, description: 'Bulk', assignedTo: [ALICE] }));
+    const realTransactWrite = db.transactWrite;
+    let calls = 0;
+    jest.spyOn(db, 'transactWrite').mockImplementation(params => (
+      ++calls === 2
+        ? { promise: () => Promise.reject(Object.assign(new Error('Transaction cancelled'), { code: 'TransactionCanceledException' })) }
+        : realTransactWrite(params)
+    ));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await upload(ADMIN, { format: 'json', content: JSON.stringify(tasks), mode: 'commit' });
+    jest.restoreAllMocks();
+
+    expect(result.statusCode).toBe(500);
+    expect(result.body).toMatchObject({ error: 'Import stopped after 25 of 30 valid tasks', created: 25 });
+    expect(result.body.rows[24].task.taskId).toEqual(expect.any(String));
+    expect(result.body.rows[25]).toMatchObject({ valid: true, error: { error: 'Not imported: the import stopped before this row' } });
+    expect(result.body.rows[25].task.taskId).toBeUndefined();
+    expect(db.items(TASKS_TABLE)).toHaveLength(25);
+
+    const notifications = db.items(OUTBOX_TABLE).filter(job => job.template === 'tasks-imported');
+    expect(notifications.map(job => [job.to, job.variables.count])).toEqual([[ALICE, 25]]);
+  });
+
+  test('JSON files take the same fields as POST /tasks', async () => {
+    const content = JSON.stringify([
+      { title: 'Plan', description: 'Draft the plan', assignedTo: [BOB], checklist: [{ text: 'Outline' }] },
+      { title: 'Started', description: 'Too late', assignedTo: [BOB], status: 'completed' },
+      'not a task'
+    ]);
+
+    const result = await upload(ADMIN, { format: 'json', content, mode: 'commit' });
+
+    expect(result.body).toMatchObject({ created: 1, invalidCount: 2 });
+    expect(result.body.rows[1].error.allowedStatuses).toEqual(['pending', 'in-progress']);
+    expect(db.items(TASKS_TABLE)[0].checklist).toEqual([expect.objectContaining({ text: 'Outline', done: false })]);
+  });
+
+  test('bad files and non-admins are rejected before any row is checked', async () => {
+    const asMember = await upload(ALICE, { format: 'csv', content: CSV });
+    const unknownColumn = await upload(ADMIN, { format: 'csv', content: 'title,description,owner\nA,B,C' });
+    const notArray = await upload(ADMIN, { format: 'json', content: '{"title":"A"}' });
+    const badMode = await upload(ADMIN, { format: 'csv', content: CSV, mode: 'apply' });
+    const nothingValid = await upload(ADMIN, { format: 'csv', content: `title,description,assignedTo\nA,B,${CAROL}`, mode: 'commit' });
+
+    expect(asMember.statusCode).toBe(403);
+    expect(unknownColumn.body.error).toMatch(/^Unknown columns: owner/);
+    expect(notArray.body.error).toBe('The JSON file must hold an array of tasks');
+    expect(badMode.statusCode).toBe(400);
+    expect(nothingValid.statusCode).toBe(400);
+    expect(nothingValid.body.rows[0].error.inactiveUsers).toEqual([CAROL]);
+    expect(db.items(TASKS_TABLE)).toHaveLength(0);
+  });
+
+  test('CSV parsing handles quotes, line breaks in fields and blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\r\n"x, ""y""","multi\nline"\n\n1,\n')).toEqual({
+      valid: true,
+      rows: [['a', 'b'], ['x, "y"', 'multi\nline'], ['1', '']]
+    });
+    expect(parseCsv('a,"open').valid).toBe(false);
+  });
+});
@@ -0,0 +1,185 @@
+// Unit Tests for the task membership index
+// Runs the task handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, CAROL, apiEvent, member, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const getTasks = require('../../get-tasks');
+const { backfillTaskMembership, listMemberTaskIds } = require('../../task-membership');
+const { MAX_ASSIGNEES } = require('../../task-creation');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const USERS_TABLE = process.env.USERS_TABLE;
+const TASK_MEMBERS_TABLE = process.env.TASK_MEMBERS_TABLE;
+
+async function createAs(email, body) {
+  const result = await createTask.handler(apiEvent(email, { body }));
+  expect(result.statusCode).toBe(201);
+  return JSON.parse(result.body).task;
+}
+
+function membershipRows() {
+  return db.items(TASK_MEMBERS_TABLE)
+    .map(row => `${row.memberEmail}|${row.taskId}`)
+    .sort();
+}
+
+describe('task membership index', () => {
+  beforeEach(() => resetTables(db, [member(CAROL)]));
+
+  test('createTask writes one membership row per assigned member', async () => {
+    const task = await createAs(ADMIN, {
+      title: 'Write report',
+      description: 'Quarterly report',
+      assignedTo: [ALICE, BOB]
+    });
+
+    expect(membershipRows()).toEqual([`${ALICE}|${task.taskId}`, `${BOB}|${task.taskId}`]);
+  });
+
+  test('reassignment adds new members and removes dropped ones', async () => {
+    const task = await createAs(ADMIN, {
+      title: 'Write report',
+      description: 'Quarterly report',
+      assignedTo: [ALICE, BOB]
+    });
+
+    const result = await updateTask.handler(apiEvent(ADMIN, {
+      pathParameters: { taskId: task.taskId },
+      body: { assignedTo: [BOB, CAROL] }
+    }));
+
+    expect(result.statusCode).toBe(200);
+    expect(membershipRows()).toEqual([`${BOB}|${task.taskId}`, `${CAROL}|${task.taskId}`]);
+  });
+
+  test('reassignment writes the task and its membership rows in one transaction', async () => {
+    const task = await createAs(ADMIN, { title: 'Write report', description: 'Quarterly report', assignedTo: [ALICE] });
+    const transactSpy = jest.spyOn(db, 'transactWrite');
+    const batchSpy = jest.spyOn(db, 'batchWrite');
+
+    await updateTask.handler(apiEvent(ADMIN, {
+      pathParameters: { taskId: task.taskId },
+      body: { assignedTo: [BOB] }
+    }));
+
+    const tables = transactSpy.mock.calls[0][0].TransactItems
+      .map(item => Object.values(item)[0].TableName);
+    expect(transactSpy).toHaveBeenCalledTimes(1);
+    expect(tables).toEqual(expect.arrayContaining([TASKS_TABLE, TASK_MEMBERS_TABLE]));
+    expect(batchSpy).not.toHaveBeenCalled();
+    transactSpy.mockRestore();
+    batchSpy.mockRestore();
+  });
+
+  test('a task has at most MAX_ASSIGNEES assignees, and replacing all of them fits in one transaction', async () => {
+    const members = Array.from({ length: 2 * MAX_ASSIGNEES + 1 }, (_, index) => `member${index}@amalitechtraining.org`);
+    db.seed(USERS_TABLE, members.map(email => member(email)));
+    const first = members.slice(0, MAX_ASSIGNEES);
+    const second = members.slice(MAX_ASSIGNEES, 2 * MAX_ASSIGNEES);
+
+    const tooMany = await createTask.handler(apiEvent(ADMIN, {
+      body: { title: 'Crowded', description: 'Too many', assignedTo: [...first, members[2 * MAX_ASSIGNEES]] }
+    }));
+    expect(tooMany.statusCode).toBe(400);
+    expect(JSON.parse(tooMany.body).error).toBe(`A task can have at most ${MAX_ASSIGNEES} assignees`);
+
+    const task = await createAs(ADMIN, { title: 'Full', description: 'At the limit', assignedTo: first });
+    const result = await updateTask.handler(apiEvent(ADMIN, {
+      pathParameters: { taskId: task.taskId },
+      body: { assignedTo: second }
+    }));
+
+    expect(result.statusCode).toBe(200);
+    expect(membershipRows()).toEqual(second.map(email => `${email}|${task.taskId}`).sort());
+  });
+
+  test('deleteTask removes every membership row for the task', async () => {
+    const kept = await createAs(ADMIN, { title: 'Keep', description: 'Stays', assignedTo: [ALICE] });
+    const removed = await createAs(ADMIN, { title: 'Remove', description: 'Goes', assignedTo: [ALICE, BOB] });
+
+    const result = await deleteTask.handler(apiEvent(ADMIN, { pathParameters: { taskId: removed.taskId } }));
+
+    expect(result.statusCode).toBe(200);
+    expect(membershipRows()).toEqual([`${ALICE}|${kept.taskId}`]);
+  });
+
+  test('members list their tasks through the index, including non-primary assignments', async () => {
+    await createAs(ADMIN, { title: 'Alice only', description: 'A', assignedTo: [ALICE] });
+    const shared = await createAs(ADMIN, { title: 'Shared', description: 'B', assignedTo: [ALICE, BOB], priority: 'high' });
+    await createAs(ADMIN, { title: 'Carol only', description: 'C', assignedTo: [CAROL] });
+
+    const scanSpy = jest.spyOn(db, 'scan');
+    const result = await getTasks.handler(apiEvent(BOB));
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(body.tasks.map(task => task.taskId)).toEqual([shared.taskId]);
+    expect(scanSpy).not.toHaveBeenCalled();
+    scanSpy.mockRestore();
+  });
+
+  test('member listing still applies query-string filters', async () => {
+    await createAs(ADMIN, { title: 'Low', description: 'A', assignedTo: [ALICE], priority: 'low' });
+    const high = await createAs(ADMIN, { title: 'High', description: 'B', assignedTo: [ALICE], priority: 'high' });
+
+    const result = await getTasks.handler(apiEvent(ALICE, { queryStringParameters: { priority: 'high' } }));
+
+    expect(JSON.parse(result.body).tasks.map(task => task.taskId)).toEqual([high.taskId]);
+  });
+
+  test('backfill indexes existing tasks and removes stale rows', async () => {
+    db.seed(TASKS_TABLE, [
+      { taskId: 't-1', title: 'Legacy', assignedMembers: [ALICE, BOB], createdAt: '2025-01-01T00:00:00.000Z' },
+      { taskId: 't-2', title: 'Legacy 2', assignedMembers: [CAROL], createdAt: '2025-01-02T00:00:00.000Z' }
+    ]);
+    db.seed(TASK_MEMBERS_TABLE, [
+      { memberEmail: CAROL, taskId: 't-1' },
+      { memberEmail: ALICE, taskId: 't-missing' }
+    ]);
+
+    const result = await backfillTaskMembership();
+
+    expect(result).toEqual({ tasksScanned: 2, membershipsWritten: 3, staleRemoved: 2 });
+    expect(membershipRows()).toEqual([`${ALICE}|t-1`, `${BOB}|t-1`, `${CAROL}|t-2`]);
+    expect(await listMemberTaskIds(ALICE)).toEqual(['t-1']);
+  });
+
+  test('backfill is safe to run twice', async () => {
+    db.seed(TASKS_TABLE, [{ taskId: 't-1', title: 'Legacy', assignedMembers: [ALICE] }]);
+
+    await backfillTaskMembership();
+    const second = await backfillTaskMembership();
+
+    expect(second.staleRemoved).toBe(0);
+    expect(membershipRows()).toEqual([`${ALICE}|t-1`]);
+  });
+
+  test('unprocessed batch writes are retried with growing delays, then the backfill fails', async () => {
+    db.seed(TASKS_TABLE, [{ taskId: 't-1', title: 'Legacy', assignedMembers: [ALICE] }]);
+    const delays = [];
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      delays.push(ms);
+      callback();
+      return 0;
+    });
+    const batchSpy = jest.spyOn(db, 'batchWrite')
+      .mockImplementationOnce(params => ({ promise: async () => ({ UnprocessedItems: params.RequestItems }) }));
+
+    await backfillTaskMembership();
+    expect(membershipRows()).toEqual([`${ALICE}|t-1`]);
+    expect(delays).toEqual([50]);
+
+    delays.length = 0;
+    batchSpy.mockClear();
+    batchSpy.mockImplementation(params => ({ promise: async () => ({ UnprocessedItems: params.RequestItems }) }));
+    await expect(backfillTaskMembership()).rejects.toMatchObject({ code: 'BatchUnprocessed' });
+    expect(delays).toEqual([50, 100, 200, 400, 800, 1600, 3200]);
+    expect(batchSpy).toHaveBeenCalledTimes(8);
+    jest.restoreAllMocks();
+  });
+});
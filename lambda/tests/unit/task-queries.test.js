@@ -0,0 +1,171 @@
+// Unit Tests for task listing: filters, sorting and pagination of GET /tasks
+// Runs the handler against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, apiEvent, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const getTasks = require('../../get-tasks');
+const {
+  listOrderAttributes,
+  backfillTaskListOrder,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE
+} = require('../../task-queries');
+const { encodePageToken } = require('../../shared-utils');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const TASK_MEMBERS_TABLE = process.env.TASK_MEMBERS_TABLE;
+
+// Store a task as createTask would, with its membership rows and list order
+function seedTask(fields) {
+  const task = {
+    title: `Task ${fields.taskId}`,
+    description: 'Work',
+    status: 'pending',
+    priority: 'medium',
+    assignedMembers: [ALICE],
+    createdBy: ADMIN,
+    dueDate: null,
+    updatedAt: fields.createdAt,
+    version: 1,
+    ...fields
+  };
+  db.seed(TASKS_TABLE, [{ ...task, ...listOrderAttributes(task) }]);
+  db.seed(TASK_MEMBERS_TABLE, task.assignedMembers.map(memberEmail => ({ memberEmail, taskId: task.taskId })));
+  return task;
+}
+
+function seedTasks() {
+  resetTables(db);
+  seedTask({ taskId: 't1', createdAt: '2026-03-01T09:00:00.000Z', status: 'pending', priority: 'low', dueDate: '2026-03-10' });
+  seedTask({ taskId: 't2', createdAt: '2026-03-02T09:00:00.000Z', status: 'in-progress', priority: 'high', dueDate: '2026-03-15T12:00:00.000Z' });
+  seedTask({ taskId: 't3', createdAt: '2026-03-03T09:00:00.000Z', status: 'completed', priority: 'urgent', assignedMembers: [ALICE, BOB], createdBy: 'lead@amalitech.com' });
+  seedTask({ taskId: 't4', createdAt: '2026-03-04T09:00:00.000Z', status: 'blocked', priority: 'medium', assignedMembers: [BOB], dueDate: '2026-03-20' });
+}
+
+async function list(email, queryStringParameters) {
+  return getTasks.handler(apiEvent(email, { queryStringParameters }));
+}
+
+async function listIds(email, queryStringParameters) {
+  const result = await list(email, queryStringParameters);
+  expect(result.statusCode).toBe(200);
+  return JSON.parse(result.body).tasks.map(task => task.taskId);
+}
+
+// Follow nextToken to the last page, returning the taskIds of each page
+async function listPages(email, queryStringParameters) {
+  const pages = [];
+  let nextToken;
+  do {
+    const result = await list(email, { ...queryStringParameters, ...(nextToken && { nextToken }) });
+    expect(result.statusCode).toBe(200);
+    const body = JSON.parse(result.body);
+    pages.push(body.tasks.map(task => task.taskId));
+    nextToken = body.nextToken;
+  } while (nextToken);
+  return pages;
+}
+
+describe('task listing', () => {
+  beforeEach(seedTasks);
+  afterEach(() => jest.restoreAllMocks());
+
+  test('limit defaults to the page size and must be between 1 and the maximum', async () => {
+    const defaulted = JSON.parse((await list(ADMIN)).body);
+    expect(defaulted.count).toBe(4);
+    expect(defaulted.nextToken).toBeNull();
+    expect(defaulted).not.toHaveProperty('total');
+    expect(DEFAULT_PAGE_SIZE).toBe(50);
+
+    expect((await list(ADMIN, { limit: '1' })).statusCode).toBe(200);
+    expect((await list(ADMIN, { limit: String(MAX_PAGE_SIZE) })).statusCode).toBe(200);
+
+    for (const limit of ['0', String(MAX_PAGE_SIZE + 1), '2.5', 'ten']) {
+      const result = await list(ADMIN, { limit });
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error).toMatch(/Invalid limit/);
+    }
+  });
+
+  test('a malformed or mismatched nextToken is rejected', async () => {
+    const tokens = [
+      'not-a-token',
+      encodePageToken({ sortBy: 'createdAt', sortOrder: 'asc', value: '2026-03-01T09:00:00.000Z', taskId: 't1' }),
+      encodePageToken({ sortBy: 'createdAt', sortOrder: 'desc', value: '2026-03-01T09:00:00.000Z' }),
+      encodePageToken({ sortBy: 'createdAt', sortOrder: 'desc', value: { $gt: '' }, taskId: 't1' })
+    ];
+
+    for (const nextToken of tokens) {
+      const result = await list(ADMIN, { nextToken });
+      expect(result.statusCode).toBe(400);
+      expect(JSON.parse(result.body).error).toBe('Invalid nextToken');
+    }
+  });
+
+  test.each([
+    ['status', { status: 'pending,blocked' }, ['t4', 't1'], ['t1']],
+    ['priority', { priority: 'urgent' }, ['t3'], ['t3']],
+    ['assignee', { assignee: BOB }, ['t4', 't3'], ['t3']],
+    ['createdBy', { createdBy: 'lead@amalitech.com' }, ['t3'], ['t3']],
+    ['dueFrom', { dueFrom: '2026-03-15' }, ['t4', 't2'], ['t2']],
+    ['dueTo', { dueTo: '2026-03-15' }, ['t2', 't1'], ['t2', 't1']]
+  ])('filters by %s for admins and members', async (name, filter, adminIds, memberIds) => {
+    expect(await listIds(ADMIN, filter)).toEqual(adminIds);
+    expect(await listIds(ALICE, filter)).toEqual(memberIds);
+  });
+
+  test('a filtered admin page is filled from further reads of the index', async () => {
+    expect(await listPages(ADMIN, { status: 'pending,completed', limit: '1', sortOrder: 'asc' })).toEqual([['t1'], ['t3']]);
+  });
+
+  test('pages follow the sort order in both directions', async () => {
+    expect(await listPages(ADMIN, { limit: '3', sortOrder: 'asc' })).toEqual([['t1', 't2', 't3'], ['t4']]);
+    expect(await listPages(ADMIN, { limit: '3' })).toEqual([['t4', 't3', 't2'], ['t1']]);
+
+    expect(await listPages(ALICE, { limit: '2', sortBy: 'priority', sortOrder: 'asc' })).toEqual([['t1', 't2'], ['t3']]);
+    expect(await listPages(ALICE, { limit: '2', sortBy: 'priority', sortOrder: 'desc' })).toEqual([['t3', 't2'], ['t1']]);
+  });
+
+  test('tasks created at the same time are ordered by taskId', async () => {
+    const createdAt = '2026-03-05T09:00:00.000Z';
+    ['t7', 't5', 't6'].forEach(taskId => seedTask({ taskId, createdAt }));
+
+    expect((await listPages(ADMIN, { limit: '1', sortOrder: 'asc' })).flat()).toEqual(['t1', 't2', 't3', 't4', 't5', 't6', 't7']);
+    expect((await listPages(ADMIN, { limit: '2' })).flat()).toEqual(['t7', 't6', 't5', 't4', 't3', 't2', 't1']);
+
+    expect((await listPages(ALICE, { limit: '1', sortOrder: 'asc' })).flat()).toEqual(['t1', 't2', 't3', 't5', 't6', 't7']);
+    expect((await listPages(ALICE, { limit: '2' })).flat()).toEqual(['t7', 't6', 't5', 't3', 't2', 't1']);
+  });
+
+  test('admins see every task through the index, members only their own', async () => {
+    const scanSpy = jest.spyOn(db, 'scan');
+    const querySpy = jest.spyOn(db, 'query');
+
+    expect(await listIds(ADMIN)).toEqual(['t4', 't3', 't2', 't1']);
+    expect(scanSpy).not.toHaveBeenCalled();
+    const taskQueries = querySpy.mock.calls.map(([params]) => params).filter(params => params.TableName === TASKS_TABLE);
+    expect(taskQueries.map(params => params.IndexName)).toEqual(['ListOrderIndex']);
+
+    expect(await listIds(ALICE)).toEqual(['t3', 't2', 't1']);
+    expect(await listIds(BOB)).toEqual(['t4', 't3']);
+  });
+
+  test('only members may sort by fields other than createdAt', async () => {
+    const adminResult = await list(ADMIN, { sortBy: 'dueDate' });
+    expect(adminResult.statusCode).toBe(400);
+    expect(JSON.parse(adminResult.body).error).toBe('Invalid sortBy. Must be one of: createdAt');
+
+    expect(await listIds(ALICE, { sortBy: 'dueDate', sortOrder: 'asc' })).toEqual(['t1', 't2', 't3']);
+  });
+
+  test('backfill adds tasks stored without a list order to the admin list', async () => {
+    db.seed(TASKS_TABLE, [{ taskId: 't0', title: 'Old task', status: 'pending', assignedMembers: [ALICE], createdAt: '2026-02-01T09:00:00.000Z' }]);
+    expect(await listIds(ADMIN)).not.toContain('t0');
+
+    expect(await backfillTaskListOrder()).toEqual({ tasksOrdered: 1 });
+    expect(await backfillTaskListOrder()).toEqual({ tasksOrdered: 0 });
+    expect(await listIds(ADMIN, { sortOrder: 'asc', limit: '1' })).toEqual(['t0']);
+  });
+});
@@ -0,0 +1,104 @@
+// Unit Tests for the review step before a task is completed
+// Runs the task handlers against an in-memory DynamoDB stand-in and records outgoing email
+
+process.env.SES_SOURCE_EMAIL = 'tasks@amalitech.com';
+
+const { ADMIN, ALICE, apiEvent, callApi, setupTaskTables, resetTables, mockSes } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+const sentEmails = mockSes();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const { deliverDueNotifications } = require('../../outbox');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+
+async function update(email, taskId, body) {
+  const result = await callApi(updateTask.handler, email, { pathParameters: { taskId }, body });
+  await deliverDueNotifications();
+  return result;
+}
+
+const storedTask = () => db.items(TASKS_TABLE)[0];
+
+describe('task review', () => {
+  let task;
+
+  beforeEach(async () => {
+    resetTables(db);
+    const result = await createTask.handler(apiEvent(ADMIN, {
+      body: { title: 'Report', description: 'Draft', assignedTo: [ALICE], status: 'in-progress' }
+    }));
+    task = JSON.parse(result.body).task;
+    await deliverDueNotifications();
+    sentEmails.length = 0;
+  });
+
+  test('members cannot complete a task directly', async () => {
+    const result = await update(ALICE, task.taskId, { status: 'completed' });
+
+    expect(result.statusCode).toBe(403);
+    expect(result.body.allowedStatuses).toContain('in-review');
+    expect(storedTask().status).toBe('in-progress');
+  });
+
+  test('submitting for review needs a note and emails the creator', async () => {
+    const withoutNote = await update(ALICE, task.taskId, { status: 'in-review' });
+    expect(withoutNote.statusCode).toBe(400);
+    expect(withoutNote.body.error).toBe('A note is required to move a task to in-review');
+
+    const submitted = await update(ALICE, task.taskId, { status: 'in-review', reason: 'Figures checked twice' });
+    expect(submitted.statusCode).toBe(200);
+    expect(storedTask().review).toMatchObject({
+      status: 'pending',
+      submittedBy: ALICE,
+      note: 'Figures checked twice'
+    });
+    expect(sentEmails).toEqual([
+      expect.objectContaining({
+        to: ADMIN,
+        subject: 'Task Submitted for Review',
+        text: expect.stringContaining('Figures checked twice')
+      })
+    ]);
+  });
+
+  test('approving completes the task and tells the assignees', async () => {
+    await update(ALICE, task.taskId, { status: 'in-review', reason: 'Done' });
+    sentEmails.length = 0;
+
+    expect((await update(ALICE, task.taskId, { status: 'completed' })).statusCode).toBe(403);
+
+    const approved = await update(ADMIN, task.taskId, { status: 'completed' });
+    expect(approved.statusCode).toBe(200);
+    expect(storedTask()).toMatchObject({
+      status: 'completed',
+      review: { status: 'approved', submittedBy: ALICE, note: 'Done', decidedBy: ADMIN }
+    });
+    expect(sentEmails.map(email => [email.to, email.subject])).toEqual([[ALICE, 'Task Approved']]);
+  });
+
+  test('rejecting needs a reason and sends the task back in progress', async () => {
+    await update(ALICE, task.taskId, { status: 'in-review', reason: 'Done' });
+    sentEmails.length = 0;
+
+    const withoutReason = await update(ADMIN, task.taskId, { status: 'in-progress' });
+    expect(withoutReason.statusCode).toBe(400);
+
+    const rejected = await update(ADMIN, task.taskId, { status: 'in-progress', reason: 'Totals are off by one row' });
+    expect(rejected.statusCode).toBe(200);
+    expect(storedTask()).toMatchObject({
+      status: 'in-progress',
+      statusReason: 'Totals are off by one row',
+      review: { status: 'rejected', decidedBy: ADMIN, reason: 'Totals are off by one row' }
+    });
+    expect(sentEmails).toEqual([
+      expect.objectContaining({
+        to: ALICE,
+        subject: 'Task Rejected',
+        text: expect.stringContaining('Totals are off by one row')
+      })
+    ]);
+  });
+});
@@ -0,0 +1,141 @@
+// Unit Tests for optimistic concurrency on task writes
+// Runs the task handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, apiEvent, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const getTasks = require('../../get-tasks');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const COMMENTS_TABLE = process.env.COMMENTS_TABLE;
+
+async function createShared() {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title: 'Shared task', description: 'Two editors', assignedTo: [ALICE, BOB] }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+function update(email, taskId, body, headers) {
+  const event = apiEvent(email, { pathParameters: { taskId }, body });
+  event.headers = headers || {};
+  return updateTask.handler(event);
+}
+
+describe('task versioning', () => {
+  beforeEach(() => resetTables(db));
+
+  test('new tasks start at version 1 and each update bumps it', async () => {
+    const task = await createShared();
+    expect(task.version).toBe(1);
+
+    const result = await update(ADMIN, task.taskId, { title: 'Renamed', expectedVersion: 1 });
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(body.version).toBe(2);
+    expect(result.headers.ETag).toBe('"2"');
+  });
+
+  test('the response holds the task as written, from consistent reads only', async () => {
+    const task = await createShared();
+    const get = jest.spyOn(db, 'get');
+
+    const result = await update(ADMIN, task.taskId, { title: 'Renamed', priority: 'high', expectedVersion: 1 });
+    const taskReads = get.mock.calls.map(([params]) => params).filter(params => params.TableName === TASKS_TABLE);
+    get.mockRestore();
+
+    expect(JSON.parse(result.body).task).toEqual(db.items(TASKS_TABLE)[0]);
+    expect(taskReads).toHaveLength(1);
+    expect(taskReads[0].ConsistentRead).toBe(true);
+  });
+
+  test('a stale expectedVersion is rejected with the current task', async () => {
+    const task = await createShared();
+    await update(ADMIN, task.taskId, { title: 'First edit', expectedVersion: 1 });
+
+    const result = await update(ADMIN, task.taskId, { title: 'Second edit', expectedVersion: 1 });
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(409);
+    expect(body.currentVersion).toBe(2);
+    expect(body.currentTask.title).toBe('First edit');
+    expect(db.items(TASKS_TABLE)[0].title).toBe('First edit');
+  });
+
+  test('If-Match header is honoured like expectedVersion', async () => {
+    const task = await createShared();
+
+    const stale = await update(ADMIN, task.taskId, { title: 'Nope' }, { 'If-Match': '"7"' });
+    const fresh = await update(ADMIN, task.taskId, { title: 'Yes' }, { 'if-match': 'W/"1"' });
+
+    expect(stale.statusCode).toBe(409);
+    expect(fresh.statusCode).toBe(200);
+  });
+
+  test('an invalid expected version is a bad request', async () => {
+    const task = await createShared();
+
+    const result = await update(ADMIN, task.taskId, { title: 'Bad', expectedVersion: 'abc' });
+
+    expect(result.statusCode).toBe(400);
+  });
+
+  test('concurrent comments without a version are both kept', async () => {
+    const task = await createShared();
+
+    const results = await Promise.all([
+      update(ALICE, task.taskId, { comment: 'From Alice' }),
+      update(BOB, task.taskId, { comment: 'From Bob' })
+    ]);
+
+    expect(results.map(result => result.statusCode)).toEqual([200, 200]);
+    const stored = db.items(COMMENTS_TABLE);
+    expect(stored.map(comment => comment.text).sort()).toEqual(['From Alice', 'From Bob']);
+  });
+
+  test('concurrent status changes without a version are both applied in turn', async () => {
+    const task = await createShared();
+
+    const results = await Promise.all([
+      update(ALICE, task.taskId, { status: 'in-progress' }),
+      update(BOB, task.taskId, { status: 'blocked', reason: 'Waiting on data' })
+    ]);
+
+    expect(results.map(result => result.statusCode)).toEqual([200, 200]);
+    expect(db.items(TASKS_TABLE)[0].version).toBe(3);
+  });
+
+  test('tasks written before versioning are treated as version 0', async () => {
+    db.seed(TASKS_TABLE, [{ taskId: 't-legacy', title: 'Legacy', status: 'open', priority: 'medium', assignedMembers: [ALICE] }]);
+
+    const result = await update(ADMIN, 't-legacy', { title: 'Updated', expectedVersion: 0 });
+
+    expect(result.statusCode).toBe(200);
+    expect(JSON.parse(result.body).version).toBe(1);
+  });
+
+  test('single task reads expose the version as an ETag', async () => {
+    const task = await createShared();
+
+    const result = await getTasks.handler(apiEvent(ADMIN, { pathParameters: { taskId: task.taskId } }));
+
+    expect(result.headers.ETag).toBe('"1"');
+  });
+
+  test('delete with a stale If-Match is refused', async () => {
+    const task = await createShared();
+    await update(ADMIN, task.taskId, { title: 'Changed' });
+
+    const event = apiEvent(ADMIN, { pathParameters: { taskId: task.taskId } });
+    event.headers = { 'If-Match': '"1"' };
+    const result = await deleteTask.handler(event);
+
+    expect(result.statusCode).toBe(409);
+    expect(db.items(TASKS_TABLE)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,157 @@
+// Unit Tests for outbound webhooks
+// Runs the task, user and webhook handlers and the delivery worker against an in-memory
+// DynamoDB stand-in, with the endpoints' HTTP responses faked
+
+const crypto = require('crypto');
+const { ADMIN, ALICE, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const requests = [];
+let endpointStatus = 200;
+global.fetch = jest.fn(async (url, options) => {
+  requests.push({ url, headers: options.headers, body: options.body, payload: JSON.parse(options.body) });
+  return { ok: endpointStatus < 300, status: endpointStatus, text: async () => 'received' };
+});
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const deleteTask = require('../../delete-task');
+const userManagement = require('../../user-management');
+const webhookManagement = require('../../webhook-management');
+const { retryDelay, deliverDueNotifications } = require('../../outbox');
+
+const OUTBOX_TABLE = process.env.OUTBOX_TABLE;
+
+const MINUTE_MS = 60 * 1000;
+const later = (ms) => new Date(Date.now() + ms);
+
+async function webhooks(email, { httpMethod = 'GET', pathParameters, queryStringParameters, body } = {}) {
+  return callApi(webhookManagement.handler, email, { httpMethod, pathParameters, queryStringParameters, body });
+}
+
+async function register(url, events) {
+  return (await webhooks(ADMIN, { httpMethod: 'POST', body: { url, events } })).body.webhook;
+}
+
+async function create(title) {
+  const result = await createTask.handler(apiEvent(ADMIN, {
+    body: { title, description: 'Draft', assignedTo: [ALICE] }
+  }));
+  return JSON.parse(result.body).task;
+}
+
+function expectSigned(request, secret) {
+  const timestamp = request.headers['X-Webhook-Timestamp'];
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${request.body}`).digest('hex');
+  expect(request.headers['X-Webhook-Signature']).toBe(`sha256=${digest}`);
+}
+
+describe('webhooks', () => {
+  beforeEach(() => {
+    resetTables(db);
+    requests.length = 0;
+    endpointStatus = 200;
+  });
+
+  test('admins register webhooks and only see the secret once', async () => {
+    const created = await webhooks(ADMIN, {
+      httpMethod: 'POST',
+      body: { url: 'https://hooks.example.com/tasks', events: ['task.created', 'task.created'], description: 'Reporting' }
+    });
+    const listed = await webhooks(ADMIN);
+    const asMember = await webhooks(ALICE);
+    const insecure = await webhooks(ADMIN, { httpMethod: 'POST', body: { url: 'http://hooks.example.com', events: ['task.created'] } });
+    const unknownEvent = await webhooks(ADMIN, { httpMethod: 'POST', body: { url: 'https://hooks.example.com', events: ['task.archived'] } });
+
+    expect(created.statusCode).toBe(201);
+    expect(created.body.webhook).toMatchObject({ events: ['task.created'], status: 'active', secret: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(listed.body.webhooks).toEqual([expect.not.objectContaining({ secret: expect.anything() })]);
+    expect(listed.body.count).toBe(1);
+    expect(asMember.statusCode).toBe(403);
+    expect(insecure.statusCode).toBe(400);
+    expect(unknownEvent.body.invalidEvents).toEqual(['task.archived']);
+  });
+
+  test('task events are delivered signed to the endpoints subscribed to them', async () => {
+    const tracker = await register('https://tracker.example.com/hook', ['task.created', 'task.status_changed']);
+    const archive = await register('https://archive.example.com/hook', ['task.deleted']);
+
+    const task = await create('Report');
+    await updateTask.handler(apiEvent(ALICE, { pathParameters: { taskId: task.taskId }, body: { status: 'in-progress' } }));
+    await deleteTask.handler(apiEvent(ADMIN, { httpMethod: 'DELETE', pathParameters: { taskId: task.taskId } }));
+    await deliverDueNotifications();
+
+    expect(requests.map(request => [request.url, request.payload.event])).toEqual(expect.arrayContaining([
+      ['https://tracker.example.com/hook', 'task.created'],
+      ['https://tracker.example.com/hook', 'task.status_changed'],
+      ['https://archive.example.com/hook', 'task.deleted']
+    ]));
+    expect(requests).toHaveLength(3);
+
+    const statusChange = requests.find(request => request.payload.event === 'task.status_changed');
+    expect(statusChange.payload.data).toMatchObject({
+      previousStatus: task.status,
+      status: 'in-progress',
+      actor: ALICE,
+      task: { taskId: task.taskId, status: 'in-progress', version: 2 }
+    });
+    expect(statusChange.headers['X-Webhook-Event']).toBe('task.status_changed');
+    expectSigned(statusChange, tracker.secret);
+    expectSigned(requests.find(request => request.payload.event === 'task.deleted'), archive.secret);
+  });
+
+  test('failed deliveries are retried, logged and can be redelivered', async () => {
+    const webhook = await register('https://tracker.example.com/hook', ['task.created']);
+    await create('Report');
+    endpointStatus = 503;
+
+    await deliverDueNotifications();
+    endpointStatus = 200;
+    await deliverDueNotifications({ now: later(retryDelay(1) + MINUTE_MS) });
+
+    const detail = await webhooks(ADMIN, { pathParameters: { webhookId: webhook.webhookId } });
+    const [delivery] = detail.body.deliveries;
+
+    expect(detail.body.webhook.secret).toBeUndefined();
+    expect(delivery).toMatchObject({ event: 'task.created', status: 'delivered', lastStatusCode: 200 });
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([503, 200]);
+    expect(delivery.attempts[0].error).toBe('Endpoint responded with HTTP 503');
+
+    const redelivered = await webhooks(ADMIN, {
+      httpMethod: 'POST',
+      pathParameters: { webhookId: webhook.webhookId, deliveryId: delivery.deliveryId }
+    });
+    const missing = await webhooks(ADMIN, {
+      httpMethod: 'POST',
+      pathParameters: { webhookId: webhook.webhookId, deliveryId: 'no-such-delivery' }
+    });
+    await deliverDueNotifications({ now: later(retryDelay(1) + MINUTE_MS) });
+
+    expect(redelivered.statusCode).toBe(202);
+    expect(missing.statusCode).toBe(404);
+    expect(requests).toHaveLength(3);
+    expect(requests[2].payload.id).toBe(requests[0].payload.id);
+    expect(requests[2].headers['X-Webhook-Delivery']).toBe(redelivered.body.deliveryId);
+  });
+
+  test('deactivating a user is announced once, and nothing is queued without subscribers', async () => {
+    await userManagement.handler(apiEvent(ADMIN, { httpMethod: 'DELETE', pathParameters: { userId: 'u-bob' } }));
+    expect(db.items(OUTBOX_TABLE)).toHaveLength(0);
+
+    await register('https://directory.example.com/hook', ['user.deactivated']);
+    await userManagement.handler(apiEvent(ADMIN, { httpMethod: 'DELETE', pathParameters: { userId: 'u-alice' } }));
+    await userManagement.handler(apiEvent(ADMIN, { httpMethod: 'PUT', body: { userId: 'u-alice', status: 'suspended' } }));
+    await deliverDueNotifications();
+
+    expect(requests.map(request => request.payload)).toEqual([
+      expect.objectContaining({
+        event: 'user.deactivated',
+        data: {
+          user: { userId: 'u-alice', email: ALICE, role: 'member', status: 'inactive' },
+          actor: ADMIN
+        }
+      })
+    ]);
+  });
+});
@@ -0,0 +1,127 @@
+// Unit Tests for the task status workflow
+// Runs the task handlers against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, apiEvent, callApi, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const createTask = require('../../create-task');
+const updateTask = require('../../update-task');
+const getTasks = require('../../get-tasks');
+const getWorkflow = require('../../get-workflow');
+const { checkTransition, getAllowedTransitions, getWorkflowDefinition } = require('../../workflow');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+const ACTIVITY_TABLE = process.env.ACTIVITY_TABLE;
+
+async function create(body = {}) {
+  return callApi(createTask.handler, ADMIN, {
+    body: { title: 'Report', description: 'Draft', assignedTo: [ALICE], ...body }
+  });
+}
+
+async function update(email, taskId, body) {
+  return callApi(updateTask.handler, email, { pathParameters: { taskId }, body });
+}
+
+describe('workflow definition', () => {
+  test('every transition connects two known states and names its roles', () => {
+    const { states, transitions } = getWorkflowDefinition();
+    const ids = states.map(state => state.id);
+
+    transitions.forEach(transition => {
+      expect(ids).toContain(transition.from);
+      expect(ids).toContain(transition.to);
+      expect(transition.roles.length).toBeGreaterThan(0);
+    });
+  });
+
+  test('lists the next states a role may choose', () => {
+    expect(getAllowedTransitions('pending', 'member')).toEqual(['in-progress', 'blocked']);
+    expect(getAllowedTransitions('pending', 'admin')).toEqual(['in-progress', 'blocked', 'cancelled']);
+    expect(getAllowedTransitions('completed', 'member')).toEqual([]);
+  });
+
+  test('names the allowed next states when a transition is refused', () => {
+    const result = checkTransition('pending', 'completed', 'member');
+
+    expect(result.allowed).toBe(false);
+    expect(result.statusCode).toBe(400);
+    expect(result.error).toContain('Allowed next states: in-progress, blocked');
+  });
+
+  test('staying in the same state is not a transition', () => {
+    expect(checkTransition('completed', 'completed', 'member').allowed).toBe(true);
+  });
+});
+
+describe('workflow enforcement', () => {
+  beforeEach(() => {
+    resetTables(db);
+  });
+
+  test('new tasks must start in an initial state', async () => {
+    const completed = await create({ status: 'completed' });
+    const inProgress = await create({ status: 'in-progress' });
+
+    expect(completed.statusCode).toBe(400);
+    expect(completed.body.allowedStatuses).toEqual(['pending', 'in-progress']);
+    expect(inProgress.statusCode).toBe(201);
+  });
+
+  test('members follow the transitions and cannot skip ahead', async () => {
+    const { body: { task } } = await create();
+
+    const skip = await update(ALICE, task.taskId, { status: 'completed' });
+    expect(skip.statusCode).toBe(400);
+    expect(skip.body).toMatchObject({ currentStatus: 'pending', allowedStatuses: ['in-progress', 'blocked'] });
+
+    expect((await update(ALICE, task.taskId, { status: 'in-progress' })).statusCode).toBe(200);
+    expect((await update(ALICE, task.taskId, { status: 'in-review', reason: 'Ready' })).statusCode).toBe(200);
+  });
+
+  test('role-restricted transitions are forbidden to other roles', async () => {
+    const { body: { task } } = await create();
+
+    const memberCancel = await update(ALICE, task.taskId, { status: 'cancelled' });
+    const adminCancel = await update(ADMIN, task.taskId, { status: 'cancelled' });
+
+    expect(memberCancel.statusCode).toBe(403);
+    expect(memberCancel.body.error).toContain('Allowed next states: in-progress, blocked');
+    expect(adminCancel.statusCode).toBe(200);
+  });
+
+  test('moving to blocked requires a reason, which is kept on the task and in its history', async () => {
+    const { body: { task } } = await create();
+
+    const withoutReason = await update(ALICE, task.taskId, { status: 'blocked' });
+    const withReason = await update(ALICE, task.taskId, { status: 'blocked', reason: 'Waiting for API keys' });
+
+    expect(withoutReason.statusCode).toBe(400);
+    expect(withoutReason.body.error).toBe('A reason is required to move a task to blocked');
+    expect(withReason.statusCode).toBe(200);
+    expect(db.items(TASKS_TABLE)[0].statusReason).toBe('Waiting for API keys');
+
+    const statusEvent = db.items(ACTIVITY_TABLE).find(item => item.type === 'status_changed');
+    expect(statusEvent.changes[0]).toMatchObject({ from: 'pending', to: 'blocked', reason: 'Waiting for API keys' });
+
+    await update(ALICE, task.taskId, { status: 'in-progress' });
+    expect(db.items(TASKS_TABLE)[0].statusReason).toBeNull();
+  });
+
+  test('status filters only accept workflow states', async () => {
+    const result = await getTasks.handler(apiEvent(ADMIN, { queryStringParameters: { status: 'closed' } }));
+
+    expect(result.statusCode).toBe(400);
+    expect(JSON.parse(result.body).error).toContain('Invalid status filter: closed');
+  });
+
+  test('GET /workflow serves the definition', async () => {
+    const result = await getWorkflow.handler(apiEvent(ALICE));
+    const body = JSON.parse(result.body);
+
+    expect(result.statusCode).toBe(200);
+    expect(body.role).toBe('member');
+    expect(body.workflow).toEqual(getWorkflowDefinition());
+  });
+});
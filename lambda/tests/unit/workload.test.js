@@ -0,0 +1,73 @@
+// Unit Tests for team workload
+// Runs the user listing with workloads against an in-memory DynamoDB stand-in
+
+const { ADMIN, ALICE, BOB, CAROL, callApi, member, setupTaskTables, resetTables } = require('../helpers/task-tables');
+
+const db = setupTaskTables();
+
+const userManagement = require('../../user-management');
+const { summarizeWorkload } = require('../../workload');
+
+const TASKS_TABLE = process.env.TASKS_TABLE;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayFromNow = days => new Date(Date.now() + days * DAY_MS).toISOString();
+
+async function listUsers(email, queryStringParameters) {
+  return callApi(userManagement.handler, email, { httpMethod: 'GET', queryStringParameters });
+}
+
+describe('team workload', () => {
+  beforeEach(() => resetTables(db, [member(CAROL, 'inactive')]));
+
+  test('open tasks are counted by priority, overdue and due this week', () => {
+    // A Wednesday; the week ends on Sunday 2026-03-08
+    const now = new Date('2026-03-04T12:00:00.000Z');
+    const tasks = [
+      { status: 'pending', priority: 'urgent', assignedMembers: [ALICE, BOB], dueDate: '2026-03-03' },
+      { status: 'in-progress', priority: 'high', assignedMembers: [ALICE], dueDate: '2026-03-04' },
+      { status: 'in-progress', priority: 'high', assignedMembers: [ALICE], dueDate: '2026-03-04T09:00:00.000Z' },
+      { status: 'pending', priority: 'low', assignedMembers: [ALICE], dueDate: '2026-03-08' },
+      { status: 'pending', priority: 'medium', assignedMembers: [ALICE], dueDate: '2026-03-09' },
+      { status: 'pending', priority: 'medium', assignedMembers: [ALICE] },
+      { status: 'completed', priority: 'urgent', assignedMembers: [ALICE], dueDate: '2026-03-01' },
+      { status: 'cancelled', priority: 'high', assignedMembers: [BOB] },
+      { status: 'pending', priority: 'high', assignedMembers: [CAROL] }
+    ];
+
+    expect(summarizeWorkload(tasks, [ALICE, BOB], now)).toEqual({
+      [ALICE]: { open: 6, byPriority: { urgent: 1, high: 2, medium: 2, low: 1 }, overdue: 2, dueThisWeek: 2 },
+      [BOB]: { open: 1, byPriority: { urgent: 1, high: 0, medium: 0, low: 0 }, overdue: 1, dueThisWeek: 0 }
+    });
+  });
+
+  test('admins list users with the workload of each active member', async () => {
+    db.seed(TASKS_TABLE, [
+      { taskId: 't1', status: 'pending', priority: 'high', assignedMembers: [ALICE], dueDate: dayFromNow(-1) },
+      { taskId: 't2', status: 'in-progress', priority: 'medium', assignedMembers: [ALICE, CAROL] },
+      { taskId: 't3', status: 'completed', priority: 'low', assignedMembers: [BOB] }
+    ]);
+
+    const { statusCode, body } = await listUsers(ADMIN, { include: 'workload' });
+    const byEmail = Object.fromEntries(body.users.map(user => [user.email, user]));
+
+    expect(statusCode).toBe(200);
+    expect(byEmail[ALICE].workload).toMatchObject({ open: 2, byPriority: { high: 1, medium: 1 }, overdue: 1 });
+    expect(byEmail[BOB].workload).toMatchObject({ open: 0, overdue: 0, dueThisWeek: 0 });
+    expect(byEmail[CAROL]).not.toHaveProperty('workload');
+    expect(byEmail[ADMIN]).not.toHaveProperty('workload');
+
+    const plain = await listUsers(ADMIN);
+    expect(plain.body.users.every(user => !user.workload)).toBe(true);
+  });
+
+  test('unknown includes are rejected and members only get the directory', async () => {
+    const invalid = await listUsers(ADMIN, { include: 'tasks' });
+    const member = await listUsers(ALICE, { include: 'workload' });
+
+    expect(invalid.statusCode).toBe(400);
+    expect(invalid.body.error).toBe('Invalid include. Must be: workload');
+    expect(member.statusCode).toBe(200);
+    expect(member.body.users.every(user => !user.workload)).toBe(true);
+  });
+});
@@ -1,14 +1,19 @@
 /**
  * Update Task Lambda Function
  * Handles task updates with role-based permissions
- * Admins can update all fields, members can only update status and add comments
+ * Admins can update all fields, members can only update status
+ * Anyone who can see the task can add a comment through the `comment` field
+ * Notifications about the change are queued in the same write as the task update
  */
 
 const {
     getUserRole,
     checkUserActive,
-    sendNotificationEmail,
     response,
+    versionETag,
+    parseExpectedVersion,
+    withVersionCheck,
+    versionConflict,
     validateAuth,
     validateEmails,
     buildUpdateExpression,
@@ -16,12 +21,26 @@ const {
     TASKS_TABLE,
     dynamodb
 } = require('./shared-utils');
+const { notificationJob, webhookJobs, chatJobs, writeWithOutbox } = require('./outbox');
+const { membershipWrites } = require('./task-membership');
+const { taskUpdatedActivity } = require('./activity-log');
+const { validateCommentText, validateMentions, createComment } = require('./comments');
+const { checkTransition, findTransition } = require('./workflow');
+const { buildChecklist, setItemsDone, unassignRemovedMembers } = require('./checklist');
+const { validateBlockedBy, getOpenBlockers, syncBlocksAfterSave, blockerFinishedJobs } = require('./dependencies');
+const { MAX_ASSIGNEES } = require('./task-creation');
+
+// Retries for writes that lose a race when the client did not pin a version
+const MAX_WRITE_ATTEMPTS = 3;
+
+// Status changes posted to the team chat channel
+const CHAT_STATUS_EVENTS = { completed: 'task-completed', blocked: 'task-blocked' };
 
 exports.handler = async (event) => {
     console.log('Update Task Event:', JSON.stringify(event, null, 2));
     
     try {
-        const { body, requestContext, pathParameters } = event;
+        const { body, headers, requestContext, pathParameters } = event;
         
         // Validate authentication
         const authResult = validateAuth(requestContext);
@@ -46,7 +65,13 @@ exports.handler = async (event) => {
             updateData.taskId = taskId;
         }
         
-        return await updateTask(updateData, userEmail, userRole);
+        // Optional optimistic lock: If-Match header or expectedVersion in the body
+        const expected = parseExpectedVersion(headers, updateData);
+        if (!expected.valid) {
+            return response(400, { error: 'Invalid expected version. Must be a non-negative integer' });
+        }
+        
+        return await updateTask(updateData, userEmail, userRole, expected.version);
     } catch (error) {
         console.error('Error:', error);
         return response(500, { 
@@ -56,325 +81,606 @@ exports.handler = async (event) => {
     }
 };
 
-async function updateTask(updateData, userEmail, userRole) {
+async function updateTask(updateData, userEmail, userRole, expectedVersion = null) {
     try {
-        const { taskId, status, ...otherUpdates } = updateData;
+        const { comment, ...taskChanges } = updateData;
+        const { taskId, status } = taskChanges;
         
-        console.log('updateTask called with:', { taskId, status, otherUpdates, userEmail, userRole });
+        console.log('updateTask called with:', { taskId, status, userEmail, userRole, expectedVersion });
         
         if (!taskId) {
             console.log('ERROR: Missing taskId');
             return response(400, { error: 'Missing required field: taskId' });
         }
         
-        // Get current task
-        const currentTask = await dynamodb.get({
-            TableName: TASKS_TABLE,
-            Key: { taskId }
-        }).promise();
-        
-        console.log('Current task fetch result:', { found: !!currentTask.Item });
-        
-        if (!currentTask.Item) {
-            console.log('ERROR: Task not found');
-            return response(404, { error: 'Task not found' });
-        }
-        
-        const task = currentTask.Item;
-        console.log('Found task:', { taskId: task.taskId, title: task.title });
-        
-        // Check permissions
-        const isAssignedMember = task.assignedMembers && 
-                                task.assignedMembers.includes(userEmail);
-        
-        console.log('Permission check:', { userRole, isAssignedMember });
-        
-        if (userRole !== 'admin' && !isAssignedMember) {
-            console.log('ERROR: Permission denied');
-            return response(403, { 
-                error: 'Forbidden - You can only update tasks assigned to you' 
-            });
+        // Comments are stored in COMMENTS_TABLE; the field is kept for existing clients
+        let commentText = null;
+        let mentions = [];
+        if (comment !== undefined && comment !== null && comment !== '') {
+            const commentValidation = validateCommentText(comment);
+            if (!commentValidation.valid) {
+                return response(400, { error: commentValidation.error });
+            }
+            commentText = commentValidation.text;
+            
+            const mentionCheck = await validateMentions(commentText);
+            if (!mentionCheck.valid) {
+                return response(400, mentionCheck.error);
+            }
+            mentions = mentionCheck.mentions;
         }
         
-        // Build updates based on role
-        let updates = {};
-        let reassignmentOccurred = false;
-        const validStatuses = ['pending', 'in-progress', 'completed', 'blocked', 'cancelled'];
-        const validPriorities = ['low', 'medium', 'high', 'urgent'];
-        
-        if (userRole === 'admin') {
-            // Admins can update everything
+        let task;
+        let updates;
+        let reassignmentOccurred;
+        let updatedTask;
+        
+        // Read-modify-write guarded by the task version. A client that pinned a version
+        // gets a 409 on mismatch; otherwise a lost race is retried against the fresh task
+        // so concurrent changes (e.g. two members commenting) both land.
+        for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+            // Get current task; a retry must see the write that beat it
+            const currentTask = await dynamodb.get({
+                TableName: TASKS_TABLE,
+                Key: { taskId },
+                ConsistentRead: true
+            }).promise();
             
-            // Validate status if provided
-            if (status) {
-                if (!validStatuses.includes(status)) {
-                    return response(400, { 
-                        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-                    });
-                }
-                updates.status = status;
+            console.log('Current task fetch result:', { found: !!currentTask.Item, attempt });
+            
+            if (!currentTask.Item) {
+                console.log('ERROR: Task not found');
+                return response(404, { error: 'Task not found' });
             }
             
-            // Validate priority if provided
-            if (otherUpdates.priority && !validPriorities.includes(otherUpdates.priority)) {
-                return response(400, { 
-                    error: `Invalid priority. Must be one of: ${validPriorities.join(', ')}` 
+            task = currentTask.Item;
+            console.log('Found task:', { taskId: task.taskId, title: task.title, version: task.version || 0 });
+            
+            // Check permissions
+            const isAssignedMember = task.assignedMembers && 
+                                    task.assignedMembers.includes(userEmail);
+            
+            console.log('Permission check:', { userRole, isAssignedMember });
+            
+            if (userRole !== 'admin' && !isAssignedMember) {
+                console.log('ERROR: Permission denied');
+                return response(403, { 
+                    error: 'Forbidden - You can only update tasks assigned to you' 
                 });
             }
             
-            // Validate due date if provided
-            if (otherUpdates.dueDate && otherUpdates.dueDate !== null) {
-                const dueDate = new Date(otherUpdates.dueDate);
-                if (isNaN(dueDate.getTime())) {
-                    return response(400, { error: 'Invalid due date format' });
+            if (expectedVersion !== null && expectedVersion !== (task.version || 0)) {
+                console.log('ERROR: Version mismatch', { expectedVersion, currentVersion: task.version || 0 });
+                return versionConflict(task, expectedVersion);
+            }
+            
+            const built = await buildTaskUpdates(task, taskChanges, userEmail, userRole);
+            if (built.error) {
+                if (built.empty && commentText) {
+                    return await addCommentOnly(task, commentText, mentions, userEmail);
                 }
+                return built.error;
             }
             
-            // Copy other allowed fields
-            if (otherUpdates.title) updates.title = otherUpdates.title.trim();
-            if (otherUpdates.description) updates.description = otherUpdates.description.trim();
-            if (otherUpdates.priority) updates.priority = otherUpdates.priority;
-            if ('dueDate' in otherUpdates) updates.dueDate = otherUpdates.dueDate;
-            if (otherUpdates.tags) updates.tags = otherUpdates.tags;
+            ({ updates, reassignmentOccurred } = built);
+            updates.updatedAt = new Date().toISOString();
+            updates.updatedBy = userEmail;
             
-            // Handle assignment updates
-            if (otherUpdates.assignedTo) {
-                const emailValidation = validateEmails(otherUpdates.assignedTo);
-                
-                if (!emailValidation.valid) {
-                    if (emailValidation.emails.length === 0) {
-                        return response(400, { error: 'At least one member must be assigned' });
-                    }
-                    return response(400, { 
-                        error: 'Invalid email addresses', 
-                        invalidEmails: emailValidation.invalid 
-                    });
-                }
-                
-                const uniqueNewMembers = emailValidation.emails;
-                
-                // Check for inactive users, non-existent users, and admin users
-                const validationResult = await validateAssignedMembers(uniqueNewMembers);
-                
-                if (validationResult.nonExistentUsers.length > 0) {
-                    return response(400, { 
-                        error: 'Some users do not exist in the system', 
-                        nonExistentUsers: validationResult.nonExistentUsers 
-                    });
-                }
+            console.log('Final updates to apply:', updates);
+            
+            // Build DynamoDB update expression guarded by the version we read
+            const updateParams = withVersionCheck(buildUpdateExpression(updates), task.version);
+            console.log('Update params:', JSON.stringify(updateParams, null, 2));
+            
+            const jobs = await taskUpdateJobs(task, updates, status, reassignmentOccurred, userEmail);
+            
+            // The version check guarantees the write applies to the task we read
+            const written = { ...task, ...updates, version: (task.version || 0) + 1 };
+            const writes = [
+                { Update: { TableName: TASKS_TABLE, Key: { taskId }, ...updateParams } },
+                // Keep the membership index in step with the new assignees
+                ...(reassignmentOccurred ? membershipWrites(taskId, task.assignedMembers, updates.assignedMembers) : []),
+                // Append what changed to the task's history
+                ...taskUpdatedActivity(task, written, userEmail)
+            ];
+            
+            try {
+                console.log('Attempting DynamoDB update...');
+                await writeWithOutbox(writes, jobs);
+                console.log(`DynamoDB update successful, ${jobs.length} notification(s) queued`);
                 
-                if (validationResult.inactiveUsers.length > 0) {
-                    return response(400, { 
-                        error: 'Cannot assign to deactivated users', 
-                        inactiveUsers: validationResult.inactiveUsers 
-                    });
+                updatedTask = written;
+                break;
+            } catch (error) {
+                if (error.code !== 'ConditionalCheckFailedException') {
+                    throw error;
                 }
                 
-                if (validationResult.adminUsers.length > 0) {
-                    return response(400, { 
-                        error: 'Cannot assign tasks to admins. Admins manage tasks, only members can be assigned tasks.', 
-                        adminUsers: validationResult.adminUsers 
-                    });
-                }
+                console.log(`Version conflict on attempt ${attempt}`);
                 
-                updates.assignedMembers = uniqueNewMembers;
-                updates.assignedTo = uniqueNewMembers[0];
-                reassignmentOccurred = true;
-            }
-        } else {
-            // Members can only update status
-            if (status) {
-                if (!validStatuses.includes(status)) {
-                    return response(400, { 
-                        error: `Invalid status. Must be one of: ${validStatuses.join(', ')}` 
-                    });
-                }
-                updates.status = status;
-            }
-            
-            // Members can add comments
-            if (otherUpdates.comment && otherUpdates.comment.trim()) {
-                const existingComments = task.comments || [];
-                updates.comments = [
-                    ...existingComments,
-                    {
-                        author: userEmail,
-                        text: otherUpdates.comment.trim(),
-                        timestamp: new Date().toISOString()
+                if (expectedVersion !== null || attempt === MAX_WRITE_ATTEMPTS) {
+                    const latest = await dynamodb.get({
+                        TableName: TASKS_TABLE,
+                        Key: { taskId },
+                        ConsistentRead: true
+                    }).promise();
+                    
+                    if (!latest.Item) {
+                        return response(404, { error: 'Task not found' });
                     }
-                ];
-            }
-            
-            if (Object.keys(updates).length === 0) {
-                return response(400, { error: 'No valid updates provided' });
+                    return versionConflict(latest.Item, expectedVersion);
+                }
             }
         }
         
-        if (Object.keys(updates).length === 0) {
-            console.log('ERROR: No updates provided');
-            return response(400, { error: 'No updates provided' });
-        }
+        // The update is saved from here on: what follows must not turn the response into an error
         
-        updates.updatedAt = new Date().toISOString();
-        updates.updatedBy = userEmail;
+        // Keep the blockers' reverse links in step with the new dependencies
+        if (updates.blockedBy) {
+            await syncBlocksAfterSave(taskId, task.blockedBy, updates.blockedBy);
+        }
         
-        console.log('Final updates to apply:', updates);
+        let addedComment = null;
+        let commentError = null;
+        if (commentText) {
+            try {
+                addedComment = await createComment(updatedTask, userEmail, commentText, null, mentions);
+            } catch (error) {
+                console.error(`Task ${taskId} was updated but its comment could not be saved:`, error);
+                commentError = 'The task was updated but the comment could not be saved';
+            }
+        }
         
-        // Build DynamoDB update expression
-        const updateParams = buildUpdateExpression(updates);
-        console.log('Update params:', JSON.stringify(updateParams, null, 2));
+        console.log('Update completed successfully');
         
-        // Update the task
-        console.log('Attempting DynamoDB update...');
-        const updateResult = await dynamodb.update({
-            TableName: TASKS_TABLE,
-            Key: { taskId },
-            ...updateParams,
-            ReturnValues: 'ALL_NEW'
-        }).promise();
-        console.log('DynamoDB update successful, result:', JSON.stringify(updateResult.Attributes, null, 2));
+        return response(200, { 
+            message: 'Task updated successfully',
+            taskId,
+            updates,
+            ...(addedComment && { comment: addedComment }),
+            ...(commentError && { commentError }),
+            version: updatedTask.version,
+            task: updatedTask
+        }, { ETag: versionETag(updatedTask.version) });
+   } catch (error) {
+        console.error('Error updating task:', error);
+        return response(500, { 
+            error: 'Failed to update task', 
+            message: error.message 
+        });
+    }
+}
+
+/**
+ * Notifications and webhook deliveries for a task update, to be written together with it
+ * @param {Object} task - Task before the change
+ * @param {Object} updates - Validated changes
+ * @param {string} [status] - Requested status
+ * @param {boolean} reassignmentOccurred - True if the assignees changed
+ * @param {string} userEmail - Who made the change
+ * @returns {Promise<Array<Object>>} Outbox jobs
+ */
+async function taskUpdateJobs(task, updates, status, reassignmentOccurred, userEmail) {
+    const updatedTask = { ...task, ...updates };
+    const jobs = [];
+    const queue = (to, event, email) => jobs.push(notificationJob({ to, event, ...email }));
+    
+    // Track if we should send general update notification
+    let hasGeneralUpdate = false;
+    const changedFields = [];
+    
+    // Check what fields changed
+    if (updates.title && updates.title !== task.title) {
+        changedFields.push('title');
+        hasGeneralUpdate = true;
+    }
+    if (updates.description && updates.description !== task.description) {
+        changedFields.push('description');
+        hasGeneralUpdate = true;
+    }
+    if (updates.dueDate && updates.dueDate !== task.dueDate) {
+        changedFields.push('due date');
+        hasGeneralUpdate = true;
+    }
+    if (updates.priority && updates.priority !== task.priority && updates.priority !== 'urgent') {
+        changedFields.push('priority');
+        hasGeneralUpdate = true;
+    }
+    
+    // Status change notifications - notify admin and all assigned members
+    if (status && status !== task.status) {
+        const email = statusChangeEmail(task, status, updates.statusReason, userEmail);
         
-        // Send notifications based on what changed
-        const notifications = [];
+        // Notify admin/creator (if they didn't make the change)
+        if (task.createdBy && task.createdBy !== userEmail) {
+            queue(task.createdBy, 'status-changed', email);
+        }
         
-        // Track if we should send general update notification
-        let hasGeneralUpdate = false;
-        const changedFields = [];
+        // Notify all assigned members (except the one who made the change)
+        (task.assignedMembers || [])
+            .filter(member => member !== userEmail)
+            .forEach(member => queue(member, 'status-changed', email));
         
-        // Check what fields changed
-        if (updates.title && updates.title !== task.title) {
-            changedFields.push('title');
-            hasGeneralUpdate = true;
+        // Completing a blocker tells the members of the tasks waiting on it
+        if (status === 'completed') {
+            jobs.push(...await blockerFinishedJobs(updatedTask, userEmail));
         }
-        if (updates.description && updates.description !== task.description) {
-            changedFields.push('description');
-            hasGeneralUpdate = true;
-        }
-        if (updates.dueDate && updates.dueDate !== task.dueDate) {
-            changedFields.push('due date');
-            hasGeneralUpdate = true;
-        }
-        if (updates.priority && updates.priority !== task.priority && updates.priority !== 'urgent') {
-            changedFields.push('priority');
-            hasGeneralUpdate = true;
+    }
+    
+    // Priority change to urgent - notify all assigned members
+    if (updates.priority === 'urgent' && task.priority !== 'urgent') {
+        (updates.assignedMembers || task.assignedMembers || []).forEach(email => {
+            queue(email, 'task-updated', {
+                template: 'priority-urgent',
+                variables: {
+                    taskId: task.taskId,
+                    title: task.title,
+                    description: task.description,
+                    status: updates.status || task.status,
+                    changedBy: userEmail
+                }
+            });
+        });
+    }
+    
+    // Assignment change notifications
+    if (reassignmentOccurred && updates.assignedMembers) {
+        const oldMembers = task.assignedMembers || [];
+        const newMembers = updates.assignedMembers.filter(
+            email => !oldMembers.includes(email)
+        );
+        const removedMembers = oldMembers.filter(
+            email => !updates.assignedMembers.includes(email)
+        );
+        
+        // Notify new members (the template flags urgent tasks)
+        newMembers.forEach(email => {
+            queue(email, 'task-assigned', {
+                template: 'task-assigned',
+                variables: {
+                    taskId: task.taskId,
+                    title: updatedTask.title,
+                    description: updatedTask.description,
+                    priority: updatedTask.priority,
+                    status: updatedTask.status,
+                    dueDate: updatedTask.dueDate,
+                    assignedBy: userEmail
+                }
+            });
+        });
+        
+        // Notify removed members
+        removedMembers.forEach(email => {
+            queue(email, 'task-unassigned', {
+                template: 'removed-from-task',
+                variables: { taskId: task.taskId, title: task.title, removedBy: userEmail }
+            });
+        });
+    }
+    
+    // General update notification - notify all assigned members for other changes
+    if (hasGeneralUpdate && !reassignmentOccurred) {
+        (task.assignedMembers || [])
+            .filter(email => email !== userEmail)
+            .forEach(email => {
+                queue(email, 'task-updated', {
+                    template: 'task-updated',
+                    variables: {
+                        taskId: task.taskId,
+                        title: updatedTask.title,
+                        description: updatedTask.description,
+                        priority: updatedTask.priority,
+                        status: updatedTask.status,
+                        dueDate: updatedTask.dueDate,
+                        changedFields,
+                        updatedBy: userEmail
+                    }
+                });
+            });
+    }
+    
+    // Webhooks get the task as it will be stored, with the version the write gives it
+    const storedTask = { ...updatedTask, version: (task.version || 0) + 1 };
+    const changes = Object.keys(updates).filter(field => field !== 'updatedAt' && field !== 'updatedBy');
+    jobs.push(...await webhookJobs('task.updated', { task: storedTask, changes, actor: userEmail }));
+    if (status && status !== task.status) {
+        jobs.push(...await webhookJobs('task.status_changed', {
+            task: storedTask,
+            previousStatus: task.status,
+            status,
+            actor: userEmail
+        }));
+    }
+    
+    // The team chat channel hears about tasks finishing or getting stuck
+    const chatEvent = status !== task.status && CHAT_STATUS_EVENTS[status];
+    if (chatEvent) {
+        jobs.push(...await chatJobs(chatEvent, updatedTask, userEmail));
+    }
+    
+    return jobs;
+}
+
+/**
+ * Email template for a status change
+ * Review steps (submit, approve, reject) get their own; other moves share a generic one
+ * @param {Object} task - Task before the change
+ * @param {string} status - New status
+ * @param {string|null} reason - Reason or note given with the change
+ * @param {string} userEmail - Who made the change
+ * @returns {Object} { template, variables }
+ */
+function statusChangeEmail(task, status, reason, userEmail) {
+    const transition = findTransition(task.status, status);
+    const base = { taskId: task.taskId, title: task.title };
+    
+    switch (transition && transition.action) {
+        case 'submitForReview':
+            return { template: 'review-submitted', variables: { ...base, submittedBy: userEmail, note: reason } };
+        case 'approve':
+            return { template: 'review-approved', variables: { ...base, approvedBy: userEmail } };
+        case 'reject':
+            return { template: 'review-rejected', variables: { ...base, rejectedBy: userEmail, reason } };
+        default:
+            return {
+                template: 'status-changed',
+                variables: {
+                    ...base,
+                    fromStatus: task.status,
+                    toStatus: status,
+                    changedBy: userEmail,
+                    reason: reason || undefined
+                }
+            };
+    }
+}
+
+/**
+ * Handle a request that only adds a comment
+ * The task item itself is not written, so its version does not change
+ * @param {Object} task - Current task item
+ * @param {string} text - Validated comment text
+ * @param {Array<string>} mentions - Validated mentions in the text
+ * @param {string} userEmail - Commenter's email
+ * @returns {Promise<Object>} API response
+ */
+async function addCommentOnly(task, text, mentions, userEmail) {
+    const comment = await createComment(task, userEmail, text, null, mentions);
+    
+    return response(200, {
+        message: 'Comment added successfully',
+        taskId: task.taskId,
+        comment,
+        version: task.version || 0,
+        task
+    }, { ETag: versionETag(task.version) });
+}
+
+/**
+ * Validate the requested changes against the current task and the caller's role
+ * @param {Object} task - Current task item
+ * @param {Object} updateData - Request body without the comment field
+ * @param {string} userEmail - Caller's email
+ * @param {string} userRole - Caller's role
+ * @returns {Promise<Object>} { updates, reassignmentOccurred } or { error } holding an error response;
+ *          `empty` is set on the error when the request asked for no task changes at all
+ */
+async function buildTaskUpdates(task, updateData, userEmail, userRole) {
+    const { status, reason, confirmOpenItems, checklist, checkItems, ...otherUpdates } = updateData;
+    
+    // Build updates based on role
+    let updates = {};
+    let reassignmentOccurred = false;
+    const validPriorities = ['low', 'medium', 'high', 'urgent'];
+    
+    if (userRole === 'admin') {
+        // Admins can update everything
+        
+        // Validate priority if provided
+        if (otherUpdates.priority && !validPriorities.includes(otherUpdates.priority)) {
+            return { error: response(400, { 
+                error: `Invalid priority. Must be one of: ${validPriorities.join(', ')}` 
+            }) };
         }
         
-        // Status change notifications - notify admin and all assigned members
-        if (status && status !== task.status) {
-            // Notify admin/creator (if they didn't make the change)
-            if (task.createdBy && task.createdBy !== userEmail) {
-                notifications.push(
-                    sendNotificationEmail(
-                        task.createdBy,
-                        'Task Status Updated',
-                        `Task "${task.title}" status changed from "${task.status}" to "${status}" by ${userEmail}`
-                    )
-                );
-            }
-            
-            // Notify all assigned members (except the one who made the change)
-            if (task.assignedMembers) {
-                task.assignedMembers
-                    .filter(email => email !== userEmail)
-                    .forEach(email => {
-                        notifications.push(
-                            sendNotificationEmail(
-                                email,
-                                'Task Status Updated',
-                                `Task "${task.title}" status changed to "${status}" by ${userEmail}`
-                            )
-                        );
-                    });
+        // Validate due date if provided
+        if (otherUpdates.dueDate && otherUpdates.dueDate !== null) {
+            const dueDate = new Date(otherUpdates.dueDate);
+            if (isNaN(dueDate.getTime())) {
+                return { error: response(400, { error: 'Invalid due date format' }) };
             }
         }
         
-        // Priority change to urgent - notify all assigned members
-        if (updates.priority === 'urgent' && task.priority !== 'urgent') {
-            const assignedMembers = updates.assignedMembers || task.assignedMembers || [];
-            assignedMembers.forEach(email => {
-                const urgentWarning = '\n⚠️ THIS TASK IS NOW URGENT - IMMEDIATE ATTENTION REQUIRED ⚠️\n';
-                notifications.push(
-                    sendNotificationEmail(
-                        email,
-                        '🚨 URGENT: Task Priority Changed',
-                        `${urgentWarning}\nTask: "${task.title}"\n\nThe priority of this task has been changed to URGENT by ${userEmail}.\n\nDescription: ${task.description}\n\nStatus: ${updates.status || task.status}\n\nPlease prioritize this task immediately.`
-                    )
-                );
-            });
+        // Copy other allowed fields
+        if (otherUpdates.title) updates.title = otherUpdates.title.trim();
+        if (otherUpdates.description) updates.description = otherUpdates.description.trim();
+        if (otherUpdates.priority) updates.priority = otherUpdates.priority;
+        if ('dueDate' in otherUpdates) updates.dueDate = otherUpdates.dueDate;
+        if (otherUpdates.tags) updates.tags = otherUpdates.tags;
+        
+        // Validate dependencies - blockers must exist and must not lead back to this task
+        if (otherUpdates.blockedBy !== undefined) {
+            const dependencyCheck = await validateBlockedBy(task.taskId, otherUpdates.blockedBy);
+            if (!dependencyCheck.valid) {
+                return { error: response(400, dependencyCheck.error) };
+            }
+            updates.blockedBy = dependencyCheck.blockedBy;
         }
         
-        // Assignment change notifications
-        if (reassignmentOccurred && updates.assignedMembers) {
-            const oldMembers = task.assignedMembers || [];
-            const newMembers = updates.assignedMembers.filter(
-                email => !oldMembers.includes(email)
-            );
-            const removedMembers = oldMembers.filter(
-                email => !updates.assignedMembers.includes(email)
-            );
+        // Handle assignment updates
+        if (otherUpdates.assignedTo) {
+            const emailValidation = validateEmails(otherUpdates.assignedTo);
             
-            // Check if task is urgent (either in updates or existing priority)
-            const isUrgent = (updates.priority || task.priority) === 'urgent';
-            const emailSubject = isUrgent ? '🚨 URGENT: New Task Assigned' : 'New Task Assigned';
-            const urgentWarning = isUrgent ? '\n⚠️ THIS IS AN URGENT TASK - IMMEDIATE ATTENTION REQUIRED ⚠️\n' : '';
-            const urgentMessage = isUrgent ? '\n\nPlease prioritize this task immediately.' : '';
+            if (!emailValidation.valid) {
+                if (emailValidation.emails.length === 0) {
+                    return { error: response(400, { error: 'At least one member must be assigned' }) };
+                }
+                return { error: response(400, { 
+                    error: 'Invalid email addresses', 
+                    invalidEmails: emailValidation.invalid 
+                }) };
+            }
             
-            // Notify new members
-            newMembers.forEach(email => {
-                notifications.push(
-                    sendNotificationEmail(
-                        email,
-                        emailSubject,
-                        `${urgentWarning}\nYou have been assigned to task: "${task.title}"\n\nDescription: ${task.description}\n\nStatus: ${updates.status || task.status}\n\nPriority: ${(updates.priority || task.priority).toUpperCase()}${urgentMessage}`
-                    )
-                );
-            });
+            const uniqueNewMembers = emailValidation.emails;
             
-            // Notify removed members
-            removedMembers.forEach(email => {
-                notifications.push(
-                    sendNotificationEmail(
-                        email,
-                        'Task Assignment Removed',
-                        `You have been removed from task: "${task.title}"`
-                    )
-                );
-            });
-        }
-        
-        // General update notification - notify all assigned members for other changes
-        if (hasGeneralUpdate && !reassignmentOccurred) {
-            const assignedMembers = task.assignedMembers || [];
-            const fieldsChanged = changedFields.join(', ');
+            if (uniqueNewMembers.length > MAX_ASSIGNEES) {
+                return { error: response(400, { error: `A task can have at most ${MAX_ASSIGNEES} assignees` }) };
+            }
             
-            assignedMembers
-                .filter(email => email !== userEmail)
-                .forEach(email => {
-                    notifications.push(
-                        sendNotificationEmail(
-                            email,
-                            'Task Updated',
-                            `Task "${task.title}" has been updated by ${userEmail}.\n\nFields changed: ${fieldsChanged}\n\nTitle: ${updates.title || task.title}\n\nDescription: ${updates.description || task.description}\n\nPriority: ${(updates.priority || task.priority).toUpperCase()}\n\nDue Date: ${updates.dueDate || task.dueDate || 'Not set'}\n\nStatus: ${updates.status || task.status}`
-                        )
-                    );
-                });
+            // Check for inactive users, non-existent users, and admin users
+            const validationResult = await validateAssignedMembers(uniqueNewMembers);
+            
+            if (validationResult.nonExistentUsers.length > 0) {
+                return { error: response(400, { 
+                    error: 'Some users do not exist in the system', 
+                    nonExistentUsers: validationResult.nonExistentUsers 
+                }) };
+            }
+            
+            if (validationResult.inactiveUsers.length > 0) {
+                return { error: response(400, { 
+                    error: 'Cannot assign to deactivated users', 
+                    inactiveUsers: validationResult.inactiveUsers 
+                }) };
+            }
+            
+            if (validationResult.adminUsers.length > 0) {
+                return { error: response(400, { 
+                    error: 'Cannot assign tasks to admins. Admins manage tasks, only members can be assigned tasks.', 
+                    adminUsers: validationResult.adminUsers 
+                }) };
+            }
+            
+            updates.assignedMembers = uniqueNewMembers;
+            updates.assignedTo = uniqueNewMembers[0];
+            reassignmentOccurred = true;
         }
-        
-        await Promise.allSettled(notifications);
-        console.log(`Sent ${notifications.length} email notification(s) for task update`);
-        
-        console.log('Update completed successfully');
-        
-        return response(200, { 
-            message: 'Task updated successfully',
-            taskId,
-            updates
-        });
-   } catch (error) {
-        console.error('Error updating task:', error);
-        return response(500, { 
-            error: 'Failed to update task', 
-            message: error.message 
+    }
+    
+    // Checklist changes come before the status so completing in the same request sees them
+    const checklistError = applyChecklistChanges(task, { checklist, checkItems }, userRole, updates);
+    if (checklistError) {
+        return { error: checklistError };
+    }
+    
+    // Both roles change status through the workflow; the transition decides who may do what
+    if (status) {
+        const openBlockers = status !== task.status
+            ? await getOpenBlockers(updates.blockedBy || task.blockedBy)
+            : [];
+        const statusError = applyStatusChange(task, { status, reason, confirmOpenItems, openBlockers }, userEmail, userRole, updates);
+        if (statusError) {
+            return { error: statusError };
+        }
+    }
+    
+    if (Object.keys(updates).length === 0) {
+        // Members can only change the status and tick checklist items
+        console.log('ERROR: No updates provided');
+        const error = userRole === 'admin' ? 'No updates provided' : 'No valid updates provided';
+        return { error: response(400, { error }), empty: true };
+    }
+    
+    return { updates, reassignmentOccurred };
+}
+
+/**
+ * Apply checklist changes to the updates
+ * Admins send the whole `checklist` to add, reorder or remove items; anyone who may
+ * update the task sends `checkItems` ({ itemId: true|false }) to tick items off.
+ * Items assigned to members who were just unassigned from the task lose their assignee.
+ * @param {Object} task - Current task item
+ * @param {Object} changes - { checklist, checkItems } from the request
+ * @param {string} userRole - Caller's role
+ * @param {Object} updates - Updates being built; modified in place
+ * @returns {Object|null} Error response, or null if the changes are valid
+ */
+function applyChecklistChanges(task, { checklist, checkItems }, userRole, updates) {
+    const assignedMembers = updates.assignedMembers || task.assignedMembers || [];
+    let current = task.checklist || [];
+    
+    if (checklist !== undefined && userRole === 'admin') {
+        const built = buildChecklist(checklist, current, assignedMembers);
+        if (!built.valid) {
+            return response(400, built.error);
+        }
+        current = built.checklist;
+        updates.checklist = current;
+    } else if (updates.assignedMembers && current.length > 0) {
+        current = unassignRemovedMembers(current, assignedMembers);
+        updates.checklist = current;
+    }
+    
+    if (checkItems !== undefined) {
+        const ticked = setItemsDone(checkItems, current);
+        if (!ticked.valid) {
+            return response(400, ticked.error);
+        }
+        updates.checklist = ticked.checklist;
+    }
+    
+    return null;
+}
+
+/**
+ * Check a status change against the workflow and add it to the updates
+ * The reason given for the change is kept on the task as statusReason until the next change.
+ * Review steps also update the task's review record (submission note, decision, rejection reason).
+ * @param {Object} task - Current task item
+ * @param {Object} change - { status, reason, confirmOpenItems } from the request, plus the task's openBlockers
+ * @param {string} userEmail - Caller's email
+ * @param {string} userRole - Caller's role
+ * @param {Object} updates - Updates being built; modified in place
+ * @returns {Object|null} Error response, or null if the change is allowed
+ */
+function applyStatusChange(task, { status, reason, confirmOpenItems, openBlockers }, userEmail, userRole, updates) {
+    const check = checkTransition(task.status, status, userRole, {
+        reason,
+        confirmOpenItems,
+        openBlockers,
+        checklist: updates.checklist || task.checklist
+    });
+    if (!check.allowed) {
+        return response(check.statusCode, {
+            error: check.error,
+            currentStatus: task.status,
+            ...(check.allowedStatuses && { allowedStatuses: check.allowedStatuses }),
+            ...(check.guard && { guard: check.guard }),
+            ...(check.guard === 'blockersDone' && { openBlockers })
         });
     }
+    
+    updates.status = status;
+    if (status === task.status) {
+        return null;
+    }
+    
+    updates.statusReason = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+    
+    const now = new Date().toISOString();
+    switch (check.transition && check.transition.action) {
+        case 'submitForReview':
+            updates.review = {
+                status: 'pending',
+                submittedBy: userEmail,
+                submittedAt: now,
+                note: updates.statusReason
+            };
+            break;
+        case 'approve':
+            updates.review = { ...task.review, status: 'approved', decidedBy: userEmail, decidedAt: now };
+            break;
+        case 'reject':
+            updates.review = {
+                ...task.review,
+                status: 'rejected',
+                decidedBy: userEmail,
+                decidedAt: now,
+                reason: updates.statusReason
+            };
+            break;
+        default:
+            break;
+    }
+    return null;
 }
@@ -0,0 +1,95 @@
+/**
+ * User Calendar Lambda Function
+ * Handles GET /users/me/calendar and POST /users/me/calendar/rotate
+ * Every signed-in user gets the address of their calendar feed (created on first use)
+ * and can rotate it, which stops the old address from working.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { getUserByEmail } = require('./notifications');
+const { rotateCalendarToken } = require('./calendar');
+
+exports.handler = async (event) => {
+    console.log('User Calendar Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+
+        // Creates the user record on first use, so there is always one to store the token on
+        await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        const user = await getUserByEmail(userEmail);
+        if (!user) {
+            return response(404, { error: 'User not found' });
+        }
+
+        switch (httpMethod) {
+            case 'GET':
+                return await getFeed(user, requestContext);
+            case 'POST':
+                return await rotateFeed(user, requestContext);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Public address of a feed on the API the request came in through
+ */
+function feedUrl(token, requestContext) {
+    const path = `/calendar/${token}.ics`;
+    const { domainName, stage } = requestContext || {};
+    return domainName ? `https://${domainName}/${stage}${path}` : path;
+}
+
+function feedResponse(feed, requestContext, message) {
+    return response(200, {
+        ...(message && { message }),
+        feedUrl: feedUrl(feed.token, requestContext),
+        createdAt: feed.createdAt
+    });
+}
+
+/**
+ * The caller's feed address, creating the feed on first use
+ */
+async function getFeed(user, requestContext) {
+    const feed = user.calendarToken
+        ? { token: user.calendarToken, createdAt: user.calendarTokenCreatedAt }
+        : await rotateCalendarToken(user.userId);
+    return feedResponse(feed, requestContext);
+}
+
+/**
+ * Replace the caller's feed address; calendars subscribed to the old one stop updating
+ */
+async function rotateFeed(user, requestContext) {
+    const feed = await rotateCalendarToken(user.userId);
+    return feedResponse(feed, requestContext, 'Calendar link reset successfully');
+}
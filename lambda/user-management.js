@@ -1,19 +1,24 @@
 /**
  * User Management Lambda
  * Handles user administration functions like listing users, updating roles, and deactivating accounts
- * Only accessible by admins
+ * Only accessible by admins, except that members can list active members
+ * GET /users?include=workload adds each active member's open task counts (see workload.js)
  */
 
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
 const {
     getUserRole,
+    checkUserActive,
     response,
     validateAuth,
     buildUpdateExpression,
+    fetchAllPages,
     USERS_TABLE,
     dynamodb
 } = require('./shared-utils');
+const { webhookJobs, writeWithOutbox } = require('./outbox');
+const { loadWorkloads } = require('./workload');
 
 const cognito = new AWS.CognitoIdentityServiceProvider();
 const USER_POOL_ID = process.env.USER_POOL_ID;
@@ -22,7 +27,7 @@ exports.handler = async (event) => {
     console.log('Event:', JSON.stringify(event, null, 2));
     
     try {
-        const { httpMethod, pathParameters, body, requestContext } = event;
+        const { httpMethod, pathParameters, queryStringParameters, body, requestContext } = event;
         
         // Validate authentication
         const authResult = validateAuth(requestContext);
@@ -33,6 +38,17 @@ exports.handler = async (event) => {
         const userEmail = authResult.userEmail;
         const userRole = await getUserRole(userEmail);
         
+        // Check if user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+        
+        // Members may only list other active members, e.g. to @mention them in comments
+        if (userRole !== 'admin' && httpMethod === 'GET' && !(pathParameters && pathParameters.userId)) {
+            return await getMemberDirectory();
+        }
+        
         // Only admins can access user management functions
         if (userRole !== 'admin') {
             return response(403, { 
@@ -42,7 +58,7 @@ exports.handler = async (event) => {
         
         switch (httpMethod) {
             case 'GET':
-                return await getUsers(pathParameters);
+                return await getUsers(pathParameters, queryStringParameters);
             case 'POST':
                 return await createOrUpdateUser(JSON.parse(body), userEmail);
             case 'PUT':
@@ -64,9 +80,14 @@ exports.handler = async (event) => {
 /**
  * Get users - all users or specific user by ID
  */
-async function getUsers(pathParameters) {
+async function getUsers(pathParameters, queryStringParameters) {
     try {
         let users;
+        const include = queryStringParameters && queryStringParameters.include;
+        
+        if (include && include !== 'workload') {
+            return response(400, { error: 'Invalid include. Must be: workload' });
+        }
         
         if (pathParameters && pathParameters.userId) {
             // Get specific user
@@ -88,6 +109,15 @@ async function getUsers(pathParameters) {
             
             users = result.Items || [];
             
+            if (include === 'workload') {
+                // Only members are ever assigned tasks, so admins have no workload
+                const memberEmails = users
+                    .filter(user => user.status === 'active' && user.role === 'member')
+                    .map(user => user.email);
+                const workloads = await loadWorkloads(memberEmails);
+                users = users.map(user => (workloads[user.email] ? { ...user, workload: workloads[user.email] } : user));
+            }
+            
             // Enrich with Cognito status if possible
             const enrichedUsers = await Promise.all(
                 users.map(async (user) => {
@@ -118,6 +148,31 @@ async function getUsers(pathParameters) {
     }
 }
 
+/**
+ * Active members with only the fields needed to pick them out of a list
+ */
+async function getMemberDirectory() {
+    const users = await fetchAllPages('scan', {
+        TableName: USERS_TABLE,
+        FilterExpression: '#status = :active AND #role = :member',
+        ExpressionAttributeNames: { '#status': 'status', '#role': 'role' },
+        ExpressionAttributeValues: { ':active': 'active', ':member': 'member' }
+    });
+    
+    const members = users.map(user => ({
+        email: user.email,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        role: user.role,
+        status: user.status
+    }));
+    
+    return response(200, {
+        users: members,
+        count: members.length
+    });
+}
+
 async function getCognitoUserByEmail(email) {
     if (!USER_POOL_ID) {
         return null;
@@ -247,11 +302,23 @@ async function updateUserStatus(updateData, adminEmail) {
         
         const updateParams = buildUpdateExpression(updates);
         
-        await dynamodb.update({
-            TableName: USERS_TABLE,
-            Key: { userId },
-            ...updateParams
-        }).promise();
+        // Taking an active user out of service is a deactivation for webhooks
+        let jobs = [];
+        if (status !== 'active') {
+            const userResult = await dynamodb.get({
+                TableName: USERS_TABLE,
+                Key: { userId }
+            }).promise();
+            jobs = await deactivationJobs(userResult.Item, updates, adminEmail);
+        }
+        
+        await writeWithOutbox([{
+            Update: {
+                TableName: USERS_TABLE,
+                Key: { userId },
+                ...updateParams
+            }
+        }], jobs);
         
         return response(200, { 
             message: 'User status updated successfully',
@@ -298,11 +365,13 @@ async function deactivateUser(pathParameters, adminEmail) {
         
         const updateParams = buildUpdateExpression(updates);
         
-        await dynamodb.update({
-            TableName: USERS_TABLE,
-            Key: { userId },
-            ...updateParams
-        }).promise();
+        await writeWithOutbox([{
+            Update: {
+                TableName: USERS_TABLE,
+                Key: { userId },
+                ...updateParams
+            }
+        }], await deactivationJobs(user, updates, adminEmail));
         
         // Optionally disable in Cognito as well
         if (USER_POOL_ID) {
@@ -330,3 +399,26 @@ async function deactivateUser(pathParameters, adminEmail) {
         throw new Error(`Failed to deactivate user: ${error.message}`);
     }
 }
+
+/**
+ * Webhook deliveries for a user leaving active service
+ * @param {Object|undefined} user - User record before the change
+ * @param {Object} updates - Status change being written
+ * @param {string} adminEmail - Admin making the change
+ * @returns {Promise<Array<Object>>} Outbox jobs; none unless the user was active
+ */
+async function deactivationJobs(user, updates, adminEmail) {
+    if (!user || (user.status && user.status !== 'active')) {
+        return [];
+    }
+    
+    return webhookJobs('user.deactivated', {
+        user: {
+            userId: user.userId,
+            email: user.email,
+            role: user.role,
+            status: updates.status
+        },
+        actor: adminEmail
+    });
+}
@@ -0,0 +1,94 @@
+/**
+ * User Preferences Lambda Function
+ * Handles GET/PUT /users/me/preferences
+ * Every signed-in user reads and changes their own notification preferences:
+ * a delivery (instant, digest or off) per event type, a list of muted tasks and
+ * how often the digest email goes out.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const {
+    EVENT_TYPES,
+    DELIVERY_MODES,
+    DIGEST_FREQUENCIES,
+    getUserByEmail,
+    resolvePreferences,
+    validatePreferences,
+    savePreferences
+} = require('./notifications');
+
+exports.handler = async (event) => {
+    console.log('User Preferences Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+
+        // Creates the user record on first use, so there is always one to store preferences on
+        await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        const user = await getUserByEmail(userEmail);
+        if (!user) {
+            return response(404, { error: 'User not found' });
+        }
+
+        switch (httpMethod) {
+            case 'GET':
+                return preferencesResponse(resolvePreferences(user.notificationPreferences));
+            case 'PUT':
+                return await updatePreferences(user, JSON.parse(body || '{}'));
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * Preferences plus the event types, delivery modes and digest frequencies the settings page offers
+ */
+function preferencesResponse(preferences, message) {
+    return response(200, {
+        ...(message && { message }),
+        preferences,
+        eventTypes: EVENT_TYPES,
+        deliveryModes: DELIVERY_MODES,
+        digestFrequencies: DIGEST_FREQUENCIES
+    });
+}
+
+/**
+ * Change the deliveries of some events, the muted task list and/or the digest frequency
+ */
+async function updatePreferences(user, input) {
+    const validation = validatePreferences(input, resolvePreferences(user.notificationPreferences));
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    const preferences = await savePreferences(user.userId, validation.preferences);
+    return preferencesResponse(preferences, 'Preferences updated successfully');
+}
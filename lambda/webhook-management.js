@@ -0,0 +1,204 @@
+/**
+ * Webhook Management Lambda Function
+ * Handles /webhooks, /webhooks/{webhookId} and
+ * /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver - admin only
+ * Admins register endpoints for task and user events, inspect the delivery log
+ * and redeliver a past delivery.
+ */
+
+const {
+    getUserRole,
+    checkUserActive,
+    response,
+    validateAuth
+} = require('./shared-utils');
+const { webhookJob, writeWithOutbox } = require('./outbox');
+const {
+    validateWebhookInput,
+    withoutSecret,
+    getWebhook,
+    listWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    parseDeliveryQuery,
+    listDeliveries,
+    getDelivery
+} = require('./webhooks');
+
+exports.handler = async (event) => {
+    console.log('Webhook Management Event:', JSON.stringify(event, null, 2));
+
+    try {
+        const { httpMethod, pathParameters, queryStringParameters, body, requestContext } = event;
+
+        // Validate authentication
+        const authResult = validateAuth(requestContext);
+        if (!authResult.valid) {
+            return authResult.error;
+        }
+
+        const userEmail = authResult.userEmail;
+        const userRole = await getUserRole(userEmail);
+
+        // Verify user is active
+        const isActiveUser = await checkUserActive(userEmail);
+        if (!isActiveUser) {
+            return response(403, { error: 'Account is deactivated' });
+        }
+
+        if (userRole !== 'admin') {
+            return response(403, { error: 'Forbidden - Only admins can manage webhooks' });
+        }
+
+        const webhookId = pathParameters && pathParameters.webhookId;
+        const deliveryId = pathParameters && pathParameters.deliveryId;
+
+        switch (httpMethod) {
+            case 'GET':
+                return webhookId
+                    ? await getWebhookDetail(webhookId, queryStringParameters)
+                    : await getAllWebhooks();
+            case 'POST':
+                return deliveryId
+                    ? await redeliver(webhookId, deliveryId, userEmail)
+                    : await addWebhook(JSON.parse(body || '{}'), userEmail);
+            case 'PUT':
+                return await editWebhook(webhookId, JSON.parse(body || '{}'), userEmail);
+            case 'DELETE':
+                return await removeWebhook(webhookId);
+            default:
+                return response(405, { error: 'Method not allowed' });
+        }
+    } catch (error) {
+        console.error('Error:', error);
+        return response(500, {
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
+
+/**
+ * List every webhook
+ */
+async function getAllWebhooks() {
+    const webhooks = (await listWebhooks()).map(withoutSecret);
+    return response(200, { webhooks, count: webhooks.length });
+}
+
+/**
+ * One webhook with a page of its delivery log, newest first
+ */
+async function getWebhookDetail(webhookId, queryStringParameters) {
+    const parsed = parseDeliveryQuery(queryStringParameters);
+    if (!parsed.valid) {
+        return response(400, { error: parsed.error });
+    }
+
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) {
+        return response(404, { error: 'Webhook not found' });
+    }
+
+    const { deliveries, nextToken } = await listDeliveries(webhookId, parsed.query);
+    return response(200, { webhook: withoutSecret(webhook), deliveries, nextToken });
+}
+
+/**
+ * Register a webhook - the response is the only time its secret is shown
+ */
+async function addWebhook(webhookData, userEmail) {
+    const validation = validateWebhookInput(webhookData, null);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    const webhook = await createWebhook(validation.fields, userEmail);
+
+    return response(201, {
+        message: 'Webhook created successfully',
+        webhook
+    });
+}
+
+/**
+ * Edit a webhook, disable or enable it through `status`, or rotate its secret with `rotateSecret: true`
+ */
+async function editWebhook(webhookId, webhookData, userEmail) {
+    if (!webhookId) {
+        return response(400, { error: 'Missing required parameter: webhookId' });
+    }
+
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) {
+        return response(404, { error: 'Webhook not found' });
+    }
+
+    const validation = validateWebhookInput(webhookData, webhook);
+    if (!validation.valid) {
+        return response(400, validation.error);
+    }
+
+    if (Object.keys(validation.fields).length === 0) {
+        return response(400, { error: 'No updates provided' });
+    }
+
+    const updated = await updateWebhook(webhook, validation.fields, userEmail);
+
+    return response(200, {
+        message: 'Webhook updated successfully',
+        webhook: validation.fields.secret ? updated : withoutSecret(updated)
+    });
+}
+
+/**
+ * Remove a webhook; deliveries still queued for it are dropped
+ */
+async function removeWebhook(webhookId) {
+    if (!webhookId) {
+        return response(400, { error: 'Missing required parameter: webhookId' });
+    }
+
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) {
+        return response(404, { error: 'Webhook not found' });
+    }
+
+    await deleteWebhook(webhookId);
+
+    return response(200, {
+        message: 'Webhook deleted successfully',
+        webhookId
+    });
+}
+
+/**
+ * Queue a logged delivery again with the same payload, as a new delivery
+ */
+async function redeliver(webhookId, deliveryId, userEmail) {
+    const webhook = await getWebhook(webhookId);
+    if (!webhook) {
+        return response(404, { error: 'Webhook not found' });
+    }
+
+    const delivery = await getDelivery(webhookId, deliveryId);
+    if (!delivery) {
+        return response(404, { error: 'Delivery not found' });
+    }
+
+    if (webhook.status !== 'active') {
+        return response(400, { error: 'Enable the webhook before redelivering' });
+    }
+
+    const job = webhookJob(webhookId, delivery.payload, new Date(), {
+        redeliveryOf: deliveryId,
+        redeliveredBy: userEmail
+    });
+    await writeWithOutbox([], [job]);
+
+    return response(202, {
+        message: 'Delivery queued',
+        deliveryId: job.jobId
+    });
+}
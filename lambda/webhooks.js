@@ -0,0 +1,425 @@
+/**
+ * Outbound webhooks
+ * Admins register endpoints in WEBHOOKS_TABLE, each subscribed to some of WEBHOOK_EVENTS.
+ * Handlers build an event payload where they build their email notifications, and
+ * webhookJobs() in outbox.js queues one delivery per subscribed endpoint in the same
+ * transaction as the change. The outbox worker POSTs each delivery through
+ * deliverWebhook(), so failures get the outbox's retries and dead letters.
+ *
+ * Every attempt is logged in WEBHOOK_DELIVERIES_TABLE under the delivery, keyed by its
+ * outbox job ID, with the payload so an admin can inspect and redeliver it.
+ *
+ * Requests are signed: X-Webhook-Signature is `sha256=` followed by the hex HMAC-SHA256,
+ * keyed with the endpoint's secret, of `<X-Webhook-Timestamp>.<raw body>`.
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const {
+    fetchAllPages,
+    encodePageToken,
+    decodePageToken,
+    WEBHOOKS_TABLE,
+    WEBHOOK_DELIVERIES_TABLE,
+    dynamodb
+} = require('./shared-utils');
+
+const WEBHOOK_EVENTS = ['task.created', 'task.updated', 'task.status_changed', 'task.deleted', 'user.deactivated'];
+const WEBHOOK_STATUSES = ['active', 'disabled'];
+const MAX_DESCRIPTION_LENGTH = 200;
+
+// An endpoint that has not answered by then counts as a failed attempt
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+// Response bodies are logged up to this many characters
+const MAX_LOGGED_RESPONSE = 1000;
+// Delivery logs expire (DynamoDB TTL) after this many days
+const DELIVERY_RETENTION_DAYS = 30;
+
+const DEFAULT_DELIVERY_PAGE_SIZE = 20;
+const MAX_DELIVERY_PAGE_SIZE = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @returns {string} A new signing secret
+ */
+function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate webhook fields from a request
+ * On create url and events are required; on update only the fields sent are checked.
+ * @param {Object} input - Request body
+ * @param {Object|null} existing - Stored webhook when updating, null when creating
+ * @returns {Object} { valid: true, fields } or { valid: false, error } with the error body
+ */
+function validateWebhookInput(input, existing) {
+    const fields = {};
+    const has = (field) => input[field] !== undefined;
+    const isCreate = !existing;
+
+    if (isCreate && (!input.url || !input.events)) {
+        return { valid: false, error: { error: 'Missing required fields: url and events' } };
+    }
+
+    if (has('url')) {
+        let url = null;
+        try {
+            url = typeof input.url === 'string' ? new URL(input.url) : null;
+        } catch (error) {
+            url = null;
+        }
+        if (!url || url.protocol !== 'https:') {
+            return { valid: false, error: { error: 'url must be an https:// URL' } };
+        }
+        fields.url = url.toString();
+    }
+
+    if (has('events')) {
+        if (!Array.isArray(input.events) || input.events.length === 0) {
+            return { valid: false, error: { error: 'events must list at least one event type' } };
+        }
+        const invalidEvents = input.events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (invalidEvents.length > 0) {
+            return {
+                valid: false,
+                error: { error: `Invalid event types. Must be among: ${WEBHOOK_EVENTS.join(', ')}`, invalidEvents }
+            };
+        }
+        fields.events = [...new Set(input.events)];
+    }
+
+    if (has('description')) {
+        if (typeof input.description !== 'string' || input.description.length > MAX_DESCRIPTION_LENGTH) {
+            return { valid: false, error: { error: `description must be text of at most ${MAX_DESCRIPTION_LENGTH} characters` } };
+        }
+        fields.description = input.description.trim();
+    }
+
+    if (has('status')) {
+        if (!WEBHOOK_STATUSES.includes(input.status)) {
+            return { valid: false, error: { error: `Invalid status. Must be one of: ${WEBHOOK_STATUSES.join(', ')}` } };
+        }
+        fields.status = input.status;
+    }
+
+    if (!isCreate && input.rotateSecret === true) {
+        fields.secret = generateSecret();
+    }
+
+    return { valid: true, fields };
+}
+
+/**
+ * A webhook as shown to admins - the secret is only returned when it is created or rotated
+ * @param {Object} webhook - Stored webhook
+ * @returns {Object} The webhook without its secret
+ */
+function withoutSecret(webhook) {
+    const shown = { ...webhook };
+    delete shown.secret;
+    return shown;
+}
+
+/**
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<Object|null>} The webhook, or null
+ */
+async function getWebhook(webhookId) {
+    const result = await dynamodb.get({
+        TableName: WEBHOOKS_TABLE,
+        Key: { webhookId }
+    }).promise();
+    return result.Item || null;
+}
+
+/**
+ * @returns {Promise<Array<Object>>} Every webhook, newest first
+ */
+async function listWebhooks() {
+    const items = await fetchAllPages('scan', { TableName: WEBHOOKS_TABLE });
+    return items.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Active webhooks subscribed to an event
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @returns {Promise<Array<Object>>} Webhooks
+ */
+async function subscribedWebhooks(event) {
+    return fetchAllPages('scan', {
+        TableName: WEBHOOKS_TABLE,
+        FilterExpression: '#status = :active AND contains(events, :event)',
+        ExpressionAttributeNames: { '#status': 'status' },
+        ExpressionAttributeValues: { ':active': 'active', ':event': event }
+    });
+}
+
+/**
+ * Register a webhook with a new signing secret
+ * @param {Object} fields - Validated fields
+ * @param {string} userEmail - Admin registering it
+ * @returns {Promise<Object>} The stored webhook, secret included
+ */
+async function createWebhook(fields, userEmail) {
+    const now = new Date().toISOString();
+    const webhook = {
+        webhookId: uuidv4(),
+        description: '',
+        ...fields,
+        status: fields.status || 'active',
+        secret: generateSecret(),
+        createdBy: userEmail,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await dynamodb.put({
+        TableName: WEBHOOKS_TABLE,
+        Item: webhook,
+        ConditionExpression: 'attribute_not_exists(webhookId)'
+    }).promise();
+
+    return webhook;
+}
+
+/**
+ * Apply validated changes to a webhook
+ * Deliveries already queued go to the URL stored when they are attempted.
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} fields - Validated fields
+ * @param {string} userEmail - Admin making the change
+ * @returns {Promise<Object>} The updated webhook
+ */
+async function updateWebhook(webhook, fields, userEmail) {
+    const updates = { ...fields, updatedAt: new Date().toISOString(), updatedBy: userEmail };
+
+    const names = {};
+    const values = {};
+    const assignments = Object.entries(updates).map(([key, value]) => {
+        names[`#${key}`] = key;
+        values[`:${key}`] = value;
+        return `#${key} = :${key}`;
+    });
+
+    const result = await dynamodb.update({
+        TableName: WEBHOOKS_TABLE,
+        Key: { webhookId: webhook.webhookId },
+        UpdateExpression: `SET ${assignments.join(', ')}`,
+        ConditionExpression: 'attribute_exists(webhookId)',
+        ExpressionAttributeNames: names,
+        ExpressionAttributeValues: values,
+        ReturnValues: 'ALL_NEW'
+    }).promise();
+
+    return result.Attributes;
+}
+
+/**
+ * Remove a webhook; deliveries still queued for it are dropped, its log is kept until it expires
+ * @param {string} webhookId - Webhook ID
+ * @returns {Promise<void>}
+ */
+async function deleteWebhook(webhookId) {
+    await dynamodb.delete({
+        TableName: WEBHOOKS_TABLE,
+        Key: { webhookId }
+    }).promise();
+}
+
+/**
+ * Sign a request body
+ * @param {string} secret - The webhook's secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Value of X-Webhook-Signature
+ */
+function signPayload(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST one delivery to its endpoint
+ * @param {Object} webhook - Stored webhook
+ * @param {Object} job - Outbox job from webhookJob()
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { statusCode, responseBody, error }
+ */
+async function postDelivery(webhook, job, now) {
+    const body = JSON.stringify(job.payload);
+    const timestamp = Math.floor(now.getTime() / 1000);
+
+    try {
+        const result = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'TaskManager-Webhooks/1.0',
+                'X-Webhook-Id': webhook.webhookId,
+                'X-Webhook-Event': job.event,
+                'X-Webhook-Delivery': job.jobId,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        const responseBody = (await result.text()).slice(0, MAX_LOGGED_RESPONSE);
+        return {
+            statusCode: result.status,
+            responseBody,
+            error: result.ok ? null : `Endpoint responded with HTTP ${result.status}`
+        };
+    } catch (error) {
+        return {
+            statusCode: null,
+            responseBody: null,
+            error: error.name === 'TimeoutError'
+                ? `No response within ${WEBHOOK_TIMEOUT_MS / 1000} seconds`
+                : error.message || String(error)
+        };
+    }
+}
+
+/**
+ * Deliver a queued webhook job and log the attempt
+ * A webhook removed or disabled since the event was queued is skipped.
+ * @param {Object} job - Outbox job from webhookJob()
+ * @param {Object} options
+ * @param {Date} options.now - Current time
+ * @param {boolean} options.lastAttempt - True if the outbox gives up when this attempt fails
+ * @returns {Promise<boolean>} True if delivered, false if skipped
+ * @throws {Error} When the endpoint did not accept the delivery
+ */
+async function deliverWebhook(job, { now, lastAttempt }) {
+    const webhook = await getWebhook(job.webhookId);
+    if (!webhook || webhook.status !== 'active') {
+        return false;
+    }
+
+    const started = Date.now();
+    const { statusCode, responseBody, error } = await postDelivery(webhook, job, now);
+    const status = !error ? 'delivered' : lastAttempt ? 'failed' : 'retrying';
+
+    const attempt = {
+        attemptedAt: now.toISOString(),
+        statusCode,
+        durationMs: Date.now() - started,
+        ...(error && { error })
+    };
+
+    await dynamodb.update({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Key: { webhookId: job.webhookId, deliveryId: job.jobId },
+        UpdateExpression: 'SET #event = :event, eventId = :eventId, payload = :payload, ' +
+            'createdAt = if_not_exists(createdAt, :createdAt), #status = :status, ' +
+            'lastStatusCode = :statusCode, lastResponse = :response, lastError = :error, ' +
+            'attempts = list_append(if_not_exists(attempts, :none), :attempt), expiresAt = :expiresAt' +
+            (job.redeliveryOf ? ', redeliveryOf = :redeliveryOf' : '') +
+            (error ? '' : ', deliveredAt = :now'),
+        ExpressionAttributeNames: { '#event': 'event', '#status': 'status' },
+        ExpressionAttributeValues: {
+            ':event': job.event,
+            ':eventId': job.payload.id,
+            ':payload': job.payload,
+            ':createdAt': job.createdAt,
+            ':status': status,
+            ':statusCode': statusCode,
+            ':response': responseBody,
+            ':error': error,
+            ':none': [],
+            ':attempt': [attempt],
+            ':expiresAt': Math.floor((now.getTime() + DELIVERY_RETENTION_DAYS * DAY_MS) / 1000),
+            ...(job.redeliveryOf && { ':redeliveryOf': job.redeliveryOf }),
+            ...(!error && { ':now': now.toISOString() })
+        }
+    }).promise();
+
+    if (error) {
+        throw new Error(error);
+    }
+    return true;
+}
+
+/**
+ * Parse limit/nextToken for a delivery log listing
+ * @param {Object} queryStringParameters - Raw query string parameters (may be null)
+ * @returns {Object} { valid, error, query }
+ */
+function parseDeliveryQuery(queryStringParameters) {
+    const params = queryStringParameters || {};
+
+    let limit = DEFAULT_DELIVERY_PAGE_SIZE;
+    if (params.limit !== undefined) {
+        limit = Number(params.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_PAGE_SIZE) {
+            return { valid: false, error: `Invalid limit. Must be an integer between 1 and ${MAX_DELIVERY_PAGE_SIZE}` };
+        }
+    }
+
+    let startKey = null;
+    if (params.nextToken) {
+        startKey = decodePageToken(params.nextToken);
+        if (!startKey || !startKey.webhookId || !startKey.deliveryId || !startKey.createdAt) {
+            return { valid: false, error: 'Invalid nextToken' };
+        }
+    }
+
+    return { valid: true, query: { limit, startKey } };
+}
+
+/**
+ * List one page of a webhook's deliveries, newest first
+ * @param {string} webhookId - Webhook ID
+ * @param {Object} query - Query produced by parseDeliveryQuery
+ * @returns {Promise<Object>} { deliveries, nextToken }
+ */
+async function listDeliveries(webhookId, query) {
+    const result = await dynamodb.query({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        IndexName: 'CreatedAtIndex',
+        KeyConditionExpression: 'webhookId = :webhookId',
+        ExpressionAttributeValues: { ':webhookId': webhookId },
+        ScanIndexForward: false,
+        Limit: query.limit,
+        ...(query.startKey && query.startKey.webhookId === webhookId && { ExclusiveStartKey: query.startKey })
+    }).promise();
+
+    return {
+        deliveries: result.Items || [],
+        nextToken: result.LastEvaluatedKey ? encodePageToken(result.LastEvaluatedKey) : null
+    };
+}
+
+/**
+ * @param {string} webhookId - Webhook ID
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} The logged delivery, or null
+ */
+async function getDelivery(webhookId, deliveryId) {
+    const result = await dynamodb.get({
+        TableName: WEBHOOK_DELIVERIES_TABLE,
+        Key: { webhookId, deliveryId }
+    }).promise();
+    return result.Item || null;
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    validateWebhookInput,
+    withoutSecret,
+    getWebhook,
+    listWebhooks,
+    subscribedWebhooks,
+    createWebhook,
+    updateWebhook,
+    deleteWebhook,
+    signPayload,
+    deliverWebhook,
+    parseDeliveryQuery,
+    listDeliveries,
+    getDelivery
+};
@@ -0,0 +1,214 @@
+/**
+ * Task status workflow
+ * The single definition of the task states, the transitions allowed between them,
+ * which roles may perform each transition and the guards a transition must pass.
+ * Handlers validate statuses through this module and GET /workflow serves it to the frontend.
+ * A transition's `action` marks a step of the review process that update-task.js
+ * records and announces specially.
+ */
+
+const { countOpenItems } = require('./checklist');
+
+const WORKFLOW = {
+    version: 4,
+    initialState: 'pending',
+    states: [
+        { id: 'pending', label: 'Pending', initial: true },
+        { id: 'in-progress', label: 'In Progress', initial: true },
+        { id: 'blocked', label: 'Blocked' },
+        { id: 'in-review', label: 'In Review' },
+        { id: 'completed', label: 'Completed', final: true },
+        { id: 'cancelled', label: 'Cancelled', final: true }
+    ],
+    transitions: [
+        // Work cannot start while the tasks it depends on are still open
+        { from: 'pending', to: 'in-progress', roles: ['admin', 'member'], guards: ['blockersDone'] },
+        { from: 'pending', to: 'blocked', roles: ['admin', 'member'], guards: ['reasonRequired'] },
+        { from: 'pending', to: 'cancelled', roles: ['admin'] },
+        { from: 'in-progress', to: 'pending', roles: ['admin', 'member'] },
+        { from: 'in-progress', to: 'blocked', roles: ['admin', 'member'], guards: ['reasonRequired'] },
+        // Members finish work by submitting it for review; only admins complete tasks
+        { from: 'in-progress', to: 'in-review', roles: ['member'], guards: ['reasonRequired'], reasonLabel: 'note', action: 'submitForReview' },
+        { from: 'in-progress', to: 'completed', roles: ['admin'], guards: ['checklistConfirmed'] },
+        { from: 'in-progress', to: 'cancelled', roles: ['admin'] },
+        { from: 'in-review', to: 'completed', roles: ['admin'], guards: ['checklistConfirmed'], action: 'approve' },
+        { from: 'in-review', to: 'in-progress', roles: ['admin'], guards: ['reasonRequired'], action: 'reject' },
+        { from: 'in-review', to: 'cancelled', roles: ['admin'] },
+        { from: 'blocked', to: 'pending', roles: ['admin', 'member'] },
+        { from: 'blocked', to: 'in-progress', roles: ['admin', 'member'], guards: ['blockersDone'] },
+        { from: 'blocked', to: 'cancelled', roles: ['admin'] },
+        // Reopening finished work is an admin decision
+        { from: 'completed', to: 'in-progress', roles: ['admin'] },
+        { from: 'cancelled', to: 'pending', roles: ['admin'] }
+    ]
+};
+
+const MAX_REASON_LENGTH = 1000;
+
+/**
+ * Guard rules referenced by name from the transitions
+ * Each returns an error message, or null when the transition may go ahead
+ */
+const GUARDS = {
+    // The reason travels in the request's `reason` field; reasonLabel only changes the wording
+    reasonRequired: (transition, context) => {
+        const label = transition.reasonLabel || 'reason';
+        const reason = typeof context.reason === 'string' ? context.reason.trim() : '';
+        if (!reason) {
+            return `A ${label} is required to move a task to ${transition.to}`;
+        }
+        if (reason.length > MAX_REASON_LENGTH) {
+            return `The ${label} must be ${MAX_REASON_LENGTH} characters or fewer`;
+        }
+        return null;
+    },
+
+    // Completing a task with open checklist items must be confirmed with confirmOpenItems
+    checklistConfirmed: (transition, context) => {
+        const openItems = countOpenItems(context.checklist);
+        if (openItems === 0 || context.confirmOpenItems === true) {
+            return null;
+        }
+        return `${openItems} checklist item${openItems === 1 ? ' is' : 's are'} still open. Confirm to move the task to ${transition.to} anyway`;
+    },
+
+    // context.openBlockers lists the blocking tasks that have not reached a final state
+    blockersDone: (transition, context) => {
+        const openBlockers = context.openBlockers || [];
+        if (openBlockers.length === 0) {
+            return null;
+        }
+        return `Cannot move the task to ${transition.to} while it is blocked by: ${openBlockers.map(blocker => `"${blocker.title}" (${blocker.status})`).join(', ')}`;
+    }
+};
+
+const STATUS_IDS = WORKFLOW.states.map(state => state.id);
+
+/**
+ * @param {string} status - Status to check
+ * @returns {boolean} True if the status is a state of the workflow
+ */
+function isValidStatus(status) {
+    return STATUS_IDS.includes(status);
+}
+
+/**
+ * @param {string} status - Status to check
+ * @returns {boolean} True if the status is a final state (the task is finished one way or another)
+ */
+function isFinalStatus(status) {
+    return WORKFLOW.states.some(state => state.id === status && state.final);
+}
+
+/**
+ * States a task may be created in
+ * @returns {Array<string>} Status IDs
+ */
+function getInitialStates() {
+    return WORKFLOW.states.filter(state => state.initial).map(state => state.id);
+}
+
+/**
+ * States the task can move to next
+ * @param {string} from - Current status
+ * @param {string} [role] - Only transitions this role may perform; all roles when omitted
+ * @returns {Array<string>} Status IDs
+ */
+function getAllowedTransitions(from, role) {
+    return WORKFLOW.transitions
+        .filter(transition => transition.from === from && (!role || transition.roles.includes(role)))
+        .map(transition => transition.to);
+}
+
+/**
+ * Find the transition between two states
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {Object|null} Transition, or null if the workflow has none
+ */
+function findTransition(from, to) {
+    return WORKFLOW.transitions.find(t => t.from === from && t.to === to) || null;
+}
+
+/**
+ * Check whether a status change is allowed
+ * Moving to the status the task already has is not a transition and is always allowed.
+ * Tasks whose stored status is not part of the workflow may move to any state,
+ * so data written before the workflow existed can be repaired.
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} role - Role of the user making the change
+ * @param {Object} [context] - Data the guards inspect: { reason, checklist, confirmOpenItems, openBlockers }
+ * @returns {Object} { allowed: true } or { allowed: false, statusCode, error, allowedStatuses | guard }
+ */
+function checkTransition(from, to, role, context = {}) {
+    if (!isValidStatus(to)) {
+        return {
+            allowed: false,
+            statusCode: 400,
+            error: `Invalid status. Must be one of: ${STATUS_IDS.join(', ')}`,
+            allowedStatuses: STATUS_IDS
+        };
+    }
+
+    if (from === to) {
+        return { allowed: true };
+    }
+
+    const transition = isValidStatus(from)
+        ? findTransition(from, to)
+        : { from, to, roles: ['admin', 'member'] };
+
+    if (!transition) {
+        const allowedStatuses = getAllowedTransitions(from, role);
+        return {
+            allowed: false,
+            statusCode: 400,
+            error: `Cannot move a task from ${from} to ${to}. Allowed next states: ${allowedStatuses.join(', ') || 'none'}`,
+            allowedStatuses
+        };
+    }
+
+    if (!transition.roles.includes(role)) {
+        const allowedStatuses = getAllowedTransitions(from, role);
+        return {
+            allowed: false,
+            statusCode: 403,
+            error: `Forbidden - Only ${transition.roles.join(' or ')} users can move a task from ${from} to ${to}. Allowed next states: ${allowedStatuses.join(', ') || 'none'}`,
+            allowedStatuses
+        };
+    }
+
+    for (const guardName of transition.guards || []) {
+        const guardError = GUARDS[guardName](transition, context);
+        if (guardError) {
+            return {
+                allowed: false,
+                statusCode: 400,
+                error: guardError,
+                guard: guardName
+            };
+        }
+    }
+
+    return { allowed: true, transition };
+}
+
+/**
+ * The workflow as served to clients
+ * @returns {Object} States and transitions
+ */
+function getWorkflowDefinition() {
+    return WORKFLOW;
+}
+
+module.exports = {
+    STATUS_IDS,
+    isValidStatus,
+    isFinalStatus,
+    getInitialStates,
+    getAllowedTransitions,
+    findTransition,
+    checkTransition,
+    getWorkflowDefinition
+};
@@ -0,0 +1,90 @@
+/**
+ * Team workload
+ * How loaded each member is right now: their open (not completed or cancelled)
+ * tasks by priority, how many are overdue and how many fall due this week.
+ */
+
+const { fetchAllPages, TASKS_TABLE } = require('./shared-utils');
+const { isFinalStatus } = require('./workflow');
+const { dueTime } = require('./reminders');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PRIORITIES = ['urgent', 'high', 'medium', 'low'];
+
+/**
+ * End of the current week, Sunday 23:59:59.999 UTC
+ * @param {Date} now - Current time
+ * @returns {number} Milliseconds since the epoch
+ */
+function endOfWeek(now) {
+    const today = new Date(`${now.toISOString().slice(0, 10)}T00:00:00.000Z`);
+    const daysLeft = (7 - today.getUTCDay()) % 7;
+    return today.getTime() + (daysLeft + 1) * DAY_MS - 1;
+}
+
+function emptyWorkload() {
+    return {
+        open: 0,
+        byPriority: Object.fromEntries(PRIORITIES.map(priority => [priority, 0])),
+        overdue: 0,
+        dueThisWeek: 0
+    };
+}
+
+/**
+ * Count the open tasks of each member
+ * A task assigned to several members counts towards each of them.
+ * @param {Array<Object>} tasks - Task items
+ * @param {Array<string>} emails - Members to count for
+ * @param {Date} [now] - Current time
+ * @returns {Object} { [email]: { open, byPriority: { urgent, high, medium, low }, overdue, dueThisWeek } }
+ *   dueThisWeek counts tasks due between now and the end of Sunday (UTC) that are not yet overdue
+ */
+function summarizeWorkload(tasks, emails, now = new Date()) {
+    const workloads = Object.fromEntries(emails.map(email => [email, emptyWorkload()]));
+    const weekEnd = endOfWeek(now);
+
+    tasks
+        .filter(task => !isFinalStatus(task.status))
+        .forEach(task => {
+            const due = dueTime(task.dueDate);
+            (task.assignedMembers || []).forEach(email => {
+                const workload = workloads[email];
+                if (!workload) return;
+
+                workload.open++;
+                if (task.priority in workload.byPriority) {
+                    workload.byPriority[task.priority]++;
+                }
+                if (due !== null && due < now.getTime()) {
+                    workload.overdue++;
+                } else if (due !== null && due <= weekEnd) {
+                    workload.dueThisWeek++;
+                }
+            });
+        });
+
+    return workloads;
+}
+
+/**
+ * Load every task and count the open tasks of each member
+ * @param {Array<string>} emails - Members to count for
+ * @param {Date} [now] - Current time
+ * @returns {Promise<Object>} Workload per email, see summarizeWorkload()
+ */
+async function loadWorkloads(emails, now = new Date()) {
+    const tasks = await fetchAllPages('scan', {
+        TableName: TASKS_TABLE,
+        ProjectionExpression: '#status, priority, dueDate, assignedMembers',
+        ExpressionAttributeNames: { '#status': 'status' }
+    });
+
+    return summarizeWorkload(tasks, emails, now);
+}
+
+module.exports = {
+    summarizeWorkload,
+    loadWorkloads
+};
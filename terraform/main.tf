@@ -38,6 +38,7 @@ module "database" {
 
   tasks_table_name               = "tasks"
   users_table_name               = "users"
+  exports_bucket_prefix          = "${var.project_name}-exports-"
   enable_point_in_time_recovery  = true
 
   tags = merge(local.common_tags, {
@@ -65,8 +66,29 @@ module "compute" {
   users_table_name   = module.database.users_table_name
   tasks_table_arn    = module.database.tasks_table_arn
   users_table_arn    = module.database.users_table_arn
+  task_members_table_name = module.database.task_members_table_name
+  task_members_table_arn  = module.database.task_members_table_arn
+  activity_table_name = module.database.activity_table_name
+  activity_table_arn  = module.database.activity_table_arn
+  comments_table_name = module.database.comments_table_name
+  comments_table_arn  = module.database.comments_table_arn
+  series_table_name   = module.database.series_table_name
+  series_table_arn    = module.database.series_table_arn
+  outbox_table_name   = module.database.outbox_table_name
+  outbox_table_arn    = module.database.outbox_table_arn
+  notifications_table_name = module.database.notifications_table_name
+  notifications_table_arn  = module.database.notifications_table_arn
+  webhooks_table_name = module.database.webhooks_table_name
+  webhooks_table_arn  = module.database.webhooks_table_arn
+  webhook_deliveries_table_name = module.database.webhook_deliveries_table_name
+  webhook_deliveries_table_arn  = module.database.webhook_deliveries_table_arn
+  settings_table_name = module.database.settings_table_name
+  settings_table_arn  = module.database.settings_table_arn
+  exports_bucket_name = module.database.exports_bucket_name
+  exports_bucket_arn  = module.database.exports_bucket_arn
   sns_topic_arn      = module.notifications.sns_topic_arn
   ses_source_email   = var.ses_source_email
+  app_url            = var.app_url
   log_retention_days = 14
 }
 
@@ -101,6 +123,36 @@ module "api" {
   delete_task_lambda_name        = module.compute.delete_task_lambda_name
   user_management_lambda_invoke_arn = module.compute.user_management_lambda_invoke_arn
   user_management_lambda_name       = module.compute.user_management_lambda_name
+  get_task_activity_lambda_invoke_arn = module.compute.get_task_activity_lambda_invoke_arn
+  get_task_activity_lambda_name       = module.compute.get_task_activity_lambda_name
+  task_comments_lambda_invoke_arn = module.compute.task_comments_lambda_invoke_arn
+  task_comments_lambda_name       = module.compute.task_comments_lambda_name
+  get_workflow_lambda_invoke_arn = module.compute.get_workflow_lambda_invoke_arn
+  get_workflow_lambda_name       = module.compute.get_workflow_lambda_name
+  task_series_lambda_invoke_arn = module.compute.task_series_lambda_invoke_arn
+  task_series_lambda_name       = module.compute.task_series_lambda_name
+  user_preferences_lambda_invoke_arn = module.compute.user_preferences_lambda_invoke_arn
+  user_preferences_lambda_name       = module.compute.user_preferences_lambda_name
+  notification_outbox_lambda_invoke_arn = module.compute.notification_outbox_lambda_invoke_arn
+  notification_outbox_lambda_name       = module.compute.notification_outbox_lambda_name
+  notification_center_lambda_invoke_arn = module.compute.notification_center_lambda_invoke_arn
+  notification_center_lambda_name       = module.compute.notification_center_lambda_name
+  webhook_management_lambda_invoke_arn = module.compute.webhook_management_lambda_invoke_arn
+  webhook_management_lambda_name       = module.compute.webhook_management_lambda_name
+  chat_settings_lambda_invoke_arn = module.compute.chat_settings_lambda_invoke_arn
+  chat_settings_lambda_name       = module.compute.chat_settings_lambda_name
+  calendar_feed_lambda_invoke_arn = module.compute.calendar_feed_lambda_invoke_arn
+  calendar_feed_lambda_name       = module.compute.calendar_feed_lambda_name
+  user_calendar_lambda_invoke_arn = module.compute.user_calendar_lambda_invoke_arn
+  user_calendar_lambda_name       = module.compute.user_calendar_lambda_name
+  import_tasks_lambda_invoke_arn = module.compute.import_tasks_lambda_invoke_arn
+  import_tasks_lambda_name       = module.compute.import_tasks_lambda_name
+  export_tasks_lambda_invoke_arn = module.compute.export_tasks_lambda_invoke_arn
+  export_tasks_lambda_name       = module.compute.export_tasks_lambda_name
+  backup_restore_lambda_invoke_arn = module.compute.backup_restore_lambda_invoke_arn
+  backup_restore_lambda_name       = module.compute.backup_restore_lambda_name
+  get_report_summary_lambda_invoke_arn = module.compute.get_report_summary_lambda_invoke_arn
+  get_report_summary_lambda_name       = module.compute.get_report_summary_lambda_name
   
   stage_name                 = "prod"
   log_retention_days         = 14
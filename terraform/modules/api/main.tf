@@ -185,7 +185,7 @@ resource "aws_api_gateway_integration_response" "options_task_id" {
   status_code = aws_api_gateway_method_response.options_task_id.status_code
 
   response_parameters = {
-    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
     "method.response.header.Access-Control-Allow-Methods" = "'DELETE,PUT,OPTIONS'"
     "method.response.header.Access-Control-Allow-Origin"  = "'*'"
   }
@@ -234,7 +234,7 @@ resource "aws_api_gateway_integration_response" "options_tasks" {
   status_code = aws_api_gateway_method_response.options_tasks.status_code
 
   response_parameters = {
-    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
     "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,PUT,OPTIONS'"
     "method.response.header.Access-Control-Allow-Origin"  = "'*'"
   }
@@ -281,6 +281,126 @@ resource "aws_lambda_permission" "api_gateway_user_management" {
   source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
 }
 
+resource "aws_lambda_permission" "api_gateway_get_task_activity" {
+  statement_id  = "AllowAPIGatewayInvokeGetTaskActivity"
+  action        = "lambda:InvokeFunction"
+  function_name = var.get_task_activity_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_task_comments" {
+  statement_id  = "AllowAPIGatewayInvokeTaskComments"
+  action        = "lambda:InvokeFunction"
+  function_name = var.task_comments_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_get_workflow" {
+  statement_id  = "AllowAPIGatewayInvokeGetWorkflow"
+  action        = "lambda:InvokeFunction"
+  function_name = var.get_workflow_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_task_series" {
+  statement_id  = "AllowAPIGatewayInvokeTaskSeries"
+  action        = "lambda:InvokeFunction"
+  function_name = var.task_series_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_user_preferences" {
+  statement_id  = "AllowAPIGatewayInvokeUserPreferences"
+  action        = "lambda:InvokeFunction"
+  function_name = var.user_preferences_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_notification_outbox" {
+  statement_id  = "AllowAPIGatewayInvokeNotificationOutbox"
+  action        = "lambda:InvokeFunction"
+  function_name = var.notification_outbox_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_notification_center" {
+  statement_id  = "AllowAPIGatewayInvokeNotificationCenter"
+  action        = "lambda:InvokeFunction"
+  function_name = var.notification_center_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_webhook_management" {
+  statement_id  = "AllowAPIGatewayInvokeWebhookManagement"
+  action        = "lambda:InvokeFunction"
+  function_name = var.webhook_management_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_chat_settings" {
+  statement_id  = "AllowAPIGatewayInvokeChatSettings"
+  action        = "lambda:InvokeFunction"
+  function_name = var.chat_settings_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_calendar_feed" {
+  statement_id  = "AllowAPIGatewayInvokeCalendarFeed"
+  action        = "lambda:InvokeFunction"
+  function_name = var.calendar_feed_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_user_calendar" {
+  statement_id  = "AllowAPIGatewayInvokeUserCalendar"
+  action        = "lambda:InvokeFunction"
+  function_name = var.user_calendar_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_import_tasks" {
+  statement_id  = "AllowAPIGatewayInvokeImportTasks"
+  action        = "lambda:InvokeFunction"
+  function_name = var.import_tasks_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_export_tasks" {
+  statement_id  = "AllowAPIGatewayInvokeExportTasks"
+  action        = "lambda:InvokeFunction"
+  function_name = var.export_tasks_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_backup_restore" {
+  statement_id  = "AllowAPIGatewayInvokeBackupRestore"
+  action        = "lambda:InvokeFunction"
+  function_name = var.backup_restore_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
+resource "aws_lambda_permission" "api_gateway_get_report_summary" {
+  statement_id  = "AllowAPIGatewayInvokeGetReportSummary"
+  action        = "lambda:InvokeFunction"
+  function_name = var.get_report_summary_lambda_name
+  principal     = "apigateway.amazonaws.com"
+  source_arn    = "${aws_api_gateway_rest_api.main.execution_arn}/*/*"
+}
+
 # /users resource
 resource "aws_api_gateway_resource" "users" {
   rest_api_id = aws_api_gateway_rest_api.main.id
@@ -345,7 +465,2505 @@ resource "aws_api_gateway_integration_response" "options_users" {
   status_code = aws_api_gateway_method_response.options_users.status_code
 
   response_parameters = {
-    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'"
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /tasks/{taskId}/activity resource
+resource "aws_api_gateway_resource" "task_activity" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "activity"
+}
+
+# GET /tasks/{taskId}/activity
+resource "aws_api_gateway_method" "get_task_activity" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_activity.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.taskId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "get_task_activity" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.task_activity.id
+  http_method             = aws_api_gateway_method.get_task_activity.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.get_task_activity_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.taskId" = "method.request.path.taskId"
+  }
+}
+
+# OPTIONS /tasks/{taskId}/activity - CORS
+resource "aws_api_gateway_method" "options_task_activity" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_activity.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_task_activity" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_activity.id
+  http_method = aws_api_gateway_method.options_task_activity.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_task_activity" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_activity.id
+  http_method = aws_api_gateway_method.options_task_activity.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_task_activity" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_activity.id
+  http_method = aws_api_gateway_method.options_task_activity.http_method
+  status_code = aws_api_gateway_method_response.options_task_activity.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /tasks/{taskId}/comments resource
+resource "aws_api_gateway_resource" "task_comments" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.task_id.id
+  path_part   = "comments"
+}
+
+# GET /tasks/{taskId}/comments
+resource "aws_api_gateway_method" "list_task_comments" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comments.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.taskId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "list_task_comments" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.task_comments.id
+  http_method             = aws_api_gateway_method.list_task_comments.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_comments_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.taskId" = "method.request.path.taskId"
+  }
+}
+
+# POST /tasks/{taskId}/comments
+resource "aws_api_gateway_method" "create_task_comment" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comments.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.taskId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "create_task_comment" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.task_comments.id
+  http_method             = aws_api_gateway_method.create_task_comment.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_comments_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.taskId" = "method.request.path.taskId"
+  }
+}
+
+# OPTIONS /tasks/{taskId}/comments - CORS
+resource "aws_api_gateway_method" "options_task_comments" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comments.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_task_comments" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comments.id
+  http_method = aws_api_gateway_method.options_task_comments.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_task_comments" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comments.id
+  http_method = aws_api_gateway_method.options_task_comments.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_task_comments" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comments.id
+  http_method = aws_api_gateway_method.options_task_comments.http_method
+  status_code = aws_api_gateway_method_response.options_task_comments.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /tasks/{taskId}/comments/{commentId} resource
+resource "aws_api_gateway_resource" "task_comment_id" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.task_comments.id
+  path_part   = "{commentId}"
+}
+
+# PUT /tasks/{taskId}/comments/{commentId}
+resource "aws_api_gateway_method" "update_task_comment" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comment_id.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.taskId"    = true
+    "method.request.path.commentId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "update_task_comment" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.task_comment_id.id
+  http_method             = aws_api_gateway_method.update_task_comment.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_comments_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.taskId"    = "method.request.path.taskId"
+    "integration.request.path.commentId" = "method.request.path.commentId"
+  }
+}
+
+# DELETE /tasks/{taskId}/comments/{commentId}
+resource "aws_api_gateway_method" "delete_task_comment" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comment_id.id
+  http_method   = "DELETE"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.taskId"    = true
+    "method.request.path.commentId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "delete_task_comment" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.task_comment_id.id
+  http_method             = aws_api_gateway_method.delete_task_comment.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_comments_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.taskId"    = "method.request.path.taskId"
+    "integration.request.path.commentId" = "method.request.path.commentId"
+  }
+}
+
+# OPTIONS /tasks/{taskId}/comments/{commentId} - CORS
+resource "aws_api_gateway_method" "options_task_comment_id" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.task_comment_id.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_task_comment_id" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comment_id.id
+  http_method = aws_api_gateway_method.options_task_comment_id.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_task_comment_id" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comment_id.id
+  http_method = aws_api_gateway_method.options_task_comment_id.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_task_comment_id" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.task_comment_id.id
+  http_method = aws_api_gateway_method.options_task_comment_id.http_method
+  status_code = aws_api_gateway_method_response.options_task_comment_id.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'PUT,DELETE,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /workflow resource
+resource "aws_api_gateway_resource" "workflow" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "workflow"
+}
+
+# GET /workflow
+resource "aws_api_gateway_method" "get_workflow" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.workflow.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_workflow" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.workflow.id
+  http_method             = aws_api_gateway_method.get_workflow.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.get_workflow_lambda_invoke_arn
+}
+
+# OPTIONS /workflow - CORS
+resource "aws_api_gateway_method" "options_workflow" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.workflow.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_workflow" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.workflow.id
+  http_method = aws_api_gateway_method.options_workflow.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_workflow" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.workflow.id
+  http_method = aws_api_gateway_method.options_workflow.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_workflow" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.workflow.id
+  http_method = aws_api_gateway_method.options_workflow.http_method
+  status_code = aws_api_gateway_method_response.options_workflow.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /series resource
+resource "aws_api_gateway_resource" "series" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "series"
+}
+
+# GET /series
+resource "aws_api_gateway_method" "list_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "list_series" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.series.id
+  http_method             = aws_api_gateway_method.list_series.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_series_lambda_invoke_arn
+}
+
+# POST /series
+resource "aws_api_gateway_method" "create_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "create_series" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.series.id
+  http_method             = aws_api_gateway_method.create_series.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_series_lambda_invoke_arn
+}
+
+# OPTIONS /series - CORS
+resource "aws_api_gateway_method" "options_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_series" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series.id
+  http_method = aws_api_gateway_method.options_series.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_series" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series.id
+  http_method = aws_api_gateway_method.options_series.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_series" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series.id
+  http_method = aws_api_gateway_method.options_series.http_method
+  status_code = aws_api_gateway_method_response.options_series.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /series/{seriesId} resource
+resource "aws_api_gateway_resource" "series_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.series.id
+  path_part   = "{seriesId}"
+}
+
+# GET /series/{seriesId}
+resource "aws_api_gateway_method" "get_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series_item.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.seriesId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "get_series" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.series_item.id
+  http_method             = aws_api_gateway_method.get_series.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_series_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.seriesId" = "method.request.path.seriesId"
+  }
+}
+
+# PUT /series/{seriesId}
+resource "aws_api_gateway_method" "update_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series_item.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.seriesId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "update_series" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.series_item.id
+  http_method             = aws_api_gateway_method.update_series.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_series_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.seriesId" = "method.request.path.seriesId"
+  }
+}
+
+# DELETE /series/{seriesId}
+resource "aws_api_gateway_method" "delete_series" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series_item.id
+  http_method   = "DELETE"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.seriesId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "delete_series" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.series_item.id
+  http_method             = aws_api_gateway_method.delete_series.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.task_series_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.seriesId" = "method.request.path.seriesId"
+  }
+}
+
+# OPTIONS /series/{seriesId} - CORS
+resource "aws_api_gateway_method" "options_series_item" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.series_item.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_series_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series_item.id
+  http_method = aws_api_gateway_method.options_series_item.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_series_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series_item.id
+  http_method = aws_api_gateway_method.options_series_item.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_series_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.series_item.id
+  http_method = aws_api_gateway_method.options_series_item.http_method
+  status_code = aws_api_gateway_method_response.options_series_item.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,PUT,DELETE,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /users/me resource
+resource "aws_api_gateway_resource" "users_me" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.users.id
+  path_part   = "me"
+}
+
+# /users/me/preferences resource
+resource "aws_api_gateway_resource" "user_preferences" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.users_me.id
+  path_part   = "preferences"
+}
+
+# GET /users/me/preferences
+resource "aws_api_gateway_method" "get_user_preferences" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_preferences.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_user_preferences" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.user_preferences.id
+  http_method             = aws_api_gateway_method.get_user_preferences.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.user_preferences_lambda_invoke_arn
+}
+
+# PUT /users/me/preferences
+resource "aws_api_gateway_method" "update_user_preferences" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_preferences.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "update_user_preferences" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.user_preferences.id
+  http_method             = aws_api_gateway_method.update_user_preferences.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.user_preferences_lambda_invoke_arn
+}
+
+# OPTIONS /users/me/preferences - CORS
+resource "aws_api_gateway_method" "options_user_preferences" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_preferences.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_user_preferences" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_preferences.id
+  http_method = aws_api_gateway_method.options_user_preferences.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_user_preferences" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_preferences.id
+  http_method = aws_api_gateway_method.options_user_preferences.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_user_preferences" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_preferences.id
+  http_method = aws_api_gateway_method.options_user_preferences.http_method
+  status_code = aws_api_gateway_method_response.options_user_preferences.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,PUT,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /outbox resource
+resource "aws_api_gateway_resource" "outbox" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "outbox"
+}
+
+# GET /outbox
+resource "aws_api_gateway_method" "list_outbox" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.outbox.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "list_outbox" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.outbox.id
+  http_method             = aws_api_gateway_method.list_outbox.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.notification_outbox_lambda_invoke_arn
+}
+
+# OPTIONS /outbox - CORS
+resource "aws_api_gateway_method" "options_outbox" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.outbox.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_outbox" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox.id
+  http_method = aws_api_gateway_method.options_outbox.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_outbox" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox.id
+  http_method = aws_api_gateway_method.options_outbox.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_outbox" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox.id
+  http_method = aws_api_gateway_method.options_outbox.http_method
+  status_code = aws_api_gateway_method_response.options_outbox.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /outbox/{jobId} resource
+resource "aws_api_gateway_resource" "outbox_job" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.outbox.id
+  path_part   = "{jobId}"
+}
+
+# OPTIONS /outbox/{jobId} - CORS
+resource "aws_api_gateway_method" "options_outbox_job" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.outbox_job.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_outbox_job" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_job.id
+  http_method = aws_api_gateway_method.options_outbox_job.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_outbox_job" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_job.id
+  http_method = aws_api_gateway_method.options_outbox_job.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_outbox_job" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_job.id
+  http_method = aws_api_gateway_method.options_outbox_job.http_method
+  status_code = aws_api_gateway_method_response.options_outbox_job.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /outbox/{jobId}/replay resource
+resource "aws_api_gateway_resource" "outbox_replay" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.outbox_job.id
+  path_part   = "replay"
+}
+
+# POST /outbox/{jobId}/replay
+resource "aws_api_gateway_method" "replay_outbox_job" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.outbox_replay.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.jobId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "replay_outbox_job" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.outbox_replay.id
+  http_method             = aws_api_gateway_method.replay_outbox_job.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.notification_outbox_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.jobId" = "method.request.path.jobId"
+  }
+}
+
+# OPTIONS /outbox/{jobId}/replay - CORS
+resource "aws_api_gateway_method" "options_outbox_replay" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.outbox_replay.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_outbox_replay" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_replay.id
+  http_method = aws_api_gateway_method.options_outbox_replay.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_outbox_replay" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_replay.id
+  http_method = aws_api_gateway_method.options_outbox_replay.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_outbox_replay" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.outbox_replay.id
+  http_method = aws_api_gateway_method.options_outbox_replay.http_method
+  status_code = aws_api_gateway_method_response.options_outbox_replay.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /notifications resource
+resource "aws_api_gateway_resource" "notifications" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "notifications"
+}
+
+# GET /notifications
+resource "aws_api_gateway_method" "list_notifications" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notifications.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "list_notifications" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.notifications.id
+  http_method             = aws_api_gateway_method.list_notifications.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.notification_center_lambda_invoke_arn
+}
+
+# OPTIONS /notifications - CORS
+resource "aws_api_gateway_method" "options_notifications" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notifications.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_notifications" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications.id
+  http_method = aws_api_gateway_method.options_notifications.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_notifications" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications.id
+  http_method = aws_api_gateway_method.options_notifications.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_notifications" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications.id
+  http_method = aws_api_gateway_method.options_notifications.http_method
+  status_code = aws_api_gateway_method_response.options_notifications.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /notifications/read-all resource
+resource "aws_api_gateway_resource" "notifications_read_all" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.notifications.id
+  path_part   = "read-all"
+}
+
+# POST /notifications/read-all
+resource "aws_api_gateway_method" "read_all_notifications" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notifications_read_all.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "read_all_notifications" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.notifications_read_all.id
+  http_method             = aws_api_gateway_method.read_all_notifications.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.notification_center_lambda_invoke_arn
+}
+
+# OPTIONS /notifications/read-all - CORS
+resource "aws_api_gateway_method" "options_notifications_read_all" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notifications_read_all.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_notifications_read_all" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications_read_all.id
+  http_method = aws_api_gateway_method.options_notifications_read_all.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_notifications_read_all" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications_read_all.id
+  http_method = aws_api_gateway_method.options_notifications_read_all.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_notifications_read_all" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notifications_read_all.id
+  http_method = aws_api_gateway_method.options_notifications_read_all.http_method
+  status_code = aws_api_gateway_method_response.options_notifications_read_all.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /notifications/{notificationId} resource
+resource "aws_api_gateway_resource" "notification_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.notifications.id
+  path_part   = "{notificationId}"
+}
+
+# OPTIONS /notifications/{notificationId} - CORS
+resource "aws_api_gateway_method" "options_notification_item" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notification_item.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_notification_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_item.id
+  http_method = aws_api_gateway_method.options_notification_item.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_notification_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_item.id
+  http_method = aws_api_gateway_method.options_notification_item.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_notification_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_item.id
+  http_method = aws_api_gateway_method.options_notification_item.http_method
+  status_code = aws_api_gateway_method_response.options_notification_item.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /notifications/{notificationId}/read resource
+resource "aws_api_gateway_resource" "notification_read" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.notification_item.id
+  path_part   = "read"
+}
+
+# POST /notifications/{notificationId}/read
+resource "aws_api_gateway_method" "read_notification" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notification_read.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.notificationId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "read_notification" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.notification_read.id
+  http_method             = aws_api_gateway_method.read_notification.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.notification_center_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.notificationId" = "method.request.path.notificationId"
+  }
+}
+
+# OPTIONS /notifications/{notificationId}/read - CORS
+resource "aws_api_gateway_method" "options_notification_read" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.notification_read.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_notification_read" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_read.id
+  http_method = aws_api_gateway_method.options_notification_read.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_notification_read" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_read.id
+  http_method = aws_api_gateway_method.options_notification_read.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_notification_read" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.notification_read.id
+  http_method = aws_api_gateway_method.options_notification_read.http_method
+  status_code = aws_api_gateway_method_response.options_notification_read.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /webhooks resource
+resource "aws_api_gateway_resource" "webhooks" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "webhooks"
+}
+
+# GET /webhooks
+resource "aws_api_gateway_method" "list_webhooks" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhooks.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "list_webhooks" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhooks.id
+  http_method             = aws_api_gateway_method.list_webhooks.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+}
+
+# POST /webhooks
+resource "aws_api_gateway_method" "create_webhook" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhooks.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "create_webhook" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhooks.id
+  http_method             = aws_api_gateway_method.create_webhook.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+}
+
+# OPTIONS /webhooks - CORS
+resource "aws_api_gateway_method" "options_webhooks" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhooks.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_webhooks" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhooks.id
+  http_method = aws_api_gateway_method.options_webhooks.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_webhooks" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhooks.id
+  http_method = aws_api_gateway_method.options_webhooks.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_webhooks" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhooks.id
+  http_method = aws_api_gateway_method.options_webhooks.http_method
+  status_code = aws_api_gateway_method_response.options_webhooks.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /webhooks/{webhookId} resource
+resource "aws_api_gateway_resource" "webhook_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.webhooks.id
+  path_part   = "{webhookId}"
+}
+
+# GET /webhooks/{webhookId}
+resource "aws_api_gateway_method" "get_webhook" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_item.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.webhookId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "get_webhook" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhook_item.id
+  http_method             = aws_api_gateway_method.get_webhook.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.webhookId" = "method.request.path.webhookId"
+  }
+}
+
+# PUT /webhooks/{webhookId}
+resource "aws_api_gateway_method" "update_webhook" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_item.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.webhookId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "update_webhook" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhook_item.id
+  http_method             = aws_api_gateway_method.update_webhook.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.webhookId" = "method.request.path.webhookId"
+  }
+}
+
+# DELETE /webhooks/{webhookId}
+resource "aws_api_gateway_method" "delete_webhook" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_item.id
+  http_method   = "DELETE"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.webhookId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "delete_webhook" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhook_item.id
+  http_method             = aws_api_gateway_method.delete_webhook.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.webhookId" = "method.request.path.webhookId"
+  }
+}
+
+# OPTIONS /webhooks/{webhookId} - CORS
+resource "aws_api_gateway_method" "options_webhook_item" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_item.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_webhook_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_item.id
+  http_method = aws_api_gateway_method.options_webhook_item.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_webhook_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_item.id
+  http_method = aws_api_gateway_method.options_webhook_item.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_webhook_item" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_item.id
+  http_method = aws_api_gateway_method.options_webhook_item.http_method
+  status_code = aws_api_gateway_method_response.options_webhook_item.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,PUT,DELETE,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /webhooks/{webhookId}/deliveries resource
+resource "aws_api_gateway_resource" "webhook_deliveries" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.webhook_item.id
+  path_part   = "deliveries"
+}
+
+# OPTIONS /webhooks/{webhookId}/deliveries - CORS
+resource "aws_api_gateway_method" "options_webhook_deliveries" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_deliveries.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_webhook_deliveries" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_deliveries.id
+  http_method = aws_api_gateway_method.options_webhook_deliveries.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_webhook_deliveries" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_deliveries.id
+  http_method = aws_api_gateway_method.options_webhook_deliveries.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_webhook_deliveries" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_deliveries.id
+  http_method = aws_api_gateway_method.options_webhook_deliveries.http_method
+  status_code = aws_api_gateway_method_response.options_webhook_deliveries.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /webhooks/{webhookId}/deliveries/{deliveryId} resource
+resource "aws_api_gateway_resource" "webhook_delivery" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.webhook_deliveries.id
+  path_part   = "{deliveryId}"
+}
+
+# OPTIONS /webhooks/{webhookId}/deliveries/{deliveryId} - CORS
+resource "aws_api_gateway_method" "options_webhook_delivery" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_delivery.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_webhook_delivery" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_delivery.id
+  http_method = aws_api_gateway_method.options_webhook_delivery.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_webhook_delivery" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_delivery.id
+  http_method = aws_api_gateway_method.options_webhook_delivery.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_webhook_delivery" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_delivery.id
+  http_method = aws_api_gateway_method.options_webhook_delivery.http_method
+  status_code = aws_api_gateway_method_response.options_webhook_delivery.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver resource
+resource "aws_api_gateway_resource" "webhook_redeliver" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.webhook_delivery.id
+  path_part   = "redeliver"
+}
+
+# POST /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver
+resource "aws_api_gateway_method" "redeliver_webhook" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_redeliver.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+
+  request_parameters = {
+    "method.request.path.webhookId"  = true
+    "method.request.path.deliveryId" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "redeliver_webhook" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.webhook_redeliver.id
+  http_method             = aws_api_gateway_method.redeliver_webhook.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.webhook_management_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.webhookId"  = "method.request.path.webhookId"
+    "integration.request.path.deliveryId" = "method.request.path.deliveryId"
+  }
+}
+
+# OPTIONS /webhooks/{webhookId}/deliveries/{deliveryId}/redeliver - CORS
+resource "aws_api_gateway_method" "options_webhook_redeliver" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.webhook_redeliver.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_webhook_redeliver" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_redeliver.id
+  http_method = aws_api_gateway_method.options_webhook_redeliver.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_webhook_redeliver" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_redeliver.id
+  http_method = aws_api_gateway_method.options_webhook_redeliver.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_webhook_redeliver" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.webhook_redeliver.id
+  http_method = aws_api_gateway_method.options_webhook_redeliver.http_method
+  status_code = aws_api_gateway_method_response.options_webhook_redeliver.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /settings resource
+resource "aws_api_gateway_resource" "settings" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "settings"
+}
+
+# OPTIONS /settings - CORS
+resource "aws_api_gateway_method" "options_settings" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.settings.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_settings" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings.id
+  http_method = aws_api_gateway_method.options_settings.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_settings" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings.id
+  http_method = aws_api_gateway_method.options_settings.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_settings" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings.id
+  http_method = aws_api_gateway_method.options_settings.http_method
+  status_code = aws_api_gateway_method_response.options_settings.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /settings/chat resource
+resource "aws_api_gateway_resource" "settings_chat" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.settings.id
+  path_part   = "chat"
+}
+
+# GET /settings/chat
+resource "aws_api_gateway_method" "get_chat_settings" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.settings_chat.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_chat_settings" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.settings_chat.id
+  http_method             = aws_api_gateway_method.get_chat_settings.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.chat_settings_lambda_invoke_arn
+}
+
+# PUT /settings/chat
+resource "aws_api_gateway_method" "put_chat_settings" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.settings_chat.id
+  http_method   = "PUT"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "put_chat_settings" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.settings_chat.id
+  http_method             = aws_api_gateway_method.put_chat_settings.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.chat_settings_lambda_invoke_arn
+}
+
+# DELETE /settings/chat
+resource "aws_api_gateway_method" "delete_chat_settings" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.settings_chat.id
+  http_method   = "DELETE"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "delete_chat_settings" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.settings_chat.id
+  http_method             = aws_api_gateway_method.delete_chat_settings.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.chat_settings_lambda_invoke_arn
+}
+
+# OPTIONS /settings/chat - CORS
+resource "aws_api_gateway_method" "options_settings_chat" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.settings_chat.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_settings_chat" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings_chat.id
+  http_method = aws_api_gateway_method.options_settings_chat.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_settings_chat" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings_chat.id
+  http_method = aws_api_gateway_method.options_settings_chat.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_settings_chat" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.settings_chat.id
+  http_method = aws_api_gateway_method.options_settings_chat.http_method
+  status_code = aws_api_gateway_method_response.options_settings_chat.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,PUT,DELETE,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /calendar resource
+resource "aws_api_gateway_resource" "calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "calendar"
+}
+
+# OPTIONS /calendar - CORS
+resource "aws_api_gateway_method" "options_calendar" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.calendar.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar.id
+  http_method = aws_api_gateway_method.options_calendar.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar.id
+  http_method = aws_api_gateway_method.options_calendar.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar.id
+  http_method = aws_api_gateway_method.options_calendar.http_method
+  status_code = aws_api_gateway_method_response.options_calendar.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /calendar/{token} resource
+resource "aws_api_gateway_resource" "calendar_token" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.calendar.id
+  path_part   = "{token}"
+}
+
+# GET /calendar/{token} - no Cognito authorizer, the token in the URL is the credential
+resource "aws_api_gateway_method" "get_calendar_feed" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.calendar_token.id
+  http_method   = "GET"
+  authorization = "NONE"
+
+  request_parameters = {
+    "method.request.path.token" = true
+  }
+}
+
+resource "aws_api_gateway_integration" "get_calendar_feed" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.calendar_token.id
+  http_method             = aws_api_gateway_method.get_calendar_feed.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.calendar_feed_lambda_invoke_arn
+
+  request_parameters = {
+    "integration.request.path.token" = "method.request.path.token"
+  }
+}
+
+# OPTIONS /calendar/{token} - CORS
+resource "aws_api_gateway_method" "options_calendar_token" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.calendar_token.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_calendar_token" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar_token.id
+  http_method = aws_api_gateway_method.options_calendar_token.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_calendar_token" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar_token.id
+  http_method = aws_api_gateway_method.options_calendar_token.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_calendar_token" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.calendar_token.id
+  http_method = aws_api_gateway_method.options_calendar_token.http_method
+  status_code = aws_api_gateway_method_response.options_calendar_token.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /users/me/calendar resource
+resource "aws_api_gateway_resource" "user_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.users_me.id
+  path_part   = "calendar"
+}
+
+# GET /users/me/calendar
+resource "aws_api_gateway_method" "get_user_calendar" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_calendar.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_user_calendar" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.user_calendar.id
+  http_method             = aws_api_gateway_method.get_user_calendar.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.user_calendar_lambda_invoke_arn
+}
+
+# OPTIONS /users/me/calendar - CORS
+resource "aws_api_gateway_method" "options_user_calendar" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_calendar.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_user_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar.id
+  http_method = aws_api_gateway_method.options_user_calendar.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_user_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar.id
+  http_method = aws_api_gateway_method.options_user_calendar.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_user_calendar" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar.id
+  http_method = aws_api_gateway_method.options_user_calendar.http_method
+  status_code = aws_api_gateway_method_response.options_user_calendar.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /users/me/calendar/rotate resource
+resource "aws_api_gateway_resource" "user_calendar_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.user_calendar.id
+  path_part   = "rotate"
+}
+
+# POST /users/me/calendar/rotate
+resource "aws_api_gateway_method" "rotate_user_calendar" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "rotate_user_calendar" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method             = aws_api_gateway_method.rotate_user_calendar.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.user_calendar_lambda_invoke_arn
+}
+
+# OPTIONS /users/me/calendar/rotate - CORS
+resource "aws_api_gateway_method" "options_user_calendar_rotate" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_user_calendar_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method = aws_api_gateway_method.options_user_calendar_rotate.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_user_calendar_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method = aws_api_gateway_method.options_user_calendar_rotate.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_user_calendar_rotate" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.user_calendar_rotate.id
+  http_method = aws_api_gateway_method.options_user_calendar_rotate.http_method
+  status_code = aws_api_gateway_method_response.options_user_calendar_rotate.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /tasks/import resource
+resource "aws_api_gateway_resource" "tasks_import" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.tasks.id
+  path_part   = "import"
+}
+
+# POST /tasks/import
+resource "aws_api_gateway_method" "import_tasks" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.tasks_import.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "import_tasks" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.tasks_import.id
+  http_method             = aws_api_gateway_method.import_tasks.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.import_tasks_lambda_invoke_arn
+}
+
+# OPTIONS /tasks/import - CORS
+resource "aws_api_gateway_method" "options_tasks_import" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.tasks_import.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_tasks_import" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_import.id
+  http_method = aws_api_gateway_method.options_tasks_import.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_tasks_import" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_import.id
+  http_method = aws_api_gateway_method.options_tasks_import.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_tasks_import" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_import.id
+  http_method = aws_api_gateway_method.options_tasks_import.http_method
+  status_code = aws_api_gateway_method_response.options_tasks_import.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /tasks/export resource
+resource "aws_api_gateway_resource" "tasks_export" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.tasks.id
+  path_part   = "export"
+}
+
+# GET /tasks/export
+resource "aws_api_gateway_method" "get_tasks_export" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.tasks_export.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_tasks_export" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.tasks_export.id
+  http_method             = aws_api_gateway_method.get_tasks_export.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.export_tasks_lambda_invoke_arn
+}
+
+# OPTIONS /tasks/export - CORS
+resource "aws_api_gateway_method" "options_tasks_export" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.tasks_export.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_tasks_export" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_export.id
+  http_method = aws_api_gateway_method.options_tasks_export.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_tasks_export" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_export.id
+  http_method = aws_api_gateway_method.options_tasks_export.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_tasks_export" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.tasks_export.id
+  http_method = aws_api_gateway_method.options_tasks_export.http_method
+  status_code = aws_api_gateway_method_response.options_tasks_export.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /backups resource
+resource "aws_api_gateway_resource" "backups" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "backups"
+}
+
+# POST /backups
+resource "aws_api_gateway_method" "post_backups" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.backups.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "post_backups" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.backups.id
+  http_method             = aws_api_gateway_method.post_backups.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.backup_restore_lambda_invoke_arn
+}
+
+# OPTIONS /backups - CORS
+resource "aws_api_gateway_method" "options_backups" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.backups.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_backups" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups.id
+  http_method = aws_api_gateway_method.options_backups.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_backups" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups.id
+  http_method = aws_api_gateway_method.options_backups.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_backups" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups.id
+  http_method = aws_api_gateway_method.options_backups.http_method
+  status_code = aws_api_gateway_method_response.options_backups.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /backups/restore resource
+resource "aws_api_gateway_resource" "backups_restore" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.backups.id
+  path_part   = "restore"
+}
+
+# POST /backups/restore
+resource "aws_api_gateway_method" "post_backups_restore" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.backups_restore.id
+  http_method   = "POST"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "post_backups_restore" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.backups_restore.id
+  http_method             = aws_api_gateway_method.post_backups_restore.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.backup_restore_lambda_invoke_arn
+}
+
+# OPTIONS /backups/restore - CORS
+resource "aws_api_gateway_method" "options_backups_restore" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.backups_restore.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_backups_restore" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups_restore.id
+  http_method = aws_api_gateway_method.options_backups_restore.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_backups_restore" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups_restore.id
+  http_method = aws_api_gateway_method.options_backups_restore.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_backups_restore" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.backups_restore.id
+  http_method = aws_api_gateway_method.options_backups_restore.http_method
+  status_code = aws_api_gateway_method_response.options_backups_restore.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'POST,OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /reports resource
+resource "aws_api_gateway_resource" "reports" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_rest_api.main.root_resource_id
+  path_part   = "reports"
+}
+
+# OPTIONS /reports - CORS
+resource "aws_api_gateway_method" "options_reports" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.reports.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_reports" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports.id
+  http_method = aws_api_gateway_method.options_reports.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_reports" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports.id
+  http_method = aws_api_gateway_method.options_reports.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_reports" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports.id
+  http_method = aws_api_gateway_method.options_reports.http_method
+  status_code = aws_api_gateway_method_response.options_reports.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
+    "method.response.header.Access-Control-Allow-Methods" = "'OPTIONS'"
+    "method.response.header.Access-Control-Allow-Origin"  = "'*'"
+  }
+}
+
+# /reports/summary resource
+resource "aws_api_gateway_resource" "reports_summary" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  parent_id   = aws_api_gateway_resource.reports.id
+  path_part   = "summary"
+}
+
+# GET /reports/summary
+resource "aws_api_gateway_method" "get_reports_summary" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.reports_summary.id
+  http_method   = "GET"
+  authorization = "COGNITO_USER_POOLS"
+  authorizer_id = aws_api_gateway_authorizer.cognito.id
+}
+
+resource "aws_api_gateway_integration" "get_reports_summary" {
+  rest_api_id             = aws_api_gateway_rest_api.main.id
+  resource_id             = aws_api_gateway_resource.reports_summary.id
+  http_method             = aws_api_gateway_method.get_reports_summary.http_method
+  integration_http_method = "POST"
+  type                    = "AWS_PROXY"
+  uri                     = var.get_report_summary_lambda_invoke_arn
+}
+
+# OPTIONS /reports/summary - CORS
+resource "aws_api_gateway_method" "options_reports_summary" {
+  rest_api_id   = aws_api_gateway_rest_api.main.id
+  resource_id   = aws_api_gateway_resource.reports_summary.id
+  http_method   = "OPTIONS"
+  authorization = "NONE"
+}
+
+resource "aws_api_gateway_integration" "options_reports_summary" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports_summary.id
+  http_method = aws_api_gateway_method.options_reports_summary.http_method
+  type        = "MOCK"
+
+  request_templates = {
+    "application/json" = "{\"statusCode\": 200}"
+  }
+}
+
+resource "aws_api_gateway_method_response" "options_reports_summary" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports_summary.id
+  http_method = aws_api_gateway_method.options_reports_summary.http_method
+  status_code = "200"
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = true
+    "method.response.header.Access-Control-Allow-Methods" = true
+    "method.response.header.Access-Control-Allow-Origin"  = true
+  }
+
+  response_models = {
+    "application/json" = "Empty"
+  }
+}
+
+resource "aws_api_gateway_integration_response" "options_reports_summary" {
+  rest_api_id = aws_api_gateway_rest_api.main.id
+  resource_id = aws_api_gateway_resource.reports_summary.id
+  http_method = aws_api_gateway_method.options_reports_summary.http_method
+  status_code = aws_api_gateway_method_response.options_reports_summary.status_code
+
+  response_parameters = {
+    "method.response.header.Access-Control-Allow-Headers" = "'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match'"
     "method.response.header.Access-Control-Allow-Methods" = "'GET,OPTIONS'"
     "method.response.header.Access-Control-Allow-Origin"  = "'*'"
   }
@@ -360,18 +2978,120 @@ resource "aws_api_gateway_deployment" "main" {
       aws_api_gateway_resource.tasks.id,
       aws_api_gateway_resource.task_id.id,
       aws_api_gateway_resource.users.id,
+      aws_api_gateway_resource.task_activity.id,
+      aws_api_gateway_resource.task_comments.id,
+      aws_api_gateway_resource.task_comment_id.id,
+      aws_api_gateway_resource.workflow.id,
+      aws_api_gateway_resource.series.id,
+      aws_api_gateway_resource.series_item.id,
+      aws_api_gateway_resource.users_me.id,
+      aws_api_gateway_resource.user_preferences.id,
+      aws_api_gateway_resource.outbox.id,
+      aws_api_gateway_resource.outbox_job.id,
+      aws_api_gateway_resource.outbox_replay.id,
+      aws_api_gateway_resource.notifications.id,
+      aws_api_gateway_resource.notifications_read_all.id,
+      aws_api_gateway_resource.notification_item.id,
+      aws_api_gateway_resource.notification_read.id,
+      aws_api_gateway_resource.webhooks.id,
+      aws_api_gateway_resource.webhook_item.id,
+      aws_api_gateway_resource.webhook_deliveries.id,
+      aws_api_gateway_resource.webhook_delivery.id,
+      aws_api_gateway_resource.webhook_redeliver.id,
+      aws_api_gateway_resource.settings.id,
+      aws_api_gateway_resource.settings_chat.id,
+      aws_api_gateway_resource.calendar.id,
+      aws_api_gateway_resource.calendar_token.id,
+      aws_api_gateway_resource.user_calendar.id,
+      aws_api_gateway_resource.user_calendar_rotate.id,
+      aws_api_gateway_resource.tasks_import.id,
+      aws_api_gateway_resource.tasks_export.id,
+      aws_api_gateway_resource.backups.id,
+      aws_api_gateway_resource.backups_restore.id,
+      aws_api_gateway_resource.reports.id,
+      aws_api_gateway_resource.reports_summary.id,
       aws_api_gateway_method.get_tasks.id,
       aws_api_gateway_method.post_tasks.id,
       aws_api_gateway_method.put_tasks.id,
       aws_api_gateway_method.put_task_id.id,
       aws_api_gateway_method.delete_tasks.id,
       aws_api_gateway_method.get_users.id,
+      aws_api_gateway_method.get_task_activity.id,
+      aws_api_gateway_method.list_task_comments.id,
+      aws_api_gateway_method.create_task_comment.id,
+      aws_api_gateway_method.update_task_comment.id,
+      aws_api_gateway_method.delete_task_comment.id,
+      aws_api_gateway_method.get_workflow.id,
+      aws_api_gateway_method.list_series.id,
+      aws_api_gateway_method.create_series.id,
+      aws_api_gateway_method.get_series.id,
+      aws_api_gateway_method.update_series.id,
+      aws_api_gateway_method.delete_series.id,
+      aws_api_gateway_method.get_user_preferences.id,
+      aws_api_gateway_method.update_user_preferences.id,
+      aws_api_gateway_method.list_outbox.id,
+      aws_api_gateway_method.replay_outbox_job.id,
+      aws_api_gateway_method.list_notifications.id,
+      aws_api_gateway_method.read_all_notifications.id,
+      aws_api_gateway_method.read_notification.id,
+      aws_api_gateway_method.list_webhooks.id,
+      aws_api_gateway_method.create_webhook.id,
+      aws_api_gateway_method.get_webhook.id,
+      aws_api_gateway_method.update_webhook.id,
+      aws_api_gateway_method.delete_webhook.id,
+      aws_api_gateway_method.redeliver_webhook.id,
+      aws_api_gateway_method.get_chat_settings.id,
+      aws_api_gateway_method.put_chat_settings.id,
+      aws_api_gateway_method.delete_chat_settings.id,
+      aws_api_gateway_method.get_calendar_feed.id,
+      aws_api_gateway_method.get_user_calendar.id,
+      aws_api_gateway_method.rotate_user_calendar.id,
+      aws_api_gateway_method.import_tasks.id,
+      aws_api_gateway_method.get_tasks_export.id,
+      aws_api_gateway_method.post_backups.id,
+      aws_api_gateway_method.post_backups_restore.id,
+      aws_api_gateway_method.get_reports_summary.id,
       aws_api_gateway_integration.get_tasks.id,
       aws_api_gateway_integration.post_tasks.id,
       aws_api_gateway_integration.put_tasks.id,
       aws_api_gateway_integration.put_task_id.id,
       aws_api_gateway_integration.delete_tasks.id,
       aws_api_gateway_integration.get_users.id,
+      aws_api_gateway_integration.get_task_activity.id,
+      aws_api_gateway_integration.list_task_comments.id,
+      aws_api_gateway_integration.create_task_comment.id,
+      aws_api_gateway_integration.update_task_comment.id,
+      aws_api_gateway_integration.delete_task_comment.id,
+      aws_api_gateway_integration.get_workflow.id,
+      aws_api_gateway_integration.list_series.id,
+      aws_api_gateway_integration.create_series.id,
+      aws_api_gateway_integration.get_series.id,
+      aws_api_gateway_integration.update_series.id,
+      aws_api_gateway_integration.delete_series.id,
+      aws_api_gateway_integration.get_user_preferences.id,
+      aws_api_gateway_integration.update_user_preferences.id,
+      aws_api_gateway_integration.list_outbox.id,
+      aws_api_gateway_integration.replay_outbox_job.id,
+      aws_api_gateway_integration.list_notifications.id,
+      aws_api_gateway_integration.read_all_notifications.id,
+      aws_api_gateway_integration.read_notification.id,
+      aws_api_gateway_integration.list_webhooks.id,
+      aws_api_gateway_integration.create_webhook.id,
+      aws_api_gateway_integration.get_webhook.id,
+      aws_api_gateway_integration.update_webhook.id,
+      aws_api_gateway_integration.delete_webhook.id,
+      aws_api_gateway_integration.redeliver_webhook.id,
+      aws_api_gateway_integration.get_chat_settings.id,
+      aws_api_gateway_integration.put_chat_settings.id,
+      aws_api_gateway_integration.delete_chat_settings.id,
+      aws_api_gateway_integration.get_calendar_feed.id,
+      aws_api_gateway_integration.get_user_calendar.id,
+      aws_api_gateway_integration.rotate_user_calendar.id,
+      aws_api_gateway_integration.import_tasks.id,
+      aws_api_gateway_integration.get_tasks_export.id,
+      aws_api_gateway_integration.post_backups.id,
+      aws_api_gateway_integration.post_backups_restore.id,
+      aws_api_gateway_integration.get_reports_summary.id,
     ]))
   }
 
@@ -386,9 +3106,75 @@ resource "aws_api_gateway_deployment" "main" {
     aws_api_gateway_integration.put_task_id,
     aws_api_gateway_integration.delete_tasks,
     aws_api_gateway_integration.get_users,
+    aws_api_gateway_integration.get_task_activity,
+    aws_api_gateway_integration.list_task_comments,
+    aws_api_gateway_integration.create_task_comment,
+    aws_api_gateway_integration.update_task_comment,
+    aws_api_gateway_integration.delete_task_comment,
+    aws_api_gateway_integration.get_workflow,
+    aws_api_gateway_integration.list_series,
+    aws_api_gateway_integration.create_series,
+    aws_api_gateway_integration.get_series,
+    aws_api_gateway_integration.update_series,
+    aws_api_gateway_integration.delete_series,
+    aws_api_gateway_integration.get_user_preferences,
+    aws_api_gateway_integration.update_user_preferences,
+    aws_api_gateway_integration.list_outbox,
+    aws_api_gateway_integration.replay_outbox_job,
+    aws_api_gateway_integration.list_notifications,
+    aws_api_gateway_integration.read_all_notifications,
+    aws_api_gateway_integration.read_notification,
+    aws_api_gateway_integration.list_webhooks,
+    aws_api_gateway_integration.create_webhook,
+    aws_api_gateway_integration.get_webhook,
+    aws_api_gateway_integration.update_webhook,
+    aws_api_gateway_integration.delete_webhook,
+    aws_api_gateway_integration.redeliver_webhook,
+    aws_api_gateway_integration.get_chat_settings,
+    aws_api_gateway_integration.put_chat_settings,
+    aws_api_gateway_integration.delete_chat_settings,
+    aws_api_gateway_integration.get_calendar_feed,
+    aws_api_gateway_integration.get_user_calendar,
+    aws_api_gateway_integration.rotate_user_calendar,
+    aws_api_gateway_integration.import_tasks,
+    aws_api_gateway_integration.get_tasks_export,
+    aws_api_gateway_integration.post_backups,
+    aws_api_gateway_integration.post_backups_restore,
+    aws_api_gateway_integration.get_reports_summary,
     aws_api_gateway_integration.options_tasks,
     aws_api_gateway_integration.options_task_id,
     aws_api_gateway_integration.options_users,
+    aws_api_gateway_integration.options_task_activity,
+    aws_api_gateway_integration.options_task_comments,
+    aws_api_gateway_integration.options_task_comment_id,
+    aws_api_gateway_integration.options_workflow,
+    aws_api_gateway_integration.options_series,
+    aws_api_gateway_integration.options_series_item,
+    aws_api_gateway_integration.options_user_preferences,
+    aws_api_gateway_integration.options_outbox,
+    aws_api_gateway_integration.options_outbox_job,
+    aws_api_gateway_integration.options_outbox_replay,
+    aws_api_gateway_integration.options_notifications,
+    aws_api_gateway_integration.options_notifications_read_all,
+    aws_api_gateway_integration.options_notification_item,
+    aws_api_gateway_integration.options_notification_read,
+    aws_api_gateway_integration.options_webhooks,
+    aws_api_gateway_integration.options_webhook_item,
+    aws_api_gateway_integration.options_webhook_deliveries,
+    aws_api_gateway_integration.options_webhook_delivery,
+    aws_api_gateway_integration.options_webhook_redeliver,
+    aws_api_gateway_integration.options_settings,
+    aws_api_gateway_integration.options_settings_chat,
+    aws_api_gateway_integration.options_calendar,
+    aws_api_gateway_integration.options_calendar_token,
+    aws_api_gateway_integration.options_user_calendar,
+    aws_api_gateway_integration.options_user_calendar_rotate,
+    aws_api_gateway_integration.options_tasks_import,
+    aws_api_gateway_integration.options_tasks_export,
+    aws_api_gateway_integration.options_backups,
+    aws_api_gateway_integration.options_backups_restore,
+    aws_api_gateway_integration.options_reports,
+    aws_api_gateway_integration.options_reports_summary,
   ]
 }
 
@@ -69,6 +69,156 @@ variable "user_management_lambda_name" {
   type        = string
 }
 
+variable "get_task_activity_lambda_invoke_arn" {
+  description = "Get Task Activity Lambda function invoke ARN"
+  type        = string
+}
+
+variable "get_task_activity_lambda_name" {
+  description = "Get Task Activity Lambda function name"
+  type        = string
+}
+
+variable "task_comments_lambda_invoke_arn" {
+  description = "Task Comments Lambda function invoke ARN"
+  type        = string
+}
+
+variable "task_comments_lambda_name" {
+  description = "Task Comments Lambda function name"
+  type        = string
+}
+
+variable "get_workflow_lambda_invoke_arn" {
+  description = "Get Workflow Lambda function invoke ARN"
+  type        = string
+}
+
+variable "get_workflow_lambda_name" {
+  description = "Get Workflow Lambda function name"
+  type        = string
+}
+
+variable "task_series_lambda_invoke_arn" {
+  description = "Task Series Lambda function invoke ARN"
+  type        = string
+}
+
+variable "task_series_lambda_name" {
+  description = "Task Series Lambda function name"
+  type        = string
+}
+
+variable "user_preferences_lambda_invoke_arn" {
+  description = "User Preferences Lambda function invoke ARN"
+  type        = string
+}
+
+variable "user_preferences_lambda_name" {
+  description = "User Preferences Lambda function name"
+  type        = string
+}
+
+variable "notification_outbox_lambda_invoke_arn" {
+  description = "Notification Outbox Lambda function invoke ARN"
+  type        = string
+}
+
+variable "notification_outbox_lambda_name" {
+  description = "Notification Outbox Lambda function name"
+  type        = string
+}
+
+variable "notification_center_lambda_invoke_arn" {
+  description = "Notification Center Lambda function invoke ARN"
+  type        = string
+}
+
+variable "notification_center_lambda_name" {
+  description = "Notification Center Lambda function name"
+  type        = string
+}
+
+variable "webhook_management_lambda_invoke_arn" {
+  description = "Webhook Management Lambda function invoke ARN"
+  type        = string
+}
+
+variable "webhook_management_lambda_name" {
+  description = "Webhook Management Lambda function name"
+  type        = string
+}
+
+variable "chat_settings_lambda_invoke_arn" {
+  description = "Chat Settings Lambda function invoke ARN"
+  type        = string
+}
+
+variable "chat_settings_lambda_name" {
+  description = "Chat Settings Lambda function name"
+  type        = string
+}
+
+variable "calendar_feed_lambda_invoke_arn" {
+  description = "Calendar Feed Lambda function invoke ARN"
+  type        = string
+}
+
+variable "calendar_feed_lambda_name" {
+  description = "Calendar Feed Lambda function name"
+  type        = string
+}
+
+variable "user_calendar_lambda_invoke_arn" {
+  description = "User Calendar Lambda function invoke ARN"
+  type        = string
+}
+
+variable "user_calendar_lambda_name" {
+  description = "User Calendar Lambda function name"
+  type        = string
+}
+
+variable "import_tasks_lambda_invoke_arn" {
+  description = "Import Tasks Lambda function invoke ARN"
+  type        = string
+}
+
+variable "import_tasks_lambda_name" {
+  description = "Import Tasks Lambda function name"
+  type        = string
+}
+
+variable "export_tasks_lambda_invoke_arn" {
+  description = "Export Tasks Lambda function invoke ARN"
+  type        = string
+}
+
+variable "export_tasks_lambda_name" {
+  description = "Export Tasks Lambda function name"
+  type        = string
+}
+
+variable "backup_restore_lambda_invoke_arn" {
+  description = "Backup Restore Lambda function invoke ARN"
+  type        = string
+}
+
+variable "backup_restore_lambda_name" {
+  description = "Backup Restore Lambda function name"
+  type        = string
+}
+
+variable "get_report_summary_lambda_invoke_arn" {
+  description = "Get Report Summary Lambda function invoke ARN"
+  type        = string
+}
+
+variable "get_report_summary_lambda_name" {
+  description = "Get Report Summary Lambda function name"
+  type        = string
+}
+
 # Legacy variable - kept for backward compatibility
 variable "lambda_invoke_arn" {
   description = "Lambda function invoke ARN (legacy)"
@@ -46,15 +46,65 @@ resource "aws_iam_role_policy" "lambda_policy" {
           "dynamodb:UpdateItem",
           "dynamodb:DeleteItem",
           "dynamodb:Query",
-          "dynamodb:Scan"
+          "dynamodb:Scan",
+          "dynamodb:BatchGetItem",
+          "dynamodb:BatchWriteItem"
         ]
         Resource = [
           var.tasks_table_arn,
           var.users_table_arn,
+          var.task_members_table_arn,
+          var.series_table_arn,
+          var.comments_table_arn,
+          var.outbox_table_arn,
+          var.notifications_table_arn,
+          var.webhooks_table_arn,
+          var.webhook_deliveries_table_arn,
+          var.settings_table_arn,
           "${var.tasks_table_arn}/index/*",
-          "${var.users_table_arn}/index/*"
+          "${var.users_table_arn}/index/*",
+          "${var.comments_table_arn}/index/*",
+          "${var.outbox_table_arn}/index/*",
+          "${var.notifications_table_arn}/index/*",
+          "${var.webhook_deliveries_table_arn}/index/*"
+        ]
+      },
+      {
+        # Task activity is append-only: events can be written and read, never changed
+        Effect = "Allow"
+        Action = [
+          "dynamodb:PutItem",
+          "dynamodb:Query",
+          "dynamodb:Scan"
+        ]
+        Resource = var.activity_table_arn
+      },
+      {
+        # Exports and backups are written and read back, never listed or deleted
+        Effect = "Allow"
+        Action = [
+          "s3:PutObject",
+          "s3:GetObject",
+          "s3:AbortMultipartUpload"
+        ]
+        Resource = [
+          "${var.exports_bucket_arn}/exports/*",
+          "${var.exports_bucket_arn}/backups/*"
         ]
       },
+      {
+        # Lets a missing backup read as 404 Not Found rather than 403
+        Effect = "Allow"
+        Action = [
+          "s3:ListBucket"
+        ]
+        Resource = var.exports_bucket_arn
+        Condition = {
+          StringLike = {
+            "s3:prefix" = "backups/*"
+          }
+        }
+      },
       {
         Effect = "Allow"
         Action = [
@@ -134,6 +184,27 @@ data "archive_file" "post_confirmation_zip" {
     "delete-task.js",
     "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
@@ -181,6 +252,27 @@ data "archive_file" "get_tasks_zip" {
     "delete-task.js",
     "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
@@ -198,11 +290,13 @@ resource "aws_lambda_function" "get_tasks" {
 
   environment {
     variables = {
-      TASKS_TABLE      = var.tasks_table_name
-      USERS_TABLE      = var.users_table_name
-      ENVIRONMENT      = var.environment
-      SES_SOURCE_EMAIL = var.ses_source_email
-      SNS_TOPIC_ARN    = var.sns_topic_arn
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+      SNS_TOPIC_ARN      = var.sns_topic_arn
     }
   }
 
@@ -227,6 +321,27 @@ data "archive_file" "create_task_zip" {
     "delete-task.js",
     "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
@@ -244,11 +359,17 @@ resource "aws_lambda_function" "create_task" {
 
   environment {
     variables = {
-      TASKS_TABLE      = var.tasks_table_name
-      USERS_TABLE      = var.users_table_name
-      ENVIRONMENT      = var.environment
-      SES_SOURCE_EMAIL = var.ses_source_email
-      SNS_TOPIC_ARN    = var.sns_topic_arn
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      SETTINGS_TABLE     = var.settings_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+      SNS_TOPIC_ARN      = var.sns_topic_arn
     }
   }
 
@@ -273,6 +394,27 @@ data "archive_file" "update_task_zip" {
     "delete-task.js",
     "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
@@ -290,11 +432,18 @@ resource "aws_lambda_function" "update_task" {
 
   environment {
     variables = {
-      TASKS_TABLE      = var.tasks_table_name
-      USERS_TABLE      = var.users_table_name
-      ENVIRONMENT      = var.environment
-      SES_SOURCE_EMAIL = var.ses_source_email
-      SNS_TOPIC_ARN    = var.sns_topic_arn
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      COMMENTS_TABLE     = var.comments_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      SETTINGS_TABLE     = var.settings_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+      SNS_TOPIC_ARN      = var.sns_topic_arn
     }
   }
 
@@ -319,6 +468,27 @@ data "archive_file" "delete_task_zip" {
     "update-task.js",
     "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
@@ -336,11 +506,17 @@ resource "aws_lambda_function" "delete_task" {
 
   environment {
     variables = {
-      TASKS_TABLE      = var.tasks_table_name
-      USERS_TABLE      = var.users_table_name
-      ENVIRONMENT      = var.environment
-      SES_SOURCE_EMAIL = var.ses_source_email
-      SNS_TOPIC_ARN    = var.sns_topic_arn
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      COMMENTS_TABLE     = var.comments_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+      SNS_TOPIC_ARN      = var.sns_topic_arn
     }
   }
 
@@ -350,14 +526,11 @@ resource "aws_lambda_function" "delete_task" {
   }
 }
 
-##############################################
-# User Management Lambda Function
-##############################################
-
-data "archive_file" "user_management_zip" {
+# Get Task Activity Lambda Function
+data "archive_file" "get_task_activity_zip" {
   type        = "zip"
   source_dir  = "${path.module}/../../../lambda"
-  output_path = "${path.module}/../../../lambda/build/user-management.zip"
+  output_path = "${path.module}/../../../lambda/build/get-task-activity.zip"
   excludes    = [
     "*.zip",
     "build/*",
@@ -367,28 +540,49 @@ data "archive_file" "user_management_zip" {
     "create-task.js",
     "update-task.js",
     "delete-task.js",
+    "user-management.js",
     "task-management.js",
+    "backfill-task-membership.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
     "*.md",
     "*.sh"
   ]
 }
 
-resource "aws_lambda_function" "user_management" {
-  filename         = data.archive_file.user_management_zip.output_path
-  function_name    = "${var.project_name}-user-management"
+resource "aws_lambda_function" "get_task_activity" {
+  filename         = data.archive_file.get_task_activity_zip.output_path
+  function_name    = "${var.project_name}-get-task-activity"
   role            = aws_iam_role.lambda_execution.arn
-  handler         = "user-management.handler"
+  handler         = "get-task-activity.handler"
   runtime         = "nodejs18.x"
-  source_code_hash = data.archive_file.user_management_zip.output_base64sha256
+  source_code_hash = data.archive_file.get_task_activity_zip.output_base64sha256
   timeout         = 30
   memory_size     = 256
 
   environment {
     variables = {
-      TASKS_TABLE      = var.tasks_table_name
-      USERS_TABLE      = var.users_table_name
-      ENVIRONMENT      = var.environment
-      USER_POOL_ID     = var.user_pool_id
+      TASKS_TABLE    = var.tasks_table_name
+      USERS_TABLE    = var.users_table_name
+      ACTIVITY_TABLE = var.activity_table_name
+      ENVIRONMENT    = var.environment
     }
   }
 
@@ -398,16 +592,68 @@ resource "aws_lambda_function" "user_management" {
   }
 }
 
-##############################################
-# CloudWatch Log Groups
-##############################################
+# Task Comments Lambda Function
+data "archive_file" "task_comments_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/task-comments.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
 
-resource "aws_cloudwatch_log_group" "pre_signup" {
-  name              = "/aws/lambda/${aws_lambda_function.pre_signup.function_name}"
-  retention_in_days = var.log_retention_days
+resource "aws_lambda_function" "task_comments" {
+  filename         = data.archive_file.task_comments_zip.output_path
+  function_name    = "${var.project_name}-task-comments"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "task-comments.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.task_comments_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
 
-  lifecycle {
-    ignore_changes = [name]
+  environment {
+    variables = {
+      TASKS_TABLE      = var.tasks_table_name
+      USERS_TABLE      = var.users_table_name
+      COMMENTS_TABLE   = var.comments_table_name
+      ACTIVITY_TABLE   = var.activity_table_name
+      OUTBOX_TABLE     = var.outbox_table_name
+      SES_SOURCE_EMAIL = var.ses_source_email
+      APP_URL          = var.app_url
+      ENVIRONMENT      = var.environment
+    }
   }
 
   tags = {
@@ -416,12 +662,62 @@ resource "aws_cloudwatch_log_group" "pre_signup" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "post_confirmation" {
-  name              = "/aws/lambda/${aws_lambda_function.post_confirmation.function_name}"
-  retention_in_days = var.log_retention_days
+# Get Workflow Lambda Function
+data "archive_file" "get_workflow_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/get-workflow.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
 
-  lifecycle {
-    ignore_changes = [name]
+resource "aws_lambda_function" "get_workflow" {
+  filename         = data.archive_file.get_workflow_zip.output_path
+  function_name    = "${var.project_name}-get-workflow"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "get-workflow.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.get_workflow_zip.output_base64sha256
+  timeout         = 10
+  memory_size     = 256
+
+  environment {
+    variables = {
+      USERS_TABLE = var.users_table_name
+      ENVIRONMENT = var.environment
+    }
   }
 
   tags = {
@@ -430,12 +726,69 @@ resource "aws_cloudwatch_log_group" "post_confirmation" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "get_tasks" {
-  name              = "/aws/lambda/${aws_lambda_function.get_tasks.function_name}"
-  retention_in_days = var.log_retention_days
+# Task Series Lambda Function
+data "archive_file" "task_series_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/task-series.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
 
-  lifecycle {
-    ignore_changes = [name]
+resource "aws_lambda_function" "task_series" {
+  filename         = data.archive_file.task_series_zip.output_path
+  function_name    = "${var.project_name}-task-series"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "task-series.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.task_series_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      SERIES_TABLE       = var.series_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+    }
   }
 
   tags = {
@@ -444,12 +797,62 @@ resource "aws_cloudwatch_log_group" "get_tasks" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "create_task" {
-  name              = "/aws/lambda/${aws_lambda_function.create_task.function_name}"
-  retention_in_days = var.log_retention_days
+# User Preferences Lambda Function
+data "archive_file" "user_preferences_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/user-preferences.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
 
-  lifecycle {
-    ignore_changes = [name]
+resource "aws_lambda_function" "user_preferences" {
+  filename         = data.archive_file.user_preferences_zip.output_path
+  function_name    = "${var.project_name}-user-preferences"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "user-preferences.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.user_preferences_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      USERS_TABLE = var.users_table_name
+      ENVIRONMENT = var.environment
+    }
   }
 
   tags = {
@@ -458,12 +861,70 @@ resource "aws_cloudwatch_log_group" "create_task" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "update_task" {
-  name              = "/aws/lambda/${aws_lambda_function.update_task.function_name}"
-  retention_in_days = var.log_retention_days
+##############################################
+# User Management Lambda Function
+##############################################
 
-  lifecycle {
-    ignore_changes = [name]
+data "archive_file" "user_management_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/user-management.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "user_management" {
+  filename         = data.archive_file.user_management_zip.output_path
+  function_name    = "${var.project_name}-user-management"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "user-management.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.user_management_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      ENVIRONMENT        = var.environment
+      USER_POOL_ID       = var.user_pool_id
+    }
   }
 
   tags = {
@@ -472,12 +933,67 @@ resource "aws_cloudwatch_log_group" "update_task" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "delete_task" {
-  name              = "/aws/lambda/${aws_lambda_function.delete_task.function_name}"
-  retention_in_days = var.log_retention_days
+##############################################
+# Maintenance Lambda Functions
+##############################################
 
-  lifecycle {
-    ignore_changes = [name]
+# Backfill Task Membership Lambda Function (invoked manually)
+data "archive_file" "backfill_task_membership_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/backfill-task-membership.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "user-management.js",
+    "task-management.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "backfill_task_membership" {
+  filename         = data.archive_file.backfill_task_membership_zip.output_path
+  function_name    = "${var.project_name}-backfill-task-membership"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "backfill-task-membership.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.backfill_task_membership_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ENVIRONMENT        = var.environment
+    }
   }
 
   tags = {
@@ -486,8 +1002,1500 @@ resource "aws_cloudwatch_log_group" "delete_task" {
   }
 }
 
-resource "aws_cloudwatch_log_group" "user_management" {
-  name              = "/aws/lambda/${aws_lambda_function.user_management.function_name}"
+# Migrate Task Comments Lambda Function (invoked manually)
+data "archive_file" "migrate_task_comments_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/migrate-task-comments.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "migrate_task_comments" {
+  filename         = data.archive_file.migrate_task_comments_zip.output_path
+  function_name    = "${var.project_name}-migrate-task-comments"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "migrate-task-comments.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.migrate_task_comments_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE    = var.tasks_table_name
+      COMMENTS_TABLE = var.comments_table_name
+      ENVIRONMENT    = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Generate Recurring Tasks Lambda Function (runs daily on a schedule)
+data "archive_file" "generate_recurring_tasks_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/generate-recurring-tasks.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "send-task-reminders.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "generate_recurring_tasks" {
+  filename         = data.archive_file.generate_recurring_tasks_zip.output_path
+  function_name    = "${var.project_name}-generate-recurring-tasks"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "generate-recurring-tasks.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.generate_recurring_tasks_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      SERIES_TABLE       = var.series_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      SETTINGS_TABLE     = var.settings_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Daily schedule for the recurring task generator
+resource "aws_cloudwatch_event_rule" "generate_recurring_tasks" {
+  name                = "${var.project_name}-generate-recurring-tasks"
+  description         = "Creates the due instances of recurring task series"
+  schedule_expression = var.recurring_tasks_schedule
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_event_target" "generate_recurring_tasks" {
+  rule = aws_cloudwatch_event_rule.generate_recurring_tasks.name
+  arn  = aws_lambda_function.generate_recurring_tasks.arn
+}
+
+resource "aws_lambda_permission" "events_generate_recurring_tasks" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.generate_recurring_tasks.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.generate_recurring_tasks.arn
+}
+
+# Send Task Reminders Lambda Function (runs hourly on a schedule)
+data "archive_file" "send_task_reminders_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/send-task-reminders.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "user-preferences.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "send_task_reminders" {
+  filename         = data.archive_file.send_task_reminders_zip.output_path
+  function_name    = "${var.project_name}-send-task-reminders"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "send-task-reminders.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.send_task_reminders_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE           = var.tasks_table_name
+      USERS_TABLE           = var.users_table_name
+      OUTBOX_TABLE          = var.outbox_table_name
+      REMINDER_WINDOW_HOURS = var.reminder_window_hours
+      ENVIRONMENT           = var.environment
+      SES_SOURCE_EMAIL      = var.ses_source_email
+      APP_URL               = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Hourly schedule for due-date reminders
+resource "aws_cloudwatch_event_rule" "send_task_reminders" {
+  name                = "${var.project_name}-send-task-reminders"
+  description         = "Sends due-soon reminders and overdue escalations"
+  schedule_expression = var.task_reminders_schedule
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_event_target" "send_task_reminders" {
+  rule = aws_cloudwatch_event_rule.send_task_reminders.name
+  arn  = aws_lambda_function.send_task_reminders.arn
+}
+
+resource "aws_lambda_permission" "events_send_task_reminders" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.send_task_reminders.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.send_task_reminders.arn
+}
+
+# Send Digests Lambda Function (runs daily on a schedule)
+data "archive_file" "send_digests_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/send-digests.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "send_digests" {
+  filename         = data.archive_file.send_digests_zip.output_path
+  function_name    = "${var.project_name}-send-digests"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "send-digests.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.send_digests_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE      = var.tasks_table_name
+      USERS_TABLE      = var.users_table_name
+      OUTBOX_TABLE     = var.outbox_table_name
+      ENVIRONMENT      = var.environment
+      SES_SOURCE_EMAIL = var.ses_source_email
+      APP_URL          = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Daily schedule for digest emails (weekly ones go out a week after the previous one)
+resource "aws_cloudwatch_event_rule" "send_digests" {
+  name                = "${var.project_name}-send-digests"
+  description         = "Sends daily and weekly digest emails"
+  schedule_expression = var.digests_schedule
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_event_target" "send_digests" {
+  rule = aws_cloudwatch_event_rule.send_digests.name
+  arn  = aws_lambda_function.send_digests.arn
+}
+
+resource "aws_lambda_permission" "events_send_digests" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.send_digests.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.send_digests.arn
+}
+
+# Deliver Notifications Lambda Function (runs every minute on a schedule)
+data "archive_file" "deliver_notifications_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/deliver-notifications.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "deliver_notifications" {
+  filename         = data.archive_file.deliver_notifications_zip.output_path
+  function_name    = "${var.project_name}-deliver-notifications"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "deliver-notifications.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.deliver_notifications_zip.output_base64sha256
+  timeout         = 300
+  memory_size     = 256
+
+  environment {
+    variables = {
+      OUTBOX_TABLE             = var.outbox_table_name
+      USERS_TABLE              = var.users_table_name
+      NOTIFICATIONS_TABLE      = var.notifications_table_name
+      WEBHOOKS_TABLE           = var.webhooks_table_name
+      WEBHOOK_DELIVERIES_TABLE = var.webhook_deliveries_table_name
+      SETTINGS_TABLE           = var.settings_table_name
+      ENVIRONMENT              = var.environment
+      SES_SOURCE_EMAIL         = var.ses_source_email
+      SNS_TOPIC_ARN            = var.sns_topic_arn
+      APP_URL                  = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Frequent schedule for the notification outbox worker (retries wait out their own backoff)
+resource "aws_cloudwatch_event_rule" "deliver_notifications" {
+  name                = "${var.project_name}-deliver-notifications"
+  description         = "Delivers queued and retried notifications"
+  schedule_expression = var.notification_delivery_schedule
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_event_target" "deliver_notifications" {
+  rule = aws_cloudwatch_event_rule.deliver_notifications.name
+  arn  = aws_lambda_function.deliver_notifications.arn
+}
+
+resource "aws_lambda_permission" "events_deliver_notifications" {
+  statement_id  = "AllowEventBridgeInvoke"
+  action        = "lambda:InvokeFunction"
+  function_name = aws_lambda_function.deliver_notifications.function_name
+  principal     = "events.amazonaws.com"
+  source_arn    = aws_cloudwatch_event_rule.deliver_notifications.arn
+}
+
+# Notification Outbox Lambda Function
+data "archive_file" "notification_outbox_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/notification-outbox.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "notification_outbox" {
+  filename         = data.archive_file.notification_outbox_zip.output_path
+  function_name    = "${var.project_name}-notification-outbox"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "notification-outbox.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.notification_outbox_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      OUTBOX_TABLE = var.outbox_table_name
+      USERS_TABLE  = var.users_table_name
+      ENVIRONMENT  = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Notification Center Lambda Function
+data "archive_file" "notification_center_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/notification-center.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "notification_center" {
+  filename         = data.archive_file.notification_center_zip.output_path
+  function_name    = "${var.project_name}-notification-center"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "notification-center.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.notification_center_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      NOTIFICATIONS_TABLE = var.notifications_table_name
+      USERS_TABLE         = var.users_table_name
+      ENVIRONMENT         = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Webhook Management Lambda Function
+data "archive_file" "webhook_management_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/webhook-management.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "webhook_management" {
+  filename         = data.archive_file.webhook_management_zip.output_path
+  function_name    = "${var.project_name}-webhook-management"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "webhook-management.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.webhook_management_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      WEBHOOKS_TABLE           = var.webhooks_table_name
+      WEBHOOK_DELIVERIES_TABLE = var.webhook_deliveries_table_name
+      OUTBOX_TABLE             = var.outbox_table_name
+      USERS_TABLE              = var.users_table_name
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Chat Settings Lambda Function
+data "archive_file" "chat_settings_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/chat-settings.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "chat_settings" {
+  filename         = data.archive_file.chat_settings_zip.output_path
+  function_name    = "${var.project_name}-chat-settings"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "chat-settings.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.chat_settings_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      USERS_TABLE    = var.users_table_name
+      SETTINGS_TABLE = var.settings_table_name
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Calendar Feed Lambda Function
+data "archive_file" "calendar_feed_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/calendar-feed.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "calendar_feed" {
+  filename         = data.archive_file.calendar_feed_zip.output_path
+  function_name    = "${var.project_name}-calendar-feed"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "calendar-feed.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.calendar_feed_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      APP_URL            = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# User Calendar Lambda Function
+data "archive_file" "user_calendar_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/user-calendar.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "user_calendar" {
+  filename         = data.archive_file.user_calendar_zip.output_path
+  function_name    = "${var.project_name}-user-calendar"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "user-calendar.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.user_calendar_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      USERS_TABLE = var.users_table_name
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Import Tasks Lambda Function
+data "archive_file" "import_tasks_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/import-tasks.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "import_tasks" {
+  filename         = data.archive_file.import_tasks_zip.output_path
+  function_name    = "${var.project_name}-import-tasks"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "import-tasks.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.import_tasks_zip.output_base64sha256
+  timeout         = 120
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      OUTBOX_TABLE       = var.outbox_table_name
+      WEBHOOKS_TABLE     = var.webhooks_table_name
+      ENVIRONMENT        = var.environment
+      SES_SOURCE_EMAIL   = var.ses_source_email
+      APP_URL            = var.app_url
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Export Tasks Lambda Function
+data "archive_file" "export_tasks_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/export-tasks.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "backup-restore.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "export_tasks" {
+  filename         = data.archive_file.export_tasks_zip.output_path
+  function_name    = "${var.project_name}-export-tasks"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "export-tasks.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.export_tasks_zip.output_base64sha256
+  timeout         = 120
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE        = var.tasks_table_name
+      USERS_TABLE        = var.users_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      COMMENTS_TABLE     = var.comments_table_name
+      EXPORTS_BUCKET     = var.exports_bucket_name
+      ENVIRONMENT        = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Backup Restore Lambda Function
+data "archive_file" "backup_restore_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/backup-restore.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "get-report-summary.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "backup_restore" {
+  filename         = data.archive_file.backup_restore_zip.output_path
+  function_name    = "${var.project_name}-backup-restore"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "backup-restore.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.backup_restore_zip.output_base64sha256
+  timeout         = 900
+  memory_size     = 256
+
+  environment {
+    variables = {
+      USERS_TABLE        = var.users_table_name
+      TASKS_TABLE        = var.tasks_table_name
+      TASK_MEMBERS_TABLE = var.task_members_table_name
+      COMMENTS_TABLE     = var.comments_table_name
+      ACTIVITY_TABLE     = var.activity_table_name
+      EXPORTS_BUCKET     = var.exports_bucket_name
+      ENVIRONMENT        = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+# Get Report Summary Lambda Function
+data "archive_file" "get_report_summary_zip" {
+  type        = "zip"
+  source_dir  = "${path.module}/../../../lambda"
+  output_path = "${path.module}/../../../lambda/build/get-report-summary.zip"
+  excludes    = [
+    "*.zip",
+    "build/*",
+    "pre-signup.js",
+    "post-confirmation.js",
+    "get-tasks.js",
+    "create-task.js",
+    "update-task.js",
+    "delete-task.js",
+    "get-task-activity.js",
+    "task-comments.js",
+    "get-workflow.js",
+    "task-series.js",
+    "user-preferences.js",
+    "user-management.js",
+    "task-management.js",
+    "backfill-task-membership.js",
+    "generate-recurring-tasks.js",
+    "send-task-reminders.js",
+    "send-digests.js",
+    "deliver-notifications.js",
+    "notification-outbox.js",
+    "notification-center.js",
+    "webhook-management.js",
+    "chat-settings.js",
+    "calendar-feed.js",
+    "user-calendar.js",
+    "import-tasks.js",
+    "export-tasks.js",
+    "backup-restore.js",
+    "migrate-task-comments.js",
+    "*.md",
+    "*.sh"
+  ]
+}
+
+resource "aws_lambda_function" "get_report_summary" {
+  filename         = data.archive_file.get_report_summary_zip.output_path
+  function_name    = "${var.project_name}-get-report-summary"
+  role            = aws_iam_role.lambda_execution.arn
+  handler         = "get-report-summary.handler"
+  runtime         = "nodejs18.x"
+  source_code_hash = data.archive_file.get_report_summary_zip.output_base64sha256
+  timeout         = 30
+  memory_size     = 256
+
+  environment {
+    variables = {
+      TASKS_TABLE    = var.tasks_table_name
+      USERS_TABLE    = var.users_table_name
+      ACTIVITY_TABLE = var.activity_table_name
+      ENVIRONMENT    = var.environment
+    }
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+##############################################
+# CloudWatch Log Groups
+##############################################
+
+resource "aws_cloudwatch_log_group" "pre_signup" {
+  name              = "/aws/lambda/${aws_lambda_function.pre_signup.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "post_confirmation" {
+  name              = "/aws/lambda/${aws_lambda_function.post_confirmation.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "get_tasks" {
+  name              = "/aws/lambda/${aws_lambda_function.get_tasks.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "create_task" {
+  name              = "/aws/lambda/${aws_lambda_function.create_task.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "update_task" {
+  name              = "/aws/lambda/${aws_lambda_function.update_task.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "delete_task" {
+  name              = "/aws/lambda/${aws_lambda_function.delete_task.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "user_management" {
+  name              = "/aws/lambda/${aws_lambda_function.user_management.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "backfill_task_membership" {
+  name              = "/aws/lambda/${aws_lambda_function.backfill_task_membership.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "get_task_activity" {
+  name              = "/aws/lambda/${aws_lambda_function.get_task_activity.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "task_comments" {
+  name              = "/aws/lambda/${aws_lambda_function.task_comments.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "get_workflow" {
+  name              = "/aws/lambda/${aws_lambda_function.get_workflow.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "task_series" {
+  name              = "/aws/lambda/${aws_lambda_function.task_series.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "generate_recurring_tasks" {
+  name              = "/aws/lambda/${aws_lambda_function.generate_recurring_tasks.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "send_task_reminders" {
+  name              = "/aws/lambda/${aws_lambda_function.send_task_reminders.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "user_preferences" {
+  name              = "/aws/lambda/${aws_lambda_function.user_preferences.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "send_digests" {
+  name              = "/aws/lambda/${aws_lambda_function.send_digests.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "deliver_notifications" {
+  name              = "/aws/lambda/${aws_lambda_function.deliver_notifications.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "notification_outbox" {
+  name              = "/aws/lambda/${aws_lambda_function.notification_outbox.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "notification_center" {
+  name              = "/aws/lambda/${aws_lambda_function.notification_center.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "webhook_management" {
+  name              = "/aws/lambda/${aws_lambda_function.webhook_management.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "chat_settings" {
+  name              = "/aws/lambda/${aws_lambda_function.chat_settings.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "calendar_feed" {
+  name              = "/aws/lambda/${aws_lambda_function.calendar_feed.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "user_calendar" {
+  name              = "/aws/lambda/${aws_lambda_function.user_calendar.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "import_tasks" {
+  name              = "/aws/lambda/${aws_lambda_function.import_tasks.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "export_tasks" {
+  name              = "/aws/lambda/${aws_lambda_function.export_tasks.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "backup_restore" {
+  name              = "/aws/lambda/${aws_lambda_function.backup_restore.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "get_report_summary" {
+  name              = "/aws/lambda/${aws_lambda_function.get_report_summary.function_name}"
+  retention_in_days = var.log_retention_days
+
+  lifecycle {
+    ignore_changes = [name]
+  }
+
+  tags = {
+    Environment = var.environment
+    Project     = var.project_name
+  }
+}
+
+resource "aws_cloudwatch_log_group" "migrate_task_comments" {
+  name              = "/aws/lambda/${aws_lambda_function.migrate_task_comments.function_name}"
   retention_in_days = var.log_retention_days
 
   lifecycle {
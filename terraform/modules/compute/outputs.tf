@@ -80,6 +80,81 @@ output "delete_task_lambda_name" {
   value       = aws_lambda_function.delete_task.function_name
 }
 
+output "get_task_activity_lambda_arn" {
+  description = "Get Task Activity Lambda function ARN"
+  value       = aws_lambda_function.get_task_activity.arn
+}
+
+output "get_task_activity_lambda_invoke_arn" {
+  description = "Get Task Activity Lambda function invoke ARN"
+  value       = aws_lambda_function.get_task_activity.invoke_arn
+}
+
+output "get_task_activity_lambda_name" {
+  description = "Get Task Activity Lambda function name"
+  value       = aws_lambda_function.get_task_activity.function_name
+}
+
+output "task_comments_lambda_arn" {
+  description = "Task Comments Lambda function ARN"
+  value       = aws_lambda_function.task_comments.arn
+}
+
+output "task_comments_lambda_invoke_arn" {
+  description = "Task Comments Lambda function invoke ARN"
+  value       = aws_lambda_function.task_comments.invoke_arn
+}
+
+output "task_comments_lambda_name" {
+  description = "Task Comments Lambda function name"
+  value       = aws_lambda_function.task_comments.function_name
+}
+
+output "get_workflow_lambda_arn" {
+  description = "Get Workflow Lambda function ARN"
+  value       = aws_lambda_function.get_workflow.arn
+}
+
+output "get_workflow_lambda_invoke_arn" {
+  description = "Get Workflow Lambda function invoke ARN"
+  value       = aws_lambda_function.get_workflow.invoke_arn
+}
+
+output "get_workflow_lambda_name" {
+  description = "Get Workflow Lambda function name"
+  value       = aws_lambda_function.get_workflow.function_name
+}
+
+output "task_series_lambda_arn" {
+  description = "Task Series Lambda function ARN"
+  value       = aws_lambda_function.task_series.arn
+}
+
+output "task_series_lambda_invoke_arn" {
+  description = "Task Series Lambda function invoke ARN"
+  value       = aws_lambda_function.task_series.invoke_arn
+}
+
+output "task_series_lambda_name" {
+  description = "Task Series Lambda function name"
+  value       = aws_lambda_function.task_series.function_name
+}
+
+output "user_preferences_lambda_arn" {
+  description = "User Preferences Lambda function ARN"
+  value       = aws_lambda_function.user_preferences.arn
+}
+
+output "user_preferences_lambda_invoke_arn" {
+  description = "User Preferences Lambda function invoke ARN"
+  value       = aws_lambda_function.user_preferences.invoke_arn
+}
+
+output "user_preferences_lambda_name" {
+  description = "User Preferences Lambda function name"
+  value       = aws_lambda_function.user_preferences.function_name
+}
+
 # User Management Lambda Outputs
 output "user_management_lambda_arn" {
   description = "User Management Lambda function ARN"
@@ -96,6 +171,207 @@ output "user_management_lambda_name" {
   value       = aws_lambda_function.user_management.function_name
 }
 
+# Maintenance Lambda Outputs
+output "backfill_task_membership_lambda_name" {
+  description = "Backfill Task Membership Lambda function name"
+  value       = aws_lambda_function.backfill_task_membership.function_name
+}
+
+output "migrate_task_comments_lambda_name" {
+  description = "Migrate Task Comments Lambda function name"
+  value       = aws_lambda_function.migrate_task_comments.function_name
+}
+
+output "generate_recurring_tasks_lambda_arn" {
+  description = "Generate Recurring Tasks Lambda function ARN"
+  value       = aws_lambda_function.generate_recurring_tasks.arn
+}
+
+output "generate_recurring_tasks_lambda_name" {
+  description = "Generate Recurring Tasks Lambda function name"
+  value       = aws_lambda_function.generate_recurring_tasks.function_name
+}
+
+output "send_task_reminders_lambda_arn" {
+  description = "Send Task Reminders Lambda function ARN"
+  value       = aws_lambda_function.send_task_reminders.arn
+}
+
+output "send_task_reminders_lambda_name" {
+  description = "Send Task Reminders Lambda function name"
+  value       = aws_lambda_function.send_task_reminders.function_name
+}
+
+output "send_digests_lambda_arn" {
+  description = "Send Digests Lambda function ARN"
+  value       = aws_lambda_function.send_digests.arn
+}
+
+output "send_digests_lambda_name" {
+  description = "Send Digests Lambda function name"
+  value       = aws_lambda_function.send_digests.function_name
+}
+
+output "deliver_notifications_lambda_arn" {
+  description = "Deliver Notifications Lambda function ARN"
+  value       = aws_lambda_function.deliver_notifications.arn
+}
+
+output "deliver_notifications_lambda_name" {
+  description = "Deliver Notifications Lambda function name"
+  value       = aws_lambda_function.deliver_notifications.function_name
+}
+
+output "notification_outbox_lambda_arn" {
+  description = "Notification Outbox Lambda function ARN"
+  value       = aws_lambda_function.notification_outbox.arn
+}
+
+output "notification_outbox_lambda_invoke_arn" {
+  description = "Notification Outbox Lambda function invoke ARN"
+  value       = aws_lambda_function.notification_outbox.invoke_arn
+}
+
+output "notification_outbox_lambda_name" {
+  description = "Notification Outbox Lambda function name"
+  value       = aws_lambda_function.notification_outbox.function_name
+}
+
+output "notification_center_lambda_arn" {
+  description = "Notification Center Lambda function ARN"
+  value       = aws_lambda_function.notification_center.arn
+}
+
+output "notification_center_lambda_invoke_arn" {
+  description = "Notification Center Lambda function invoke ARN"
+  value       = aws_lambda_function.notification_center.invoke_arn
+}
+
+output "notification_center_lambda_name" {
+  description = "Notification Center Lambda function name"
+  value       = aws_lambda_function.notification_center.function_name
+}
+
+output "webhook_management_lambda_arn" {
+  description = "Webhook Management Lambda function ARN"
+  value       = aws_lambda_function.webhook_management.arn
+}
+
+output "webhook_management_lambda_invoke_arn" {
+  description = "Webhook Management Lambda function invoke ARN"
+  value       = aws_lambda_function.webhook_management.invoke_arn
+}
+
+output "webhook_management_lambda_name" {
+  description = "Webhook Management Lambda function name"
+  value       = aws_lambda_function.webhook_management.function_name
+}
+
+output "chat_settings_lambda_arn" {
+  description = "Chat Settings Lambda function ARN"
+  value       = aws_lambda_function.chat_settings.arn
+}
+
+output "chat_settings_lambda_invoke_arn" {
+  description = "Chat Settings Lambda function invoke ARN"
+  value       = aws_lambda_function.chat_settings.invoke_arn
+}
+
+output "chat_settings_lambda_name" {
+  description = "Chat Settings Lambda function name"
+  value       = aws_lambda_function.chat_settings.function_name
+}
+
+output "calendar_feed_lambda_arn" {
+  description = "Calendar Feed Lambda function ARN"
+  value       = aws_lambda_function.calendar_feed.arn
+}
+
+output "calendar_feed_lambda_invoke_arn" {
+  description = "Calendar Feed Lambda function invoke ARN"
+  value       = aws_lambda_function.calendar_feed.invoke_arn
+}
+
+output "calendar_feed_lambda_name" {
+  description = "Calendar Feed Lambda function name"
+  value       = aws_lambda_function.calendar_feed.function_name
+}
+
+output "user_calendar_lambda_arn" {
+  description = "User Calendar Lambda function ARN"
+  value       = aws_lambda_function.user_calendar.arn
+}
+
+output "user_calendar_lambda_invoke_arn" {
+  description = "User Calendar Lambda function invoke ARN"
+  value       = aws_lambda_function.user_calendar.invoke_arn
+}
+
+output "user_calendar_lambda_name" {
+  description = "User Calendar Lambda function name"
+  value       = aws_lambda_function.user_calendar.function_name
+}
+
+output "import_tasks_lambda_arn" {
+  description = "Import Tasks Lambda function ARN"
+  value       = aws_lambda_function.import_tasks.arn
+}
+
+output "import_tasks_lambda_invoke_arn" {
+  description = "Import Tasks Lambda function invoke ARN"
+  value       = aws_lambda_function.import_tasks.invoke_arn
+}
+
+output "import_tasks_lambda_name" {
+  description = "Import Tasks Lambda function name"
+  value       = aws_lambda_function.import_tasks.function_name
+}
+
+output "export_tasks_lambda_arn" {
+  description = "Export Tasks Lambda function ARN"
+  value       = aws_lambda_function.export_tasks.arn
+}
+
+output "export_tasks_lambda_invoke_arn" {
+  description = "Export Tasks Lambda function invoke ARN"
+  value       = aws_lambda_function.export_tasks.invoke_arn
+}
+
+output "export_tasks_lambda_name" {
+  description = "Export Tasks Lambda function name"
+  value       = aws_lambda_function.export_tasks.function_name
+}
+
+output "backup_restore_lambda_arn" {
+  description = "Backup Restore Lambda function ARN"
+  value       = aws_lambda_function.backup_restore.arn
+}
+
+output "backup_restore_lambda_invoke_arn" {
+  description = "Backup Restore Lambda function invoke ARN"
+  value       = aws_lambda_function.backup_restore.invoke_arn
+}
+
+output "backup_restore_lambda_name" {
+  description = "Backup Restore Lambda function name"
+  value       = aws_lambda_function.backup_restore.function_name
+}
+
+output "get_report_summary_lambda_arn" {
+  description = "Get Report Summary Lambda function ARN"
+  value       = aws_lambda_function.get_report_summary.arn
+}
+
+output "get_report_summary_lambda_invoke_arn" {
+  description = "Get Report Summary Lambda function invoke ARN"
+  value       = aws_lambda_function.get_report_summary.invoke_arn
+}
+
+output "get_report_summary_lambda_name" {
+  description = "Get Report Summary Lambda function name"
+  value       = aws_lambda_function.get_report_summary.function_name
+}
+
 # Legacy output for backwards compatibility (can be removed later)
 output "task_management_lambda_arn" {
   description = "[DEPRECATED] Use get_tasks_lambda_arn instead"
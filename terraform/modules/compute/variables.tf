@@ -28,11 +28,117 @@ variable "users_table_arn" {
   type        = string
 }
 
+variable "task_members_table_name" {
+  description = "Task membership DynamoDB table name"
+  type        = string
+}
+
+variable "task_members_table_arn" {
+  description = "Task membership DynamoDB table ARN"
+  type        = string
+}
+
+variable "activity_table_name" {
+  description = "Task activity DynamoDB table name"
+  type        = string
+}
+
+variable "activity_table_arn" {
+  description = "Task activity DynamoDB table ARN"
+  type        = string
+}
+
+variable "comments_table_name" {
+  description = "Task comments DynamoDB table name"
+  type        = string
+}
+
+variable "comments_table_arn" {
+  description = "Task comments DynamoDB table ARN"
+  type        = string
+}
+
+variable "series_table_name" {
+  description = "Recurring task series DynamoDB table name"
+  type        = string
+}
+
+variable "series_table_arn" {
+  description = "Recurring task series DynamoDB table ARN"
+  type        = string
+}
+
+variable "outbox_table_name" {
+  description = "Notification outbox DynamoDB table name"
+  type        = string
+}
+
+variable "outbox_table_arn" {
+  description = "Notification outbox DynamoDB table ARN"
+  type        = string
+}
+
+variable "notifications_table_name" {
+  description = "In-app notifications DynamoDB table name"
+  type        = string
+}
+
+variable "notifications_table_arn" {
+  description = "In-app notifications DynamoDB table ARN"
+  type        = string
+}
+
+variable "webhooks_table_name" {
+  description = "Webhooks DynamoDB table name"
+  type        = string
+}
+
+variable "webhooks_table_arn" {
+  description = "Webhooks DynamoDB table ARN"
+  type        = string
+}
+
+variable "webhook_deliveries_table_name" {
+  description = "Webhook deliveries DynamoDB table name"
+  type        = string
+}
+
+variable "webhook_deliveries_table_arn" {
+  description = "Webhook deliveries DynamoDB table ARN"
+  type        = string
+}
+
+variable "settings_table_name" {
+  description = "App settings DynamoDB table name"
+  type        = string
+}
+
+variable "settings_table_arn" {
+  description = "App settings DynamoDB table ARN"
+  type        = string
+}
+
+variable "exports_bucket_name" {
+  description = "S3 bucket for task exports"
+  type        = string
+}
+
+variable "exports_bucket_arn" {
+  description = "S3 bucket ARN for task exports"
+  type        = string
+}
+
 variable "ses_source_email" {
   description = "Email address to send SES notifications from"
   type        = string
 }
 
+variable "app_url" {
+  description = "Frontend URL used for links in notification emails"
+  type        = string
+  default     = ""
+}
+
 variable "sns_topic_arn" {
   description = "SNS topic ARN for notifications"
   type        = string
@@ -49,3 +155,33 @@ variable "log_retention_days" {
   type        = number
   default     = 14
 }
+
+variable "recurring_tasks_schedule" {
+  description = "EventBridge schedule expression for generating recurring task instances (UTC)"
+  type        = string
+  default     = "cron(0 5 * * ? *)"
+}
+
+variable "task_reminders_schedule" {
+  description = "EventBridge schedule expression for due-date reminders"
+  type        = string
+  default     = "rate(1 hour)"
+}
+
+variable "reminder_window_hours" {
+  description = "Hours before a task's due date that assignees are reminded"
+  type        = number
+  default     = 24
+}
+
+variable "digests_schedule" {
+  description = "EventBridge schedule expression for digest emails (UTC)"
+  type        = string
+  default     = "cron(0 7 * * ? *)"
+}
+
+variable "notification_delivery_schedule" {
+  description = "EventBridge schedule expression for the notification outbox worker"
+  type        = string
+  default     = "rate(1 minute)"
+}
@@ -19,6 +19,26 @@ resource "aws_dynamodb_table" "tasks" {
     type = "S"
   }
 
+  attribute {
+    name = "seriesId"
+    type = "S"
+  }
+
+  attribute {
+    name = "occurrenceDate"
+    type = "S"
+  }
+
+  attribute {
+    name = "listKey"
+    type = "S"
+  }
+
+  attribute {
+    name = "listOrder"
+    type = "S"
+  }
+
   global_secondary_index {
     name            = "AssignedToIndex"
     hash_key        = "assignedTo"
@@ -31,6 +51,22 @@ resource "aws_dynamodb_table" "tasks" {
     projection_type = "ALL"
   }
 
+  # Instances of recurring series; tasks created by hand are not indexed
+  global_secondary_index {
+    name            = "SeriesIndex"
+    hash_key        = "seriesId"
+    range_key       = "occurrenceDate"
+    projection_type = "ALL"
+  }
+
+  # Every task in one partition, ordered by creation time then taskId, for the admin task list
+  global_secondary_index {
+    name            = "ListOrderIndex"
+    hash_key        = "listKey"
+    range_key       = "listOrder"
+    projection_type = "ALL"
+  }
+
   point_in_time_recovery {
     enabled = var.enable_point_in_time_recovery
   }
@@ -63,12 +99,24 @@ resource "aws_dynamodb_table" "users" {
     type = "S"
   }
 
+  attribute {
+    name = "calendarToken"
+    type = "S"
+  }
+
   global_secondary_index {
     name            = "EmailIndex"
     hash_key        = "email"
     projection_type = "ALL"
   }
 
+  # Calendar feed tokens; only users who have opened their feed are indexed
+  global_secondary_index {
+    name            = "CalendarTokenIndex"
+    hash_key        = "calendarToken"
+    projection_type = "ALL"
+  }
+
   point_in_time_recovery {
     enabled = var.enable_point_in_time_recovery
   }
@@ -84,3 +132,425 @@ resource "aws_dynamodb_table" "users" {
     }
   )
 }
+
+# DynamoDB Table: Task Members
+# One item per (member, task) pair so members' task lists are a key query, not a scan
+resource "aws_dynamodb_table" "task_members" {
+  name           = var.task_members_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "memberEmail"
+  range_key      = "taskId"
+
+  attribute {
+    name = "memberEmail"
+    type = "S"
+  }
+
+  attribute {
+    name = "taskId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.task_members_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Task Activity
+# Append-only history of task changes; sort key is <timestamp>#<seq>#<uuid> so queries return events in order
+resource "aws_dynamodb_table" "activity" {
+  name           = var.activity_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "taskId"
+  range_key      = "activityId"
+
+  attribute {
+    name = "taskId"
+    type = "S"
+  }
+
+  attribute {
+    name = "activityId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.activity_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Task Comments
+# Comments live outside the task item; CreatedAtIndex lists a task's comments oldest first
+resource "aws_dynamodb_table" "comments" {
+  name           = var.comments_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "taskId"
+  range_key      = "commentId"
+
+  attribute {
+    name = "taskId"
+    type = "S"
+  }
+
+  attribute {
+    name = "commentId"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  local_secondary_index {
+    name            = "CreatedAtIndex"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.comments_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Recurring Task Series
+# One item per series; generated tasks link back to it through seriesId
+resource "aws_dynamodb_table" "series" {
+  name           = var.series_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "seriesId"
+
+  attribute {
+    name = "seriesId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.series_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Notification Outbox
+# One item per notification job, written in the same transaction as the change behind it
+resource "aws_dynamodb_table" "outbox" {
+  name           = var.outbox_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "jobId"
+
+  attribute {
+    name = "jobId"
+    type = "S"
+  }
+
+  attribute {
+    name = "status"
+    type = "S"
+  }
+
+  attribute {
+    name = "nextAttemptAt"
+    type = "S"
+  }
+
+  # Due jobs for the delivery worker, and the admin list of dead letters
+  global_secondary_index {
+    name            = "StatusIndex"
+    hash_key        = "status"
+    range_key       = "nextAttemptAt"
+    projection_type = "ALL"
+  }
+
+  # Delivered jobs are removed a week after they were sent
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.outbox_table_name
+    }
+  )
+}
+
+# DynamoDB Table: In-app Notifications
+# One item per notification and recipient, stored by the outbox worker
+resource "aws_dynamodb_table" "notifications" {
+  name           = var.notifications_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "userEmail"
+  range_key      = "notificationId"
+
+  attribute {
+    name = "userEmail"
+    type = "S"
+  }
+
+  attribute {
+    name = "notificationId"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  # A user's notifications, newest first
+  global_secondary_index {
+    name            = "CreatedAtIndex"
+    hash_key        = "userEmail"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # Notifications are removed after 90 days
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.notifications_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Webhooks
+# Registered webhook endpoints and their subscribed events
+resource "aws_dynamodb_table" "webhooks" {
+  name           = var.webhooks_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "webhookId"
+
+  attribute {
+    name = "webhookId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.webhooks_table_name
+    }
+  )
+}
+
+# DynamoDB Table: Webhook Deliveries
+# One item per webhook delivery, with every attempt to deliver it
+resource "aws_dynamodb_table" "webhook_deliveries" {
+  name           = var.webhook_deliveries_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "webhookId"
+  range_key      = "deliveryId"
+
+  attribute {
+    name = "webhookId"
+    type = "S"
+  }
+
+  attribute {
+    name = "deliveryId"
+    type = "S"
+  }
+
+  attribute {
+    name = "createdAt"
+    type = "S"
+  }
+
+  # A webhook's delivery log, newest first
+  global_secondary_index {
+    name            = "CreatedAtIndex"
+    hash_key        = "webhookId"
+    range_key       = "createdAt"
+    projection_type = "ALL"
+  }
+
+  # Delivery logs are removed 30 days after the last attempt
+  ttl {
+    attribute_name = "expiresAt"
+    enabled        = true
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.webhook_deliveries_table_name
+    }
+  )
+}
+
+# DynamoDB Table: App Settings
+# App-wide settings, one item per setting (e.g. the team chat channel)
+resource "aws_dynamodb_table" "settings" {
+  name           = var.settings_table_name
+  billing_mode   = "PAY_PER_REQUEST"
+  hash_key       = "settingId"
+
+  attribute {
+    name = "settingId"
+    type = "S"
+  }
+
+  point_in_time_recovery {
+    enabled = var.enable_point_in_time_recovery
+  }
+
+  server_side_encryption {
+    enabled = true
+  }
+
+  tags = merge(
+    var.tags,
+    {
+      Name = var.settings_table_name
+    }
+  )
+}
+
+# S3 Bucket: Exports
+# Task exports are streamed here and downloaded through short-lived signed URLs
+resource "aws_s3_bucket" "exports" {
+  bucket_prefix = var.exports_bucket_prefix
+  force_destroy = true
+
+  tags = merge(
+    var.tags,
+    {
+      Name = "${var.exports_bucket_prefix}bucket"
+    }
+  )
+}
+
+resource "aws_s3_bucket_public_access_block" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+# Exports are only kept long enough to be downloaded
+resource "aws_s3_bucket_lifecycle_configuration" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  rule {
+    id     = "expire-exports"
+    status = "Enabled"
+
+    filter {
+      prefix = "exports/"
+    }
+
+    expiration {
+      days = 1
+    }
+
+    abort_incomplete_multipart_upload {
+      days_after_initiation = 1
+    }
+  }
+}
+
+# The web app follows the export redirect and downloads the file with fetch
+resource "aws_s3_bucket_cors_configuration" "exports" {
+  bucket = aws_s3_bucket.exports.id
+
+  cors_rule {
+    allowed_methods = ["GET"]
+    allowed_origins = ["*"]
+    allowed_headers = ["*"]
+    max_age_seconds = 3000
+  }
+}
@@ -18,6 +18,106 @@ output "users_table_arn" {
   value       = aws_dynamodb_table.users.arn
 }
 
+output "task_members_table_name" {
+  description = "Name of the task membership table"
+  value       = aws_dynamodb_table.task_members.name
+}
+
+output "task_members_table_arn" {
+  description = "ARN of the task membership table"
+  value       = aws_dynamodb_table.task_members.arn
+}
+
+output "activity_table_name" {
+  description = "Name of the task activity table"
+  value       = aws_dynamodb_table.activity.name
+}
+
+output "activity_table_arn" {
+  description = "ARN of the task activity table"
+  value       = aws_dynamodb_table.activity.arn
+}
+
+output "comments_table_name" {
+  description = "Name of the task comments table"
+  value       = aws_dynamodb_table.comments.name
+}
+
+output "comments_table_arn" {
+  description = "ARN of the task comments table"
+  value       = aws_dynamodb_table.comments.arn
+}
+
+output "series_table_name" {
+  description = "Name of the recurring task series table"
+  value       = aws_dynamodb_table.series.name
+}
+
+output "series_table_arn" {
+  description = "ARN of the recurring task series table"
+  value       = aws_dynamodb_table.series.arn
+}
+
+output "outbox_table_name" {
+  description = "Name of the notification outbox table"
+  value       = aws_dynamodb_table.outbox.name
+}
+
+output "outbox_table_arn" {
+  description = "ARN of the notification outbox table"
+  value       = aws_dynamodb_table.outbox.arn
+}
+
+output "notifications_table_name" {
+  description = "Name of the in-app notifications table"
+  value       = aws_dynamodb_table.notifications.name
+}
+
+output "notifications_table_arn" {
+  description = "ARN of the in-app notifications table"
+  value       = aws_dynamodb_table.notifications.arn
+}
+
+output "webhooks_table_name" {
+  description = "Name of the webhooks table"
+  value       = aws_dynamodb_table.webhooks.name
+}
+
+output "webhooks_table_arn" {
+  description = "ARN of the webhooks table"
+  value       = aws_dynamodb_table.webhooks.arn
+}
+
+output "webhook_deliveries_table_name" {
+  description = "Name of the webhook deliveries table"
+  value       = aws_dynamodb_table.webhook_deliveries.name
+}
+
+output "webhook_deliveries_table_arn" {
+  description = "ARN of the webhook deliveries table"
+  value       = aws_dynamodb_table.webhook_deliveries.arn
+}
+
+output "settings_table_name" {
+  description = "Name of the app settings table"
+  value       = aws_dynamodb_table.settings.name
+}
+
+output "settings_table_arn" {
+  description = "ARN of the app settings table"
+  value       = aws_dynamodb_table.settings.arn
+}
+
+output "exports_bucket_name" {
+  description = "Name of the task exports bucket"
+  value       = aws_s3_bucket.exports.id
+}
+
+output "exports_bucket_arn" {
+  description = "ARN of the task exports bucket"
+  value       = aws_s3_bucket.exports.arn
+}
+
 output "tasks_table_stream_arn" {
   description = "Stream ARN of the tasks table"
   value       = aws_dynamodb_table.tasks.stream_arn
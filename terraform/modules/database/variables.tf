@@ -10,6 +10,66 @@ variable "users_table_name" {
   default     = "users"
 }
 
+variable "task_members_table_name" {
+  description = "Name of the task membership DynamoDB table"
+  type        = string
+  default     = "task-members"
+}
+
+variable "activity_table_name" {
+  description = "Name of the task activity DynamoDB table"
+  type        = string
+  default     = "task-activity"
+}
+
+variable "comments_table_name" {
+  description = "Name of the task comments DynamoDB table"
+  type        = string
+  default     = "task-comments"
+}
+
+variable "series_table_name" {
+  description = "Name of the recurring task series DynamoDB table"
+  type        = string
+  default     = "task-series"
+}
+
+variable "outbox_table_name" {
+  description = "Name of the notification outbox DynamoDB table"
+  type        = string
+  default     = "notification-outbox"
+}
+
+variable "notifications_table_name" {
+  description = "Name of the in-app notifications DynamoDB table"
+  type        = string
+  default     = "in-app-notifications"
+}
+
+variable "webhooks_table_name" {
+  description = "Name of the webhooks DynamoDB table"
+  type        = string
+  default     = "webhooks"
+}
+
+variable "webhook_deliveries_table_name" {
+  description = "Name of the webhook deliveries DynamoDB table"
+  type        = string
+  default     = "webhook-deliveries"
+}
+
+variable "settings_table_name" {
+  description = "Name of the app settings DynamoDB table"
+  type        = string
+  default     = "app-settings"
+}
+
+variable "exports_bucket_prefix" {
+  description = "Name prefix of the S3 bucket for task exports"
+  type        = string
+  default     = "task-management-exports-"
+}
+
 variable "enable_point_in_time_recovery" {
   description = "Enable point-in-time recovery for DynamoDB tables"
   type        = bool
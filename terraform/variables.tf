@@ -22,6 +22,12 @@ variable "ses_source_email" {
   default     = "noreply@yourdomain.com"
 }
 
+variable "app_url" {
+  description = "Frontend URL used for links in notification emails (e.g., https://main.d1234abcd.amplifyapp.com)"
+  type        = string
+  default     = ""
+}
+
 variable "github_repository" {
   description = "GitHub repository URL for Amplify deployment (e.g., https://github.com/username/repo)"
   type        = string